@@ -23,6 +23,31 @@ const banner = `/*!
  */`;
 
 const input = 'src/index.js';
+const workerInput = 'src/core/CompressionWorker.js';
+
+// Node.js built-ins are only loaded lazily, and only on Node.js code paths
+const external = id => id.startsWith('node:');
+
+// Browser builds: render import('node:...') as a rejected promise, so no node: import is left for bundlers or
+// browsers to resolve. The Node.js branches that use them never run there
+const browserBuiltins = () => ({
+  name: 'browser-builtins',
+  renderDynamicImport({ targetModuleId }) {
+    if (targetModuleId && targetModuleId.startsWith('node:')) {
+      return { left: 'Promise.reject(new Error(\'Not available in browser builds: \' + ', right: '))' };
+    }
+    return null;
+  }
+});
+
+// CommonJS builds load the CommonJS worker bundle; the engine's default worker URL names the ES one
+const commonJSWorker = () => ({
+  name: 'commonjs-worker',
+  transform(code, id) {
+    if (!id.endsWith('CompressionEngine.js')) return null;
+    return { code: code.replace("'./CompressionWorker.js'", "'./CompressionWorker.cjs'"), map: null };
+  }
+});
 
 // Common plugins
 const commonPlugins = [
@@ -38,17 +63,32 @@ const commonPlugins = [
   })
 ];
 
+// CommonJS build (package main)
+const cjsConfig = {
+  input,
+  external,
+  output: {
+    file: pkg.main,
+    format: 'cjs',
+    banner,
+    exports: 'auto',
+    sourcemap: true
+  },
+  plugins: [
+    resolve({
+      preferBuiltins: true
+    }),
+    commonjs(),
+    commonJSWorker(),
+    filesize()
+  ]
+};
+
 // Development build
 const devConfig = {
   input,
+  external,
   output: [
-    {
-      file: pkg.main,
-      format: 'cjs',
-      banner,
-      exports: 'auto',
-      sourcemap: true
-    },
     {
       file: pkg.module,
       format: 'es',
@@ -66,6 +106,7 @@ const devConfig = {
   ],
   plugins: [
     ...commonPlugins,
+    browserBuiltins(),
     visualizer({
       filename: 'dist/stats.html',
       open: false,
@@ -78,6 +119,7 @@ const devConfig = {
 // Production build (minified)
 const prodConfig = {
   input,
+  external,
   output: [
     {
       file: 'dist/kompreser.min.js',
@@ -96,6 +138,7 @@ const prodConfig = {
   ],
   plugins: [
     ...commonPlugins,
+    browserBuiltins(),
     terser({
       compress: {
         drop_console: false,
@@ -116,6 +159,7 @@ const prodConfig = {
 // Library build (for CDN)
 const libConfig = {
   input,
+  external,
   output: [
     {
       file: 'dist/kompreser.lib.js',
@@ -133,12 +177,13 @@ const libConfig = {
       plugins: [terser()]
     }
   ],
-  plugins: commonPlugins
+  plugins: [...commonPlugins, browserBuiltins()]
 };
 
 // Modern build (ES2020+)
 const modernConfig = {
   input,
+  external,
   output: {
     file: 'dist/kompreser.modern.js',
     format: 'es',
@@ -147,6 +192,7 @@ const modernConfig = {
   },
   plugins: [
     ...commonPlugins,
+    browserBuiltins(),
     {
       renderStart() {
         this.warn('Building modern ES2020+ version');
@@ -170,16 +216,52 @@ const nodeConfig = {
       preferBuiltins: true
     }),
     commonjs(),
+    commonJSWorker(),
     filesize()
   ],
-  external: ['canvas', 'sharp']
+  external: id => external(id) || ['canvas', 'sharp'].includes(id)
 };
 
+// Compression worker, loaded by URL from next to the library bundle: an ES module worker for browsers and the ES
+// builds, CommonJS for worker_threads under the CommonJS builds
+const workerConfigs = [
+  {
+    input: workerInput,
+    external,
+    output: {
+      file: 'dist/CompressionWorker.js',
+      format: 'es',
+      banner,
+      sourcemap: true
+    },
+    plugins: [...commonPlugins, browserBuiltins()]
+  },
+  {
+    input: workerInput,
+    external,
+    output: {
+      file: 'dist/CompressionWorker.cjs',
+      format: 'cjs',
+      banner,
+      sourcemap: true
+    },
+    plugins: [
+      resolve({
+        preferBuiltins: true
+      }),
+      commonjs(),
+      filesize()
+    ]
+  }
+];
+
 // Export configurations
 export default [
+  cjsConfig,
   devConfig,
   prodConfig,
   libConfig,
   modernConfig,
-  nodeConfig
+  nodeConfig,
+  ...workerConfigs
 ];
\ No newline at end of file
@@ -0,0 +1,381 @@
+/**
+ * @xbibzlibrary/kompreser - Animation Compression
+ * Frame selection, inter-frame delta optimization and animated PNG / animated WebP / animated GIF encoding
+ */
+
+import Logger from '../utils/Logger.js';
+import { CompressionError, ValidationError } from '../core/ErrorHandler.js';
+import PNGCompression from './PNGCompression.js';
+import WebPCompression from './WebPCompression.js';
+import GIFCompression from './GIFCompression.js';
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// APNG frame control operations
+const APNG_DISPOSE_NONE = 0;
+const APNG_BLEND_SOURCE = 0;
+const APNG_BLEND_OVER = 1;
+
+// VP8X flags and ANMF flags
+const WEBP_FLAG_ALPHA = 0x10;
+const WEBP_FLAG_ANIMATION = 0x02;
+const ANMF_NO_BLEND = 0x02;
+
+// WebP stores frame durations and offsets in 24 bits
+const MAX_WEBP_DURATION = 0xFFFFFF;
+
+class AnimationCompression {
+  constructor(options, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    
+    this.png = new PNGCompression(options, this.logger);
+    this.webp = new WebPCompression(options, this.logger);
+    this.gif = new GIFCompression(options, this.logger);
+  }
+
+  // animation is { width, height, loopCount, frames: [{ data, width, height, delay }] } with full-canvas frames;
+  // loopCount is the number of plays, 0 for forever
+  async compress(animation, options = {}) {
+    const timer = this.logger.startTimer('animation_compression');
+    const format = ['webp', 'gif'].includes(options.format) ? options.format : 'png';
+    
+    try {
+      const selected = this.selectFrames(animation.frames, options);
+      let frames = options.optimizeFrames === false
+        ? selected.map(frame => this.fullFrame(frame))
+        : this.optimizeFrames(selected);
+      
+      // GIF can only draw over the previous frame, so if one frame has to replace pixels all of them are sent whole
+      if (format === 'gif' && frames.slice(1).some(frame => !frame.blend)) {
+        frames = selected.map(frame => this.fullFrame(frame));
+      }
+      const loopCount = options.loop ?? animation.loopCount;
+      
+      let data;
+      if (format === 'webp') {
+        data = await this.encodeWebP(frames, animation, loopCount, options);
+      } else if (format === 'gif') {
+        data = await this.gif.compressAnimation(frames, animation.width, animation.height, loopCount, options);
+      } else {
+        data = await this.encodeAPNG(frames, animation, loopCount, options);
+      }
+      
+      const duration = timer.end();
+      
+      this.logger.debug('Animation compression completed', {
+        format,
+        frames: frames.length,
+        sourceFrames: animation.frames.length,
+        compressedSize: data.length,
+        duration
+      });
+      
+      return {
+        data,
+        size: data.length,
+        width: animation.width,
+        height: animation.height,
+        format,
+        frames: frames.length,
+        animation: {
+          frames: frames.length,
+          sourceFrames: animation.frames.length,
+          duration: frames.reduce((total, frame) => total + frame.delay, 0),
+          loopCount
+        }
+      };
+    
+    } catch (error) {
+      // Bad frame selection options are not worth a retry
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      this.logger.error('Animation compression failed', { error: error.message });
+      throw new CompressionError(`Animation compression failed: ${error.message}`, format);
+    }
+  }
+
+  // Dropped frames hand their display time to the frame before them, so the total duration is unchanged
+  selectFrames(frames, options) {
+    const { dropFrames = [], maxFrameRate } = options;
+    if (!Array.isArray(dropFrames)) {
+      throw new ValidationError('dropFrames must be an array of frame indices', { dropFrames });
+    }
+    if (maxFrameRate !== undefined && !(maxFrameRate > 0)) {
+      throw new ValidationError('maxFrameRate must be a positive number', { maxFrameRate });
+    }
+    
+    const dropped = new Set(dropFrames);
+    const minDelay = maxFrameRate ? 1000 / maxFrameRate : 0;
+    const selected = [];
+    
+    frames.forEach((frame, index) => {
+      const last = selected[selected.length - 1];
+      if (last && (dropped.has(index) || last.delay < minDelay)) {
+        last.delay += frame.delay;
+      } else {
+        selected.push({ ...frame });
+      }
+    });
+    
+    return selected;
+  }
+
+  fullFrame(frame) {
+    return {
+      x: 0,
+      y: 0,
+      width: frame.width,
+      height: frame.height,
+      data: frame.data,
+      delay: frame.delay,
+      blend: false
+    };
+  }
+
+  // Each frame after the first becomes the rectangle that changed; unchanged pixels inside it turn transparent
+  // and are blended over the previous frame, unless a changed pixel is itself translucent
+  optimizeFrames(frames) {
+    const output = [this.fullFrame(frames[0])];
+    const { width } = frames[0];
+    
+    for (let i = 1; i < frames.length; i++) {
+      const previous = frames[i - 1].data;
+      const { data, delay } = frames[i];
+      const bounds = this.findChangedBounds(previous, data, width, frames[i].height);
+      
+      // Identical frames only extend the one before
+      if (!bounds) {
+        output[output.length - 1].delay += delay;
+        continue;
+      }
+      
+      // WebP stores offsets halved, so rectangles start on even coordinates
+      const x = bounds.left & ~1;
+      const y = bounds.top & ~1;
+      const rectWidth = bounds.right - x + 1;
+      const rectHeight = bounds.bottom - y + 1;
+      const rect = new Uint8ClampedArray(rectWidth * rectHeight * 4);
+      let blend = true;
+      
+      for (let row = 0; row < rectHeight; row++) {
+        const source = ((y + row) * width + x) * 4;
+        rect.set(data.subarray(source, source + rectWidth * 4), row * rectWidth * 4);
+        
+        for (let p = source, q = row * rectWidth * 4; p < source + rectWidth * 4; p += 4, q += 4) {
+          const changed = data[p] !== previous[p] || data[p + 1] !== previous[p + 1] ||
+            data[p + 2] !== previous[p + 2] || data[p + 3] !== previous[p + 3];
+          
+          if (!changed) {
+            rect.fill(0, q, q + 4);
+          } else if (data[p + 3] !== 255) {
+            blend = false;
+          }
+        }
+      }
+      
+      // Without blending the rectangle replaces what is under it, so it needs its real pixels
+      output.push(blend
+        ? { x, y, width: rectWidth, height: rectHeight, data: rect, delay, blend }
+        : { ...this.cropFrame(data, width, x, y, rectWidth, rectHeight), x, y, delay, blend });
+    }
+    
+    return output;
+  }
+
+  findChangedBounds(previous, data, width, height) {
+    let left = width;
+    let top = height;
+    let right = -1;
+    let bottom = -1;
+    
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        if (data[i] !== previous[i] || data[i + 1] !== previous[i + 1] ||
+            data[i + 2] !== previous[i + 2] || data[i + 3] !== previous[i + 3]) {
+          if (x < left) left = x;
+          if (x > right) right = x;
+          if (y < top) top = y;
+          bottom = y;
+        }
+      }
+    }
+    
+    return right < 0 ? null : { left, top, right, bottom };
+  }
+
+  cropFrame(data, width, x, y, rectWidth, rectHeight) {
+    const rect = new Uint8ClampedArray(rectWidth * rectHeight * 4);
+    for (let row = 0; row < rectHeight; row++) {
+      const source = ((y + row) * width + x) * 4;
+      rect.set(data.subarray(source, source + rectWidth * 4), row * rectWidth * 4);
+    }
+    return { data: rect, width: rectWidth, height: rectHeight };
+  }
+
+  // APNG: IHDR, acTL, shared palette, then fcTL + IDAT for the first frame and fcTL + fdAT for the rest
+  async encodeAPNG(frames, animation, loopCount, options) {
+    const png = this.png;
+    const palette = options.palette !== false ? png.buildPalette({ data: this.concat(frames.map(frame => frame.data)) }) : null;
+    const colorType = palette ? png.COLOR_TYPES.PALETTE : png.COLOR_TYPES.RGBA;
+    
+    const actl = new Uint8Array(8);
+    new DataView(actl.buffer).setUint32(0, frames.length);
+    new DataView(actl.buffer).setUint32(4, loopCount);
+    
+    const chunks = [
+      new Uint8Array(PNG_SIGNATURE),
+      png.createIHDRChunk(animation.width, animation.height, colorType),
+      png.createChunk('acTL', actl)
+    ];
+    
+    if (palette) {
+      chunks.push(png.createPLTEChunk(palette.colors));
+      const trns = png.createTRNSChunk(palette.colors);
+      if (trns) {
+        chunks.push(trns);
+      }
+    }
+    
+    let sequence = 0;
+    for (const [index, frame] of frames.entries()) {
+      chunks.push(png.createChunk('fcTL', this.createFrameControl(sequence++, frame)));
+      
+      const scanlines = png.packScanlines(frame, colorType, palette);
+      const compressed = await png.deflateCompress(await png.applyFiltering(scanlines, options), options);
+      
+      if (index === 0) {
+        chunks.push(...png.createIDATChunks(compressed));
+        continue;
+      }
+      
+      // fdAT is IDAT with a sequence number in front
+      for (let offset = 0; offset < compressed.length; offset += png.MAX_IDAT_SIZE) {
+        const part = compressed.subarray(offset, offset + png.MAX_IDAT_SIZE);
+        const fdat = new Uint8Array(4 + part.length);
+        new DataView(fdat.buffer).setUint32(0, sequence++);
+        fdat.set(part, 4);
+        chunks.push(png.createChunk('fdAT', fdat));
+      }
+    }
+    
+    chunks.push(png.createIENDChunk());
+    return this.concat(chunks);
+  }
+
+  createFrameControl(sequence, frame) {
+    const fctl = new Uint8Array(26);
+    const view = new DataView(fctl.buffer);
+    view.setUint32(0, sequence);
+    view.setUint32(4, frame.width);
+    view.setUint32(8, frame.height);
+    view.setUint32(12, frame.x);
+    view.setUint32(16, frame.y);
+    
+    // Delay as a fraction of a second: milliseconds over 1000
+    view.setUint16(20, Math.min(frame.delay, 0xFFFF));
+    view.setUint16(22, 1000);
+    fctl[24] = APNG_DISPOSE_NONE;
+    fctl[25] = frame.blend ? APNG_BLEND_OVER : APNG_BLEND_SOURCE;
+    return fctl;
+  }
+
+  // Animated WebP: VP8X, ANIM, then one ANMF per frame wrapping the frame's own encoded bitstream
+  async encodeWebP(frames, animation, loopCount, options) {
+    let flags = WEBP_FLAG_ANIMATION;
+    const chunks = [];
+    
+    for (const frame of frames) {
+      const encoded = await this.webp.compress(frame, options);
+      const bitstream = this.readRIFFChunks(encoded.data)
+        .filter(chunk => chunk.type === 'ALPH' || chunk.type === 'VP8 ' || chunk.type === 'VP8L');
+      
+      if (bitstream.length === 0) {
+        throw new CompressionError('WebP encoder returned no image data', 'webp');
+      }
+      if (this.hasAlpha(frame.data)) {
+        flags |= WEBP_FLAG_ALPHA;
+      }
+      
+      const header = new Uint8Array(16);
+      this.writeUint24(header, 0, frame.x / 2);
+      this.writeUint24(header, 3, frame.y / 2);
+      this.writeUint24(header, 6, frame.width - 1);
+      this.writeUint24(header, 9, frame.height - 1);
+      this.writeUint24(header, 12, Math.min(frame.delay, MAX_WEBP_DURATION));
+      header[15] = frame.blend ? 0 : ANMF_NO_BLEND;
+      
+      chunks.push(this.createRIFFChunk('ANMF', this.concat([header, ...bitstream.map(({ type, data }) => this.createRIFFChunk(type, data))])));
+    }
+    
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = flags;
+    this.writeUint24(vp8x, 4, animation.width - 1);
+    this.writeUint24(vp8x, 7, animation.height - 1);
+    
+    // Transparent background, then the loop count (0 loops forever)
+    const anim = new Uint8Array(6);
+    new DataView(anim.buffer).setUint16(4, Math.min(loopCount, 0xFFFF), true);
+    
+    const body = this.concat([this.createRIFFChunk('VP8X', vp8x), this.createRIFFChunk('ANIM', anim), ...chunks]);
+    const riff = new Uint8Array(12);
+    riff.set([0x52, 0x49, 0x46, 0x46], 0); // 'RIFF'
+    new DataView(riff.buffer).setUint32(4, body.length + 4, true);
+    riff.set([0x57, 0x45, 0x42, 0x50], 8); // 'WEBP'
+    
+    return this.concat([riff, body]);
+  }
+
+  readRIFFChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 12;
+    
+    while (offset + 8 <= bytes.length) {
+      const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+      const size = view.getUint32(offset + 4, true);
+      chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + size) });
+      offset += 8 + size + (size & 1);
+    }
+    
+    return chunks;
+  }
+
+  // Type, little-endian size, data and a pad byte for odd sizes
+  createRIFFChunk(type, data) {
+    const chunk = new Uint8Array(8 + data.length + (data.length & 1));
+    for (let i = 0; i < 4; i++) {
+      chunk[i] = type.charCodeAt(i);
+    }
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+  }
+
+  writeUint24(bytes, offset, value) {
+    bytes[offset] = value & 0xFF;
+    bytes[offset + 1] = (value >> 8) & 0xFF;
+    bytes[offset + 2] = (value >> 16) & 0xFF;
+  }
+
+  hasAlpha(data) {
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] !== 255) return true;
+    }
+    return false;
+  }
+
+  concat(parts) {
+    const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      output.set(part, offset);
+      offset += part.length;
+    }
+    return output;
+  }
+}
+
+export default AnimationCompression;
\ No newline at end of file
@@ -0,0 +1,256 @@
+/**
+ * @xbibzlibrary/kompreser - BMP Compression Algorithm
+ * Windows bitmap encoder: 24-bit, 32-bit with alpha, and 1/4/8-bit palettes with optional RLE8
+ */
+
+import Logger from '../utils/Logger.js';
+import { CompressionError, ValidationError } from '../core/ErrorHandler.js';
+import GIFCompression from './GIFCompression.js';
+
+const FILE_HEADER_SIZE = 14;
+const INFO_HEADER_SIZE = 40;
+const V4_HEADER_SIZE = 108;
+
+const BI_RGB = 0;
+const BI_RLE8 = 1;
+const BI_BITFIELDS = 3;
+
+// 72 DPI in pixels per meter
+const PIXELS_PER_METER = 2835;
+
+// 'sRGB' color space tag of BITMAPV4HEADER
+const LCS_SRGB = 0x73524742;
+
+// RLE8 runs and literal groups hold at most 255 pixels; shorter literals are cheaper as runs
+const MAX_RUN = 255;
+const MIN_LITERAL = 3;
+
+class BMPCompression {
+  constructor(options, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    
+    // Palettes and dithering are shared with the GIF encoder
+    this.gif = new GIFCompression(options, this.logger);
+  }
+
+  async compress(imageData, options = {}) {
+    const bitDepth = this.resolveBitDepth(imageData, options);
+    const timer = this.logger.startTimer('bmp_compression');
+    
+    try {
+      const rle = Boolean(options.rle) && bitDepth === 8;
+      
+      this.logger.debug('Starting BMP compression', {
+        bitDepth,
+        rle,
+        dimensions: `${imageData.width}x${imageData.height}`
+      });
+      
+      if (bitDepth < 32 && this.hasAlpha(imageData.data)) {
+        this.logger.warn('BMP without an alpha channel, transparency is dropped', { bitDepth });
+      }
+      
+      const bmpData = bitDepth <= 8
+        ? this.encodeIndexed(imageData, bitDepth, rle, options)
+        : this.encodeTrueColor(imageData, bitDepth);
+      
+      const duration = timer.end();
+      
+      this.logger.debug('BMP compression completed', {
+        duration,
+        originalSize: imageData.data.length,
+        compressedSize: bmpData.length
+      });
+      
+      return {
+        data: bmpData,
+        size: bmpData.length,
+        width: imageData.width,
+        height: imageData.height,
+        format: 'bmp',
+        bitDepth
+      };
+    
+    } catch (error) {
+      this.logger.error('BMP compression failed', { error: error.message });
+      throw new CompressionError(`BMP compression failed: ${error.message}`, 'bmp');
+    }
+  }
+
+  // 32-bit when there is transparency to keep, 24-bit otherwise
+  resolveBitDepth(imageData, options) {
+    if (options.bitDepth === undefined) {
+      return this.hasAlpha(imageData.data) ? 32 : 24;
+    }
+    
+    if (![1, 4, 8, 24, 32].includes(options.bitDepth)) {
+      throw new ValidationError('BMP bitDepth must be 1, 4, 8, 24 or 32', { bitDepth: options.bitDepth });
+    }
+    
+    return options.bitDepth;
+  }
+
+  hasAlpha(data) {
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] < 255) return true;
+    }
+    return false;
+  }
+
+  // Bottom-up BGR rows padded to 4 bytes; 32-bit images use a V4 header with bit masks so the alpha byte is read
+  encodeTrueColor(imageData, bitDepth) {
+    const { data, width, height } = imageData;
+    const bytesPerPixel = bitDepth / 8;
+    const stride = Math.ceil(width * bytesPerPixel / 4) * 4;
+    const pixels = new Uint8Array(stride * height);
+    
+    for (let y = 0; y < height; y++) {
+      let offset = (height - 1 - y) * stride;
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        pixels[offset++] = data[i + 2];
+        pixels[offset++] = data[i + 1];
+        pixels[offset++] = data[i];
+        if (bytesPerPixel === 4) {
+          pixels[offset++] = data[i + 3];
+        }
+      }
+    }
+    
+    return bitDepth === 32
+      ? this.createBMP(width, height, bitDepth, BI_BITFIELDS, [], pixels, V4_HEADER_SIZE)
+      : this.createBMP(width, height, bitDepth, BI_RGB, [], pixels);
+  }
+
+  // Alpha is ignored: the palette and indices come from the opaque colors
+  encodeIndexed(imageData, bitDepth, rle, options) {
+    const { width, height } = imageData;
+    const opaque = new Uint8ClampedArray(imageData.data);
+    for (let i = 3; i < opaque.length; i += 4) {
+      opaque[i] = 255;
+    }
+    
+    const palette = this.gif.buildPalette(opaque, 1 << bitDepth);
+    const indices = options.dither
+      ? this.gif.ditherIndices(opaque, width, height, palette, null)
+      : this.gif.mapIndices(opaque, palette, null);
+    
+    const pixels = rle
+      ? this.encodeRLE8(indices, width, height)
+      : this.packIndices(indices, width, height, bitDepth);
+    
+    return this.createBMP(width, height, bitDepth, rle ? BI_RLE8 : BI_RGB, palette, pixels);
+  }
+
+  packIndices(indices, width, height, bitDepth) {
+    const perByte = 8 / bitDepth;
+    const stride = Math.ceil(width / perByte / 4) * 4;
+    const pixels = new Uint8Array(stride * height);
+    
+    for (let y = 0; y < height; y++) {
+      const row = (height - 1 - y) * stride;
+      for (let x = 0; x < width; x++) {
+        const shift = 8 - bitDepth * (x % perByte + 1);
+        pixels[row + Math.floor(x / perByte)] |= indices[y * width + x] << shift;
+      }
+    }
+    
+    return pixels;
+  }
+
+  // Encoded mode (count, index) for repeats, absolute mode (0, count, indices, pad) for runs of distinct
+  // pixels, an end-of-line escape after every row and end-of-bitmap after the last
+  encodeRLE8(indices, width, height) {
+    const output = [];
+    
+    for (let y = height - 1; y >= 0; y--) {
+      const row = indices.subarray(y * width, (y + 1) * width);
+      let x = 0;
+      
+      while (x < width) {
+        let run = 1;
+        while (x + run < width && run < MAX_RUN && row[x + run] === row[x]) {
+          run++;
+        }
+        
+        if (run > 1) {
+          output.push(run, row[x]);
+          x += run;
+          continue;
+        }
+        
+        // Collect distinct pixels until a repeat starts
+        let literal = 1;
+        while (x + literal < width && literal < MAX_RUN && row[x + literal] !== row[x + literal - 1]) {
+          literal++;
+        }
+        if (x + literal < width && literal > 1) {
+          literal--;
+        }
+        
+        if (literal < MIN_LITERAL) {
+          for (let i = 0; i < literal; i++) {
+            output.push(1, row[x + i]);
+          }
+        } else {
+          output.push(0, literal);
+          for (let i = 0; i < literal; i++) {
+            output.push(row[x + i]);
+          }
+          if (literal & 1) output.push(0);
+        }
+        x += literal;
+      }
+      
+      output.push(0, y === 0 ? 1 : 0);
+    }
+    
+    return new Uint8Array(output);
+  }
+
+  createBMP(width, height, bitDepth, compression, palette, pixels, headerSize = INFO_HEADER_SIZE) {
+    const paletteSize = palette.length * 4;
+    const dataOffset = FILE_HEADER_SIZE + headerSize + paletteSize;
+    const output = new Uint8Array(dataOffset + pixels.length);
+    const view = new DataView(output.buffer);
+    
+    output[0] = 0x42; // 'B'
+    output[1] = 0x4D; // 'M'
+    view.setUint32(2, output.length, true);
+    view.setUint32(10, dataOffset, true);
+    
+    view.setUint32(14, headerSize, true);
+    view.setInt32(18, width, true);
+    view.setInt32(22, height, true);
+    view.setUint16(26, 1, true);
+    view.setUint16(28, bitDepth, true);
+    view.setUint32(30, compression, true);
+    view.setUint32(34, pixels.length, true);
+    view.setInt32(38, PIXELS_PER_METER, true);
+    view.setInt32(42, PIXELS_PER_METER, true);
+    view.setUint32(46, palette.length, true);
+    view.setUint32(50, 0, true);
+    
+    // BGRA byte order as little-endian masks; endpoints and gamma stay zero for sRGB
+    if (headerSize === V4_HEADER_SIZE) {
+      view.setUint32(54, 0x00FF0000, true);
+      view.setUint32(58, 0x0000FF00, true);
+      view.setUint32(62, 0x000000FF, true);
+      view.setUint32(66, 0xFF000000, true);
+      view.setUint32(70, LCS_SRGB, true);
+    }
+    
+    palette.forEach((color, index) => {
+      const offset = FILE_HEADER_SIZE + headerSize + index * 4;
+      output[offset] = color[2];
+      output[offset + 1] = color[1];
+      output[offset + 2] = color[0];
+    });
+    
+    output.set(pixels, dataOffset);
+    return output;
+  }
+}
+
+export default BMPCompression;
\ No newline at end of file
@@ -0,0 +1,357 @@
+/**
+ * @xbibzlibrary/kompreser - GIF Compression Algorithm
+ * GIF89a encoder with median-cut palettes, Floyd-Steinberg dithering, LZW and single-color transparency
+ */
+
+import Logger from '../utils/Logger.js';
+import { CompressionError } from '../core/ErrorHandler.js';
+import PNGCompression from './PNGCompression.js';
+
+const MAX_CODES = 4096;
+
+// Pixels below this alpha become the transparent palette entry; GIF has no partial transparency
+const ALPHA_THRESHOLD = 128;
+
+// Median cut sorts every box it splits, so large images build their palette from a sample
+const MAX_PALETTE_SAMPLES = 65536;
+
+// Disposal methods written into the graphic control extension
+const DISPOSE_NONE = 1;
+const DISPOSE_BACKGROUND = 2;
+
+class GIFCompression {
+  constructor(options, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    
+    // Palettes come from the PNG encoder's median cut quantizer
+    this.png = new PNGCompression(options, this.logger);
+  }
+
+  async compress(imageData, options = {}) {
+    const timer = this.logger.startTimer('gif_compression');
+    
+    try {
+      this.logger.debug('Starting GIF compression', {
+        colors: options.colors,
+        dither: options.dither,
+        dimensions: `${imageData.width}x${imageData.height}`
+      });
+      
+      const frame = this.quantizeFrame(imageData, options);
+      const gifData = this.createGIF(imageData.width, imageData.height, [{
+        ...frame,
+        x: 0,
+        y: 0,
+        width: imageData.width,
+        height: imageData.height,
+        delay: 0,
+        disposal: 0
+      }], 1);
+      
+      const duration = timer.end();
+      
+      this.logger.debug('GIF compression completed', {
+        duration,
+        originalSize: imageData.data.length,
+        compressedSize: gifData.length,
+        colors: frame.palette.length,
+        transparent: frame.transparentIndex !== null
+      });
+      
+      return {
+        data: gifData,
+        size: gifData.length,
+        width: imageData.width,
+        height: imageData.height,
+        format: 'gif',
+        colors: frame.palette.length
+      };
+    
+    } catch (error) {
+      this.logger.error('GIF compression failed', { error: error.message });
+      throw new CompressionError(`GIF compression failed: ${error.message}`, 'gif');
+    }
+  }
+
+  // frames are { x, y, width, height, data, delay, blend } rectangles from AnimationCompression; each gets
+  // its own local palette. Frames that have to clear pixels cannot be drawn over the previous one, so in that
+  // case every frame is cleared to transparent after it is shown
+  async compressAnimation(frames, width, height, loopCount, options = {}) {
+    const disposal = frames.slice(1).some(frame => !frame.blend) ? DISPOSE_BACKGROUND : DISPOSE_NONE;
+    
+    const encoded = frames.map(frame => ({
+      ...this.quantizeFrame(frame, options),
+      x: frame.x,
+      y: frame.y,
+      width: frame.width,
+      height: frame.height,
+      delay: frame.delay,
+      disposal
+    }));
+    
+    return this.createGIF(width, height, encoded, loopCount);
+  }
+
+  // Palette of at most `colors` entries (transparency takes one of them) and one index per pixel
+  quantizeFrame(imageData, options) {
+    const { data, width, height } = imageData;
+    const maxColors = Math.max(2, Math.min(256, Math.round(options.colors ?? 256)));
+    
+    let transparent = false;
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] < ALPHA_THRESHOLD) {
+        transparent = true;
+        break;
+      }
+    }
+    
+    const palette = this.buildPalette(data, transparent ? maxColors - 1 : maxColors);
+    const transparentIndex = transparent ? palette.length : null;
+    const indices = options.dither
+      ? this.ditherIndices(data, width, height, palette, transparentIndex)
+      : this.mapIndices(data, palette, transparentIndex);
+    
+    return {
+      palette: transparent ? [...palette, [0, 0, 0]] : palette,
+      transparentIndex,
+      indices
+    };
+  }
+
+  // The exact colors when they fit, otherwise a median cut palette
+  buildPalette(data, maxColors) {
+    const unique = new Map();
+    for (let i = 0; i < data.length && unique.size <= maxColors; i += 4) {
+      if (data[i + 3] >= ALPHA_THRESHOLD) {
+        unique.set((data[i] << 16) | (data[i + 1] << 8) | data[i + 2], [data[i], data[i + 1], data[i + 2]]);
+      }
+    }
+    
+    if (unique.size <= maxColors) {
+      return unique.size > 0 ? [...unique.values()] : [[0, 0, 0]];
+    }
+    
+    const pixelCount = data.length / 4;
+    const step = Math.max(1, Math.floor(pixelCount / MAX_PALETTE_SAMPLES));
+    const pixels = [];
+    for (let p = 0; p < pixelCount; p += step) {
+      const i = p * 4;
+      if (data[i + 3] >= ALPHA_THRESHOLD) {
+        pixels.push([data[i], data[i + 1], data[i + 2]]);
+      }
+    }
+    
+    // Leaves that hold fewer pixels than colors return them as they are, so duplicates are removed here
+    const palette = new Map();
+    for (const color of this.png.medianCut(pixels, maxColors)) {
+      palette.set((color[0] << 16) | (color[1] << 8) | color[2], color);
+    }
+    return [...palette.values()];
+  }
+
+  mapIndices(data, palette, transparentIndex) {
+    const indices = new Uint8Array(data.length / 4);
+    const cache = new Map();
+    
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+      if (data[i + 3] < ALPHA_THRESHOLD) {
+        indices[p] = transparentIndex;
+        continue;
+      }
+      
+      const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      let index = cache.get(key);
+      if (index === undefined) {
+        index = this.png.findClosestColor([data[i], data[i + 1], data[i + 2]], palette);
+        cache.set(key, index);
+      }
+      indices[p] = index;
+    }
+    
+    return indices;
+  }
+
+  // Floyd-Steinberg: 7/16 of the error goes right, 3/16 down-left, 5/16 down and 1/16 down-right;
+  // transparent pixels neither take nor pass on error
+  ditherIndices(data, width, height, palette, transparentIndex) {
+    const indices = new Uint8Array(width * height);
+    const cache = new Map();
+    let current = new Float32Array((width + 2) * 3);
+    let next = new Float32Array((width + 2) * 3);
+    
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = y * width + x;
+        const i = p * 4;
+        const e = (x + 1) * 3;
+        
+        if (data[i + 3] < ALPHA_THRESHOLD) {
+          indices[p] = transparentIndex;
+          continue;
+        }
+        
+        const color = [0, 1, 2].map(c => Math.max(0, Math.min(255, Math.round(data[i + c] + current[e + c]))));
+        const key = (color[0] << 16) | (color[1] << 8) | color[2];
+        let index = cache.get(key);
+        if (index === undefined) {
+          index = this.png.findClosestColor(color, palette);
+          cache.set(key, index);
+        }
+        indices[p] = index;
+        
+        for (let c = 0; c < 3; c++) {
+          const error = color[c] - palette[index][c];
+          current[e + 3 + c] += error * 7 / 16;
+          next[e - 3 + c] += error * 3 / 16;
+          next[e + c] += error * 5 / 16;
+          next[e + 3 + c] += error / 16;
+        }
+      }
+      
+      [current, next] = [next, current];
+      next.fill(0);
+    }
+    
+    return indices;
+  }
+
+  // Header, logical screen, optional loop extension, then per frame: graphic control, descriptor with a local
+  // color table and the LZW data
+  createGIF(width, height, frames, loopCount) {
+    const output = [];
+    
+    this.writeASCII(output, 'GIF89a');
+    this.writeUint16(output, width);
+    this.writeUint16(output, height);
+    output.push(0, 0, 0); // No global color table, background index 0, square pixels
+    
+    // Without the NETSCAPE2.0 extension a GIF plays once; the extension counts repeats after the first play
+    // and 0 loops forever
+    if (loopCount !== 1) {
+      output.push(0x21, 0xFF, 11);
+      this.writeASCII(output, 'NETSCAPE2.0');
+      output.push(3, 1);
+      this.writeUint16(output, Math.min(loopCount && loopCount - 1, 0xFFFF));
+      output.push(0);
+    }
+    
+    for (const frame of frames) {
+      const transparent = frame.transparentIndex !== null;
+      
+      if (transparent || frame.delay || frame.disposal) {
+        output.push(0x21, 0xF9, 4, (frame.disposal << 2) | (transparent ? 1 : 0));
+        this.writeUint16(output, Math.min(Math.round(frame.delay / 10), 0xFFFF));
+        output.push(transparent ? frame.transparentIndex : 0, 0);
+      }
+      
+      // Color tables hold a power of two entries, 2 at the least
+      const bits = Math.max(1, Math.ceil(Math.log2(frame.palette.length)));
+      
+      output.push(0x2C);
+      this.writeUint16(output, frame.x);
+      this.writeUint16(output, frame.y);
+      this.writeUint16(output, frame.width);
+      this.writeUint16(output, frame.height);
+      output.push(0x80 | (bits - 1));
+      
+      for (let i = 0; i < 1 << bits; i++) {
+        const color = frame.palette[i] || [0, 0, 0];
+        output.push(color[0], color[1], color[2]);
+      }
+      
+      const minCodeSize = Math.max(2, bits);
+      output.push(minCodeSize);
+      this.writeSubBlocks(output, this.encodeLZW(frame.indices, minCodeSize));
+    }
+    
+    output.push(0x3B);
+    return new Uint8Array(output);
+  }
+
+  // Variable-width LZW, least significant bit first; a full table is reset with a clear code
+  encodeLZW(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const dictionary = new Map();
+    const output = [];
+    
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    
+    const emit = code => {
+      bitBuffer |= code << bitCount;
+      bitCount += codeSize;
+      while (bitCount >= 8) {
+        output.push(bitBuffer & 0xFF);
+        bitBuffer >>>= 8;
+        bitCount -= 8;
+      }
+    };
+    
+    emit(clearCode);
+    let prefix = indices[0];
+    
+    for (let i = 1; i < indices.length; i++) {
+      const index = indices[i];
+      const key = (prefix << 8) | index;
+      const code = dictionary.get(key);
+      
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+      
+      emit(prefix);
+      
+      if (nextCode === MAX_CODES) {
+        emit(clearCode);
+        dictionary.clear();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      } else {
+        // The decoder widens its codes one entry later, when it defines the same code
+        if (nextCode >= 1 << codeSize) {
+          codeSize++;
+        }
+        dictionary.set(key, nextCode++);
+      }
+      
+      prefix = index;
+    }
+    
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) {
+      output.push(bitBuffer & 0xFF);
+    }
+    
+    return output;
+  }
+
+  // Data sub-blocks of up to 255 bytes and a zero-length terminator
+  writeSubBlocks(output, data) {
+    for (let offset = 0; offset < data.length; offset += 255) {
+      const size = Math.min(255, data.length - offset);
+      output.push(size);
+      for (let i = 0; i < size; i++) {
+        output.push(data[offset + i]);
+      }
+    }
+    output.push(0);
+  }
+
+  writeUint16(output, value) {
+    output.push(value & 0xFF, (value >> 8) & 0xFF);
+  }
+
+  writeASCII(output, text) {
+    for (let i = 0; i < text.length; i++) {
+      output.push(text.charCodeAt(i));
+    }
+  }
+}
+
+export default GIFCompression;
\ No newline at end of file
@@ -4,7 +4,86 @@
  */
 
 import Logger from '../utils/Logger.js';
-import { CompressionError } from '../core/ErrorHandler.js';
+import { CompressionError, ValidationError } from '../core/ErrorHandler.js';
+
+// Zig-zag scan order: ZIGZAG[k] is the natural (row-major) index of the k-th coefficient
+const ZIGZAG = new Uint8Array([
+  0, 1, 8, 16, 9, 2, 3, 10,
+  17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34,
+  27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36,
+  29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46,
+  53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// Standard Huffman tables (ITU-T T.81 Annex K.3)
+const STD_DC_LUMINANCE = {
+  bits: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+  values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+
+const STD_DC_CHROMINANCE = {
+  bits: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+  values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+
+const STD_AC_LUMINANCE = {
+  bits: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7D],
+  values: [
+    0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+    0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xA1, 0x08, 0x23, 0x42, 0xB1, 0xC1, 0x15, 0x52, 0xD1, 0xF0,
+    0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0A, 0x16, 0x17, 0x18, 0x19, 0x1A, 0x25, 0x26, 0x27, 0x28,
+    0x29, 0x2A, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3A, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+    0x4A, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5A, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+    0x6A, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7A, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+    0x8A, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9A, 0xA2, 0xA3, 0xA4, 0xA5, 0xA6, 0xA7,
+    0xA8, 0xA9, 0xAA, 0xB2, 0xB3, 0xB4, 0xB5, 0xB6, 0xB7, 0xB8, 0xB9, 0xBA, 0xC2, 0xC3, 0xC4, 0xC5,
+    0xC6, 0xC7, 0xC8, 0xC9, 0xCA, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9, 0xDA, 0xE1, 0xE2,
+    0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xF1, 0xF2, 0xF3, 0xF4, 0xF5, 0xF6, 0xF7, 0xF8,
+    0xF9, 0xFA
+  ]
+};
+
+const STD_AC_CHROMINANCE = {
+  bits: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+  values: [
+    0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+    0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xA1, 0xB1, 0xC1, 0x09, 0x23, 0x33, 0x52, 0xF0,
+    0x15, 0x62, 0x72, 0xD1, 0x0A, 0x16, 0x24, 0x34, 0xE1, 0x25, 0xF1, 0x17, 0x18, 0x19, 0x1A, 0x26,
+    0x27, 0x28, 0x29, 0x2A, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3A, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+    0x49, 0x4A, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5A, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+    0x69, 0x6A, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7A, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+    0x88, 0x89, 0x8A, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9A, 0xA2, 0xA3, 0xA4, 0xA5,
+    0xA6, 0xA7, 0xA8, 0xA9, 0xAA, 0xB2, 0xB3, 0xB4, 0xB5, 0xB6, 0xB7, 0xB8, 0xB9, 0xBA, 0xC2, 0xC3,
+    0xC4, 0xC5, 0xC6, 0xC7, 0xC8, 0xC9, 0xCA, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9, 0xDA,
+    0xE2, 0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xF2, 0xF3, 0xF4, 0xF5, 0xF6, 0xF7, 0xF8,
+    0xF9, 0xFA
+  ]
+};
+
+// Progressive scan script after mozjpeg's default for YCbCr: DC first, low-frequency AC bands, the rest of the
+// luma spectrum at reduced precision with two refinement passes, then the remaining chroma
+const DEFAULT_SCAN_SCRIPT = [
+  { components: ['Y', 'Cb', 'Cr'], spectralStart: 0, spectralEnd: 0, approxHigh: 0, approxLow: 0 },
+  { components: ['Y'], spectralStart: 1, spectralEnd: 8, approxHigh: 0, approxLow: 2 },
+  { components: ['Cb'], spectralStart: 1, spectralEnd: 8, approxHigh: 0, approxLow: 0 },
+  { components: ['Cr'], spectralStart: 1, spectralEnd: 8, approxHigh: 0, approxLow: 0 },
+  { components: ['Y'], spectralStart: 9, spectralEnd: 63, approxHigh: 0, approxLow: 2 },
+  { components: ['Y'], spectralStart: 1, spectralEnd: 63, approxHigh: 2, approxLow: 1 },
+  { components: ['Y'], spectralStart: 1, spectralEnd: 63, approxHigh: 1, approxLow: 0 },
+  { components: ['Cb'], spectralStart: 9, spectralEnd: 63, approxHigh: 0, approxLow: 0 },
+  { components: ['Cr'], spectralStart: 9, spectralEnd: 63, approxHigh: 0, approxLow: 0 }
+];
+
+const COMPONENT_NAMES = ['Y', 'Cb', 'Cr'];
+
+// Longest end-of-band run a single EOBn symbol can code
+const MAX_EOB_RUN = 0x7FFF;
+
+// Refinement correction bits buffered during an end-of-band run before it is forced out (as in libjpeg)
+const MAX_CORRECTION_BITS = 1000;
 
 class JPEGCompression {
   constructor(options, logger) {
@@ -34,11 +113,23 @@ class JPEGCompression {
       99, 99, 99, 99, 99, 99, 99, 99
     ];
     
+    // Huffman table specifications, indexed by table id (0 = luminance, 1 = chrominance)
+    this.huffmanSpecs = {
+      dc: [STD_DC_LUMINANCE, STD_DC_CHROMINANCE],
+      ac: [STD_AC_LUMINANCE, STD_AC_CHROMINANCE]
+    };
+    
+    this.huffmanTables = {
+      dc: this.huffmanSpecs.dc.map(spec => this.buildHuffmanTable(spec)),
+      ac: this.huffmanSpecs.ac.map(spec => this.buildHuffmanTable(spec))
+    };
+    
     // DCT coefficients
     this.dctMatrix = this.generateDCTMatrix();
   }
 
   async compress(imageData, options = {}) {
+    const scanScript = options.progressive ? this.resolveScanScript(options.scans) : null;
     const timer = this.logger.startTimer('jpeg_compression');
     
     try {
@@ -48,202 +139,207 @@ class JPEGCompression {
         dimensions: `${imageData.width}x${imageData.height}`
       });
 
-      // Convert image data to canvas for processing
-      const canvas = this.createCanvas(imageData);
-      const ctx = canvas.getContext('2d');
-      
-      // Get image data
-      const imageDataObj = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      const { width, height } = imageData;
+      const quality = Math.min(1, Math.max(0, options.quality ?? 0.8));
+      const pixels = this.getPixelData(imageData);
       
       // Convert RGB to YCbCr color space
-      const ycbcrData = this.convertRGBToYCbCr(imageDataObj.data);
+      const ycbcrData = this.convertRGBToYCbCr(pixels, width, height);
       
-      // Apply chroma subsampling if enabled
-      const subsampledData = options.chromaSubsampling !== false 
-        ? this.applyChromaSubsampling(ycbcrData, imageData.width, imageData.height)
-        : ycbcrData;
+      // Build frame components, applying 4:2:0 chroma subsampling if enabled
+      const frame = this.createFrame(ycbcrData, width, height, options.chromaSubsampling !== false);
       
       // Perform DCT and quantization
-      const compressedData = await this.performDCTQuantization(
-        subsampledData, 
-        imageData.width, 
-        imageData.height,
-        options.quality || 0.8
-      );
+      const quantTables = this.createQuantTables(quality);
+      await this.performDCTQuantization(frame, quantTables);
       
       // Encode to JPEG format
-      const jpegData = this.encodeJPEG(compressedData, {
-        width: imageData.width,
-        height: imageData.height,
-        quality: options.quality || 0.8,
-        progressive: options.progressive || false
+      const jpegData = this.encodeJPEG(frame, {
+        width,
+        height,
+        quality,
+        quantTables,
+        scanScript
       });
       
       const duration = timer.end();
       
       this.logger.debug('JPEG compression completed', {
         duration,
-        originalSize: imageData.data.length,
+        originalSize: pixels.length,
         compressedSize: jpegData.length,
-        compressionRatio: Math.round((1 - jpegData.length / imageData.data.length) * 100)
+        compressionRatio: Math.round((1 - jpegData.length / pixels.length) * 100)
       });
 
       return {
         data: jpegData,
         size: jpegData.length,
-        width: imageData.width,
-        height: imageData.height,
+        width,
+        height,
         format: 'jpeg',
-        quality: options.quality || 0.8
+        quality,
+        ...(scanScript && { progressive: true, scans: scanScript.length })
       };
       
     } catch (error) {
+      // A bad scan script fails the same way every time, so it stays a ValidationError that is not retried
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       this.logger.error('JPEG compression failed', { error: error.message });
       throw new CompressionError(`JPEG compression failed: ${error.message}`, 'jpeg');
     }
   }
 
-  createCanvas(imageData) {
-    const canvas = document.createElement('canvas');
-    canvas.width = imageData.width;
-    canvas.height = imageData.height;
-    
-    const ctx = canvas.getContext('2d');
-    
-    if (imageData.data instanceof ImageData) {
-      ctx.putImageData(imageData.data, 0, 0);
-    } else if (imageData.data instanceof Uint8ClampedArray) {
-      const imgData = new ImageData(imageData.data, imageData.width, imageData.height);
-      ctx.putImageData(imgData, 0, 0);
-    } else {
-      // Handle other data types
-      const imgData = new ImageData(
-        new Uint8ClampedArray(imageData.data), 
-        imageData.width, 
-        imageData.height
-      );
-      ctx.putImageData(imgData, 0, 0);
+  getPixelData(imageData) {
+    // Accept both raw RGBA buffers and wrapped ImageData objects
+    const { data } = imageData;
+    if (data && data.data && typeof data.width === 'number') {
+      return data.data;
     }
-    
-    return canvas;
+    return data;
   }
 
-  convertRGBToYCbCr(rgbData) {
-    const ycbcrData = new Uint8Array(rgbData.length);
-    const length = rgbData.length;
+  convertRGBToYCbCr(rgbData, width, height) {
+    const pixelCount = width * height;
+    const y = new Float32Array(pixelCount);
+    const cb = new Float32Array(pixelCount);
+    const cr = new Float32Array(pixelCount);
     
-    for (let i = 0; i < length; i += 4) {
+    for (let i = 0, p = 0; p < pixelCount; i += 4, p++) {
       const r = rgbData[i];
       const g = rgbData[i + 1];
       const b = rgbData[i + 2];
       
-      // Convert to YCbCr using BT.601 standard
-      const y = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
-      const cb = Math.round(128 - 0.168736 * r - 0.331264 * g + 0.5 * b);
-      const cr = Math.round(128 + 0.5 * r - 0.418688 * g - 0.081312 * b);
-      
-      ycbcrData[i] = Math.max(0, Math.min(255, y));
-      ycbcrData[i + 1] = Math.max(0, Math.min(255, cb));
-      ycbcrData[i + 2] = Math.max(0, Math.min(255, cr));
-      ycbcrData[i + 3] = rgbData[i + 3]; // Keep alpha
+      // Convert to YCbCr using BT.601 standard (JFIF full range)
+      y[p] = 0.299 * r + 0.587 * g + 0.114 * b;
+      cb[p] = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+      cr[p] = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
     }
     
-    return ycbcrData;
+    return { y, cb, cr, width, height };
   }
 
   applyChromaSubsampling(ycbcrData, width, height) {
-    // 4:2:0 chroma subsampling
-    const subsampledData = new Uint8Array(ycbcrData.length);
+    // 4:2:0 chroma subsampling - average each 2x2 block into one chroma sample
+    const subWidth = Math.ceil(width / 2);
+    const subHeight = Math.ceil(height / 2);
+    const cb = new Float32Array(subWidth * subHeight);
+    const cr = new Float32Array(subWidth * subHeight);
     
-    // Copy Y channel as-is
-    for (let i = 0; i < ycbcrData.length; i += 4) {
-      subsampledData[i] = ycbcrData[i]; // Y
-    }
+    for (let y = 0; y < subHeight; y++) {
+      const y0 = y * 2;
+      const y1 = Math.min(y0 + 1, height - 1);
     
-    // Subsample Cb and Cr channels
-    for (let y = 0; y < height; y += 2) {
-      for (let x = 0; x < width; x += 2) {
-        const pos1 = (y * width + x) * 4;
-        const pos2 = (y * width + x + 1) * 4;
-        const pos3 = ((y + 1) * width + x) * 4;
-        const pos4 = ((y + 1) * width + x + 1) * 4;
-        
-        // Average Cb and Cr values for 2x2 block
-        const cb1 = ycbcrData[pos1 + 1] || 128;
-        const cb2 = ycbcrData[pos2 + 1] || 128;
-        const cb3 = ycbcrData[pos3 + 1] || 128;
-        const cb4 = ycbcrData[pos4 + 1] || 128;
-        
-        const cr1 = ycbcrData[pos1 + 2] || 128;
-        const cr2 = ycbcrData[pos2 + 2] || 128;
-        const cr3 = ycbcrData[pos3 + 2] || 128;
-        const cr4 = ycbcrData[pos4 + 2] || 128;
-        
-        const avgCb = Math.round((cb1 + cb2 + cb3 + cb4) / 4);
-        const avgCr = Math.round((cr1 + cr2 + cr3 + cr4) / 4);
-        
-        // Apply averaged values to all 4 pixels
-        subsampledData[pos1 + 1] = subsampledData[pos2 + 1] = 
-        subsampledData[pos3 + 1] = subsampledData[pos4 + 1] = avgCb;
+      for (let x = 0; x < subWidth; x++) {
+        const x0 = x * 2;
+        const x1 = Math.min(x0 + 1, width - 1);
         
-        subsampledData[pos1 + 2] = subsampledData[pos2 + 2] = 
-        subsampledData[pos3 + 2] = subsampledData[pos4 + 2] = avgCr;
+        const pos1 = y0 * width + x0;
+        const pos2 = y0 * width + x1;
+        const pos3 = y1 * width + x0;
+        const pos4 = y1 * width + x1;
         
-        // Copy alpha channel
-        subsampledData[pos1 + 3] = ycbcrData[pos1 + 3];
-        subsampledData[pos2 + 3] = ycbcrData[pos2 + 3];
-        subsampledData[pos3 + 3] = ycbcrData[pos3 + 3];
-        subsampledData[pos4 + 3] = ycbcrData[pos4 + 3];
+        cb[y * subWidth + x] = (ycbcrData.cb[pos1] + ycbcrData.cb[pos2] + ycbcrData.cb[pos3] + ycbcrData.cb[pos4]) / 4;
+        cr[y * subWidth + x] = (ycbcrData.cr[pos1] + ycbcrData.cr[pos2] + ycbcrData.cr[pos3] + ycbcrData.cr[pos4]) / 4;
       }
     }
     
-    return subsampledData;
+    return { cb, cr, width: subWidth, height: subHeight };
+  }
+
+  createFrame(ycbcrData, width, height, subsample) {
+    const maxSampling = subsample ? 2 : 1;
+    const mcusPerLine = Math.ceil(width / (8 * maxSampling));
+    const mcusPerColumn = Math.ceil(height / (8 * maxSampling));
+    const chroma = subsample ? this.applyChromaSubsampling(ycbcrData, width, height) : ycbcrData;
+    
+    const components = [
+      { id: 1, h: maxSampling, v: maxSampling, tableId: 0, plane: ycbcrData.y, width, height },
+      { id: 2, h: 1, v: 1, tableId: 1, plane: chroma.cb, width: chroma.width, height: chroma.height },
+      { id: 3, h: 1, v: 1, tableId: 1, plane: chroma.cr, width: chroma.width, height: chroma.height }
+    ];
+    
+    for (const component of components) {
+      // Blocks cover whole MCUs; partial edge blocks are padded by edge replication
+      component.blocksPerLine = mcusPerLine * component.h;
+      component.blocksPerColumn = mcusPerColumn * component.v;
+      component.coefficients = new Int16Array(component.blocksPerLine * component.blocksPerColumn * 64);
+    }
+    
+    return {
+      width,
+      height,
+      maxH: maxSampling,
+      maxV: maxSampling,
+      mcusPerLine,
+      mcusPerColumn,
+      components
+    };
   }
 
-  async performDCTQuantization(ycbcrData, width, height, quality) {
-    const qualityScale = this.calculateQualityScale(quality);
+  async performDCTQuantization(frame, quantTables) {
     const blockSize = 8;
     
-    // Process image in 8x8 blocks
-    const processedData = new Uint8Array(ycbcrData.length);
+    // Process each component in 8x8 blocks, storing coefficients in zig-zag order
+    for (const component of frame.components) {
+      const quantTable = quantTables[component.tableId];
     
-    for (let y = 0; y < height; y += blockSize) {
-      for (let x = 0; x < width; x += blockSize) {
-        // Process each color channel
-        for (let channel = 0; channel < 3; channel++) {
-          const block = this.extractBlock(ycbcrData, width, height, x, y, channel);
+      for (let blockY = 0; blockY < component.blocksPerColumn; blockY++) {
+        for (let blockX = 0; blockX < component.blocksPerLine; blockX++) {
+          const block = this.extractBlock(
+            component.plane,
+            component.width,
+            component.height,
+            blockX * blockSize,
+            blockY * blockSize
+          );
           const dctBlock = this.applyDCT(block);
-          const quantizedBlock = this.quantizeBlock(dctBlock, channel, qualityScale);
-          this.writeBlock(processedData, width, height, x, y, channel, quantizedBlock);
+          const offset = (blockY * component.blocksPerLine + blockX) * 64;
+          this.quantizeBlock(dctBlock, quantTable, component.coefficients, offset);
         }
       }
     }
     
-    return processedData;
+    return frame;
+  }
+
+  createQuantTables(quality) {
+    const scale = this.calculateQualityScale(quality);
+    return [
+      this.scaleQuantTable(this.luminanceQuantTable, scale),
+      this.scaleQuantTable(this.chrominanceQuantTable, scale)
+    ];
   }
 
   calculateQualityScale(quality) {
-    // Quality scale from 0.0 to 1.0
-    // Lower quality = higher compression (smaller numbers)
-    if (quality >= 0.9) return 0.5;
-    if (quality >= 0.8) return 0.75;
-    if (quality >= 0.7) return 1.0;
-    if (quality >= 0.6) return 1.25;
-    if (quality >= 0.5) return 1.5;
-    return 2.0;
+    // IJG quality scaling: quality 0.5 keeps the base tables,
+    // lower quality grows the divisors and 1.0 collapses them towards 1
+    const q = Math.max(1, Math.min(100, Math.round(quality * 100)));
+    return q < 50 ? 5000 / q : 200 - q * 2;
   }
 
-  extractBlock(data, width, height, startX, startY, channel) {
+  scaleQuantTable(table, scale) {
+    const scaled = new Uint8Array(64);
+    
+    for (let i = 0; i < 64; i++) {
+      scaled[i] = Math.max(1, Math.min(255, Math.floor((table[i] * scale + 50) / 100)));
+    }
+    
+    return scaled;
+  }
+
+  extractBlock(plane, width, height, startX, startY) {
     const block = new Float32Array(64);
     
     for (let y = 0; y < 8; y++) {
+      const pixelY = Math.min(startY + y, height - 1);
+      
       for (let x = 0; x < 8; x++) {
         const pixelX = Math.min(startX + x, width - 1);
-        const pixelY = Math.min(startY + y, height - 1);
-        const pixelIndex = (pixelY * width + pixelX) * 4 + channel;
         
         // Center around 128 for DCT
-        block[y * 8 + x] = data[pixelIndex] - 128;
+        block[y * 8 + x] = plane[pixelY * width + pixelX] - 128;
       }
     }
     
@@ -251,174 +347,679 @@ class JPEGCompression {
   }
 
   applyDCT(block) {
+    // Separable 2D DCT: transform rows, then columns
+    const matrix = this.dctMatrix;
+    const temp = new Float32Array(64);
     const dctBlock = new Float32Array(64);
-    const scale = 1 / 16; // Normalization factor
+    
+    for (let y = 0; y < 8; y++) {
+      for (let u = 0; u < 8; u++) {
+        let sum = 0;
+        for (let x = 0; x < 8; x++) {
+          sum += matrix[u * 8 + x] * block[y * 8 + x];
+        }
+        temp[y * 8 + u] = sum;
+      }
+    }
     
     for (let u = 0; u < 8; u++) {
       for (let v = 0; v < 8; v++) {
         let sum = 0;
-        
-        for (let x = 0; x < 8; x++) {
-          for (let y = 0; y < 8; y++) {
-            const pixel = block[y * 8 + x];
-            const cosX = Math.cos((2 * x + 1) * u * Math.PI / 16);
-            const cosY = Math.cos((2 * y + 1) * v * Math.PI / 16);
-            sum += pixel * cosX * cosY;
-          }
+        for (let y = 0; y < 8; y++) {
+          sum += matrix[v * 8 + y] * temp[y * 8 + u];
         }
-        
-        // Apply scaling factors
-        const cu = u === 0 ? 1 / Math.sqrt(2) : 1;
-        const cv = v === 0 ? 1 / Math.sqrt(2) : 1;
-        
-        dctBlock[v * 8 + u] = sum * cu * cv * scale;
+        dctBlock[v * 8 + u] = sum;
       }
     }
     
     return dctBlock;
   }
 
-  quantizeBlock(dctBlock, channel, qualityScale) {
-    const quantizedBlock = new Int16Array(64);
-    const quantTable = channel === 0 ? this.luminanceQuantTable : this.chrominanceQuantTable;
+  quantizeBlock(dctBlock, quantTable, output, offset) {
+    for (let k = 0; k < 64; k++) {
+      const index = ZIGZAG[k];
+      const quantizedValue = Math.round(dctBlock[index] / quantTable[index]);
     
-    for (let i = 0; i < 64; i++) {
-      const quantizedValue = Math.round(dctBlock[i] / (quantTable[i] * qualityScale));
-      quantizedBlock[i] = quantizedValue;
+      // Baseline allows 11-bit DC and 10-bit AC magnitudes
+      const limit = k === 0 ? 2047 : 1023;
+      output[offset + k] = Math.max(-limit, Math.min(limit, quantizedValue));
     }
     
-    return quantizedBlock;
+    return output;
   }
 
-  writeBlock(data, width, height, startX, startY, channel, quantizedBlock) {
-    for (let y = 0; y < 8; y++) {
-      for (let x = 0; x < 8; x++) {
-        const pixelX = Math.min(startX + x, width - 1);
-        const pixelY = Math.min(startY + y, height - 1);
-        const pixelIndex = (pixelY * width + pixelX) * 4 + channel;
+  encodeJPEG(frame, options) {
+    // Create JPEG file structure
+    const { quantTables } = options;
+    const writer = new JPEGWriter(frame.width * frame.height);
         
-        // Add 128 to center around middle gray
-        data[pixelIndex] = Math.max(0, Math.min(255, quantizedBlock[y * 8 + x] + 128));
-      }
+    // SOI (Start of Image) marker
+    writer.writeWord(0xFFD8);
+    
+    // APP0 segment (JFIF header)
+    this.writeAPP0(writer);
+    
+    // DQT (Define Quantization Table) marker
+    this.writeDQT(writer, quantTables);
+    
+    if (options.scanScript) {
+      // SOF2 (progressive DCT); every scan brings its own Huffman tables
+      this.writeSOF(writer, frame, 0xFFC2);
+      this.encodeProgressiveScans(writer, frame, options.scanScript);
+    } else {
+      // SOF0 (Start of Frame, baseline DCT) marker
+      this.writeSOF(writer, frame, 0xFFC0);
+    
+      // DHT (Define Huffman Table) marker
+      this.writeDHT(writer);
+    
+      // SOS (Start of Scan) marker and entropy-coded data
+      this.encodeImageData(writer, frame);
     }
+    
+    // EOI (End of Image) marker
+    writer.writeWord(0xFFD9);
+    
+    return writer.toUint8Array();
   }
 
-  encodeJPEG(processedData, options) {
-    // Create JPEG file structure
-    const { width, height, quality, progressive } = options;
+  writeAPP0(writer) {
+    writer.writeWord(0xFFE0);
+    writer.writeWord(16); // Length
+    writer.writeBytes([0x4A, 0x46, 0x49, 0x46, 0x00]); // "JFIF\0"
+    writer.writeBytes([0x01, 0x01]); // Version
+    writer.writeByte(0x01); // Units (DPI)
+    writer.writeWord(72); // X density
+    writer.writeWord(72); // Y density
+    writer.writeBytes([0x00, 0x00]); // Thumbnail width/height
+  }
+
+  writeDQT(writer, quantTables) {
+    writer.writeWord(0xFFDB);
+    writer.writeWord(2 + quantTables.length * 65);
     
-    // This is a simplified JPEG encoder
-    // In a real implementation, this would create proper JPEG markers and segments
+    quantTables.forEach((table, tableId) => {
+      writer.writeByte(tableId); // 8-bit precision, table id
+      for (let k = 0; k < 64; k++) {
+        writer.writeByte(table[ZIGZAG[k]]);
+      }
+    });
+  }
+
+  writeSOF(writer, frame, marker) {
+    writer.writeWord(marker);
+    writer.writeWord(8 + frame.components.length * 3); // Length
+    writer.writeByte(8); // Precision
+    writer.writeWord(frame.height);
+    writer.writeWord(frame.width);
+    writer.writeByte(frame.components.length);
     
-    const jpegData = [];
+    // Component information: id, sampling factors, quantization table
+    for (const component of frame.components) {
+      writer.writeByte(component.id);
+      writer.writeByte((component.h << 4) | component.v);
+      writer.writeByte(component.tableId);
+    }
+  }
+
+  // tables are { spec, classId } with the class (0 = DC, 1 = AC) in the high nibble; the standard tables by default
+  writeDHT(writer, tables = [
+    ...this.huffmanSpecs.dc.map((spec, id) => ({ spec, classId: id })),
+    ...this.huffmanSpecs.ac.map((spec, id) => ({ spec, classId: 0x10 | id }))
+  ]) {
+    const length = tables.reduce((sum, { spec }) => sum + 17 + spec.values.length, 2);
+    writer.writeWord(0xFFC4);
+    writer.writeWord(length);
     
-    // SOI (Start of Image) marker
-    jpegData.push(0xFF, 0xD8);
+    for (const { spec, classId } of tables) {
+      writer.writeByte(classId);
+      writer.writeBytes(spec.bits);
+      writer.writeBytes(spec.values);
+    }
+  }
+
+  encodeImageData(writer, frame) {
+    const { components } = frame;
     
-    // APP0 segment (JFIF header)
-    jpegData.push(0xFF, 0xE0);
-    jpegData.push(0x00, 0x10); // Length
-    jpegData.push(0x4A, 0x46, 0x49, 0x46, 0x00); // "JFIF\0"
-    jpegData.push(0x01, 0x01); // Version
-    jpegData.push(0x01); // Units (DPI)
-    jpegData.push(0x00, 0x48); // X density
-    jpegData.push(0x00, 0x48); // Y density
-    jpegData.push(0x00, 0x00); // Thumbnail width/height
-    
-    // SOF0 (Start of Frame) marker
-    jpegData.push(0xFF, 0xC0);
-    jpegData.push(0x00, 0x11); // Length
-    jpegData.push(0x08); // Precision
-    jpegData.push((height >> 8) & 0xFF, height & 0xFF); // Height
-    jpegData.push((width >> 8) & 0xFF, width & 0xFF); // Width
-    jpegData.push(0x03); // Number of components
-    
-    // Component information
-    jpegData.push(0x01, 0x11, 0x00); // Y component
-    jpegData.push(0x02, 0x11, 0x01); // Cb component
-    jpegData.push(0x03, 0x11, 0x01); // Cr component
-    
-    // DHT (Define Huffman Table) markers would go here
-    // SOS (Start of Scan) marker would go here
-    
-    // Image data
-    const imageData = this.encodeImageData(processedData, width, height);
-    jpegData.push(...imageData);
+    // Start of Scan marker: all components interleaved, full spectrum
+    writer.writeWord(0xFFDA);
+    writer.writeWord(6 + components.length * 2); // Length
+    writer.writeByte(components.length);
+    for (const component of components) {
+      writer.writeByte(component.id);
+      writer.writeByte((component.tableId << 4) | component.tableId); // DC/AC table ids
+    }
+    writer.writeBytes([0x00, 0x3F, 0x00]); // Spectral selection 0-63, no approximation
     
-    // EOI (End of Image) marker
-    jpegData.push(0xFF, 0xD9);
+    // Encode MCUs in raster order with DC prediction per component
+    const predictors = new Int32Array(components.length);
+    
+    for (let mcuY = 0; mcuY < frame.mcusPerColumn; mcuY++) {
+      for (let mcuX = 0; mcuX < frame.mcusPerLine; mcuX++) {
+        components.forEach((component, index) => {
+          for (let v = 0; v < component.v; v++) {
+            for (let h = 0; h < component.h; h++) {
+              const blockRow = mcuY * component.v + v;
+              const blockCol = mcuX * component.h + h;
+              const offset = (blockRow * component.blocksPerLine + blockCol) * 64;
+              
+              predictors[index] = this.encodeBlock(
+                writer,
+                component.coefficients,
+                offset,
+                predictors[index],
+                this.huffmanTables.dc[component.tableId],
+                this.huffmanTables.ac[component.tableId]
+              );
+            }
+          }
+        });
+      }
+    }
     
-    return new Uint8Array(jpegData);
+    // Pad the final byte with 1-bits
+    writer.flushBits();
   }
 
-  encodeImageData(processedData, width, height) {
-    // Simplified image data encoding
-    // In reality, this would use proper Huffman coding and RLC
+  encodeBlock(writer, coefficients, offset, predictor, dcTable, acTable) {
+    // DC coefficient is coded as a difference from the previous block
+    const dc = coefficients[offset];
+    const diff = dc - predictor;
+    const dcSize = this.getMagnitudeCategory(diff);
+    writer.writeBits(dcTable.codes[dcSize], dcTable.lengths[dcSize]);
+    if (dcSize > 0) {
+      writer.writeBits(this.getMagnitudeBits(diff, dcSize), dcSize);
+    }
     
-    const encodedData = [];
+    // AC coefficients are run-length coded in zig-zag order
+    let run = 0;
+    for (let k = 1; k < 64; k++) {
+      const value = coefficients[offset + k];
+      
+      if (value === 0) {
+        run++;
+        continue;
+      }
+      
+      // Emit ZRL (16 zeros) symbols for long runs
+      while (run > 15) {
+        writer.writeBits(acTable.codes[0xF0], acTable.lengths[0xF0]);
+        run -= 16;
+      }
+      
+      const size = this.getMagnitudeCategory(value);
+      const symbol = (run << 4) | size;
+      writer.writeBits(acTable.codes[symbol], acTable.lengths[symbol]);
+      writer.writeBits(this.getMagnitudeBits(value, size), size);
+      run = 0;
+    }
     
-    // Start of Scan marker
-    encodedData.push(0xFF, 0xDA);
-    encodedData.push(0x00, 0x0C); // Length
-    encodedData.push(0x03); // Number of components
-    encodedData.push(0x01, 0x00); // Y component
-    encodedData.push(0x02, 0x11); // Cb component
-    encodedData.push(0x03, 0x11); // Cr component
-    encodedData.push(0x00, 0x3F, 0x00); // Spectral selection
+    // End of block
+    if (run > 0) {
+      writer.writeBits(acTable.codes[0x00], acTable.lengths[0x00]);
+    }
     
-    // Encode the processed image data
-    for (let i = 0; i < processedData.length; i += 4) {
-      // Encode Y, Cb, Cr values
-      encodedData.push(processedData[i]); // Y
-      encodedData.push(processedData[i + 1]); // Cb
-      encodedData.push(processedData[i + 2]); // Cr
+    return dc;
+  }
+
+  getMagnitudeCategory(value) {
+    return value === 0 ? 0 : 32 - Math.clz32(Math.abs(value));
+  }
+
+  getMagnitudeBits(value, size) {
+    // Negative values are stored as the one's complement of their magnitude
+    return value < 0 ? value + (1 << size) - 1 : value;
+  }
+
+  buildHuffmanTable(spec) {
+    // Generate canonical codes from the code-length counts (T.81 Annex C)
+    const codes = new Uint16Array(256);
+    const lengths = new Uint8Array(256);
+    let code = 0;
+    let k = 0;
+    
+    for (let length = 1; length <= 16; length++) {
+      for (let i = 0; i < spec.bits[length - 1]; i++) {
+        const symbol = spec.values[k++];
+        codes[symbol] = code++;
+        lengths[symbol] = length;
+      }
+      code <<= 1;
     }
     
-    return encodedData;
+    return { codes, lengths };
   }
 
   generateDCTMatrix() {
+    // Orthonormal 8-point DCT-II basis: matrix[u * 8 + x]
     const matrix = new Float32Array(64);
-    for (let i = 0; i < 8; i++) {
-      for (let j = 0; j < 8; j++) {
-        const cu = i === 0 ? 1 / Math.sqrt(2) : 1;
-        const cv = j === 0 ? 1 / Math.sqrt(2) : 1;
-        matrix[j * 8 + i] = cu * cv * Math.cos((2 * i + 1) * j * Math.PI / 16);
+    for (let u = 0; u < 8; u++) {
+      const cu = u === 0 ? Math.SQRT1_2 : 1;
+      for (let x = 0; x < 8; x++) {
+        matrix[u * 8 + x] = 0.5 * cu * Math.cos((2 * x + 1) * u * Math.PI / 16);
       }
     }
     return matrix;
   }
 
-  // Progressive JPEG encoding
-  async encodeProgressive(imageData, options = {}) {
-    const scans = [
-      { components: ['Y'], spectralStart: 0, spectralEnd: 0, approxHigh: 0, approxLow: 0 },
-      { components: ['Y'], spectralStart: 1, spectralEnd: 5, approxHigh: 0, approxLow: 0 },
-      { components: ['Y'], spectralStart: 6, spectralEnd: 63, approxHigh: 0, approxLow: 0 },
-      { components: ['Cb', 'Cr'], spectralStart: 0, spectralEnd: 63, approxHigh: 0, approxLow: 0 }
-    ];
+  // Validates a scan script against the progression rules of T.81 G.1.1.1 and maps component names to indices.
+  // DC must be sent before AC, AC scans hold one component, refinements lower the precision one bit at a time
+  // and every coefficient has to reach full precision
+  resolveScanScript(scans = DEFAULT_SCAN_SCRIPT) {
+    if (!Array.isArray(scans) || scans.length === 0) {
+      throw new ValidationError('scans must be a non-empty array of scan definitions', { scans });
+    }
+    
+    // Precision (approxLow) each coefficient was last sent with, -1 before its first scan
+    const sent = COMPONENT_NAMES.map(() => new Int8Array(64).fill(-1));
+    
+    const script = scans.map((scan, index) => {
+      const { components, spectralStart = 0, spectralEnd = 63, approxHigh = 0, approxLow = 0 } = scan || {};
+      const fail = reason => {
+        throw new ValidationError(`Invalid scan ${index}: ${reason}`, { scan });
+      };
+      
+      const indices = Array.isArray(components) ? components.map(name => COMPONENT_NAMES.indexOf(name)) : [];
+      if (indices.length === 0 || indices.includes(-1) || new Set(indices).size !== indices.length) {
+        fail("components must list 'Y', 'Cb' and/or 'Cr'");
+      }
+      if (![spectralStart, spectralEnd].every(Number.isInteger) || spectralStart < 0 || spectralStart > spectralEnd || spectralEnd > 63) {
+        fail('spectral selection must satisfy 0 <= spectralStart <= spectralEnd <= 63');
+      }
+      if (spectralStart === 0 && spectralEnd !== 0) {
+        fail('DC scans cannot include AC coefficients');
+      }
+      if (spectralStart > 0 && indices.length !== 1) {
+        fail('AC scans must have a single component');
+      }
+      if (!Number.isInteger(approxLow) || approxLow < 0 || approxLow > 13 || (approxHigh !== 0 && approxHigh !== approxLow + 1)) {
+        fail('approxLow must be 0 - 13 and approxHigh either 0 or approxLow + 1');
+      }
+      
+      for (const component of indices) {
+        const name = COMPONENT_NAMES[component];
+        if (spectralStart > 0 && sent[component][0] === -1) {
+          fail(`AC coefficients of ${name} come before its DC scan`);
+        }
+        for (let k = spectralStart; k <= spectralEnd; k++) {
+          if (sent[component][k] !== (approxHigh === 0 ? -1 : approxHigh)) {
+            fail(approxHigh === 0 ? `coefficient ${k} of ${name} is sent twice` : `coefficient ${k} of ${name} is refined out of order`);
+          }
+          sent[component][k] = approxLow;
+        }
+      }
+      
+      return { components: indices, spectralStart, spectralEnd, approxHigh, approxLow };
+    });
     
-    this.logger.debug('Creating progressive JPEG', { scans: scans.length });
+    sent.forEach((precision, component) => {
+      if (precision.some(value => value !== 0)) {
+        throw new ValidationError(`scans leave coefficients of ${COMPONENT_NAMES[component]} incomplete`, { scans });
+      }
+    });
     
-    // Process each scan
-    const scanData = [];
-    for (const scan of scans) {
-      const scanCompressed = await this.processScan(imageData, scan, options);
-      scanData.push(scanCompressed);
+    return script;
+  }
+
+  // The standard AC tables have no end-of-band run symbols, so each scan is coded twice: once to count its
+  // symbols and build optimal tables, then for real after its DHT and SOS segments
+  encodeProgressiveScans(writer, frame, script) {
+    for (const scan of script) {
+      const components = scan.components.map(index => frame.components[index]);
+      const frequencies = new Map();
+      
+      this.encodeScan(frame, components, scan, {
+        symbol: (tableClass, tableId, symbol) => {
+          const key = (tableClass << 4) | tableId;
+          if (!frequencies.has(key)) frequencies.set(key, new Uint32Array(256));
+          frequencies.get(key)[symbol]++;
+        },
+        bits: () => {}
+      });
+      
+      // DC refinement scans are raw bits and need no tables
+      const tables = [...frequencies].map(([classId, counts]) => ({ classId, spec: this.buildOptimalHuffmanSpec(counts) }));
+      if (tables.length > 0) {
+        this.writeDHT(writer, tables);
+      }
+      const codes = new Map(tables.map(({ classId, spec }) => [classId, this.buildHuffmanTable(spec)]));
+      
+      this.writeProgressiveSOS(writer, components, scan);
+      this.encodeScan(frame, components, scan, {
+        symbol: (tableClass, tableId, symbol) => {
+          const table = codes.get((tableClass << 4) | tableId);
+          writer.writeBits(table.codes[symbol], table.lengths[symbol]);
+        },
+        bits: (value, length) => writer.writeBits(value, length)
+      });
+      writer.flushBits();
+    }
+  }
+
+  writeProgressiveSOS(writer, components, scan) {
+    writer.writeWord(0xFFDA);
+    writer.writeWord(6 + components.length * 2);
+    writer.writeByte(components.length);
+    for (const component of components) {
+      writer.writeByte(component.id);
+      // DC scans use only the DC table selector, AC scans only the AC one
+      writer.writeByte(scan.spectralStart === 0 ? component.tableId << 4 : component.tableId);
     }
+    writer.writeByte(scan.spectralStart);
+    writer.writeByte(scan.spectralEnd);
+    writer.writeByte((scan.approxHigh << 4) | scan.approxLow);
+  }
+
+  // Runs one scan through `out`, which receives Huffman symbols as (class, table id, symbol) and raw bits
+  encodeScan(frame, components, scan, out) {
+    if (scan.spectralStart === 0) {
+      const predictors = new Int32Array(components.length);
+      
+      this.forEachScanBlock(frame, components, (component, index, offset) => {
+        const value = component.coefficients[offset] >> scan.approxLow;
+        
+        // Refinement sends the next bit of every DC coefficient as is
+        if (scan.approxHigh > 0) {
+          out.bits(value & 1, 1);
+          return;
+        }
+        
+        const diff = value - predictors[index];
+        const size = this.getMagnitudeCategory(diff);
+        predictors[index] = value;
+        out.symbol(0, component.tableId, size);
+        if (size > 0) {
+          out.bits(this.getMagnitudeBits(diff, size), size);
+        }
+      });
+      return;
+    }
+    
+    const tableId = components[0].tableId;
+    const state = { eobRun: 0, corrections: [], magnitudes: new Int32Array(64) };
+    const encodeBlock = scan.approxHigh === 0 ? this.encodeACFirst : this.encodeACRefine;
     
-    return this.combineScans(scanData);
+    this.forEachScanBlock(frame, components, (component, index, offset) => {
+      encodeBlock.call(this, component.coefficients, offset, scan, tableId, state, out);
+    });
+    this.emitEOBRun(state, tableId, out);
   }
 
-  async processScan(imageData, scan, options) {
-    // Process a single progressive scan
-    // Implementation would extract specific frequency components
-    return imageData;
+  // Interleaved scans walk MCUs like a baseline scan; a single-component scan covers only the blocks
+  // inside that component's own dimensions, in raster order
+  forEachScanBlock(frame, components, callback) {
+    if (components.length === 1) {
+      const component = components[0];
+      const blocksPerLine = Math.ceil(component.width / 8);
+      const blocksPerColumn = Math.ceil(component.height / 8);
+      
+      for (let blockY = 0; blockY < blocksPerColumn; blockY++) {
+        for (let blockX = 0; blockX < blocksPerLine; blockX++) {
+          callback(component, 0, (blockY * component.blocksPerLine + blockX) * 64);
+        }
+      }
+      return;
+    }
+    
+    for (let mcuY = 0; mcuY < frame.mcusPerColumn; mcuY++) {
+      for (let mcuX = 0; mcuX < frame.mcusPerLine; mcuX++) {
+        components.forEach((component, index) => {
+          for (let v = 0; v < component.v; v++) {
+            for (let h = 0; h < component.h; h++) {
+              const blockRow = mcuY * component.v + v;
+              const blockCol = mcuX * component.h + h;
+              callback(component, index, (blockRow * component.blocksPerLine + blockCol) * 64);
+            }
+          }
+        });
+      }
+    }
+  }
+
+  // First AC pass: like a baseline block over the band, with magnitudes shifted down by approxLow and
+  // all-zero block endings merged into end-of-band runs across blocks
+  encodeACFirst(coefficients, offset, scan, tableId, state, out) {
+    let run = 0;
+    
+    for (let k = scan.spectralStart; k <= scan.spectralEnd; k++) {
+      const coefficient = coefficients[offset + k];
+      const magnitude = Math.abs(coefficient) >> scan.approxLow;
+      
+      if (magnitude === 0) {
+        run++;
+        continue;
+      }
+      
+      this.emitEOBRun(state, tableId, out);
+      while (run > 15) {
+        out.symbol(1, tableId, 0xF0);
+        run -= 16;
+      }
+      
+      const size = this.getMagnitudeCategory(magnitude);
+      out.symbol(1, tableId, (run << 4) | size);
+      out.bits(this.getMagnitudeBits(coefficient < 0 ? -magnitude : magnitude, size), size);
+      run = 0;
+    }
+    
+    if (run > 0 && ++state.eobRun === MAX_EOB_RUN) {
+      this.emitEOBRun(state, tableId, out);
+    }
+  }
+
+  // AC refinement (T.81 G.1.2.3): coefficients that become nonzero are coded with a run and a sign bit,
+  // already nonzero ones contribute one correction bit, which travels with the next symbol
+  encodeACRefine(coefficients, offset, scan, tableId, state, out) {
+    const { spectralStart, spectralEnd, approxLow } = scan;
+    const { magnitudes } = state;
+    
+    // The last newly nonzero coefficient; zero runs past it fold into the end of band
+    let end = 0;
+    for (let k = spectralStart; k <= spectralEnd; k++) {
+      magnitudes[k] = Math.abs(coefficients[offset + k]) >> approxLow;
+      if (magnitudes[k] === 1) end = k;
+    }
+    
+    let run = 0;
+    let corrections = [];
+    const emitCorrections = () => {
+      for (const bit of corrections) out.bits(bit, 1);
+      corrections = [];
+    };
+    
+    for (let k = spectralStart; k <= spectralEnd; k++) {
+      const magnitude = magnitudes[k];
+      
+      if (magnitude === 0) {
+        run++;
+        continue;
+      }
+      
+      while (run > 15 && k <= end) {
+        this.emitEOBRun(state, tableId, out);
+        out.symbol(1, tableId, 0xF0);
+        run -= 16;
+        emitCorrections();
+      }
+      
+      if (magnitude > 1) {
+        corrections.push(magnitude & 1);
+        continue;
+      }
+      
+      this.emitEOBRun(state, tableId, out);
+      out.symbol(1, tableId, (run << 4) | 1);
+      out.bits(coefficients[offset + k] < 0 ? 0 : 1, 1);
+      emitCorrections();
+      run = 0;
+    }
+    
+    if (run > 0 || corrections.length > 0) {
+      state.eobRun++;
+      state.corrections.push(...corrections);
+      if (state.eobRun === MAX_EOB_RUN || state.corrections.length > MAX_CORRECTION_BITS - 63) {
+        this.emitEOBRun(state, tableId, out);
+      }
+    }
+  }
+
+  // EOBn symbol (n = bit length of the run minus one) with the low bits of the run, then the correction bits
+  // collected by refinement blocks inside the run
+  emitEOBRun(state, tableId, out) {
+    if (state.eobRun === 0) return;
+    
+    const size = 31 - Math.clz32(state.eobRun);
+    out.symbol(1, tableId, size << 4);
+    if (size > 0) {
+      out.bits(state.eobRun, size);
+    }
+    state.eobRun = 0;
+    
+    for (const bit of state.corrections) {
+      out.bits(bit, 1);
+    }
+    state.corrections = [];
+  }
+
+  // Code lengths from symbol counts, limited to 16 bits (T.81 Annex K.2). A reserved symbol with count 1 keeps
+  // any real code from being all ones
+  buildOptimalHuffmanSpec(counts) {
+    const frequencies = Array.from(counts);
+    frequencies.push(1);
+    const codeSizes = new Array(257).fill(0);
+    const others = new Array(257).fill(-1);
+    
+    // Smallest nonzero count, the larger symbol on ties
+    const findSmallest = exclude => {
+      let best = -1;
+      for (let i = 0; i < 257; i++) {
+        if (frequencies[i] > 0 && i !== exclude && (best === -1 || frequencies[i] <= frequencies[best])) {
+          best = i;
+        }
+      }
+      return best;
+    };
+    
+    for (;;) {
+      let c1 = findSmallest(-1);
+      let c2 = findSmallest(c1);
+      if (c2 === -1) break;
+      
+      frequencies[c1] += frequencies[c2];
+      frequencies[c2] = 0;
+      
+      codeSizes[c1]++;
+      while (others[c1] >= 0) {
+        c1 = others[c1];
+        codeSizes[c1]++;
+      }
+      others[c1] = c2;
+      
+      codeSizes[c2]++;
+      while (others[c2] >= 0) {
+        c2 = others[c2];
+        codeSizes[c2]++;
+      }
+    }
+    
+    const bits = new Array(33).fill(0);
+    for (const size of codeSizes) {
+      if (size > 0) bits[size]++;
+    }
+    
+    // Move codes longer than 16 bits up the tree: two siblings leave, their prefix takes one of them
+    // and a shorter leaf is split to take the other
+    for (let i = 32; i > 16; i--) {
+      while (bits[i] > 0) {
+        let j = i - 2;
+        while (bits[j] === 0) j--;
+        bits[i] -= 2;
+        bits[i - 1]++;
+        bits[j + 1] += 2;
+        bits[j]--;
+      }
+    }
+    
+    // Drop the reserved symbol, which has the longest code
+    let longest = 16;
+    while (bits[longest] === 0) longest--;
+    bits[longest]--;
+    
+    const values = [];
+    for (let size = 1; size <= 32; size++) {
+      for (let symbol = 0; symbol < 256; symbol++) {
+        if (codeSizes[symbol] === size) values.push(symbol);
+      }
+    }
+    
+    return { bits: bits.slice(1, 17), values };
+  }
+}
+
+// Growable byte buffer with JPEG entropy-coded bit output
+class JPEGWriter {
+  constructor(initialSize = 1024) {
+    this.buffer = new Uint8Array(Math.max(1024, initialSize));
+    this.length = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  ensureCapacity(extra) {
+    if (this.length + extra <= this.buffer.length) return;
+    
+    let size = this.buffer.length * 2;
+    while (size < this.length + extra) size *= 2;
+    
+    const grown = new Uint8Array(size);
+    grown.set(this.buffer.subarray(0, this.length));
+    this.buffer = grown;
+  }
+
+  writeByte(value) {
+    this.ensureCapacity(1);
+    this.buffer[this.length++] = value & 0xFF;
+  }
+
+  writeWord(value) {
+    this.writeByte(value >> 8);
+    this.writeByte(value);
+  }
+
+  writeBytes(bytes) {
+    this.ensureCapacity(bytes.length);
+    this.buffer.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  writeBits(value, length) {
+    this.bitBuffer = (this.bitBuffer << length) | (value & ((1 << length) - 1));
+    this.bitCount += length;
+    
+    while (this.bitCount >= 8) {
+      const byte = (this.bitBuffer >>> (this.bitCount - 8)) & 0xFF;
+      this.writeByte(byte);
+      
+      // Byte stuffing: a 0xFF in entropy-coded data must be followed by 0x00
+      if (byte === 0xFF) {
+        this.writeByte(0x00);
+      }
+      
+      this.bitCount -= 8;
+    }
+    
+    this.bitBuffer &= (1 << this.bitCount) - 1;
+  }
+
+  flushBits() {
+    if (this.bitCount > 0) {
+      const padding = 8 - this.bitCount;
+      this.writeBits((1 << padding) - 1, padding);
+    }
   }
 
-  combineScans(scanData) {
-    // Combine multiple scans into final progressive JPEG
-    return scanData[0]; // Simplified
+  toUint8Array() {
+    return this.buffer.slice(0, this.length);
   }
 }
 
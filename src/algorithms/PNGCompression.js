@@ -4,8 +4,32 @@
  */
 
 import Logger from '../utils/Logger.js';
+import Zlib from '../utils/Zlib.js';
 import { CompressionError } from '../core/ErrorHandler.js';
 
+// CRC-32 lookup table (polynomial 0xEDB88320) for chunk checksums
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Adam7 passes as [xStart, yStart, xStep, yStep]
+const ADAM7_PASSES = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2]
+];
+
 class PNGCompression {
   constructor(options, logger) {
     this.options = options;
@@ -18,6 +42,14 @@ class PNGCompression {
     this.FILTER_AVERAGE = 3;
     this.FILTER_PAETH = 4;
     
+    this.FILTER_TYPES = {
+      NONE: this.FILTER_NONE,
+      SUB: this.FILTER_SUB,
+      UP: this.FILTER_UP,
+      AVERAGE: this.FILTER_AVERAGE,
+      PAETH: this.FILTER_PAETH
+    };
+    
     // Compression levels
     this.COMPRESSION_LEVELS = {
       NO_COMPRESSION: 0,
@@ -34,15 +66,35 @@ class PNGCompression {
       GRAYSCALE_ALPHA: 4,
       RGBA: 6
     };
+    
+    // Samples per pixel for each color type
+    this.CHANNELS = {
+      0: 1,
+      2: 3,
+      3: 1,
+      4: 2,
+      6: 4
+    };
+    
+    // Largest IDAT payload before the stream is split into another chunk
+    this.MAX_IDAT_SIZE = 65536;
+    
+    this.zlib = new Zlib();
+    
+    // { name, deflate(data, level) }, set by the engine while a WebAssembly zlib build is registered
+    this.wasmZlib = null;
   }
 
   async compress(imageData, options = {}) {
     const timer = this.logger.startTimer('png_compression');
     
     try {
+      const interlace = options.progressive ? 1 : 0;
+      
       this.logger.debug('Starting PNG compression', { 
         level: options.level,
         filter: options.filter,
+        interlace,
         dimensions: `${imageData.width}x${imageData.height}`
       });
 
@@ -50,20 +102,29 @@ class PNGCompression {
       const analysis = await this.analyzeImage(imageData);
       
       // Determine optimal color type
-      const colorType = this.determineColorType(imageData, analysis, options);
+      const palette = options.palette !== false ? this.buildPalette(imageData) : null;
+      const colorType = this.determineColorType(imageData, { ...analysis, palette }, options);
+      
+      // Pack pixels into scanlines matching the color type
+      const scanlines = this.packScanlines(imageData, colorType, palette);
       
       // Apply filtering
-      const filteredData = await this.applyFiltering(imageData, options);
+      const filteredData = interlace
+        ? await this.applyInterlacedFiltering(scanlines, options)
+        : await this.applyFiltering(scanlines, options);
       
       // Compress data
-      const compressedData = await this.deflateCompress(filteredData, options);
+      const { data: compressedData, codec } = await this.deflateWithBackend(filteredData, options);
       
       // Create PNG file structure
       const pngData = this.createPNGStructure(compressedData, {
+        ...options,
         width: imageData.width,
         height: imageData.height,
         colorType,
-        ...options
+        bitDepth: 8,
+        interlace,
+        palette
       });
       
       const duration = timer.end();
@@ -83,7 +144,9 @@ class PNGCompression {
         width: imageData.width,
         height: imageData.height,
         format: 'png',
-        colorType
+        colorType,
+        ...(interlace && { progressive: true }),
+        ...(codec && { wasmCodecs: [codec] })
       };
       
     } catch (error) {
@@ -188,16 +251,16 @@ class PNGCompression {
   }
 
   determineColorType(imageData, analysis, options) {
-    // Check if palette is viable
-    if (analysis.uniqueColorCount <= 256 && options.palette !== false) {
-      return this.COLOR_TYPES.PALETTE;
-    }
-    
-    // Check if grayscale is sufficient
+    // Grayscale without alpha packs tighter than an 8-bit palette
     if (analysis.isGrayscale && !analysis.hasAlpha) {
       return this.COLOR_TYPES.GRAYSCALE;
     }
     
+    // Check if palette is viable
+    if (analysis.palette && options.palette !== false) {
+      return this.COLOR_TYPES.PALETTE;
+    }
+    
     // Check if grayscale with alpha
     if (analysis.isGrayscale && analysis.hasAlpha) {
       return this.COLOR_TYPES.GRAYSCALE_ALPHA;
@@ -212,8 +275,67 @@ class PNGCompression {
     return this.COLOR_TYPES.RGB;
   }
 
-  async applyFiltering(imageData, options) {
-    const { width, height, data } = imageData;
+  buildPalette(imageData) {
+    const { data } = imageData;
+    const indices = new Map();
+    const colors = [];
+    
+    for (let i = 0; i < data.length; i += 4) {
+      const key = ((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3]) >>> 0;
+      if (!indices.has(key)) {
+        if (colors.length === 256) {
+          return null;
+        }
+        indices.set(key, colors.length);
+        colors.push([data[i], data[i + 1], data[i + 2], data[i + 3]]);
+      }
+    }
+    
+    // Translucent entries first so the tRNS chunk stays short
+    colors.sort((a, b) => (a[3] === 255 ? 1 : 0) - (b[3] === 255 ? 1 : 0));
+    colors.forEach((color, index) => {
+      indices.set(((color[0] << 24) | (color[1] << 16) | (color[2] << 8) | color[3]) >>> 0, index);
+    });
+    
+    return { colors, indices };
+  }
+
+  packScanlines(imageData, colorType, palette) {
+    const { data, width, height } = imageData;
+    const bytesPerPixel = this.CHANNELS[colorType];
+    const packed = new Uint8Array(width * height * bytesPerPixel);
+    
+    for (let i = 0, p = 0; i < data.length; i += 4, p += bytesPerPixel) {
+      switch (colorType) {
+        case this.COLOR_TYPES.GRAYSCALE:
+          packed[p] = data[i];
+          break;
+        case this.COLOR_TYPES.GRAYSCALE_ALPHA:
+          packed[p] = data[i];
+          packed[p + 1] = data[i + 3];
+          break;
+        case this.COLOR_TYPES.RGB:
+          packed[p] = data[i];
+          packed[p + 1] = data[i + 1];
+          packed[p + 2] = data[i + 2];
+          break;
+        case this.COLOR_TYPES.PALETTE:
+          packed[p] = palette.indices.get(((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3]) >>> 0);
+          break;
+        default:
+          packed[p] = data[i];
+          packed[p + 1] = data[i + 1];
+          packed[p + 2] = data[i + 2];
+          packed[p + 3] = data[i + 3];
+      }
+    }
+    
+    return { data: packed, width, height, bytesPerPixel };
+  }
+
+  async applyFiltering(scanlines, options) {
+    const { width, height, data } = scanlines;
+    const bytesPerPixel = scanlines.bytesPerPixel || 4;
     const filterType = options.filter || 'auto';
     
     // Determine optimal filter for each row
@@ -221,10 +343,10 @@ class PNGCompression {
     
     let rowIndex = 0;
     for (let y = 0; y < height; y++) {
-      const filter = this.selectFilter(data, width, height, y, filterType);
+      const filter = this.selectFilter(data, width, height, y, filterType, bytesPerPixel);
       filteredData[rowIndex++] = filter;
       
-      const filteredRow = this.applyFilter(data, width, height, y, filter);
+      const filteredRow = this.applyFilter(data, width, height, y, filter, bytesPerPixel);
       for (let x = 0; x < filteredRow.length; x++) {
         filteredData[rowIndex++] = filteredRow[x];
       }
@@ -233,9 +355,43 @@ class PNGCompression {
     return filteredData;
   }
 
-  selectFilter(data, width, height, row, filterType) {
+  // Adam7: each pass is a reduced image of its own, filtered without looking at the other passes; passes that
+  // hold no pixels contribute no rows. The concatenation is compressed as one stream
+  async applyInterlacedFiltering(scanlines, options) {
+    const { width, height, data, bytesPerPixel } = scanlines;
+    const passes = [];
+    
+    for (const [xStart, yStart, xStep, yStep] of ADAM7_PASSES) {
+      const passWidth = Math.ceil((width - xStart) / xStep);
+      const passHeight = Math.ceil((height - yStart) / yStep);
+      if (passWidth <= 0 || passHeight <= 0) continue;
+      
+      const passData = new Uint8Array(passWidth * passHeight * bytesPerPixel);
+      let offset = 0;
+      for (let y = yStart; y < height; y += yStep) {
+        for (let x = xStart; x < width; x += xStep) {
+          const pixel = (y * width + x) * bytesPerPixel;
+          passData.set(data.subarray(pixel, pixel + bytesPerPixel), offset);
+          offset += bytesPerPixel;
+        }
+      }
+      
+      passes.push(await this.applyFiltering({ data: passData, width: passWidth, height: passHeight, bytesPerPixel }, options));
+    }
+    
+    const filteredData = new Uint8Array(passes.reduce((sum, pass) => sum + pass.length, 0));
+    let offset = 0;
+    for (const pass of passes) {
+      filteredData.set(pass, offset);
+      offset += pass.length;
+    }
+    
+    return filteredData;
+  }
+
+  selectFilter(data, width, height, row, filterType, bytesPerPixel = 4) {
     if (filterType !== 'auto') {
-      return this.FILTER_TYPES[filterType.toUpperCase()] || this.FILTER_NONE;
+      return this.FILTER_TYPES[String(filterType).toUpperCase()] || this.FILTER_NONE;
     }
     
     // Auto-select best filter based on heuristic
@@ -251,7 +407,7 @@ class PNGCompression {
     let bestScore = Infinity;
     
     for (const filter of filters) {
-      const score = this.calculateFilterScore(data, width, height, row, filter);
+      const score = this.calculateFilterScore(data, width, height, row, filter, bytesPerPixel);
       if (score < bestScore) {
         bestScore = score;
         bestFilter = filter;
@@ -261,31 +417,31 @@ class PNGCompression {
     return bestFilter;
   }
 
-  calculateFilterScore(data, width, height, row, filter) {
+  calculateFilterScore(data, width, height, row, filter, bytesPerPixel = 4) {
     let sum = 0;
-    const rowStart = row * width * 4;
     
-    for (let x = 0; x < width * 4; x++) {
-      const filtered = this.applyFilterPixel(data, width, height, row, x, filter);
-      sum += Math.abs(filtered);
+    // Minimum sum of absolute differences, reading filtered bytes as signed
+    for (let x = 0; x < width * bytesPerPixel; x++) {
+      const filtered = this.applyFilterPixel(data, width, height, row, x, filter, bytesPerPixel);
+      sum += filtered < 128 ? filtered : 256 - filtered;
     }
     
     return sum;
   }
 
-  applyFilter(data, width, height, row, filter) {
-    const rowStart = row * width * 4;
-    const filteredRow = new Uint8Array(width * 4);
+  applyFilter(data, width, height, row, filter, bytesPerPixel = 4) {
+    const filteredRow = new Uint8Array(width * bytesPerPixel);
     
-    for (let x = 0; x < width * 4; x++) {
-      filteredRow[x] = this.applyFilterPixel(data, width, height, row, x, filter);
+    for (let x = 0; x < width * bytesPerPixel; x++) {
+      filteredRow[x] = this.applyFilterPixel(data, width, height, row, x, filter, bytesPerPixel);
     }
     
     return filteredRow;
   }
 
-  applyFilterPixel(data, width, height, row, col, filter) {
-    const rowStart = row * width * 4;
+  applyFilterPixel(data, width, height, row, col, filter, bytesPerPixel = 4) {
+    const rowBytes = width * bytesPerPixel;
+    const rowStart = row * rowBytes;
     const current = data[rowStart + col] || 0;
     
     switch (filter) {
@@ -293,27 +449,27 @@ class PNGCompression {
         return current;
         
       case this.FILTER_SUB:
-        const left = col >= 4 ? data[rowStart + col - 4] : 0;
+        const left = col >= bytesPerPixel ? data[rowStart + col - bytesPerPixel] : 0;
         return (current - left) & 0xFF;
         
       case this.FILTER_UP:
-        const upRow = row > 0 ? (row - 1) * width * 4 : -1;
+        const upRow = row > 0 ? (row - 1) * rowBytes : -1;
         const up = upRow >= 0 ? data[upRow + col] : 0;
         return (current - up) & 0xFF;
         
       case this.FILTER_AVERAGE:
-        const leftAvg = col >= 4 ? data[rowStart + col - 4] : 0;
-        const upRowAvg = row > 0 ? (row - 1) * width * 4 : -1;
+        const leftAvg = col >= bytesPerPixel ? data[rowStart + col - bytesPerPixel] : 0;
+        const upRowAvg = row > 0 ? (row - 1) * rowBytes : -1;
         const upAvg = upRowAvg >= 0 ? data[upRowAvg + col] : 0;
         const avg = Math.floor((leftAvg + upAvg) / 2);
         return (current - avg) & 0xFF;
         
       case this.FILTER_PAETH:
-        const leftPaeth = col >= 4 ? data[rowStart + col - 4] : 0;
-        const upRowPaeth = row > 0 ? (row - 1) * width * 4 : -1;
+        const leftPaeth = col >= bytesPerPixel ? data[rowStart + col - bytesPerPixel] : 0;
+        const upRowPaeth = row > 0 ? (row - 1) * rowBytes : -1;
         const upPaeth = upRowPaeth >= 0 ? data[upRowPaeth + col] : 0;
-        const upLeftRowPaeth = (row > 0 && col >= 4) ? (row - 1) * width * 4 : -1;
-        const upLeftPaeth = upLeftRowPaeth >= 0 ? data[upLeftRowPaeth + col - 4] : 0;
+        const upLeftRowPaeth = (row > 0 && col >= bytesPerPixel) ? (row - 1) * rowBytes : -1;
+        const upLeftPaeth = upLeftRowPaeth >= 0 ? data[upLeftRowPaeth + col - bytesPerPixel] : 0;
         
         const paeth = this.paethPredictor(leftPaeth, upPaeth, upLeftPaeth);
         return (current - paeth) & 0xFF;
@@ -339,61 +495,61 @@ class PNGCompression {
   }
 
   async deflateCompress(data, options) {
-    const compressionLevel = options.level || this.COMPRESSION_LEVELS.DEFAULT;
+    return (await this.deflateWithBackend(data, options)).data;
+  }
+
+  // The zlib stream and the name of the WebAssembly build that produced it, null for the JavaScript deflater
+  async deflateWithBackend(data, options) {
+    const compressionLevel = this.resolveCompressionLevel(options.level);
     
-    // Use WebAssembly compression if available
-    if (this.options.enableWebAssembly && typeof WebAssembly !== 'undefined') {
+    // Use WebAssembly compression if a module has been loaded
+    if (this.options.enableWebAssembly && this.wasmZlib) {
       try {
-        return await this.deflateWithWASM(data, compressionLevel);
+        return { data: await this.deflateWithWASM(data, compressionLevel), codec: this.wasmZlib.name };
       } catch (error) {
         this.logger.warn('WASM compression failed, using JavaScript fallback', { error: error.message });
       }
     }
     
-    // JavaScript fallback using pako or similar
-    return await this.deflateWithJS(data, compressionLevel);
+    return { data: await this.deflateWithJS(data, compressionLevel), codec: null };
   }
 
-  async deflateWithWASM(data, level) {
-    // Placeholder for WebAssembly compression
-    // In production, this would use zlib-wasm or similar
-    return data;
+  resolveCompressionLevel(level) {
+    if (typeof level === 'string') {
+      level = this.COMPRESSION_LEVELS[level.toUpperCase()];
+    }
+    
+    if (typeof level !== 'number' || !Number.isFinite(level)) {
+      return this.COMPRESSION_LEVELS.DEFAULT;
+    }
+    
+    return Math.max(this.COMPRESSION_LEVELS.NO_COMPRESSION,
+      Math.min(this.COMPRESSION_LEVELS.BEST_COMPRESSION, Math.round(level)));
   }
 
-  async deflateWithJS(data, level) {
-    // Simplified DEFLATE compression
-    // In production, this would use pako.js or similar library
-    
-    const compressed = [];
-    let current = 0;
-    let count = 1;
-    
-    // Simple RLE compression as fallback
-    for (let i = 1; i < data.length; i++) {
-      if (data[i] === current && count < 255) {
-        count++;
-      } else {
-        compressed.push(count, current);
-        current = data[i];
-        count = 1;
-      }
+  async deflateWithWASM(data, level) {
+    if (!this.wasmZlib || typeof this.wasmZlib.deflate !== 'function') {
+      throw new CompressionError('WebAssembly zlib module not loaded', 'png');
     }
-    compressed.push(count, current);
     
-    return new Uint8Array(compressed);
+    return this.wasmZlib.deflate(data, level);
+  }
+
+  async deflateWithJS(data, level) {
+    // zlib stream: LZ77 + Huffman blocks with Adler-32 trailer
+    return this.zlib.deflate(data, level);
   }
 
   createPNGStructure(compressedData, options) {
-    const { width, height, colorType } = options;
+    const { width, height, colorType, palette } = options;
     
     const chunks = [];
     
     // PNG signature
-    const signature = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
-    chunks.push(signature);
+    chunks.push(new Uint8Array(PNG_SIGNATURE));
     
     // IHDR chunk
-    const ihdr = this.createIHDRChunk(width, height, colorType);
+    const ihdr = this.createIHDRChunk(width, height, colorType, options.bitDepth, options.interlace);
     chunks.push(ihdr);
     
     // Optional chunks (gAMA, cHRM, etc.)
@@ -401,9 +557,18 @@ class PNGCompression {
       chunks.push(this.createGAMAChunk(options.gamma));
     }
     
+    // Palette and its alpha values
+    if (colorType === this.COLOR_TYPES.PALETTE && palette) {
+      chunks.push(this.createPLTEChunk(palette.colors));
+      
+      const trns = this.createTRNSChunk(palette.colors);
+      if (trns) {
+        chunks.push(trns);
+      }
+    }
+    
     // IDAT chunk(s)
-    const idat = this.createIDATChunk(compressedData);
-    chunks.push(idat);
+    chunks.push(...this.createIDATChunks(compressedData, options.idatChunkSize));
     
     // IEND chunk
     const iend = this.createIENDChunk();
@@ -422,90 +587,110 @@ class PNGCompression {
     return pngData;
   }
 
-  createIHDRChunk(width, height, colorType) {
-    const chunk = new Uint8Array(25); // 8 + 13 + 4 (length + chunk + crc)
+  // Length + type + data + CRC-32 over type and data
+  createChunk(type, data = new Uint8Array(0)) {
+    const chunk = new Uint8Array(12 + data.length);
     const view = new DataView(chunk.buffer);
     
-    // Length
-    view.setUint32(0, 13, false); // IHDR is always 13 bytes
+    view.setUint32(0, data.length, false);
+    for (let i = 0; i < 4; i++) {
+      chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    
+    view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)), false);
     
-    // Chunk type
-    chunk[4] = 0x49; // 'I'
-    chunk[5] = 0x48; // 'H'
-    chunk[6] = 0x44; // 'D'
-    chunk[7] = 0x52; // 'R'
+    return chunk;
+  }
+
+  crc32(bytes, crc = 0) {
+    let c = ~crc >>> 0;
+    
+    for (let i = 0; i < bytes.length; i++) {
+      c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    }
+    
+    return ~c >>> 0;
+  }
+
+  createIHDRChunk(width, height, colorType, bitDepth = 8, interlace = 0) {
+    const data = new Uint8Array(13);
+    const view = new DataView(data.buffer);
     
     // Width
-    view.setUint32(8, width, false);
+    view.setUint32(0, width, false);
     
     // Height
-    view.setUint32(12, height, false);
+    view.setUint32(4, height, false);
     
     // Bit depth
-    chunk[16] = 8; // 8 bits per sample
+    data[8] = bitDepth;
     
     // Color type
-    chunk[17] = colorType;
+    data[9] = colorType;
     
     // Compression method
-    chunk[18] = 0; // deflate
+    data[10] = 0; // deflate
     
     // Filter method
-    chunk[19] = 0; // adaptive filtering
+    data[11] = 0; // adaptive filtering
     
     // Interlace method
-    chunk[20] = 0; // no interlace
-    
-    // CRC (simplified - in production, use proper CRC32)
-    view.setUint32(21, 0x12345678, false);
+    data[12] = interlace ? 1 : 0; // 0 = none, 1 = Adam7
     
-    return chunk;
+    return this.createChunk('IHDR', data);
   }
 
   createGAMAChunk(gamma) {
-    const chunk = new Uint8Array(16);
-    const view = new DataView(chunk.buffer);
+    const data = new Uint8Array(4);
+    new DataView(data.buffer).setUint32(0, Math.round(gamma * 100000), false);
     
-    view.setUint32(0, 4, false); // Length
-    chunk[4] = 0x67; // 'g'
-    chunk[5] = 0x41; // 'A'
-    chunk[6] = 0x4D; // 'M'
-    chunk[7] = 0x41; // 'A'
+    return this.createChunk('gAMA', data);
+  }
+
+  createPLTEChunk(colors) {
+    const data = new Uint8Array(colors.length * 3);
     
-    view.setUint32(8, Math.round(gamma * 100000), false);
-    view.setUint32(12, 0x12345678, false); // CRC
+    colors.forEach((color, i) => {
+      data[i * 3] = color[0];
+      data[i * 3 + 1] = color[1];
+      data[i * 3 + 2] = color[2];
+    });
     
-    return chunk;
+    return this.createChunk('PLTE', data);
   }
 
-  createIDATChunk(compressedData) {
-    const chunk = new Uint8Array(12 + compressedData.length);
-    const view = new DataView(chunk.buffer);
-    
-    view.setUint32(0, compressedData.length, false);
-    chunk[4] = 0x49; // 'I'
-    chunk[5] = 0x44; // 'D'
-    chunk[6] = 0x41; // 'A'
-    chunk[7] = 0x54; // 'T'
+  createTRNSChunk(colors) {
+    // Trailing opaque entries are implied and can be omitted
+    let count = colors.length;
+    while (count > 0 && (colors[count - 1][3] === undefined || colors[count - 1][3] === 255)) {
+      count--;
+    }
     
-    chunk.set(compressedData, 8);
-    view.setUint32(8 + compressedData.length, 0x12345678, false); // CRC
+    if (count === 0) {
+      return null;
+    }
     
-    return chunk;
+    return this.createChunk('tRNS', Uint8Array.from(colors.slice(0, count), color => color[3]));
   }
 
-  createIENDChunk() {
-    const chunk = new Uint8Array(12);
-    const view = new DataView(chunk.buffer);
+  createIDATChunks(compressedData, chunkSize = this.MAX_IDAT_SIZE) {
+    const chunks = [];
+    const size = Math.max(1, chunkSize);
     
-    view.setUint32(0, 0, false); // Length
-    chunk[4] = 0x49; // 'I'
-    chunk[5] = 0x45; // 'E'
-    chunk[6] = 0x4E; // 'N'
-    chunk[7] = 0x44; // 'D'
-    view.setUint32(8, 0x12345678, false); // CRC
+    for (let offset = 0; offset < compressedData.length; offset += size) {
+      chunks.push(this.createChunk('IDAT', compressedData.subarray(offset, offset + size)));
+    }
     
-    return chunk;
+    if (chunks.length === 0) {
+      chunks.push(this.createChunk('IDAT'));
+    }
+    
+    return chunks;
+  }
+
+  createIENDChunk() {
+    return this.createChunk('IEND');
   }
 
   // Quantization for palette images
@@ -547,6 +732,11 @@ class PNGCompression {
       return pixels;
     }
     
+    // A box that may only contribute one color is represented by its average
+    if (maxColors <= 1) {
+      return maxColors === 1 ? [this.averageColor(pixels)] : [];
+    }
+    
     // Find the color channel with the largest range
     let minR = 255, maxR = 0;
     let minG = 255, maxG = 0;
@@ -583,6 +773,16 @@ class PNGCompression {
     return [...leftColors, ...rightColors];
   }
 
+  averageColor(pixels) {
+    const sum = [0, 0, 0];
+    for (const [r, g, b] of pixels) {
+      sum[0] += r;
+      sum[1] += g;
+      sum[2] += b;
+    }
+    return sum.map(total => Math.round(total / pixels.length));
+  }
+
   findClosestColor(color, palette) {
     let minDistance = Infinity;
     let closestIndex = 0;
@@ -0,0 +1,798 @@
+/**
+ * @xbibzlibrary/kompreser - SVG Compression Algorithm
+ * Plugin-based SVG optimizer with XML parsing, path/transform rounding and tree cleanup
+ */
+
+import Logger from '../utils/Logger.js';
+import { CompressionError, FormatError } from '../core/ErrorHandler.js';
+
+// Namespaces written by editors that carry no rendering information
+const EDITOR_NAMESPACES = [
+  'http://www.inkscape.org/namespaces/inkscape',
+  'http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd',
+  'http://inkscape.sourceforge.net/DTD/sodipodi-0.dtd',
+  'http://ns.adobe.com/AdobeIllustrator/10.0/',
+  'http://ns.adobe.com/AdobeSVGViewerExtensions/3.0/',
+  'http://ns.adobe.com/Extensibility/1.0/',
+  'http://ns.adobe.com/Flows/1.0/',
+  'http://ns.adobe.com/GenericCustomNamespace/1.0/',
+  'http://ns.adobe.com/Graphs/1.0/',
+  'http://ns.adobe.com/ImageReplacement/1.0/',
+  'http://ns.adobe.com/SaveForWeb/1.0/',
+  'http://ns.adobe.com/Variables/1.0/',
+  'http://ns.adobe.com/XPath/1.0/',
+  'http://www.bohemiancoding.com/sketch/ns',
+  'http://www.serif.com/',
+  'http://www.vector.evaxdesign.sk'
+];
+
+// Elements whose text content is rendered or otherwise significant
+const TEXT_ELEMENTS = new Set(['text', 'tspan', 'textPath', 'title', 'desc', 'a', 'altGlyph', 'tref']);
+
+// Inheritable attributes that can move from a wrapping group onto its only child
+const MOVABLE_GROUP_ATTRIBUTES = new Set([
+  'transform', 'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+  'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray', 'stroke-dashoffset',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'visibility', 'color'
+]);
+
+const NUMERIC_ATTRIBUTES = new Set([
+  'x', 'y', 'width', 'height', 'cx', 'cy', 'r', 'rx', 'ry', 'x1', 'y1', 'x2', 'y2', 'fx', 'fy',
+  'dx', 'dy', 'stroke-width', 'stroke-miterlimit', 'stroke-dashoffset', 'opacity', 'fill-opacity',
+  'stroke-opacity', 'stop-opacity', 'offset', 'font-size'
+]);
+
+const TRANSFORM_ATTRIBUTES = ['transform', 'gradientTransform', 'patternTransform'];
+
+// Parameters consumed by each path command
+const PATH_PARAMS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+
+class SVGCompression {
+  constructor(options, logger) {
+    this.options = options || {};
+    this.logger = logger || new Logger();
+    
+    this.DEFAULT_PLUGINS = [
+      'removeComments',
+      'removeMetadata',
+      'removeEditorNamespaces',
+      'collapseWhitespace',
+      'roundNumbers',
+      'collapseGroups',
+      'removeUnusedDefs'
+    ];
+    
+    this.plugins = {
+      removeComments: (root, params) => this.removeComments(root, params),
+      removeMetadata: (root, params) => this.removeMetadata(root, params),
+      removeEditorNamespaces: (root, params) => this.removeEditorNamespaces(root, params),
+      collapseWhitespace: (root, params) => this.collapseWhitespace(root, params),
+      roundNumbers: (root, params) => this.roundNumbers(root, params),
+      collapseGroups: (root, params) => this.collapseGroups(root, params),
+      removeUnusedDefs: (root, params) => this.removeUnusedDefs(root, params)
+    };
+  }
+
+  async compress(input, options = {}) {
+    const timer = this.logger.startTimer('svg_compression');
+    
+    try {
+      const source = this.readSource(input);
+      const root = this.parseXML(source);
+      this.assertSVGRoot(root);
+      
+      const precision = options.precision ?? 3;
+      const applied = [];
+      
+      for (const plugin of this.resolvePlugins(options.plugins)) {
+        plugin.fn(root, { precision, ...plugin.params });
+        applied.push(plugin.name);
+      }
+      
+      let output = this.serializeXML(root);
+      
+      // Never hand back markup that does not parse
+      try {
+        this.assertSVGRoot(this.parseXML(output));
+      } catch (error) {
+        this.logger.warn('Optimized SVG failed well-formedness check, keeping original', { error: error.message });
+        output = source;
+      }
+      
+      if (output.length > source.length) {
+        output = source;
+      }
+      
+      const data = new TextEncoder().encode(output);
+      const dimensions = this.getDimensions(this.parseXML(output));
+      const duration = timer.end();
+      
+      this.logger.debug('SVG compression completed', {
+        duration,
+        originalSize: source.length,
+        compressedSize: data.length,
+        compressionRatio: Math.round((1 - output.length / source.length) * 100),
+        plugins: applied
+      });
+      
+      return {
+        data,
+        size: data.length,
+        width: dimensions.width,
+        height: dimensions.height,
+        format: 'svg',
+        svg: output,
+        plugins: applied
+      };
+    
+    } catch (error) {
+      this.logger.error('SVG compression failed', { error: error.message });
+      throw new CompressionError(`SVG compression failed: ${error.message}`, 'svg');
+    }
+  }
+
+  readSource(input) {
+    const data = input && typeof input === 'object' && !ArrayBuffer.isView(input) && !(input instanceof ArrayBuffer)
+      ? (input.svg ?? input.data)
+      : input;
+    
+    if (typeof data === 'string') {
+      return data;
+    }
+    
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+      return new TextDecoder('utf-8').decode(data);
+    }
+    
+    throw new FormatError('SVG input must be markup text or UTF-8 bytes', 'svg');
+  }
+
+  // Plugins are names, { name, params } objects, or custom { name, fn } entries
+  resolvePlugins(plugins = this.options.svgPlugins || this.DEFAULT_PLUGINS) {
+    return plugins.map(plugin => {
+      const entry = typeof plugin === 'string' ? { name: plugin } : plugin;
+      const fn = entry.fn || this.plugins[entry.name];
+      
+      if (typeof fn !== 'function') {
+        throw new FormatError(`Unknown SVG plugin: ${entry.name}`, 'svg');
+      }
+      
+      return { name: entry.name, params: entry.params || {}, fn };
+    });
+  }
+
+  // Plugins
+
+  removeComments(root) {
+    this.walk(root, node => {
+      // Comments starting with "!" are kept as legal notices
+      node.children = node.children.filter(child => child.type !== 'comment' || child.value.startsWith('!'));
+    });
+  }
+
+  removeMetadata(root) {
+    this.walk(root, node => {
+      node.children = node.children.filter(child => child.type !== 'element' || child.name !== 'metadata');
+    });
+  }
+
+  removeEditorNamespaces(root) {
+    const prefixes = new Set();
+    
+    this.walk(root, node => {
+      if (node.type !== 'element') return;
+      node.attributes = node.attributes.filter(attribute => {
+        if (attribute.name.startsWith('xmlns:') && EDITOR_NAMESPACES.includes(attribute.value)) {
+          prefixes.add(attribute.name.slice(6));
+          return false;
+        }
+        return true;
+      });
+    });
+    
+    const prefixOf = name => (name.includes(':') ? name.slice(0, name.indexOf(':')) : null);
+    
+    this.walk(root, node => {
+      node.children = node.children.filter(child => child.type !== 'element' || !prefixes.has(prefixOf(child.name)));
+      if (node.type === 'element') {
+        node.attributes = node.attributes.filter(attribute => !prefixes.has(prefixOf(attribute.name)));
+      }
+    });
+    
+    // Drop namespace declarations nothing refers to any more
+    const used = new Set();
+    this.walk(root, node => {
+      if (node.type !== 'element') return;
+      used.add(prefixOf(node.name));
+      for (const attribute of node.attributes) {
+        if (!attribute.name.startsWith('xmlns')) {
+          used.add(prefixOf(attribute.name));
+        }
+      }
+    });
+    
+    this.walk(root, node => {
+      if (node.type !== 'element') return;
+      node.attributes = node.attributes.filter(attribute =>
+        !attribute.name.startsWith('xmlns:') || used.has(attribute.name.slice(6))
+      );
+    });
+  }
+
+  collapseWhitespace(root) {
+    const visit = (node, preserve) => {
+      const preserveHere = preserve || this.getAttribute(node, 'xml:space') === 'preserve';
+      const isText = TEXT_ELEMENTS.has(node.name);
+      
+      node.children = node.children.filter(child => {
+        if (child.type === 'element') {
+          visit(child, preserveHere);
+          return true;
+        }
+        
+        if (child.type !== 'text' || preserveHere) {
+          return true;
+        }
+        
+        if (isText) {
+          child.value = child.value.replace(/\s+/g, ' ');
+          return child.value.length > 0;
+        }
+        
+        if (/^\s*$/.test(child.value)) {
+          return false;
+        }
+        
+        if (node.name === 'style') {
+          child.value = child.value.trim();
+        }
+        
+        return true;
+      });
+      
+      for (const attribute of node.attributes || []) {
+        if (attribute.name === 'class' || attribute.name === 'points' || attribute.name === 'viewBox') {
+          attribute.value = attribute.value.trim().replace(/\s+/g, ' ');
+        }
+      }
+    };
+    
+    visit(root, false);
+  }
+
+  roundNumbers(root, { precision }) {
+    this.walk(root, node => {
+      if (node.type !== 'element') return;
+      
+      node.attributes = node.attributes.filter(attribute => {
+        const { name } = attribute;
+        
+        if (name === 'd') {
+          const segments = this.parsePath(attribute.value);
+          if (segments) {
+            attribute.value = this.serializePath(segments, precision);
+          }
+        } else if (TRANSFORM_ATTRIBUTES.includes(name)) {
+          const transform = this.optimizeTransform(attribute.value, precision);
+          if (transform === '') return false;
+          if (transform !== null) attribute.value = transform;
+        } else if (name === 'points' || name === 'viewBox') {
+          const numbers = this.parseNumberList(attribute.value);
+          if (numbers) {
+            attribute.value = this.joinNumbers(numbers.map(value => this.formatNumber(value, precision)));
+          }
+        } else if (NUMERIC_ATTRIBUTES.has(name)) {
+          const match = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)(px|%|em|ex|pt|pc|cm|mm|in)?\s*$/.exec(attribute.value);
+          if (match) {
+            attribute.value = this.formatNumber(parseFloat(match[1]), precision) + (match[2] || '');
+          }
+        }
+        
+        return true;
+      });
+    });
+  }
+
+  collapseGroups(root) {
+    const visit = node => {
+      for (const child of node.children) {
+        if (child.type === 'element') visit(child);
+      }
+      
+      // Group semantics matter inside <switch>
+      if (node.name === 'switch') return;
+      
+      const children = [];
+      for (const child of node.children) {
+        if (child.type !== 'element' || child.name !== 'g') {
+          children.push(child);
+          continue;
+        }
+        
+        if (child.attributes.length === 0) {
+          children.push(...child.children);
+          continue;
+        }
+        
+        const elements = child.children.filter(grandchild => grandchild.type === 'element');
+        const onlyChild = elements.length === 1 &&
+          child.children.every(grandchild => grandchild.type === 'element' || (grandchild.type === 'text' && /^\s*$/.test(grandchild.value)))
+          ? elements[0]
+          : null;
+        
+        if (onlyChild && this.canMergeGroup(child, onlyChild)) {
+          for (const attribute of child.attributes) {
+            const existing = onlyChild.attributes.find(other => other.name === attribute.name);
+            if (existing) {
+              existing.value = `${attribute.value} ${existing.value}`; // transform: parent first
+            } else {
+              onlyChild.attributes.push({ ...attribute });
+            }
+          }
+          children.push(onlyChild);
+          continue;
+        }
+        
+        children.push(child);
+      }
+      
+      node.children = children;
+    };
+    
+    visit(root);
+  }
+
+  canMergeGroup(group, child) {
+    // Referenced elements would pick up the group's attributes in every <use>
+    if (this.getAttribute(child, 'id') !== null) {
+      return false;
+    }
+    
+    return group.attributes.every(attribute =>
+      MOVABLE_GROUP_ATTRIBUTES.has(attribute.name) &&
+      (attribute.name === 'transform' || this.getAttribute(child, attribute.name) === null)
+    );
+  }
+
+  removeUnusedDefs(root) {
+    let changed = true;
+    
+    while (changed) {
+      changed = false;
+      const referenced = this.collectReferences(root);
+      
+      const hasReferencedId = node => {
+        if (node.type !== 'element') return false;
+        const id = this.getAttribute(node, 'id');
+        return (id !== null && referenced.has(id)) || node.children.some(hasReferencedId);
+      };
+      
+      this.walk(root, node => {
+        if (node.type !== 'element' || node.name !== 'defs') return;
+        
+        const before = node.children.length;
+        node.children = node.children.filter(child =>
+          child.type !== 'element' || child.name === 'style' || child.name === 'script' || hasReferencedId(child)
+        );
+        changed = changed || node.children.length !== before;
+      });
+      
+      this.walk(root, node => {
+        const before = node.children.length;
+        node.children = node.children.filter(child =>
+          child.type !== 'element' || child.name !== 'defs' || child.children.some(grandchild => grandchild.type === 'element')
+        );
+        changed = changed || node.children.length !== before;
+      });
+    }
+  }
+
+  collectReferences(root) {
+    const referenced = new Set();
+    const urlPattern = /url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/g;
+    
+    this.walk(root, node => {
+      if (node.type !== 'element') return;
+      
+      for (const { name, value } of node.attributes) {
+        for (const match of value.matchAll(urlPattern)) {
+          referenced.add(match[1]);
+        }
+        if ((name === 'href' || name.endsWith(':href')) && value.startsWith('#')) {
+          referenced.add(value.slice(1));
+        }
+        // Animation timing can reference other elements, e.g. begin="other.end"
+        if (name === 'begin' || name === 'end') {
+          for (const match of value.matchAll(/([A-Za-z_][\w.-]*)\.(?:begin|end|click)/g)) {
+            referenced.add(match[1]);
+          }
+        }
+      }
+      
+      // Stylesheets may select any id
+      if (node.name === 'style' || node.name === 'script') {
+        const text = node.children.map(child => child.value || '').join('');
+        for (const match of text.matchAll(/#([A-Za-z_][\w-]*)/g)) {
+          referenced.add(match[1]);
+        }
+      }
+    });
+    
+    return referenced;
+  }
+
+  // Path data
+
+  parsePath(d) {
+    const segments = [];
+    let command = null;
+    let args = [];
+    let i = 0;
+    
+    const flush = () => {
+      if (command === null) return true;
+      
+      const lower = command.toLowerCase();
+      const count = PATH_PARAMS[lower];
+      
+      if (count === 0) {
+        segments.push({ command, args: [] });
+        return args.length === 0;
+      }
+      
+      if (args.length === 0 || args.length % count !== 0) {
+        return false;
+      }
+      
+      for (let offset = 0; offset < args.length; offset += count) {
+        // Extra coordinate pairs after a moveto are implicit linetos
+        let segmentCommand = command;
+        if (offset > 0 && lower === 'm') {
+          segmentCommand = command === 'm' ? 'l' : 'L';
+        }
+        segments.push({ command: segmentCommand, args: args.slice(offset, offset + count) });
+      }
+      
+      return true;
+    };
+    
+    while (i < d.length) {
+      const char = d[i];
+      
+      if (/[\s,]/.test(char)) {
+        i++;
+        continue;
+      }
+      
+      if (/[MmZzLlHhVvCcSsQqTtAa]/.test(char)) {
+        if (!flush()) return null;
+        command = char;
+        args = [];
+        i++;
+        continue;
+      }
+      
+      if (command === null) return null;
+      
+      // Arc flags are single digits and may be written without separators
+      const isArcFlag = (command === 'a' || command === 'A') && (args.length % 7 === 3 || args.length % 7 === 4);
+      if (isArcFlag) {
+        if (char !== '0' && char !== '1') return null;
+        args.push(Number(char));
+        i++;
+        continue;
+      }
+      
+      NUMBER_PATTERN.lastIndex = i;
+      const match = NUMBER_PATTERN.exec(d);
+      if (!match) return null;
+      
+      args.push(parseFloat(match[0]));
+      i += match[0].length;
+    }
+    
+    return flush() ? segments : null;
+  }
+
+  serializePath(segments, precision) {
+    let output = '';
+    let previous = null;
+    
+    for (const { command, args } of segments) {
+      // Repeated commands, and linetos directly after a moveto, may omit the letter
+      const implicit = previous !== null && command !== 'M' && command !== 'm' && command !== 'z' && command !== 'Z' && (
+        command === previous ||
+        (previous === 'M' && command === 'L') ||
+        (previous === 'm' && command === 'l')
+      );
+      
+      const values = args.map((value, index) =>
+        ((command === 'a' || command === 'A') && (index === 3 || index === 4))
+          ? String(value ? 1 : 0)
+          : this.formatNumber(value, precision)
+      );
+      
+      if (implicit) {
+        output = this.joinNumbers(values, output);
+      } else {
+        output += command + this.joinNumbers(values);
+      }
+      
+      previous = command;
+    }
+    
+    return output;
+  }
+
+  optimizeTransform(value, precision) {
+    const pattern = /\s*(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)\s*,?/gy;
+    const parts = [];
+    let consumed = 0;
+    let match;
+    
+    while ((match = pattern.exec(value)) !== null) {
+      const numbers = this.parseNumberList(match[2]);
+      if (!numbers || numbers.length === 0) return null;
+      
+      consumed = pattern.lastIndex;
+      if (this.isIdentityTransform(match[1], numbers)) continue;
+      parts.push(`${match[1]}(${this.joinNumbers(numbers.map(number => this.formatNumber(number, precision)))})`);
+    }
+    
+    // Unknown syntax: leave the attribute untouched
+    if (consumed !== value.length && value.slice(consumed).trim() !== '') {
+      return null;
+    }
+    
+    return parts.join('');
+  }
+
+  isIdentityTransform(name, values) {
+    switch (name) {
+      case 'translate':
+        return values.every(value => value === 0);
+      case 'scale':
+        return values.every(value => value === 1);
+      case 'rotate':
+      case 'skewX':
+      case 'skewY':
+        return values[0] === 0;
+      case 'matrix':
+        return values.length === 6 && values.every((value, i) => value === [1, 0, 0, 1, 0, 0][i]);
+      default:
+        return false;
+    }
+  }
+
+  parseNumberList(text) {
+    const numbers = [];
+    let i = 0;
+    
+    while (i < text.length) {
+      if (/[\s,]/.test(text[i])) {
+        i++;
+        continue;
+      }
+      
+      NUMBER_PATTERN.lastIndex = i;
+      const match = NUMBER_PATTERN.exec(text);
+      if (!match) return null;
+      
+      numbers.push(parseFloat(match[0]));
+      i += match[0].length;
+    }
+    
+    return numbers;
+  }
+
+  formatNumber(value, precision) {
+    let text = Number(value.toFixed(precision)).toString();
+    
+    if (text.includes('e')) {
+      text = value.toFixed(precision);
+    }
+    if (text.includes('.')) {
+      text = text.replace(/0+$/, '').replace(/\.$/, '');
+    }
+    if (text === '-0') {
+      text = '0';
+    }
+    
+    return text.replace(/^(-?)0\./, '$1.');
+  }
+
+  // Join numbers with the fewest separators the grammar allows
+  joinNumbers(values, output = '') {
+    for (const value of values) {
+      const previous = output.slice(-1);
+      const needsSeparator = output !== '' && /[\d.]/.test(previous) && !(
+        value.startsWith('-') ||
+        (value.startsWith('.') && /\.\d*$/.test(output))
+      );
+      output += (needsSeparator ? ' ' : '') + value;
+    }
+    return output;
+  }
+
+  // XML tree
+
+  parseXML(text) {
+    const root = { type: 'root', name: null, attributes: [], children: [] };
+    const stack = [root];
+    let pos = 0;
+    
+    const fail = message => {
+      throw new FormatError(`${message} at offset ${pos}`, 'svg');
+    };
+    
+    const expectEnd = (marker, from) => {
+      const end = text.indexOf(marker, from);
+      if (end === -1) fail(`Unterminated ${marker}`);
+      return end;
+    };
+    
+    while (pos < text.length) {
+      const parent = stack[stack.length - 1];
+      
+      if (text.startsWith('<!--', pos)) {
+        const end = expectEnd('-->', pos + 4);
+        parent.children.push({ type: 'comment', value: text.slice(pos + 4, end) });
+        pos = end + 3;
+      } else if (text.startsWith('<![CDATA[', pos)) {
+        const end = expectEnd(']]>', pos + 9);
+        parent.children.push({ type: 'cdata', value: text.slice(pos + 9, end) });
+        pos = end + 3;
+      } else if (text.startsWith('<?', pos)) {
+        const end = expectEnd('?>', pos + 2);
+        parent.children.push({ type: 'instruction', value: text.slice(pos + 2, end) });
+        pos = end + 2;
+      } else if (text.startsWith('<!', pos)) {
+        // DOCTYPE, possibly with an internal subset
+        let i = pos + 2;
+        let depth = 0;
+        while (i < text.length && !(text[i] === '>' && depth === 0)) {
+          if (text[i] === '[') depth++;
+          else if (text[i] === ']') depth--;
+          else if (text[i] === '"' || text[i] === "'") i = expectEnd(text[i], i + 1);
+          i++;
+        }
+        if (i >= text.length) fail('Unterminated declaration');
+        parent.children.push({ type: 'doctype', value: text.slice(pos + 2, i) });
+        pos = i + 1;
+      } else if (text.startsWith('</', pos)) {
+        const end = expectEnd('>', pos + 2);
+        const name = text.slice(pos + 2, end).trim();
+        if (parent.type !== 'element' || parent.name !== name) {
+          fail(`Unexpected closing tag </${name}>`);
+        }
+        stack.pop();
+        pos = end + 1;
+      } else if (text[pos] === '<') {
+        pos = this.parseStartTag(text, pos, stack, fail);
+      } else {
+        let end = text.indexOf('<', pos);
+        if (end === -1) end = text.length;
+        parent.children.push({ type: 'text', value: text.slice(pos, end) });
+        pos = end;
+      }
+    }
+    
+    if (stack.length !== 1) {
+      fail(`Unclosed element <${stack[stack.length - 1].name}>`);
+    }
+    
+    return root;
+  }
+
+  parseStartTag(text, start, stack, fail) {
+    const nameMatch = /^<([A-Za-z_][\w:.-]*)/.exec(text.slice(start, start + 256));
+    if (!nameMatch) fail('Invalid tag');
+    
+    const element = { type: 'element', name: nameMatch[1], attributes: [], children: [] };
+    let pos = start + nameMatch[0].length;
+    
+    for (;;) {
+      while (/\s/.test(text[pos] || '')) pos++;
+      
+      if (text.startsWith('/>', pos)) {
+        stack[stack.length - 1].children.push(element);
+        return pos + 2;
+      }
+      
+      if (text[pos] === '>') {
+        stack[stack.length - 1].children.push(element);
+        stack.push(element);
+        return pos + 1;
+      }
+      
+      const attributeMatch = /^([A-Za-z_][\w:.-]*)\s*=\s*(["'])/.exec(text.slice(pos, pos + 256));
+      if (!attributeMatch) fail(`Malformed attribute in <${element.name}>`);
+      
+      const quote = attributeMatch[2];
+      const valueStart = pos + attributeMatch[0].length;
+      const valueEnd = text.indexOf(quote, valueStart);
+      if (valueEnd === -1) fail('Unterminated attribute value');
+      
+      const value = text.slice(valueStart, valueEnd);
+      if (value.includes('<')) fail('Invalid "<" in attribute value');
+      if (element.attributes.some(attribute => attribute.name === attributeMatch[1])) {
+        fail(`Duplicate attribute ${attributeMatch[1]}`);
+      }
+      
+      element.attributes.push({ name: attributeMatch[1], value });
+      pos = valueEnd + 1;
+    }
+  }
+
+  serializeXML(node) {
+    switch (node.type) {
+      case 'root':
+        return node.children.map(child => this.serializeXML(child)).join('');
+      case 'element': {
+        // Values are kept in their escaped source form; only the quote needs care
+        const attributes = node.attributes
+          .map(({ name, value }) => ` ${name}="${value.replace(/"/g, '&quot;')}"`)
+          .join('');
+        if (node.children.length === 0) {
+          return `<${node.name}${attributes}/>`;
+        }
+        return `<${node.name}${attributes}>${node.children.map(child => this.serializeXML(child)).join('')}</${node.name}>`;
+      }
+      case 'text':
+        return node.value;
+      case 'comment':
+        return `<!--${node.value}-->`;
+      case 'cdata':
+        return `<![CDATA[${node.value}]]>`;
+      case 'instruction':
+        return `<?${node.value}?>`;
+      case 'doctype':
+        return `<!${node.value}>`;
+      default:
+        return '';
+    }
+  }
+
+  assertSVGRoot(root) {
+    const elements = root.children.filter(child => child.type === 'element');
+    const strayText = root.children.some(child => child.type === 'text' && !/^\s*$/.test(child.value));
+    
+    if (elements.length !== 1 || strayText) {
+      throw new FormatError('Document must have exactly one root element', 'svg');
+    }
+    
+    if (elements[0].name !== 'svg' && !elements[0].name.endsWith(':svg')) {
+      throw new FormatError(`Root element is <${elements[0].name}>, expected <svg>`, 'svg');
+    }
+  }
+
+  getDimensions(root) {
+    const svg = root.children.find(child => child.type === 'element');
+    const viewBox = this.parseNumberList(this.getAttribute(svg, 'viewBox') || '') || [];
+    const width = parseFloat(this.getAttribute(svg, 'width'));
+    const height = parseFloat(this.getAttribute(svg, 'height'));
+    
+    return {
+      width: Number.isFinite(width) ? width : (viewBox[2] || null),
+      height: Number.isFinite(height) ? height : (viewBox[3] || null)
+    };
+  }
+
+  getAttribute(node, name) {
+    const attribute = (node.attributes || []).find(entry => entry.name === name);
+    return attribute ? attribute.value : null;
+  }
+
+  walk(node, visitor) {
+    visitor(node);
+    for (const child of node.children || []) {
+      if (child.type === 'element') {
+        this.walk(child, visitor);
+      }
+    }
+  }
+}
+
+export default SVGCompression;
\ No newline at end of file
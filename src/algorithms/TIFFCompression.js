@@ -0,0 +1,328 @@
+/**
+ * @xbibzlibrary/kompreser - TIFF Compression Algorithm
+ * Baseline TIFF encoder: 8-bit RGB/RGBA strips with LZW, Deflate or PackBits in either byte order
+ */
+
+import Logger from '../utils/Logger.js';
+import Zlib from '../utils/Zlib.js';
+import { CompressionError, ValidationError } from '../core/ErrorHandler.js';
+
+const COMPRESSION = {
+  none: 1,
+  lzw: 5,
+  deflate: 8,
+  packbits: 32773
+};
+
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+const TYPE_RATIONAL = 5;
+
+// Strips of about 8 KB, as the TIFF 6.0 specification recommends
+const STRIP_SIZE = 8192;
+
+const LZW_CLEAR = 256;
+const LZW_EOI = 257;
+const LZW_TABLE_FULL = 4094;
+
+class TIFFCompression {
+  constructor(options, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    this.zlib = new Zlib();
+  }
+
+  async compress(imageData, options = {}) {
+    const compression = options.tiffCompression ?? 'lzw';
+    const byteOrder = options.byteOrder ?? 'II';
+    if (!(compression in COMPRESSION)) {
+      throw new ValidationError("tiffCompression must be 'lzw', 'deflate', 'packbits' or 'none'", { tiffCompression: compression });
+    }
+    if (byteOrder !== 'II' && byteOrder !== 'MM') {
+      throw new ValidationError("byteOrder must be 'II' or 'MM'", { byteOrder });
+    }
+    
+    const timer = this.logger.startTimer('tiff_compression');
+    
+    try {
+      this.logger.debug('Starting TIFF compression', {
+        compression,
+        byteOrder,
+        dimensions: `${imageData.width}x${imageData.height}`
+      });
+      
+      const tiffData = this.createTIFF(imageData, compression, byteOrder === 'II');
+      
+      const duration = timer.end();
+      
+      this.logger.debug('TIFF compression completed', {
+        duration,
+        originalSize: imageData.data.length,
+        compressedSize: tiffData.length
+      });
+      
+      return {
+        data: tiffData,
+        size: tiffData.length,
+        width: imageData.width,
+        height: imageData.height,
+        format: 'tiff',
+        compression
+      };
+    
+    } catch (error) {
+      this.logger.error('TIFF compression failed', { error: error.message });
+      throw new CompressionError(`TIFF compression failed: ${error.message}`, 'tiff');
+    }
+  }
+
+  // Header, strip data, then a single directory followed by the values that do not fit in its entries
+  createTIFF(imageData, compression, littleEndian) {
+    const { width, height } = imageData;
+    const samples = this.hasAlpha(imageData.data) ? 4 : 3;
+    const rowBytes = width * samples;
+    const rowsPerStrip = Math.max(1, Math.min(height, Math.floor(STRIP_SIZE / rowBytes)));
+    // Differencing only pays off in front of a dictionary coder
+    const predictor = compression === 'lzw' || compression === 'deflate';
+    
+    const strips = [];
+    for (let y = 0; y < height; y += rowsPerStrip) {
+      const rows = Math.min(rowsPerStrip, height - y);
+      const strip = this.packStrip(imageData, y, rows, samples);
+      if (predictor) {
+        this.applyPredictor(strip, rowBytes, rows, samples);
+      }
+      strips.push(this.compressStrip(strip, compression, rowBytes));
+    }
+    
+    const stripOffsets = [];
+    let offset = 8;
+    for (const strip of strips) {
+      stripOffsets.push(offset);
+      offset += strip.length;
+    }
+    const ifdOffset = offset + (offset & 1);
+    
+    const entries = [
+      [256, TYPE_LONG, [width]],
+      [257, TYPE_LONG, [height]],
+      [258, TYPE_SHORT, new Array(samples).fill(8)],
+      [259, TYPE_SHORT, [COMPRESSION[compression]]],
+      [262, TYPE_SHORT, [2]], // RGB
+      [273, TYPE_LONG, stripOffsets],
+      [277, TYPE_SHORT, [samples]],
+      [278, TYPE_LONG, [rowsPerStrip]],
+      [279, TYPE_LONG, strips.map(strip => strip.length)],
+      [282, TYPE_RATIONAL, [[72, 1]]],
+      [283, TYPE_RATIONAL, [[72, 1]]],
+      [284, TYPE_SHORT, [1]], // Chunky
+      [296, TYPE_SHORT, [2]], // Inches
+      predictor && [317, TYPE_SHORT, [2]],
+      samples === 4 && [338, TYPE_SHORT, [2]] // Unassociated alpha
+    ].filter(Boolean);
+    
+    const ifd = this.createIFD(entries, ifdOffset, littleEndian);
+    const output = new Uint8Array(ifdOffset + ifd.length);
+    const view = new DataView(output.buffer);
+    
+    output[0] = output[1] = littleEndian ? 0x49 : 0x4D;
+    view.setUint16(2, 42, littleEndian);
+    view.setUint32(4, ifdOffset, littleEndian);
+    strips.forEach((strip, index) => output.set(strip, stripOffsets[index]));
+    output.set(ifd, ifdOffset);
+    
+    return output;
+  }
+
+  // Entries must be sorted by tag; values of more than four bytes go after the next-directory pointer
+  createIFD(entries, ifdOffset, littleEndian) {
+    const size = { [TYPE_SHORT]: 2, [TYPE_LONG]: 4, [TYPE_RATIONAL]: 8 };
+    const directorySize = 2 + entries.length * 12 + 4;
+    const valuesSize = entries.reduce((total, [, type, values]) => {
+      const length = size[type] * values.length;
+      return length > 4 ? total + length + (length & 1) : total;
+    }, 0);
+    
+    const output = new Uint8Array(directorySize + valuesSize);
+    const view = new DataView(output.buffer);
+    let valueOffset = directorySize;
+    
+    view.setUint16(0, entries.length, littleEndian);
+    entries.forEach(([tag, type, values], index) => {
+      const entry = 2 + index * 12;
+      const length = size[type] * values.length;
+      let at = entry + 8;
+      
+      view.setUint16(entry, tag, littleEndian);
+      view.setUint16(entry + 2, type, littleEndian);
+      view.setUint32(entry + 4, values.length, littleEndian);
+      
+      if (length > 4) {
+        view.setUint32(entry + 8, ifdOffset + valueOffset, littleEndian);
+        at = valueOffset;
+        valueOffset += length + (length & 1);
+      }
+      
+      values.forEach((value, i) => {
+        if (type === TYPE_SHORT) {
+          view.setUint16(at + i * 2, value, littleEndian);
+        } else if (type === TYPE_LONG) {
+          view.setUint32(at + i * 4, value, littleEndian);
+        } else {
+          view.setUint32(at + i * 8, value[0], littleEndian);
+          view.setUint32(at + i * 8 + 4, value[1], littleEndian);
+        }
+      });
+    });
+    
+    // Next directory offset stays 0: single page
+    return output;
+  }
+
+  hasAlpha(data) {
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] < 255) return true;
+    }
+    return false;
+  }
+
+  packStrip(imageData, startRow, rows, samples) {
+    const { data, width } = imageData;
+    const strip = new Uint8Array(rows * width * samples);
+    
+    for (let p = 0, o = 0, i = startRow * width * 4; p < rows * width; p++, i += 4) {
+      strip[o++] = data[i];
+      strip[o++] = data[i + 1];
+      strip[o++] = data[i + 2];
+      if (samples === 4) strip[o++] = data[i + 3];
+    }
+    
+    return strip;
+  }
+
+  // Horizontal differencing, right to left so every difference uses the original left neighbour
+  applyPredictor(strip, rowBytes, rows, samples) {
+    for (let y = 0; y < rows; y++) {
+      const row = y * rowBytes;
+      for (let i = rowBytes - 1; i >= samples; i--) {
+        strip[row + i] = (strip[row + i] - strip[row + i - samples]) & 0xFF;
+      }
+    }
+  }
+
+  compressStrip(strip, compression, rowBytes) {
+    switch (compression) {
+      case 'lzw':
+        return this.encodeLZW(strip);
+      case 'deflate':
+        return this.zlib.deflate(strip);
+      case 'packbits':
+        return this.encodePackBits(strip, rowBytes);
+      default:
+        return strip;
+    }
+  }
+
+  // Most significant bit first; the code width grows one entry before the table needs it ("early change"),
+  // and a table about to overflow is reset with a clear code
+  encodeLZW(data) {
+    const dictionary = new Map();
+    const output = [];
+    
+    let codeSize = 9;
+    let nextCode = LZW_EOI + 1;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    
+    const emit = code => {
+      bitBuffer = (bitBuffer << codeSize) | code;
+      bitCount += codeSize;
+      while (bitCount >= 8) {
+        output.push((bitBuffer >>> (bitCount - 8)) & 0xFF);
+        bitCount -= 8;
+      }
+      bitBuffer &= (1 << bitCount) - 1;
+    };
+    
+    emit(LZW_CLEAR);
+    
+    if (data.length > 0) {
+      let prefix = data[0];
+      
+      for (let i = 1; i < data.length; i++) {
+        const byte = data[i];
+        const key = (prefix << 8) | byte;
+        const code = dictionary.get(key);
+        
+        if (code !== undefined) {
+          prefix = code;
+          continue;
+        }
+        
+        emit(prefix);
+        dictionary.set(key, nextCode++);
+        
+        if (nextCode === LZW_TABLE_FULL) {
+          emit(LZW_CLEAR);
+          dictionary.clear();
+          codeSize = 9;
+          nextCode = LZW_EOI + 1;
+        } else if (nextCode >= 1 << codeSize) {
+          codeSize++;
+        }
+        
+        prefix = byte;
+      }
+      
+      emit(prefix);
+      
+      // The decoder defines one more entry after the last code, which can widen the end code
+      if (++nextCode >= 1 << codeSize && codeSize < 12) {
+        codeSize++;
+      }
+    }
+    
+    emit(LZW_EOI);
+    if (bitCount > 0) {
+      output.push((bitBuffer << (8 - bitCount)) & 0xFF);
+    }
+    
+    return new Uint8Array(output);
+  }
+
+  // Rows are packed separately: runs of 2 to 128 equal bytes as (1 - n, byte), anything else as literals of up to 128
+  encodePackBits(strip, rowBytes) {
+    const output = [];
+    
+    for (let row = 0; row < strip.length; row += rowBytes) {
+      const end = row + rowBytes;
+      let i = row;
+      
+      while (i < end) {
+        let run = 1;
+        while (i + run < end && run < 128 && strip[i + run] === strip[i]) {
+          run++;
+        }
+        
+        if (run > 1) {
+          output.push((1 - run) & 0xFF, strip[i]);
+          i += run;
+          continue;
+        }
+        
+        const start = i;
+        while (i < end && i - start < 128 && !(i + 1 < end && strip[i + 1] === strip[i])) {
+          i++;
+        }
+        output.push(i - start - 1);
+        for (let j = start; j < i; j++) {
+          output.push(strip[j]);
+        }
+      }
+    }
+    
+    return new Uint8Array(output);
+  }
+}
+
+export default TIFFCompression;
\ No newline at end of file
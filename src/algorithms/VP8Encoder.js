@@ -0,0 +1,1690 @@
+/**
+ * @xbibzlibrary/kompreser - VP8 Encoder
+ * Lossy WebP key frames: 16x16 and 4x4 intra prediction, 4x4 DCT and Walsh-Hadamard transforms,
+ * segment-based quantization, and token and mode coding with the boolean entropy coder
+ */
+
+import Logger from '../utils/Logger.js';
+import { CompressionError, ValidationError } from '../core/ErrorHandler.js';
+
+const MAX_DIMENSION = 16383;
+// The frame tag stores the size of the first partition in 19 bits
+const MAX_FIRST_PARTITION_SIZE = (1 << 19) - 1;
+
+// Macroblock modes; chroma uses the first four, B_PRED codes sixteen 4x4 luma sub-blocks with their own modes
+const DC_PRED = 0;
+const V_PRED = 1;
+const H_PRED = 2;
+const TM_PRED = 3;
+const B_PRED = 4;
+
+// Sub-block modes, in the order of BMODE_PROBS
+const B_DC_PRED = 0;
+const B_TM_PRED = 1;
+const B_VE_PRED = 2;
+const B_HE_PRED = 3;
+const B_RD_PRED = 4;
+const B_VR_PRED = 5;
+const B_LD_PRED = 6;
+const B_VL_PRED = 7;
+const B_HD_PRED = 8;
+const B_HU_PRED = 9;
+const NUM_BMODES = 10;
+
+// Sub-block mode a 16x16 macroblock stands for when its neighbours' modes are coded
+const MB_TO_BMODE = [B_DC_PRED, B_VE_PRED, B_HE_PRED, B_TM_PRED];
+
+// Trees in the specification's array form: positive entries index the next pair, the others are negated leaves
+const KF_YMODE_TREE = [-B_PRED, 2, 4, 6, -DC_PRED, -V_PRED, -H_PRED, -TM_PRED];
+const KF_YMODE_PROBS = [145, 156, 163, 128];
+const UV_MODE_TREE = [-DC_PRED, 2, -V_PRED, 4, -H_PRED, -TM_PRED];
+const KF_UV_MODE_PROBS = [142, 114, 183];
+const BMODE_TREE = [
+  -B_DC_PRED, 2,
+  -B_TM_PRED, 4,
+  -B_VE_PRED, 6,
+  8, 12,
+  -B_HE_PRED, 10,
+  -B_RD_PRED, -B_VR_PRED,
+  -B_LD_PRED, 14,
+  -B_VL_PRED, 16,
+  -B_HD_PRED, -B_HU_PRED
+];
+const SEGMENT_TREE = [2, 4, -0, -1, -2, -3];
+const NUM_SEGMENTS = 4;
+
+// Block types of the coefficient probabilities
+const TYPE_I16_AC = 0;
+const TYPE_Y2 = 1;
+const TYPE_CHROMA = 2;
+const TYPE_I4 = 3;
+const NUM_BANDS = 8;
+const NUM_CONTEXTS = 3;
+const NUM_PROBAS = 11;
+
+const ZIGZAG = [0, 1, 4, 8, 5, 2, 3, 6, 9, 12, 13, 10, 7, 11, 14, 15];
+const BANDS = [0, 1, 2, 3, 6, 4, 5, 6, 6, 6, 6, 6, 6, 6, 6, 7];
+// Extra bits of DCT_CAT3 to DCT_CAT6, most significant first
+const CATEGORY_PROBS = [
+  [173, 148, 140],
+  [176, 155, 140, 135],
+  [180, 157, 141, 134, 130],
+  [254, 254, 243, 230, 196, 177, 153, 140, 133, 130, 129]
+];
+const MAX_LEVEL = 2048;
+
+// Coefficient levels of a macroblock: 16 luma blocks, 4 U, 4 V, then the second-order luma DC block
+const U_OFFSET = 16 * 16;
+const V_OFFSET = 20 * 16;
+const Y2_OFFSET = 24 * 16;
+const NUM_LEVELS = 25 * 16;
+
+// Non-zero flags kept per macroblock column and row: 4 luma, 2 U, 2 V and the Y2 block
+const NZ_CONTEXTS = 9;
+
+// 4x4 prediction workspace: the left and top-left column, 16 pixels, and the 4 pixels above and to the right
+const WORK_STRIDE = 21;
+
+// Rounding offsets in fractions of a quantizer step; below a half so that marginal coefficients drop to zero
+const DC_BIAS = 0.375;
+const AC_BIAS = 0.43;
+
+// Squared error one bit is worth, per squared AC quantizer step
+const LAMBDA_SCALE = 0.03;
+
+// Flatness of a macroblock from its luma AC energy, and the strength of the segment quantizer spread
+const KMEANS_ITERATIONS = 6;
+const SNS_TO_DQ = 0.9;
+// Filter levels below this are not worth signalling
+const MIN_FILTER_LEVEL = 2;
+
+// Quantizer steps of the 128 quantizer indices (RFC 6386 section 14.1)
+const DC_TABLE = [
+  4, 5, 6, 7, 8, 9, 10, 10, 11, 12, 13, 14, 15, 16, 17, 17,
+  18, 19, 20, 20, 21, 21, 22, 22, 23, 23, 24, 25, 25, 26, 27, 28,
+  29, 30, 31, 32, 33, 34, 35, 36, 37, 37, 38, 39, 40, 41, 42, 43,
+  44, 45, 46, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58,
+  59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74,
+  75, 76, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89,
+  91, 93, 95, 96, 98, 100, 101, 102, 104, 106, 108, 110, 112, 114, 116, 118,
+  122, 124, 126, 128, 130, 132, 134, 136, 138, 140, 143, 145, 148, 151, 154, 157
+];
+
+const AC_TABLE = [
+  4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19,
+  20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35,
+  36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51,
+  52, 53, 54, 55, 56, 57, 58, 60, 62, 64, 66, 68, 70, 72, 74, 76,
+  78, 80, 82, 84, 86, 88, 90, 92, 94, 96, 98, 100, 102, 104, 106, 108,
+  110, 112, 114, 116, 119, 122, 125, 128, 131, 134, 137, 140, 143, 146, 149, 152,
+  155, 158, 161, 164, 167, 170, 173, 177, 181, 185, 189, 193, 197, 201, 205, 209,
+  213, 217, 221, 225, 229, 234, 239, 245, 249, 254, 259, 264, 269, 274, 279, 284
+];
+
+// Default token probabilities, [type][band][context][node]
+const COEFF_PROBS = [
+  [
+    [[128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128],
+     [128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128],
+     [128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128]],
+    [[253, 136, 254, 255, 228, 219, 128, 128, 128, 128, 128],
+     [189, 129, 242, 255, 227, 213, 255, 219, 128, 128, 128],
+     [106, 126, 227, 252, 214, 209, 255, 255, 128, 128, 128]],
+    [[1, 98, 248, 255, 236, 226, 255, 255, 128, 128, 128],
+     [181, 133, 238, 254, 221, 234, 255, 154, 128, 128, 128],
+     [78, 134, 202, 247, 198, 180, 255, 219, 128, 128, 128]],
+    [[1, 185, 249, 255, 243, 255, 128, 128, 128, 128, 128],
+     [184, 150, 247, 255, 236, 224, 128, 128, 128, 128, 128],
+     [77, 110, 216, 255, 236, 230, 128, 128, 128, 128, 128]],
+    [[1, 101, 251, 255, 241, 255, 128, 128, 128, 128, 128],
+     [170, 139, 241, 252, 236, 209, 255, 255, 128, 128, 128],
+     [37, 116, 196, 243, 228, 255, 255, 255, 128, 128, 128]],
+    [[1, 204, 254, 255, 245, 255, 128, 128, 128, 128, 128],
+     [207, 160, 250, 255, 238, 128, 128, 128, 128, 128, 128],
+     [102, 103, 231, 255, 211, 171, 128, 128, 128, 128, 128]],
+    [[1, 152, 252, 255, 240, 255, 128, 128, 128, 128, 128],
+     [177, 135, 243, 255, 234, 225, 128, 128, 128, 128, 128],
+     [80, 129, 211, 255, 194, 224, 128, 128, 128, 128, 128]],
+    [[1, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128],
+     [246, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128],
+     [255, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128]]
+  ],
+  [
+    [[198, 35, 237, 223, 193, 187, 162, 160, 145, 155, 62],
+     [131, 45, 198, 221, 172, 176, 220, 157, 252, 221, 1],
+     [68, 47, 146, 208, 149, 167, 221, 162, 255, 223, 128]],
+    [[1, 149, 241, 255, 221, 224, 255, 255, 128, 128, 128],
+     [184, 141, 234, 253, 222, 220, 255, 199, 128, 128, 128],
+     [81, 99, 181, 242, 176, 190, 249, 202, 255, 255, 128]],
+    [[1, 129, 232, 253, 214, 197, 242, 196, 255, 255, 128],
+     [99, 121, 210, 250, 201, 198, 255, 202, 128, 128, 128],
+     [23, 91, 163, 242, 170, 187, 247, 210, 255, 255, 128]],
+    [[1, 200, 246, 255, 234, 255, 128, 128, 128, 128, 128],
+     [109, 178, 241, 255, 231, 245, 255, 255, 128, 128, 128],
+     [44, 130, 201, 253, 205, 192, 255, 255, 128, 128, 128]],
+    [[1, 132, 239, 251, 219, 209, 255, 165, 128, 128, 128],
+     [94, 136, 225, 251, 218, 190, 255, 255, 128, 128, 128],
+     [22, 100, 174, 245, 186, 161, 255, 199, 128, 128, 128]],
+    [[1, 182, 249, 255, 232, 235, 128, 128, 128, 128, 128],
+     [124, 143, 241, 255, 227, 234, 128, 128, 128, 128, 128],
+     [35, 77, 181, 251, 193, 211, 255, 205, 128, 128, 128]],
+    [[1, 157, 247, 255, 236, 231, 255, 255, 128, 128, 128],
+     [121, 141, 235, 255, 225, 227, 255, 255, 128, 128, 128],
+     [45, 99, 188, 251, 195, 217, 255, 224, 128, 128, 128]],
+    [[1, 1, 251, 255, 213, 255, 128, 128, 128, 128, 128],
+     [203, 1, 248, 255, 255, 128, 128, 128, 128, 128, 128],
+     [137, 1, 177, 255, 224, 255, 128, 128, 128, 128, 128]]
+  ],
+  [
+    [[253, 9, 248, 251, 207, 208, 255, 192, 128, 128, 128],
+     [175, 13, 224, 243, 193, 185, 249, 198, 255, 255, 128],
+     [73, 17, 171, 221, 161, 179, 236, 167, 255, 234, 128]],
+    [[1, 95, 247, 253, 212, 183, 255, 255, 128, 128, 128],
+     [239, 90, 244, 250, 211, 209, 255, 255, 128, 128, 128],
+     [155, 77, 195, 248, 188, 195, 255, 255, 128, 128, 128]],
+    [[1, 24, 239, 251, 218, 219, 255, 205, 128, 128, 128],
+     [201, 51, 219, 255, 196, 186, 128, 128, 128, 128, 128],
+     [69, 46, 190, 239, 201, 218, 255, 228, 128, 128, 128]],
+    [[1, 191, 251, 255, 255, 128, 128, 128, 128, 128, 128],
+     [223, 165, 249, 255, 213, 255, 128, 128, 128, 128, 128],
+     [141, 124, 248, 255, 255, 128, 128, 128, 128, 128, 128]],
+    [[1, 16, 248, 255, 255, 128, 128, 128, 128, 128, 128],
+     [190, 36, 230, 255, 236, 255, 128, 128, 128, 128, 128],
+     [149, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128]],
+    [[1, 226, 255, 128, 128, 128, 128, 128, 128, 128, 128],
+     [247, 192, 255, 128, 128, 128, 128, 128, 128, 128, 128],
+     [240, 128, 255, 128, 128, 128, 128, 128, 128, 128, 128]],
+    [[1, 134, 252, 255, 255, 128, 128, 128, 128, 128, 128],
+     [213, 62, 250, 255, 255, 128, 128, 128, 128, 128, 128],
+     [55, 93, 255, 128, 128, 128, 128, 128, 128, 128, 128]],
+    [[128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128],
+     [128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128],
+     [128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128]]
+  ],
+  [
+    [[202, 24, 213, 235, 186, 191, 220, 160, 240, 175, 255],
+     [126, 38, 182, 232, 169, 184, 228, 174, 255, 187, 128],
+     [61, 46, 138, 219, 151, 178, 240, 170, 255, 216, 128]],
+    [[1, 112, 230, 250, 199, 191, 247, 159, 255, 255, 128],
+     [166, 109, 228, 252, 211, 215, 255, 174, 128, 128, 128],
+     [39, 77, 162, 232, 172, 180, 245, 178, 255, 255, 128]],
+    [[1, 52, 220, 246, 198, 199, 249, 220, 255, 255, 128],
+     [124, 74, 191, 243, 183, 193, 250, 221, 255, 255, 128],
+     [24, 71, 130, 219, 154, 170, 243, 182, 255, 255, 128]],
+    [[1, 182, 225, 249, 219, 240, 255, 224, 128, 128, 128],
+     [149, 150, 226, 252, 216, 205, 255, 171, 128, 128, 128],
+     [28, 108, 170, 242, 183, 194, 254, 223, 255, 255, 128]],
+    [[1, 81, 230, 252, 204, 203, 255, 192, 128, 128, 128],
+     [123, 102, 209, 247, 188, 196, 255, 233, 128, 128, 128],
+     [20, 95, 153, 243, 164, 173, 255, 203, 128, 128, 128]],
+    [[1, 222, 248, 255, 216, 213, 128, 128, 128, 128, 128],
+     [168, 175, 246, 252, 235, 205, 255, 255, 128, 128, 128],
+     [47, 116, 215, 255, 211, 212, 255, 255, 128, 128, 128]],
+    [[1, 121, 236, 253, 212, 214, 255, 255, 128, 128, 128],
+     [141, 84, 213, 252, 201, 202, 255, 219, 128, 128, 128],
+     [42, 80, 160, 240, 162, 185, 255, 205, 128, 128, 128]],
+    [[1, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128],
+     [244, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128],
+     [238, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128]]
+  ]
+];
+
+// Probabilities that a frame updates each token probability
+const COEFF_UPDATE_PROBS = [
+  [
+    [[255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[176, 246, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [223, 241, 252, 255, 255, 255, 255, 255, 255, 255, 255],
+     [249, 253, 253, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 244, 252, 255, 255, 255, 255, 255, 255, 255, 255],
+     [234, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [253, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 246, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [239, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [254, 255, 254, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 248, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [251, 255, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [251, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [254, 255, 254, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 254, 253, 255, 254, 255, 255, 255, 255, 255, 255],
+     [250, 255, 254, 255, 254, 255, 255, 255, 255, 255, 255],
+     [254, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]]
+  ],
+  [
+    [[217, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [225, 252, 241, 253, 255, 255, 254, 255, 255, 255, 255],
+     [234, 250, 241, 250, 253, 255, 253, 254, 255, 255, 255]],
+    [[255, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [223, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [238, 253, 254, 254, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 248, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [249, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 253, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [247, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [252, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [253, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 254, 253, 255, 255, 255, 255, 255, 255, 255, 255],
+     [250, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [254, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]]
+  ],
+  [
+    [[186, 251, 250, 255, 255, 255, 255, 255, 255, 255, 255],
+     [234, 251, 244, 254, 255, 255, 255, 255, 255, 255, 255],
+     [251, 251, 243, 253, 254, 255, 254, 255, 255, 255, 255]],
+    [[255, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [236, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [251, 253, 253, 254, 254, 255, 255, 255, 255, 255, 255]],
+    [[255, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [254, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [254, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [254, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [254, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]]
+  ],
+  [
+    [[248, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [250, 254, 252, 254, 255, 255, 255, 255, 255, 255, 255],
+     [248, 254, 249, 253, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 253, 253, 255, 255, 255, 255, 255, 255, 255, 255],
+     [246, 253, 253, 255, 255, 255, 255, 255, 255, 255, 255],
+     [252, 254, 251, 254, 254, 255, 255, 255, 255, 255, 255]],
+    [[255, 254, 252, 255, 255, 255, 255, 255, 255, 255, 255],
+     [248, 254, 253, 255, 255, 255, 255, 255, 255, 255, 255],
+     [253, 255, 254, 254, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 251, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [245, 251, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [253, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 251, 253, 255, 255, 255, 255, 255, 255, 255, 255],
+     [252, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 252, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [249, 255, 254, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 254, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 255, 253, 255, 255, 255, 255, 255, 255, 255, 255],
+     [250, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]],
+    [[255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [254, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255],
+     [255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255]]
+  ]
+];
+
+// Key frame sub-block mode probabilities, indexed [above][left] in sub-block mode order
+const BMODE_PROBS = [
+  [[231, 120, 48, 89, 115, 113, 120, 152, 112],
+   [152, 179, 64, 126, 170, 118, 46, 70, 95],
+   [175, 69, 143, 80, 85, 82, 72, 155, 103],
+   [56, 58, 10, 171, 218, 189, 17, 13, 152],
+   [114, 26, 17, 163, 44, 195, 21, 10, 173],
+   [121, 24, 80, 195, 26, 62, 44, 64, 85],
+   [144, 71, 10, 38, 171, 213, 144, 34, 26],
+   [170, 46, 55, 19, 136, 160, 33, 206, 71],
+   [63, 20, 8, 114, 114, 208, 12, 9, 226],
+   [81, 40, 11, 96, 182, 84, 29, 16, 36]],
+  [[134, 183, 89, 137, 98, 101, 106, 165, 148],
+   [72, 187, 100, 130, 157, 111, 32, 75, 80],
+   [66, 102, 167, 99, 74, 62, 40, 234, 128],
+   [41, 53, 9, 178, 241, 141, 26, 8, 107],
+   [74, 43, 26, 146, 73, 166, 49, 23, 157],
+   [65, 38, 105, 160, 51, 52, 31, 115, 128],
+   [104, 79, 12, 27, 217, 255, 87, 17, 7],
+   [87, 68, 71, 44, 114, 51, 15, 186, 23],
+   [47, 41, 14, 110, 182, 183, 21, 17, 194],
+   [66, 45, 25, 102, 197, 189, 23, 18, 22]],
+  [[88, 88, 147, 150, 42, 46, 45, 196, 205],
+   [43, 97, 183, 117, 85, 38, 35, 179, 61],
+   [39, 53, 200, 87, 26, 21, 43, 232, 171],
+   [56, 34, 51, 104, 114, 102, 29, 93, 77],
+   [39, 28, 85, 171, 58, 165, 90, 98, 64],
+   [34, 22, 116, 206, 23, 34, 43, 166, 73],
+   [107, 54, 32, 26, 51, 1, 81, 43, 31],
+   [68, 25, 106, 22, 64, 171, 36, 225, 114],
+   [34, 19, 21, 102, 132, 188, 16, 76, 124],
+   [62, 18, 78, 95, 85, 57, 50, 48, 51]],
+  [[193, 101, 35, 159, 215, 111, 89, 46, 111],
+   [60, 148, 31, 172, 219, 228, 21, 18, 111],
+   [112, 113, 77, 85, 179, 255, 38, 120, 114],
+   [40, 42, 1, 196, 245, 209, 10, 25, 109],
+   [88, 43, 29, 140, 166, 213, 37, 43, 154],
+   [61, 63, 30, 155, 67, 45, 68, 1, 209],
+   [100, 80, 8, 43, 154, 1, 51, 26, 71],
+   [142, 78, 78, 16, 255, 128, 34, 197, 171],
+   [41, 40, 5, 102, 211, 183, 4, 1, 221],
+   [51, 50, 17, 168, 209, 192, 23, 25, 82]],
+  [[138, 31, 36, 171, 27, 166, 38, 44, 229],
+   [67, 87, 58, 169, 82, 115, 26, 59, 179],
+   [63, 59, 90, 180, 59, 166, 93, 73, 154],
+   [40, 40, 21, 116, 143, 209, 34, 39, 175],
+   [47, 15, 16, 183, 34, 223, 49, 45, 183],
+   [46, 17, 33, 183, 6, 98, 15, 32, 183],
+   [57, 46, 22, 24, 128, 1, 54, 17, 37],
+   [65, 32, 73, 115, 28, 128, 23, 128, 205],
+   [40, 3, 9, 115, 51, 192, 18, 6, 223],
+   [87, 37, 9, 115, 59, 77, 64, 21, 47]],
+  [[104, 55, 44, 218, 9, 54, 53, 130, 226],
+   [64, 90, 70, 205, 40, 41, 23, 26, 57],
+   [54, 57, 112, 184, 5, 41, 38, 166, 213],
+   [30, 34, 26, 133, 152, 116, 10, 32, 134],
+   [39, 19, 53, 221, 26, 114, 32, 73, 255],
+   [31, 9, 65, 234, 2, 15, 1, 118, 73],
+   [75, 32, 12, 51, 192, 255, 160, 43, 51],
+   [88, 31, 35, 67, 102, 85, 55, 186, 85],
+   [56, 21, 23, 111, 59, 205, 45, 37, 192],
+   [55, 38, 70, 124, 73, 102, 1, 34, 98]],
+  [[125, 98, 42, 88, 104, 85, 117, 175, 82],
+   [95, 84, 53, 89, 128, 100, 113, 101, 45],
+   [75, 79, 123, 47, 51, 128, 81, 171, 1],
+   [57, 17, 5, 71, 102, 57, 53, 41, 49],
+   [38, 33, 13, 121, 57, 73, 26, 1, 85],
+   [41, 10, 67, 138, 77, 110, 90, 47, 114],
+   [115, 21, 2, 10, 102, 255, 166, 23, 6],
+   [101, 29, 16, 10, 85, 128, 101, 196, 26],
+   [57, 18, 10, 102, 102, 213, 34, 20, 43],
+   [117, 20, 15, 36, 163, 128, 68, 1, 26]],
+  [[102, 61, 71, 37, 34, 53, 31, 243, 192],
+   [69, 60, 71, 38, 73, 119, 28, 222, 37],
+   [68, 45, 128, 34, 1, 47, 11, 245, 171],
+   [62, 17, 19, 70, 146, 85, 55, 62, 70],
+   [37, 43, 37, 154, 100, 163, 85, 160, 1],
+   [63, 9, 92, 136, 28, 64, 32, 201, 85],
+   [75, 15, 9, 9, 64, 255, 184, 119, 16],
+   [86, 6, 28, 5, 64, 255, 25, 248, 1],
+   [56, 8, 17, 132, 137, 255, 55, 116, 128],
+   [58, 15, 20, 82, 135, 57, 26, 121, 40]],
+  [[164, 50, 31, 137, 154, 133, 25, 35, 218],
+   [51, 103, 44, 131, 131, 123, 31, 6, 158],
+   [86, 40, 64, 135, 148, 224, 45, 183, 128],
+   [22, 26, 17, 131, 240, 154, 14, 1, 209],
+   [45, 16, 21, 91, 64, 222, 7, 1, 197],
+   [56, 21, 39, 155, 60, 138, 23, 102, 213],
+   [83, 12, 13, 54, 192, 255, 68, 47, 28],
+   [85, 26, 85, 85, 128, 128, 32, 146, 171],
+   [18, 11, 7, 63, 144, 171, 4, 4, 246],
+   [35, 27, 10, 146, 174, 171, 12, 26, 128]],
+  [[190, 80, 35, 99, 180, 80, 126, 54, 45],
+   [85, 126, 47, 87, 176, 51, 41, 20, 32],
+   [101, 75, 128, 139, 118, 146, 116, 128, 85],
+   [56, 41, 15, 176, 236, 85, 37, 9, 62],
+   [71, 30, 17, 119, 118, 255, 17, 18, 138],
+   [101, 38, 60, 138, 55, 70, 43, 26, 142],
+   [146, 36, 19, 30, 171, 255, 97, 27, 20],
+   [138, 45, 61, 62, 219, 1, 81, 188, 64],
+   [32, 41, 20, 117, 151, 142, 20, 21, 163],
+   [112, 19, 12, 61, 195, 128, 48, 4, 24]]
+];
+
+const DEFAULT_COEFF_PROBS = Uint8Array.from(COEFF_PROBS.flat(3));
+const FLAT_UPDATE_PROBS = Uint8Array.from(COEFF_UPDATE_PROBS.flat(3));
+
+// Bits spent on a value of the given probability, in 1/256
+const BIT_COSTS = Float64Array.from({ length: 256 }, (_, p) => (p === 0 ? 8 : -Math.log2(p / 256)));
+
+const KF_YMODE_CODES = treeCodes(KF_YMODE_TREE);
+const UV_MODE_CODES = treeCodes(UV_MODE_TREE);
+const BMODE_CODES = treeCodes(BMODE_TREE);
+const SEGMENT_CODES = treeCodes(SEGMENT_TREE);
+
+const YMODE_COSTS = KF_YMODE_CODES.map(code => treeCost(code, KF_YMODE_PROBS));
+const UV_MODE_COSTS = UV_MODE_CODES.map(code => treeCost(code, KF_UV_MODE_PROBS));
+const BMODE_COSTS = Float64Array.from(
+  { length: NUM_BMODES ** 3 },
+  (_, i) => treeCost(BMODE_CODES[i % NUM_BMODES], BMODE_PROBS[Math.floor(i / NUM_BMODES ** 2)][Math.floor(i / NUM_BMODES) % NUM_BMODES])
+);
+
+// Residuals of skipped macroblocks are not coded, but still update the contexts
+const NULL_CODER = { coded() {}, fixed() {} };
+
+class VP8Encoder {
+  constructor(options, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+  }
+
+  // Returns the 'VP8 ' chunk payload of a single key frame
+  encode(imageData, params = {}) {
+    const { width, height } = imageData;
+    if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+      throw new ValidationError(`VP8 images are at most ${MAX_DIMENSION} pixels wide and high`, { width, height });
+    }
+    
+    const frame = this.createFrame(imageData);
+    const segmentation = this.analyzeSegments(frame, params);
+    const macroblocks = this.encodeMacroblocks(frame, segmentation);
+    const tokenProbs = this.optimizeTokenProbabilities(frame, macroblocks);
+    const partitionBits = clamp(Math.round(params.partitions ?? 0), 0, 3);
+    
+    const firstPartition = this.writeFirstPartition(frame, segmentation, macroblocks, tokenProbs, params, partitionBits);
+    if (firstPartition.length > MAX_FIRST_PARTITION_SIZE) {
+      throw new CompressionError('VP8 mode partition exceeds 512 KB', 'webp', { size: firstPartition.length });
+    }
+    const tokenPartitions = this.writeTokenPartitions(frame, macroblocks, tokenProbs.probs, 1 << partitionBits);
+    
+    // Frame tag, start code and dimensions, the first partition, then the sizes of all token partitions but the last
+    const sizesLength = (tokenPartitions.length - 1) * 3;
+    const total = tokenPartitions.reduce((sum, partition) => sum + partition.length, 10 + firstPartition.length + sizesLength);
+    const output = new Uint8Array(total);
+    const tag = (firstPartition.length << 5) | 0x10; // Key frame, version 0, shown
+    output[0] = tag & 0xFF;
+    output[1] = (tag >> 8) & 0xFF;
+    output[2] = (tag >> 16) & 0xFF;
+    output.set([0x9D, 0x01, 0x2A], 3);
+    output[6] = width & 0xFF;
+    output[7] = width >> 8;
+    output[8] = height & 0xFF;
+    output[9] = height >> 8;
+    output.set(firstPartition, 10);
+    
+    let offset = 10 + firstPartition.length;
+    for (const partition of tokenPartitions.slice(0, -1)) {
+      output[offset++] = partition.length & 0xFF;
+      output[offset++] = (partition.length >> 8) & 0xFF;
+      output[offset++] = partition.length >> 16;
+    }
+    for (const partition of tokenPartitions) {
+      output.set(partition, offset);
+      offset += partition.length;
+    }
+    
+    this.logger.debug('VP8 bitstream encoded', {
+      dimensions: `${width}x${height}`,
+      segments: segmentation.count,
+      quantizers: segmentation.quantizers.map(quant => quant.index),
+      filterLevels: segmentation.filterLevels
+    });
+    
+    return output;
+  }
+
+  // Y'CbCr planes padded to whole macroblocks by repeating the last row and column, converted with the
+  // BT.601 coefficients libwebp uses, and the planes the decoder will reconstruct
+  createFrame(imageData) {
+    const { data, width, height } = imageData;
+    const mbWidth = Math.ceil(width / 16);
+    const mbHeight = Math.ceil(height / 16);
+    const yStride = mbWidth * 16;
+    const uvStride = mbWidth * 8;
+    const y = new Uint8Array(yStride * mbHeight * 16);
+    const u = new Uint8Array(uvStride * mbHeight * 8);
+    const v = new Uint8Array(uvStride * mbHeight * 8);
+    
+    for (let row = 0; row < mbHeight * 16; row++) {
+      const source = Math.min(row, height - 1) * width;
+      for (let col = 0; col < yStride; col++) {
+        const i = (source + Math.min(col, width - 1)) * 4;
+        y[row * yStride + col] = (16839 * data[i] + 33059 * data[i + 1] + 6420 * data[i + 2] + 0x108000) >> 16;
+      }
+    }
+    
+    // Chroma from the sums of 2x2 pixels
+    for (let row = 0; row < mbHeight * 8; row++) {
+      for (let col = 0; col < uvStride; col++) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        for (let dy = 0; dy < 2; dy++) {
+          const source = Math.min(row * 2 + dy, height - 1) * width;
+          for (let dx = 0; dx < 2; dx++) {
+            const i = (source + Math.min(col * 2 + dx, width - 1)) * 4;
+            r += data[i];
+            g += data[i + 1];
+            b += data[i + 2];
+          }
+        }
+        u[row * uvStride + col] = clamp255((-9719 * r - 19081 * g + 28800 * b + 0x2020000) >> 18);
+        v[row * uvStride + col] = clamp255((28800 * r - 24116 * g - 4684 * b + 0x2020000) >> 18);
+      }
+    }
+    
+    return {
+      width,
+      height,
+      mbWidth,
+      mbHeight,
+      yStride,
+      uvStride,
+      y,
+      u,
+      v,
+      recY: new Uint8Array(y.length),
+      recU: new Uint8Array(u.length),
+      recV: new Uint8Array(v.length)
+    };
+  }
+
+  // Macroblocks are clustered on flatness. Flat segments, where artifacts show most, get finer quantizers than busy
+  // ones, spread in proportion to snsStrength, and loop filter levels that follow the quantizer, scaled by
+  // filterStrength and lowered for flat segments
+  analyzeSegments(frame, params) {
+    const { y, yStride, mbWidth, mbHeight } = frame;
+    const count = clamp(Math.round(params.segments ?? NUM_SEGMENTS), 1, NUM_SEGMENTS);
+    const sns = clamp(params.snsStrength ?? 50, 0, 100);
+    const filterStrength = clamp(params.filterStrength ?? 60, 0, 100);
+    const compression = qualityToCompression(clamp(params.quality ?? 0.8, 0, 1));
+    
+    const flatness = new Uint8Array(mbWidth * mbHeight);
+    const histogram = new Uint32Array(256);
+    const block = new Int32Array(16);
+    const coeffs = new Int32Array(16);
+    
+    for (let mbY = 0, mb = 0; mbY < mbHeight; mbY++) {
+      for (let mbX = 0; mbX < mbWidth; mbX++, mb++) {
+        let activity = 0;
+        for (let b = 0; b < 16; b++) {
+          const origin = (mbY * 16 + (b >> 2) * 4) * yStride + mbX * 16 + (b & 3) * 4;
+          for (let i = 0; i < 16; i++) {
+            block[i] = y[origin + (i >> 2) * yStride + (i & 3)];
+          }
+          fdct(block, coeffs, 0);
+          for (let i = 1; i < 16; i++) {
+            activity += Math.abs(coeffs[i]);
+          }
+        }
+        flatness[mb] = clamp(Math.round(255 - 32 * Math.log2(1 + activity / 256)), 0, 255);
+        histogram[flatness[mb]]++;
+      }
+    }
+    
+    let min = 255;
+    let max = 0;
+    let sum = 0;
+    for (let value = 0; value < 256; value++) {
+      if (histogram[value] === 0) continue;
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+      sum += value * histogram[value];
+    }
+    const mid = sum / flatness.length;
+    const range = Math.max(1, max - min);
+    
+    // One-dimensional k-means over the histogram, centers starting evenly spread
+    const centers = Array.from({ length: count }, (_, n) => min + ((2 * n + 1) * (max - min)) / (2 * count));
+    const assignment = new Uint8Array(256);
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+      const sums = new Float64Array(count);
+      const sizes = new Float64Array(count);
+      for (let value = min; value <= max; value++) {
+        let nearest = 0;
+        for (let n = 1; n < count; n++) {
+          if (Math.abs(value - centers[n]) < Math.abs(value - centers[nearest])) nearest = n;
+        }
+        assignment[value] = nearest;
+        sums[nearest] += value * histogram[value];
+        sizes[nearest] += histogram[value];
+      }
+      for (let n = 0; n < count; n++) {
+        if (sizes[n] > 0) centers[n] = sums[n] / sizes[n];
+      }
+    }
+    
+    const map = flatness.map(value => assignment[value]);
+    const amplitude = (SNS_TO_DQ * sns) / 100 / 128;
+    const quantizers = [];
+    const filterLevels = [];
+    
+    for (let n = 0; n < NUM_SEGMENTS; n++) {
+      const center = centers[Math.min(n, count - 1)];
+      const alpha = clamp((255 * (center - mid)) / range, -127, 127);
+      const beta = clamp((255 * (center - min)) / range, 0, 255);
+      const index = clamp(Math.round(127 * (1 - compression ** (1 - amplitude * alpha))), 0, 127);
+      const level = Math.floor(((AC_TABLE[index] >> 2) * 5 * filterStrength) / (256 + beta));
+      
+      quantizers.push(this.buildQuantizer(index));
+      filterLevels.push(level < MIN_FILTER_LEVEL ? 0 : Math.min(63, level));
+    }
+    
+    return { count, enabled: count > 1, map, quantizers, filterLevels };
+  }
+
+  // Dequantization factors exactly as the decoder derives them from a quantizer index
+  buildQuantizer(index) {
+    const ac = AC_TABLE[index];
+    return {
+      index,
+      y1: [DC_TABLE[index], ac],
+      y2: [DC_TABLE[index] * 2, Math.max(8, Math.floor((ac * 155) / 100))],
+      uv: [DC_TABLE[Math.min(index, 117)], ac],
+      lambda: ac * ac * LAMBDA_SCALE
+    };
+  }
+
+  // Modes and coefficient levels of every macroblock, reconstructing each one as the decoder will so that later
+  // predictions start from the same pixels
+  encodeMacroblocks(frame, segmentation) {
+    const { mbWidth, mbHeight } = frame;
+    const macroblocks = new Array(mbWidth * mbHeight);
+    const scratch = createScratch();
+    const context = {
+      topModes: new Uint8Array(mbWidth * 4),
+      leftModes: new Uint8Array(4),
+      topNz: new Uint8Array(mbWidth * NZ_CONTEXTS),
+      leftNz: new Uint8Array(NZ_CONTEXTS)
+    };
+    
+    for (let mbY = 0, mb = 0; mbY < mbHeight; mbY++) {
+      context.leftModes.fill(B_DC_PRED);
+      context.leftNz.fill(0);
+      
+      for (let mbX = 0; mbX < mbWidth; mbX++, mb++) {
+        const segment = segmentation.map[mb];
+        macroblocks[mb] = this.encodeMacroblock(frame, scratch, context, mbX, mbY, segment, segmentation.quantizers[segment]);
+      }
+    }
+    
+    return macroblocks;
+  }
+
+  // Rate-distortion choice between the best 16x16 mode and the best sixteen 4x4 modes, then the chroma mode
+  encodeMacroblock(frame, scratch, context, mbX, mbY, segment, quant) {
+    const { recY, recU, recV, yStride, uvStride } = frame;
+    this.loadMacroblock(frame, scratch, mbX, mbY);
+    
+    const luma16 = this.pickLuma16(scratch, context, mbX, quant);
+    const luma4 = this.pickLuma4(scratch, context, mbX, quant, luma16.score);
+    const chroma = this.pickChroma(scratch, context, mbX, quant);
+    
+    const levels = new Int16Array(NUM_LEVELS);
+    const yOrigin = mbY * 16 * yStride + mbX * 16;
+    if (luma4) {
+      levels.set(scratch.levels4.subarray(0, U_OFFSET));
+      for (let row = 0; row < 16; row++) {
+        const start = (row + 1) * WORK_STRIDE + 1;
+        recY.set(scratch.work.subarray(start, start + 16), yOrigin + row * yStride);
+      }
+    } else {
+      levels.set(luma16.levels.subarray(0, U_OFFSET));
+      levels.set(luma16.levels.subarray(Y2_OFFSET), Y2_OFFSET);
+      for (let row = 0; row < 16; row++) {
+        recY.set(luma16.recon.subarray(row * 16, row * 16 + 16), yOrigin + row * yStride);
+      }
+    }
+    
+    levels.set(chroma.levels.subarray(U_OFFSET, Y2_OFFSET), U_OFFSET);
+    const uvOrigin = mbY * 8 * uvStride + mbX * 8;
+    for (let row = 0; row < 8; row++) {
+      recU.set(chroma.recon.subarray(row * 8, row * 8 + 8), uvOrigin + row * uvStride);
+      recV.set(chroma.recon.subarray(64 + row * 8, 64 + row * 8 + 8), uvOrigin + row * uvStride);
+    }
+    
+    const macroblock = {
+      segment,
+      yMode: luma4 ? B_PRED : luma16.mode,
+      bModes: luma4 ? Uint8Array.from(scratch.bModes) : null,
+      uvMode: chroma.mode,
+      levels,
+      skip: levels.every(level => level === 0)
+    };
+    
+    this.codeResiduals(macroblock, NULL_CODER, context.topNz.subarray(mbX * NZ_CONTEXTS, (mbX + 1) * NZ_CONTEXTS), context.leftNz);
+    for (let i = 0; i < 4; i++) {
+      context.topModes[mbX * 4 + i] = luma4 ? scratch.bModes[12 + i] : MB_TO_BMODE[luma16.mode];
+      context.leftModes[i] = luma4 ? scratch.bModes[i * 4 + 3] : MB_TO_BMODE[luma16.mode];
+    }
+    
+    return macroblock;
+  }
+
+  // Source pixels of the macroblock and the reconstructed edges around it, with the values the decoder substitutes
+  // outside the frame: 127 above and 129 on the left
+  loadMacroblock(frame, scratch, mbX, mbY) {
+    const { y, u, v, recY, recU, recV, yStride, uvStride, mbWidth } = frame;
+    const { srcY, srcU, srcV, edgeY, work } = scratch;
+    const hasTop = mbY > 0;
+    const hasLeft = mbX > 0;
+    const yOrigin = mbY * 16 * yStride + mbX * 16;
+    const uvOrigin = mbY * 8 * uvStride + mbX * 8;
+    
+    scratch.hasTop = hasTop;
+    scratch.hasLeft = hasLeft;
+    for (let row = 0; row < 16; row++) {
+      srcY.set(y.subarray(yOrigin + row * yStride, yOrigin + row * yStride + 16), row * 16);
+    }
+    for (let row = 0; row < 8; row++) {
+      srcU.set(u.subarray(uvOrigin + row * uvStride, uvOrigin + row * uvStride + 8), row * 8);
+      srcV.set(v.subarray(uvOrigin + row * uvStride, uvOrigin + row * uvStride + 8), row * 8);
+    }
+    
+    loadEdges(edgeY, recY, yStride, yOrigin, 16, hasTop, hasLeft);
+    loadEdges(scratch.edgeU, recU, uvStride, uvOrigin, 8, hasTop, hasLeft);
+    loadEdges(scratch.edgeV, recV, uvStride, uvOrigin, 8, hasTop, hasLeft);
+    
+    // Sub-blocks on the right edge read the four pixels above and to the right of the macroblock, in every row
+    work[0] = edgeY[0];
+    for (let i = 0; i < 16; i++) {
+      work[1 + i] = edgeY[1 + i];
+      work[(i + 1) * WORK_STRIDE] = edgeY[17 + i];
+    }
+    const above = yOrigin - yStride;
+    for (let i = 0; i < 4; i++) {
+      const value = !hasTop ? 127 : mbX < mbWidth - 1 ? recY[above + 16 + i] : recY[above + 15];
+      for (let row = 0; row < 16; row += 4) {
+        work[row * WORK_STRIDE + 17 + i] = value;
+      }
+    }
+  }
+
+  // Best 16x16 luma mode; the DC coefficients of its blocks go through the second-order Walsh-Hadamard block
+  pickLuma16(scratch, context, mbX, quant) {
+    const { srcY, pred, block, coeffs, dcs, y2, dequant, dcRecon, costCoder, nzTop, nzLeft } = scratch;
+    let best = null;
+    
+    for (let mode = DC_PRED; mode <= TM_PRED; mode++) {
+      const candidate = scratch.luma16[best === scratch.luma16[0] ? 1 : 0];
+      const { levels, recon } = candidate;
+      predictBlock(pred, 16, mode, scratch.edgeY, scratch.hasTop, scratch.hasLeft);
+      
+      for (let b = 0; b < 16; b++) {
+        const origin = (b >> 2) * 64 + (b & 3) * 4;
+        for (let i = 0; i < 16; i++) {
+          const p = origin + (i >> 2) * 16 + (i & 3);
+          block[i] = srcY[p] - pred[p];
+        }
+        fdct(block, coeffs, b * 16);
+        dcs[b] = coeffs[b * 16];
+      }
+      
+      fwht(dcs, y2);
+      quantize(y2, 0, levels, Y2_OFFSET, dequant, quant.y2, 0);
+      iwht(dequant, dcRecon);
+      
+      for (let b = 0; b < 16; b++) {
+        const origin = (b >> 2) * 64 + (b & 3) * 4;
+        quantize(coeffs, b * 16, levels, b * 16, dequant, quant.y1, 1);
+        levels[b * 16] = 0;
+        dequant[0] = dcRecon[b];
+        idctAdd(dequant, pred, origin, 16, recon, origin, 16);
+      }
+      
+      nzTop.set(context.topNz.subarray(mbX * NZ_CONTEXTS, (mbX + 1) * NZ_CONTEXTS));
+      nzLeft.set(context.leftNz);
+      costCoder.bits = 0;
+      this.codeLuma(levels, false, costCoder, nzTop, nzLeft);
+      
+      const score = squaredError(srcY, recon) + quant.lambda * (costCoder.bits + YMODE_COSTS[mode]);
+      if (!best || score < best.score) {
+        candidate.mode = mode;
+        candidate.score = score;
+        best = candidate;
+      }
+    }
+    
+    return best;
+  }
+
+  // Best mode of every 4x4 sub-block in raster order, each predicted from the reconstruction of the ones before.
+  // Gives up, returning null, once the running score reaches limit
+  pickLuma4(scratch, context, mbX, quant, limit) {
+    const { srcY, work, edge4, pred4, recon4, bestRecon4, block, coeffs, dequant, levels4, candidate4, best4 } = scratch;
+    const { bModes, topModes, leftModes, costCoder, nzTop, nzLeft } = scratch;
+    let score = quant.lambda * YMODE_COSTS[B_PRED];
+    
+    nzTop.set(context.topNz.subarray(mbX * NZ_CONTEXTS, (mbX + 1) * NZ_CONTEXTS));
+    nzLeft.set(context.leftNz);
+    topModes.set(context.topModes.subarray(mbX * 4, mbX * 4 + 4));
+    leftModes.set(context.leftModes);
+    
+    for (let b = 0; b < 16 && score < limit; b++) {
+      const x = b & 3;
+      const y = b >> 2;
+      const origin = y * 4 * WORK_STRIDE + x * 4;
+      const source = y * 64 + x * 4;
+      const modeCosts = (topModes[x] * NUM_BMODES + leftModes[y]) * NUM_BMODES;
+      const ctx = nzTop[x] + nzLeft[y];
+      
+      // Edge in the specification's order: left column bottom-up, top-left, then 8 pixels above
+      edge4[4] = work[origin];
+      for (let i = 0; i < 8; i++) {
+        edge4[5 + i] = work[origin + 1 + i];
+      }
+      for (let i = 0; i < 4; i++) {
+        edge4[3 - i] = work[origin + (i + 1) * WORK_STRIDE];
+      }
+      
+      let bestScore = Infinity;
+      let bestMode = B_DC_PRED;
+      let bestNz = 0;
+      
+      for (let mode = 0; mode < NUM_BMODES; mode++) {
+        predict4(pred4, mode, edge4);
+        for (let i = 0; i < 16; i++) {
+          block[i] = srcY[source + (i >> 2) * 16 + (i & 3)] - pred4[i];
+        }
+        fdct(block, coeffs, 0);
+        quantize(coeffs, 0, candidate4, 0, dequant, quant.y1, 0);
+        idctAdd(dequant, pred4, 0, 4, recon4, 0, 4);
+        
+        let distortion = 0;
+        for (let i = 0; i < 16; i++) {
+          const diff = srcY[source + (i >> 2) * 16 + (i & 3)] - recon4[i];
+          distortion += diff * diff;
+        }
+        costCoder.bits = 0;
+        const nz = this.codeBlock(candidate4, 0, 0, TYPE_I4, ctx, costCoder);
+        
+        const candidateScore = distortion + quant.lambda * (costCoder.bits + BMODE_COSTS[modeCosts + mode]);
+        if (candidateScore < bestScore) {
+          bestScore = candidateScore;
+          bestMode = mode;
+          bestNz = nz;
+          best4.set(candidate4);
+          bestRecon4.set(recon4);
+        }
+      }
+      
+      score += bestScore;
+      bModes[b] = topModes[x] = leftModes[y] = bestMode;
+      nzTop[x] = nzLeft[y] = bestNz;
+      levels4.set(best4, b * 16);
+      for (let i = 0; i < 16; i++) {
+        work[origin + ((i >> 2) + 1) * WORK_STRIDE + 1 + (i & 3)] = bestRecon4[i];
+      }
+    }
+    
+    return score < limit ? { score } : null;
+  }
+
+  // Best chroma mode, shared by U and V
+  pickChroma(scratch, context, mbX, quant) {
+    const { predUV, block, coeffs, dequant, costCoder, nzTop, nzLeft } = scratch;
+    let best = null;
+    
+    for (let mode = DC_PRED; mode <= TM_PRED; mode++) {
+      const candidate = scratch.chroma[best === scratch.chroma[0] ? 1 : 0];
+      const { levels, recon } = candidate;
+      let distortion = 0;
+      
+      for (let plane = 0; plane < 2; plane++) {
+        const src = plane ? scratch.srcV : scratch.srcU;
+        predictBlock(predUV, 8, mode, plane ? scratch.edgeV : scratch.edgeU, scratch.hasTop, scratch.hasLeft);
+        
+        for (let k = 0; k < 4; k++) {
+          const origin = (k >> 1) * 32 + (k & 1) * 4;
+          for (let i = 0; i < 16; i++) {
+            const p = origin + (i >> 2) * 8 + (i & 3);
+            block[i] = src[p] - predUV[p];
+          }
+          fdct(block, coeffs, 0);
+          quantize(coeffs, 0, levels, (plane ? V_OFFSET : U_OFFSET) + k * 16, dequant, quant.uv, 0);
+          idctAdd(dequant, predUV, origin, 8, recon, plane * 64 + origin, 8);
+        }
+        
+        for (let i = 0; i < 64; i++) {
+          const diff = src[i] - recon[plane * 64 + i];
+          distortion += diff * diff;
+        }
+      }
+      
+      nzTop.set(context.topNz.subarray(mbX * NZ_CONTEXTS, (mbX + 1) * NZ_CONTEXTS));
+      nzLeft.set(context.leftNz);
+      costCoder.bits = 0;
+      this.codeChroma(levels, costCoder, nzTop, nzLeft);
+      
+      const score = distortion + quant.lambda * (costCoder.bits + UV_MODE_COSTS[mode]);
+      if (!best || score < best.score) {
+        candidate.mode = mode;
+        candidate.score = score;
+        best = candidate;
+      }
+    }
+    
+    return best;
+  }
+
+  codeResiduals(macroblock, coder, top, left) {
+    this.codeLuma(macroblock.levels, macroblock.yMode === B_PRED, coder, top, left);
+    this.codeChroma(macroblock.levels, coder, top, left);
+  }
+
+  // Blocks in bitstream order; each one's context is the number of its top and left neighbours with coefficients
+  codeLuma(levels, i4, coder, top, left) {
+    let first = 0;
+    let type = TYPE_I4;
+    
+    if (!i4) {
+      top[8] = left[8] = this.codeBlock(levels, Y2_OFFSET, 0, TYPE_Y2, top[8] + left[8], coder);
+      first = 1;
+      type = TYPE_I16_AC;
+    }
+    
+    for (let y = 0; y < 4; y++) {
+      for (let x = 0; x < 4; x++) {
+        top[x] = left[y] = this.codeBlock(levels, (y * 4 + x) * 16, first, type, top[x] + left[y], coder);
+      }
+    }
+  }
+
+  codeChroma(levels, coder, top, left) {
+    for (let plane = 0; plane < 2; plane++) {
+      const nz = 4 + plane * 2;
+      const offset = plane ? V_OFFSET : U_OFFSET;
+      for (let y = 0; y < 2; y++) {
+        for (let x = 0; x < 2; x++) {
+          top[nz + x] = left[nz + y] = this.codeBlock(levels, offset + (y * 2 + x) * 16, 0, TYPE_CHROMA, top[nz + x] + left[nz + y], coder);
+        }
+      }
+    }
+  }
+
+  // Tokens of one block in zigzag order. Adaptive probabilities go to the coder by index into the flattened
+  // [type][band][context][node] table; returns 1 when the block has coefficients
+  codeBlock(levels, offset, first, type, ctx, coder) {
+    let last = -1;
+    for (let n = 15; n >= first; n--) {
+      if (levels[offset + ZIGZAG[n]] !== 0) {
+        last = n;
+        break;
+      }
+    }
+    
+    let index = probaIndex(type, first, ctx);
+    coder.coded(last < 0 ? 0 : 1, index);
+    if (last < 0) return 0;
+    
+    for (let n = first; n <= last; n++) {
+      const value = levels[offset + ZIGZAG[n]];
+      
+      // No end-of-block branch follows a zero
+      if (value === 0) {
+        coder.coded(0, index + 1);
+        index = probaIndex(type, n + 1, 0);
+        continue;
+      }
+      
+      const abs = Math.abs(value);
+      coder.coded(1, index + 1);
+      this.codeLevel(abs, index, coder);
+      coder.fixed(value < 0 ? 1 : 0, 128);
+      
+      if (n < 15) {
+        index = probaIndex(type, n + 1, abs === 1 ? 1 : 2);
+        coder.coded(n < last ? 1 : 0, index);
+      }
+    }
+    
+    return 1;
+  }
+
+  // Token tree below the zero branch, then the extra bits of the DCT_CAT tokens
+  codeLevel(abs, index, coder) {
+    if (abs === 1) {
+      coder.coded(0, index + 2);
+      return;
+    }
+    coder.coded(1, index + 2);
+    
+    if (abs <= 4) {
+      coder.coded(0, index + 3);
+      if (abs === 2) {
+        coder.coded(0, index + 4);
+      } else {
+        coder.coded(1, index + 4);
+        coder.coded(abs === 4 ? 1 : 0, index + 5);
+      }
+    } else if (abs <= 10) {
+      coder.coded(1, index + 3);
+      coder.coded(0, index + 6);
+      if (abs <= 6) {
+        coder.coded(0, index + 7);
+        coder.fixed(abs - 5, 159);
+      } else {
+        coder.coded(1, index + 7);
+        coder.fixed((abs - 7) >> 1, 165);
+        coder.fixed((abs - 7) & 1, 145);
+      }
+    } else {
+      const category = abs <= 18 ? 0 : abs <= 34 ? 1 : abs <= 66 ? 2 : 3;
+      const extra = abs - (3 + (8 << category));
+      const probs = CATEGORY_PROBS[category];
+      
+      coder.coded(1, index + 3);
+      coder.coded(1, index + 6);
+      coder.coded(category >> 1, index + 8);
+      coder.coded(category & 1, index + 9 + (category >> 1));
+      for (let i = 0; i < probs.length; i++) {
+        coder.fixed((extra >> (probs.length - 1 - i)) & 1, probs[i]);
+      }
+    }
+  }
+
+  // Residuals of every macroblock with the coder for its row, tracking the contexts as the decoder does
+  codeTokens(frame, macroblocks, coderForRow) {
+    const top = new Uint8Array(frame.mbWidth * NZ_CONTEXTS);
+    const left = new Uint8Array(NZ_CONTEXTS);
+    
+    for (let mbY = 0, mb = 0; mbY < frame.mbHeight; mbY++) {
+      const coder = coderForRow(mbY);
+      left.fill(0);
+      
+      for (let mbX = 0; mbX < frame.mbWidth; mbX++, mb++) {
+        const macroblock = macroblocks[mb];
+        this.codeResiduals(macroblock, macroblock.skip ? NULL_CODER : coder, top.subarray(mbX * NZ_CONTEXTS, (mbX + 1) * NZ_CONTEXTS), left);
+      }
+    }
+  }
+
+  // Token probabilities from this frame's statistics, where the saving pays for the update
+  optimizeTokenProbabilities(frame, macroblocks) {
+    const counts = new Uint32Array(DEFAULT_COEFF_PROBS.length * 2);
+    const statistics = {
+      coded(bit, index) {
+        counts[index * 2 + bit]++;
+      },
+      fixed() {}
+    };
+    this.codeTokens(frame, macroblocks, () => statistics);
+    
+    const probs = Uint8Array.from(DEFAULT_COEFF_PROBS);
+    const updated = new Uint8Array(probs.length);
+    
+    for (let i = 0; i < probs.length; i++) {
+      const zeros = counts[i * 2];
+      const ones = counts[i * 2 + 1];
+      if (zeros + ones === 0) continue;
+      
+      const prob = probability(zeros, ones);
+      const keep = zeros * bitCost(0, probs[i]) + ones * bitCost(1, probs[i]) + bitCost(0, FLAT_UPDATE_PROBS[i]);
+      const update = zeros * bitCost(0, prob) + ones * bitCost(1, prob) + bitCost(1, FLAT_UPDATE_PROBS[i]) + 8;
+      if (update < keep) {
+        probs[i] = prob;
+        updated[i] = 1;
+      }
+    }
+    
+    return { probs, updated };
+  }
+
+  // Frame header and the per-macroblock segment, skip flag and modes
+  writeFirstPartition(frame, segmentation, macroblocks, tokenProbs, params, partitionBits) {
+    const encoder = new BoolEncoder(macroblocks.length * 4);
+    const { quantizers, filterLevels } = segmentation;
+    
+    encoder.putBits(0, 1); // Color space
+    encoder.putBits(0, 1); // Clamping required
+    
+    const segmentCounts = [0, 0, 0, 0];
+    macroblocks.forEach(macroblock => segmentCounts[macroblock.segment]++);
+    const segmentProbs = [
+      probability(segmentCounts[0] + segmentCounts[1], segmentCounts[2] + segmentCounts[3]),
+      probability(segmentCounts[0], segmentCounts[1]),
+      probability(segmentCounts[2], segmentCounts[3])
+    ];
+    
+    // Segment map, with absolute quantizer indices and filter levels
+    encoder.putBits(segmentation.enabled ? 1 : 0, 1);
+    if (segmentation.enabled) {
+      encoder.putBits(0b111, 3); // Update map, update data, absolute values
+      for (const quant of quantizers) {
+        encoder.putBits(1, 1);
+        encoder.putSigned(quant.index, 7);
+      }
+      for (const level of filterLevels) {
+        encoder.putBits(1, 1);
+        encoder.putSigned(level, 6);
+      }
+      for (const prob of segmentProbs) {
+        encoder.putBits(1, 1);
+        encoder.putBits(prob, 8);
+      }
+    }
+    
+    encoder.putBits(params.filterType === 0 ? 1 : 0, 1); // Simple filter
+    encoder.putBits(filterLevels[0], 6);
+    encoder.putBits(clamp(Math.round(params.filterSharpness ?? 0), 0, 7), 3);
+    encoder.putBits(0, 1); // No per-mode filter adjustments
+    encoder.putBits(partitionBits, 2);
+    encoder.putBits(quantizers[0].index, 7);
+    encoder.putBits(0, 5); // No quantizer deltas
+    encoder.putBits(0, 1); // Probabilities are not kept for later frames
+    
+    for (let i = 0; i < tokenProbs.probs.length; i++) {
+      encoder.putBit(tokenProbs.updated[i], FLAT_UPDATE_PROBS[i]);
+      if (tokenProbs.updated[i]) {
+        encoder.putBits(tokenProbs.probs[i], 8);
+      }
+    }
+    
+    const skipped = macroblocks.filter(macroblock => macroblock.skip).length;
+    const skipProb = probability(macroblocks.length - skipped, skipped);
+    encoder.putBits(1, 1);
+    encoder.putBits(skipProb, 8);
+    
+    const topModes = new Uint8Array(frame.mbWidth * 4);
+    const leftModes = new Uint8Array(4);
+    
+    for (let mbY = 0, mb = 0; mbY < frame.mbHeight; mbY++) {
+      leftModes.fill(B_DC_PRED);
+      
+      for (let mbX = 0; mbX < frame.mbWidth; mbX++, mb++) {
+        const macroblock = macroblocks[mb];
+        if (segmentation.enabled) {
+          writeTree(encoder, SEGMENT_CODES[macroblock.segment], segmentProbs);
+        }
+        encoder.putBit(macroblock.skip ? 1 : 0, skipProb);
+        writeTree(encoder, KF_YMODE_CODES[macroblock.yMode], KF_YMODE_PROBS);
+        
+        for (let i = 0; i < 16; i++) {
+          const x = i & 3;
+          const y = i >> 2;
+          if (macroblock.bModes) {
+            const mode = macroblock.bModes[i];
+            writeTree(encoder, BMODE_CODES[mode], BMODE_PROBS[topModes[mbX * 4 + x]][leftModes[y]]);
+            topModes[mbX * 4 + x] = leftModes[y] = mode;
+          } else {
+            topModes[mbX * 4 + x] = leftModes[y] = MB_TO_BMODE[macroblock.yMode];
+          }
+        }
+        
+        writeTree(encoder, UV_MODE_CODES[macroblock.uvMode], KF_UV_MODE_PROBS);
+      }
+    }
+    
+    return encoder.finish();
+  }
+
+  // Macroblock rows take turns between the token partitions
+  writeTokenPartitions(frame, macroblocks, probs, count) {
+    const encoders = Array.from({ length: count }, () => new BoolEncoder(macroblocks.length * 16 / count));
+    const coders = encoders.map(encoder => ({
+      coded(bit, index) {
+        encoder.putBit(bit, probs[index]);
+      },
+      fixed(bit, prob) {
+        encoder.putBit(bit, prob);
+      }
+    }));
+    
+    this.codeTokens(frame, macroblocks, mbY => coders[mbY % count]);
+    return encoders.map(encoder => encoder.finish());
+  }
+}
+
+function createScratch() {
+  const candidate = (size) => ({ levels: new Int16Array(NUM_LEVELS), recon: new Uint8Array(size), mode: 0, score: 0 });
+  return {
+    hasTop: false,
+    hasLeft: false,
+    srcY: new Uint8Array(256),
+    srcU: new Uint8Array(64),
+    srcV: new Uint8Array(64),
+    edgeY: new Uint8Array(33),
+    edgeU: new Uint8Array(17),
+    edgeV: new Uint8Array(17),
+    work: new Uint8Array(WORK_STRIDE * 17),
+    edge4: new Uint8Array(13),
+    pred: new Uint8Array(256),
+    predUV: new Uint8Array(64),
+    pred4: new Uint8Array(16),
+    recon4: new Uint8Array(16),
+    bestRecon4: new Uint8Array(16),
+    block: new Int32Array(16),
+    coeffs: new Int32Array(256),
+    dequant: new Int32Array(16),
+    dcs: new Int32Array(16),
+    y2: new Int32Array(16),
+    dcRecon: new Int32Array(16),
+    candidate4: new Int16Array(16),
+    best4: new Int16Array(16),
+    levels4: new Int16Array(NUM_LEVELS),
+    bModes: new Uint8Array(16),
+    topModes: new Uint8Array(4),
+    leftModes: new Uint8Array(4),
+    nzTop: new Uint8Array(NZ_CONTEXTS),
+    nzLeft: new Uint8Array(NZ_CONTEXTS),
+    luma16: [candidate(256), candidate(256)],
+    chroma: [candidate(128), candidate(128)],
+    costCoder: {
+      bits: 0,
+      coded(bit, index) {
+        this.bits += bitCost(bit, DEFAULT_COEFF_PROBS[index]);
+      },
+      fixed(bit, prob) {
+        this.bits += bitCost(bit, prob);
+      }
+    }
+  };
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function clamp255(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+// libwebp's mapping of quality to the compression factor the quantizer index is derived from
+function qualityToCompression(quality) {
+  const linear = quality < 0.75 ? quality * (2 / 3) : 2 * quality - 1;
+  return Math.cbrt(linear);
+}
+
+function probaIndex(type, n, ctx) {
+  return ((type * NUM_BANDS + BANDS[n]) * NUM_CONTEXTS + ctx) * NUM_PROBAS;
+}
+
+// Probability of a zero in 1/256, kept within the codable 1..255
+function probability(zeros, ones) {
+  return zeros + ones === 0 ? 255 : clamp(Math.round((256 * zeros) / (zeros + ones)), 1, 255);
+}
+
+function bitCost(bit, prob) {
+  return BIT_COSTS[bit ? 256 - prob : prob];
+}
+
+// Branches leading to every leaf of a tree, as [probability index, bit] pairs
+function treeCodes(tree) {
+  const codes = [];
+  const walk = (node, path) => {
+    for (let bit = 0; bit < 2; bit++) {
+      const next = tree[node + bit];
+      const branch = [...path, [node >> 1, bit]];
+      if (next > 0) {
+        walk(next, branch);
+      } else {
+        codes[-next] = branch;
+      }
+    }
+  };
+  walk(0, []);
+  return codes;
+}
+
+function treeCost(code, probs) {
+  return code.reduce((cost, [node, bit]) => cost + bitCost(bit, probs[node]), 0);
+}
+
+function writeTree(encoder, code, probs) {
+  for (const [node, bit] of code) {
+    encoder.putBit(bit, probs[node]);
+  }
+}
+
+function squaredError(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return sum;
+}
+
+// Edge of a square block: top-left, the row above, then the column on the left
+function loadEdges(edge, plane, stride, origin, size, hasTop, hasLeft) {
+  edge[0] = !hasTop ? 127 : !hasLeft ? 129 : plane[origin - stride - 1];
+  for (let i = 0; i < size; i++) {
+    edge[1 + i] = hasTop ? plane[origin - stride + i] : 127;
+    edge[1 + size + i] = hasLeft ? plane[origin + i * stride - 1] : 129;
+  }
+}
+
+// 16x16 luma and 8x8 chroma prediction; DC averages only the edges inside the frame
+function predictBlock(out, size, mode, edge, hasTop, hasLeft) {
+  if (mode === DC_PRED) {
+    const shift = Math.log2(size);
+    let sum = 0;
+    for (let i = 0; i < size; i++) {
+      if (hasTop) sum += edge[1 + i];
+      if (hasLeft) sum += edge[1 + size + i];
+    }
+    const value = hasTop && hasLeft
+      ? (sum + size) >> (shift + 1)
+      : hasTop || hasLeft ? (sum + (size >> 1)) >> shift : 128;
+    out.fill(value, 0, size * size);
+    return;
+  }
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      out[y * size + x] = mode === V_PRED
+        ? edge[1 + x]
+        : mode === H_PRED ? edge[1 + size + y] : clamp255(edge[1 + size + y] + edge[1 + x] - edge[0]);
+    }
+  }
+}
+
+function avg2(a, b) {
+  return (a + b + 1) >> 1;
+}
+
+function avg3(a, b, c) {
+  return (a + 2 * b + c + 2) >> 2;
+}
+
+// 4x4 prediction from the edge e: left column bottom-up in e[0..3], top-left in e[4], 8 pixels above in e[5..12]
+function predict4(out, mode, e) {
+  const set = (positions, value) => {
+    for (const position of positions) out[position] = value;
+  };
+
+  switch (mode) {
+    case B_DC_PRED: {
+      let sum = 4;
+      for (let i = 0; i < 4; i++) {
+        sum += e[5 + i] + e[3 - i];
+      }
+      out.fill(sum >> 3);
+      break;
+    }
+    case B_TM_PRED:
+      for (let i = 0; i < 16; i++) {
+        out[i] = clamp255(e[3 - (i >> 2)] + e[5 + (i & 3)] - e[4]);
+      }
+      break;
+    case B_VE_PRED:
+      for (let i = 0; i < 16; i++) {
+        out[i] = avg3(e[4 + (i & 3)], e[5 + (i & 3)], e[6 + (i & 3)]);
+      }
+      break;
+    case B_HE_PRED:
+      for (let i = 0; i < 16; i++) {
+        const row = i >> 2;
+        out[i] = row < 3 ? avg3(e[4 - row], e[3 - row], e[2 - row]) : avg3(e[1], e[0], e[0]);
+      }
+      break;
+    case B_LD_PRED:
+      for (let i = 0; i < 16; i++) {
+        const k = (i >> 2) + (i & 3);
+        out[i] = k < 6 ? avg3(e[5 + k], e[6 + k], e[7 + k]) : avg3(e[11], e[12], e[12]);
+      }
+      break;
+    case B_RD_PRED:
+      for (let i = 0; i < 16; i++) {
+        const k = 4 - (i >> 2) + (i & 3);
+        out[i] = avg3(e[k - 1], e[k], e[k + 1]);
+      }
+      break;
+    // The remaining modes, with out[row * 4 + column]
+    case B_VR_PRED:
+      set([12], avg3(e[1], e[2], e[3]));
+      set([8], avg3(e[2], e[3], e[4]));
+      set([13, 4], avg3(e[3], e[4], e[5]));
+      set([9, 0], avg2(e[4], e[5]));
+      set([14, 5], avg3(e[4], e[5], e[6]));
+      set([10, 1], avg2(e[5], e[6]));
+      set([15, 6], avg3(e[5], e[6], e[7]));
+      set([11, 2], avg2(e[6], e[7]));
+      set([7], avg3(e[6], e[7], e[8]));
+      set([3], avg2(e[7], e[8]));
+      break;
+    case B_VL_PRED:
+      set([0], avg2(e[5], e[6]));
+      set([4], avg3(e[5], e[6], e[7]));
+      set([8, 1], avg2(e[6], e[7]));
+      set([5, 12], avg3(e[6], e[7], e[8]));
+      set([9, 2], avg2(e[7], e[8]));
+      set([13, 6], avg3(e[7], e[8], e[9]));
+      set([10, 3], avg2(e[8], e[9]));
+      set([14, 7], avg3(e[8], e[9], e[10]));
+      set([11], avg3(e[9], e[10], e[11]));
+      set([15], avg3(e[10], e[11], e[12]));
+      break;
+    case B_HD_PRED:
+      set([12], avg2(e[0], e[1]));
+      set([13], avg3(e[0], e[1], e[2]));
+      set([8, 14], avg2(e[1], e[2]));
+      set([9, 15], avg3(e[1], e[2], e[3]));
+      set([10, 4], avg2(e[2], e[3]));
+      set([11, 5], avg3(e[2], e[3], e[4]));
+      set([6, 0], avg2(e[3], e[4]));
+      set([7, 1], avg3(e[3], e[4], e[5]));
+      set([2], avg3(e[4], e[5], e[6]));
+      set([3], avg3(e[5], e[6], e[7]));
+      break;
+    default: // B_HU_PRED
+      set([0], avg2(e[3], e[2]));
+      set([1], avg3(e[3], e[2], e[1]));
+      set([2, 4], avg2(e[2], e[1]));
+      set([3, 5], avg3(e[2], e[1], e[0]));
+      set([6, 8], avg2(e[1], e[0]));
+      set([7, 9], avg3(e[1], e[0], e[0]));
+      set([10, 11, 12, 13, 14, 15], e[0]);
+  }
+}
+
+// Forward 4x4 DCT of the reference encoder: rows, then columns
+function fdct(input, out, offset) {
+  const tmp = new Int32Array(16);
+  for (let i = 0; i < 16; i += 4) {
+    const a = (input[i] + input[i + 3]) * 8;
+    const b = (input[i + 1] + input[i + 2]) * 8;
+    const c = (input[i + 1] - input[i + 2]) * 8;
+    const d = (input[i] - input[i + 3]) * 8;
+    tmp[i] = a + b;
+    tmp[i + 2] = a - b;
+    tmp[i + 1] = (c * 2217 + d * 5352 + 14500) >> 12;
+    tmp[i + 3] = (d * 2217 - c * 5352 + 7500) >> 12;
+  }
+  for (let i = 0; i < 4; i++) {
+    const a = tmp[i] + tmp[i + 12];
+    const b = tmp[i + 4] + tmp[i + 8];
+    const c = tmp[i + 4] - tmp[i + 8];
+    const d = tmp[i] - tmp[i + 12];
+    out[offset + i] = (a + b + 7) >> 4;
+    out[offset + i + 8] = (a - b + 7) >> 4;
+    out[offset + i + 4] = ((c * 2217 + d * 5352 + 12000) >> 16) + (d !== 0 ? 1 : 0);
+    out[offset + i + 12] = (d * 2217 - c * 5352 + 51000) >> 16;
+  }
+}
+
+function mul1(a) {
+  return ((a * 20091) >> 16) + a;
+}
+
+function mul2(a) {
+  return (a * 35468) >> 16;
+}
+
+// Inverse 4x4 DCT added to the prediction, bit-exact with the decoder: columns, then rows
+function idctAdd(input, pred, predOffset, predStride, out, outOffset, outStride) {
+  const tmp = new Int32Array(16);
+  for (let i = 0; i < 4; i++) {
+    const a = input[i] + input[8 + i];
+    const b = input[i] - input[8 + i];
+    const c = mul2(input[4 + i]) - mul1(input[12 + i]);
+    const d = mul1(input[4 + i]) + mul2(input[12 + i]);
+    tmp[i * 4] = a + d;
+    tmp[i * 4 + 1] = b + c;
+    tmp[i * 4 + 2] = b - c;
+    tmp[i * 4 + 3] = a - d;
+  }
+  for (let i = 0; i < 4; i++) {
+    const dc = tmp[i] + 4;
+    const a = dc + tmp[8 + i];
+    const b = dc - tmp[8 + i];
+    const c = mul2(tmp[4 + i]) - mul1(tmp[12 + i]);
+    const d = mul1(tmp[4 + i]) + mul2(tmp[12 + i]);
+    const p = predOffset + i * predStride;
+    const o = outOffset + i * outStride;
+    out[o] = clamp255(pred[p] + ((a + d) >> 3));
+    out[o + 1] = clamp255(pred[p + 1] + ((b + c) >> 3));
+    out[o + 2] = clamp255(pred[p + 2] + ((b - c) >> 3));
+    out[o + 3] = clamp255(pred[p + 3] + ((a - d) >> 3));
+  }
+}
+
+// Walsh-Hadamard transform of the 16 luma DC coefficients; the inverse of iwht up to rounding
+function fwht(input, out) {
+  const tmp = new Int32Array(16);
+  for (let i = 0; i < 16; i += 4) {
+    const a = input[i] + input[i + 3];
+    const b = input[i + 1] + input[i + 2];
+    const c = input[i + 1] - input[i + 2];
+    const d = input[i] - input[i + 3];
+    tmp[i] = a + b;
+    tmp[i + 1] = d + c;
+    tmp[i + 2] = a - b;
+    tmp[i + 3] = d - c;
+  }
+  for (let i = 0; i < 4; i++) {
+    const a = tmp[i] + tmp[12 + i];
+    const b = tmp[4 + i] + tmp[8 + i];
+    const c = tmp[4 + i] - tmp[8 + i];
+    const d = tmp[i] - tmp[12 + i];
+    out[i] = halve(a + b);
+    out[4 + i] = halve(d + c);
+    out[8 + i] = halve(a - b);
+    out[12 + i] = halve(d - c);
+  }
+}
+
+function halve(value) {
+  return value < 0 ? -((1 - value) >> 1) : (value + 1) >> 1;
+}
+
+// Inverse Walsh-Hadamard transform as the decoder runs it, giving the DC coefficient of each luma block
+function iwht(input, out) {
+  const tmp = new Int32Array(16);
+  for (let i = 0; i < 4; i++) {
+    const a0 = input[i] + input[12 + i];
+    const a1 = input[4 + i] + input[8 + i];
+    const a2 = input[4 + i] - input[8 + i];
+    const a3 = input[i] - input[12 + i];
+    tmp[i] = a0 + a1;
+    tmp[8 + i] = a0 - a1;
+    tmp[4 + i] = a3 + a2;
+    tmp[12 + i] = a3 - a2;
+  }
+  for (let i = 0; i < 4; i++) {
+    const dc = tmp[i * 4] + 3;
+    const a0 = dc + tmp[i * 4 + 3];
+    const a1 = tmp[i * 4 + 1] + tmp[i * 4 + 2];
+    const a2 = tmp[i * 4 + 1] - tmp[i * 4 + 2];
+    const a3 = dc - tmp[i * 4 + 3];
+    out[i * 4] = (a0 + a1) >> 3;
+    out[i * 4 + 1] = (a3 + a2) >> 3;
+    out[i * 4 + 2] = (a0 - a1) >> 3;
+    out[i * 4 + 3] = (a3 - a2) >> 3;
+  }
+}
+
+// Quantizes coefficients from position first on into levels, leaving the dequantized values the decoder will
+// see in dequant
+function quantize(coeffs, offset, levels, levelOffset, dequant, [dcStep, acStep], first) {
+  for (let i = first; i < 16; i++) {
+    const step = i === 0 ? dcStep : acStep;
+    const value = coeffs[offset + i];
+    const level = Math.min(MAX_LEVEL, Math.floor(Math.abs(value) / step + (i === 0 ? DC_BIAS : AC_BIAS)));
+    const signed = value < 0 ? -level : level;
+    levels[levelOffset + i] = signed;
+    dequant[i] = signed * step;
+  }
+}
+
+// Boolean entropy coder of the specification; carries ripple back into bytes already written
+class BoolEncoder {
+  constructor(initialSize = 1024) {
+    this.buffer = new Uint8Array(Math.max(16, Math.ceil(initialSize)));
+    this.length = 0;
+    this.range = 255;
+    this.bottom = 0;
+    this.bitCount = 24;
+  }
+
+  putBit(bit, prob) {
+    const split = 1 + (((this.range - 1) * prob) >> 8);
+    if (bit) {
+      this.bottom += split;
+      this.range -= split;
+    } else {
+      this.range = split;
+    }
+    
+    while (this.range < 128) {
+      this.range <<= 1;
+      if (this.bottom >= 0x80000000) {
+        let i = this.length - 1;
+        while (this.buffer[i] === 0xFF) {
+          this.buffer[i--] = 0;
+        }
+        this.buffer[i]++;
+      }
+      this.bottom = (this.bottom << 1) >>> 0;
+      
+      if (--this.bitCount === 0) {
+        if (this.length === this.buffer.length) {
+          const grown = new Uint8Array(this.buffer.length * 2);
+          grown.set(this.buffer);
+          this.buffer = grown;
+        }
+        this.buffer[this.length++] = this.bottom >>> 24;
+        this.bottom &= 0xFFFFFF;
+        this.bitCount = 8;
+      }
+    }
+  }
+
+  // Unsigned value of count bits at even probability, most significant first
+  putBits(value, count) {
+    for (let bit = count - 1; bit >= 0; bit--) {
+      this.putBit((value >> bit) & 1, 128);
+    }
+  }
+
+  // Magnitude, then the sign
+  putSigned(value, count) {
+    this.putBits(Math.abs(value), count);
+    this.putBits(value < 0 ? 1 : 0, 1);
+  }
+
+  // Pads with zeros until every pending bit is out
+  finish() {
+    for (let i = 0; i < 32; i++) {
+      this.putBit(0, 128);
+    }
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+export default VP8Encoder;
+
+// Tables and reconstruction steps the decoder shares, so that it rebuilds exactly the pixels this encoder predicts from
+export {
+  B_PRED,
+  MB_TO_BMODE,
+  KF_YMODE_TREE,
+  KF_YMODE_PROBS,
+  UV_MODE_TREE,
+  KF_UV_MODE_PROBS,
+  BMODE_TREE,
+  BMODE_PROBS,
+  SEGMENT_TREE,
+  ZIGZAG,
+  BANDS,
+  CATEGORY_PROBS,
+  DC_TABLE,
+  AC_TABLE,
+  DEFAULT_COEFF_PROBS,
+  FLAT_UPDATE_PROBS,
+  loadEdges,
+  predictBlock,
+  predict4,
+  idctAdd,
+  iwht
+};
\ No newline at end of file
@@ -0,0 +1,843 @@
+/**
+ * @xbibzlibrary/kompreser - VP8L Encoder
+ * Lossless WebP bitstream with subtract-green, predictor and cross-color transforms, LZ77 backward references,
+ * a color cache and canonical Huffman codes
+ */
+
+import Logger from '../utils/Logger.js';
+import { ValidationError } from '../core/ErrorHandler.js';
+
+const VP8L_SIGNATURE = 0x2F;
+const MAX_DIMENSION = 16384;
+
+const PREDICTOR_TRANSFORM = 0;
+const CROSS_COLOR_TRANSFORM = 1;
+const SUBTRACT_GREEN_TRANSFORM = 2;
+
+// Transform data is stored per tile of 1 << bits pixels square
+const PREDICTOR_BITS = 4;
+const CROSS_COLOR_BITS = 5;
+const NUM_PREDICTOR_MODES = 14;
+
+const NUM_LITERAL_CODES = 256;
+const NUM_LENGTH_CODES = 24;
+const NUM_DISTANCE_CODES = 40;
+
+// The 120 short distance codes address a neighbourhood of 8 rows above and 8 pixels on either side, nearest
+// first; each entry is (y << 4) | (8 - x)
+const CODE_TO_PLANE = [
+  0x18, 0x07, 0x17, 0x19, 0x28, 0x06, 0x27, 0x29, 0x16, 0x1a,
+  0x26, 0x2a, 0x38, 0x05, 0x37, 0x39, 0x15, 0x1b, 0x36, 0x3a,
+  0x25, 0x2b, 0x48, 0x04, 0x47, 0x49, 0x14, 0x1c, 0x35, 0x3b,
+  0x46, 0x4a, 0x24, 0x2c, 0x58, 0x45, 0x4b, 0x34, 0x3c, 0x03,
+  0x57, 0x59, 0x13, 0x1d, 0x56, 0x5a, 0x23, 0x2d, 0x44, 0x4c,
+  0x55, 0x5b, 0x33, 0x3d, 0x68, 0x02, 0x67, 0x69, 0x12, 0x1e,
+  0x66, 0x6a, 0x22, 0x2e, 0x54, 0x5c, 0x43, 0x4d, 0x65, 0x6b,
+  0x32, 0x3e, 0x78, 0x01, 0x77, 0x79, 0x53, 0x5d, 0x11, 0x1f,
+  0x64, 0x6c, 0x42, 0x4e, 0x76, 0x7a, 0x21, 0x2f, 0x75, 0x7b,
+  0x31, 0x3f, 0x63, 0x6d, 0x52, 0x5e, 0x00, 0x74, 0x7c, 0x41,
+  0x4f, 0x10, 0x20, 0x62, 0x6e, 0x30, 0x73, 0x7d, 0x51, 0x5f,
+  0x40, 0x72, 0x7e, 0x61, 0x6f, 0x50, 0x71, 0x7f, 0x60, 0x70
+];
+
+// Backward references: copies of up to 4096 pixels, distances the 40 prefix codes can reach
+const MIN_MATCH = 3;
+const MAX_MATCH = 4096;
+const MAX_DISTANCE = (1 << 20) - 120;
+const HASH_BITS = 16;
+const MAX_CHAIN = 32;
+
+const CACHE_BITS_CANDIDATES = [0, 2, 4, 6, 8, 10];
+const CACHE_HASH_MULTIPLIER = 0x1e35a7bd;
+
+const MAX_CODE_LENGTH = 15;
+const MAX_CODE_LENGTH_CODE_LENGTH = 7;
+const CODE_LENGTH_CODES = 19;
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+// Code length 16 repeats the previous non-zero length, which starts out as 8
+const INITIAL_REPEAT_LENGTH = 8;
+
+class VP8LEncoder {
+  constructor(options, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+  }
+
+  // Returns the VP8L chunk payload: header, transforms, then the entropy-coded ARGB image
+  encode(imageData) {
+    const { data, width, height } = imageData;
+    if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+      throw new ValidationError(`VP8L images are at most ${MAX_DIMENSION} pixels wide and high`, { width, height });
+    }
+    
+    const argb = new Uint32Array(width * height);
+    let alphaUsed = false;
+    for (let p = 0, i = 0; p < argb.length; p++, i += 4) {
+      argb[p] = ((data[i + 3] << 24) | (data[i] << 16) | (data[i + 1] << 8) | data[i + 2]) >>> 0;
+      if (data[i + 3] < 255) alphaUsed = true;
+    }
+    
+    const writer = new VP8LBitWriter(width * height);
+    writer.putBits(VP8L_SIGNATURE, 8);
+    writer.putBits(width - 1, 14);
+    writer.putBits(height - 1, 14);
+    writer.putBits(alphaUsed ? 1 : 0, 1);
+    writer.putBits(0, 3); // Version
+    
+    // The decoder undoes the transforms in reverse order
+    this.subtractGreen(argb);
+    writer.putBits(1, 1);
+    writer.putBits(SUBTRACT_GREEN_TRANSFORM, 2);
+    
+    const predictor = this.applyPredictor(argb, width, height, PREDICTOR_BITS);
+    writer.putBits(1, 1);
+    writer.putBits(PREDICTOR_TRANSFORM, 2);
+    writer.putBits(PREDICTOR_BITS - 2, 3);
+    this.encodeImage(writer, predictor.modes, predictor.tilesX, predictor.tilesY, false);
+    
+    const crossColor = this.applyCrossColor(predictor.residuals, width, height, CROSS_COLOR_BITS);
+    writer.putBits(1, 1);
+    writer.putBits(CROSS_COLOR_TRANSFORM, 2);
+    writer.putBits(CROSS_COLOR_BITS - 2, 3);
+    this.encodeImage(writer, crossColor.multipliers, crossColor.tilesX, crossColor.tilesY, false);
+    
+    writer.putBits(0, 1);
+    const cacheBits = this.encodeImage(writer, predictor.residuals, width, height, true);
+    
+    this.logger.debug('VP8L bitstream encoded', { dimensions: `${width}x${height}`, alphaUsed, cacheBits });
+    
+    return writer.finish();
+  }
+
+  // Headerless image stream of an ALPH chunk: the dimensions come from the VP8 frame and the alpha values travel in
+  // the green channel. The predictor transform is left out when the values are already filtered
+  encodeAlpha(alpha, width, height, usePredictor) {
+    let argb = Uint32Array.from(alpha, value => (0xFF000000 | (value << 8)) >>> 0);
+    const writer = new VP8LBitWriter(width * height);
+    
+    if (usePredictor) {
+      const predictor = this.applyPredictor(argb, width, height, PREDICTOR_BITS);
+      writer.putBits(1, 1);
+      writer.putBits(PREDICTOR_TRANSFORM, 2);
+      writer.putBits(PREDICTOR_BITS - 2, 3);
+      this.encodeImage(writer, predictor.modes, predictor.tilesX, predictor.tilesY, false);
+      argb = predictor.residuals;
+    }
+    
+    writer.putBits(0, 1);
+    this.encodeImage(writer, argb, width, height, true);
+    
+    return writer.finish();
+  }
+
+  subtractGreen(argb) {
+    for (let i = 0; i < argb.length; i++) {
+      const pixel = argb[i];
+      const green = (pixel >>> 8) & 0xFF;
+      const red = ((pixel >>> 16) - green) & 0xFF;
+      const blue = (pixel - green) & 0xFF;
+      argb[i] = ((pixel & 0xFF00FF00) | (red << 16) | blue) >>> 0;
+    }
+  }
+
+  // Every tile takes the prediction mode whose residuals have the lowest entropy; the modes travel in the
+  // green channel of a sub-image with one pixel per tile
+  applyPredictor(argb, width, height, bits) {
+    const tileSize = 1 << bits;
+    const tilesX = subSampleSize(width, bits);
+    const tilesY = subSampleSize(height, bits);
+    const modes = new Uint32Array(tilesX * tilesY);
+    const residuals = new Uint32Array(argb.length);
+    const histogram = new Uint32Array(4 * 256);
+    const entropyTerms = buildEntropyTerms(tileSize * tileSize);
+    
+    for (let tileY = 0; tileY < tilesY; tileY++) {
+      const startY = tileY * tileSize;
+      const endY = Math.min(startY + tileSize, height);
+      
+      for (let tileX = 0; tileX < tilesX; tileX++) {
+        const startX = tileX * tileSize;
+        const endX = Math.min(startX + tileSize, width);
+        let bestMode = 0;
+        let bestCost = Infinity;
+        
+        for (let mode = 0; mode < NUM_PREDICTOR_MODES; mode++) {
+          for (let y = startY; y < endY; y++) {
+            for (let x = startX, i = y * width + startX; x < endX; x++, i++) {
+              addToHistogram(histogram, subPixels(argb[i], predict(argb, width, i, x, y, mode)));
+            }
+          }
+          
+          const cost = drainHistogramEntropy(histogram, entropyTerms);
+          if (cost < bestCost) {
+            bestCost = cost;
+            bestMode = mode;
+          }
+        }
+        
+        modes[tileY * tilesX + tileX] = (0xFF000000 | (bestMode << 8)) >>> 0;
+        for (let y = startY; y < endY; y++) {
+          for (let x = startX, i = y * width + startX; x < endX; x++, i++) {
+            residuals[i] = subPixels(argb[i], predict(argb, width, i, x, y, bestMode));
+          }
+        }
+      }
+    }
+    
+    return { residuals, modes, tilesX, tilesY };
+  }
+
+  // Red and blue are decorrelated from green (and blue from red) with per-tile multipliers in 3.5 fixed point.
+  // Least squares gives a first guess; it competes with zero and the neighbouring tiles' values on entropy
+  applyCrossColor(argb, width, height, bits) {
+    const tileSize = 1 << bits;
+    const tilesX = subSampleSize(width, bits);
+    const tilesY = subSampleSize(height, bits);
+    const multipliers = new Uint32Array(tilesX * tilesY);
+    const histogram = new Uint32Array(4 * 256);
+    const entropyTerms = buildEntropyTerms(tileSize * tileSize);
+    const chosen = [];
+    
+    for (let tileY = 0; tileY < tilesY; tileY++) {
+      for (let tileX = 0; tileX < tilesX; tileX++) {
+        const startX = tileX * tileSize;
+        const startY = tileY * tileSize;
+        const endX = Math.min(startX + tileSize, width);
+        const endY = Math.min(startY + tileSize, height);
+        const forEachPixel = callback => {
+          for (let y = startY; y < endY; y++) {
+            for (let i = y * width + startX, end = y * width + endX; i < end; i++) {
+              callback(i, toSigned((argb[i] >>> 8) & 0xFF), toSigned((argb[i] >>> 16) & 0xFF), toSigned(argb[i] & 0xFF));
+            }
+          }
+        };
+        
+        let gg = 0, gr = 0, rr = 0, bg = 0, br = 0;
+        forEachPixel((i, green, red, blue) => {
+          gg += green * green;
+          gr += green * red;
+          rr += red * red;
+          bg += blue * green;
+          br += blue * red;
+        });
+        
+        const neighbours = [
+          { greenToRed: 0, greenToBlue: 0, redToBlue: 0 },
+          tileX > 0 && chosen[tileY * tilesX + tileX - 1],
+          tileY > 0 && chosen[(tileY - 1) * tilesX + tileX]
+        ].filter(Boolean);
+        
+        // Red only depends on green
+        const redCandidates = [...neighbours.map(m => m.greenToRed), gg > 0 ? clampMultiplier(32 * gr / gg) : 0];
+        const greenToRed = this.pickMultipliers(redCandidates.map(value => [value]), histogram, entropyTerms, ([value]) => {
+          forEachPixel((i, green, red) => {
+            histogram[256 + ((red - colorTransformDelta(value, green)) & 0xFF)]++;
+          });
+        })[0];
+        
+        // Blue against green and red together, or green alone when the two are collinear
+        const determinant = gg * rr - gr * gr;
+        const estimate = determinant > 0
+          ? [clampMultiplier(32 * (bg * rr - br * gr) / determinant), clampMultiplier(32 * (br * gg - bg * gr) / determinant)]
+          : [gg > 0 ? clampMultiplier(32 * bg / gg) : 0, 0];
+        const blueCandidates = [...neighbours.map(m => [m.greenToBlue, m.redToBlue]), estimate];
+        const [greenToBlue, redToBlue] = this.pickMultipliers(blueCandidates, histogram, entropyTerms, ([g2b, r2b]) => {
+          forEachPixel((i, green, red, blue) => {
+            histogram[(blue - colorTransformDelta(g2b, green) - colorTransformDelta(r2b, red)) & 0xFF]++;
+          });
+        });
+        
+        const multiplier = { greenToRed, greenToBlue, redToBlue };
+        chosen[tileY * tilesX + tileX] = multiplier;
+        multipliers[tileY * tilesX + tileX] = (0xFF000000 | ((redToBlue & 0xFF) << 16) | ((greenToBlue & 0xFF) << 8) | (greenToRed & 0xFF)) >>> 0;
+        
+        forEachPixel((i, green, red, blue) => {
+          const newRed = (red - colorTransformDelta(greenToRed, green)) & 0xFF;
+          const newBlue = (blue - colorTransformDelta(greenToBlue, green) - colorTransformDelta(redToBlue, red)) & 0xFF;
+          argb[i] = ((argb[i] & 0xFF00FF00) | (newRed << 16) | newBlue) >>> 0;
+        });
+      }
+    }
+    
+    return { multipliers, tilesX, tilesY };
+  }
+
+  // Lowest-entropy candidate; fillHistogram counts the transformed channel of the tile into the histogram
+  pickMultipliers(candidates, histogram, entropyTerms, fillHistogram) {
+    let best = candidates[0];
+    let bestCost = Infinity;
+    
+    for (const candidate of candidates) {
+      fillHistogram(candidate);
+      const cost = drainHistogramEntropy(histogram, entropyTerms);
+      if (cost < bestCost) {
+        bestCost = cost;
+        best = candidate;
+      }
+    }
+    
+    return best;
+  }
+
+  // Entropy-coded image: color cache size, the meta prefix code flag (main image only, always off here),
+  // five prefix codes and the symbols. Returns the color cache bits used
+  encodeImage(writer, argb, width, height, isMainImage) {
+    const refs = this.findBackwardReferences(argb, width, height);
+    const distanceCodes = this.buildDistanceCodes(width);
+    
+    // The cache size whose symbol statistics promise the fewest bits
+    let best = null;
+    for (const cacheBits of CACHE_BITS_CANDIDATES) {
+      const histograms = this.buildHistograms(argb, refs, cacheBits, distanceCodes);
+      const cost = histograms.reduce((total, histogram) => total + shannonBits(histogram), 0);
+      if (!best || cost < best.cost) {
+        best = { cacheBits, histograms, cost };
+      }
+    }
+    
+    const { cacheBits, histograms } = best;
+    writer.putBits(cacheBits > 0 ? 1 : 0, 1);
+    if (cacheBits > 0) {
+      writer.putBits(cacheBits, 4);
+    }
+    if (isMainImage) {
+      writer.putBits(0, 1);
+    }
+    
+    const codes = histograms.map(histogram => this.buildHuffmanCode(histogram, MAX_CODE_LENGTH));
+    codes.forEach(code => this.writeHuffmanCode(writer, code));
+    
+    const [green, red, blue, alpha, distance] = codes;
+    this.forEachSymbol(argb, refs, cacheBits, distanceCodes, {
+      literal: pixel => {
+        writer.putBits(green.codes[(pixel >>> 8) & 0xFF], green.bits[(pixel >>> 8) & 0xFF]);
+        writer.putBits(red.codes[(pixel >>> 16) & 0xFF], red.bits[(pixel >>> 16) & 0xFF]);
+        writer.putBits(blue.codes[pixel & 0xFF], blue.bits[pixel & 0xFF]);
+        writer.putBits(alpha.codes[pixel >>> 24], alpha.bits[pixel >>> 24]);
+      },
+      cache: index => {
+        const symbol = NUM_LITERAL_CODES + NUM_LENGTH_CODES + index;
+        writer.putBits(green.codes[symbol], green.bits[symbol]);
+      },
+      copy: (length, distanceCode) => {
+        const lengthPrefix = prefixEncode(length);
+        const lengthSymbol = NUM_LITERAL_CODES + lengthPrefix.code;
+        writer.putBits(green.codes[lengthSymbol], green.bits[lengthSymbol]);
+        writer.putBits(lengthPrefix.extraValue, lengthPrefix.extraBits);
+        
+        const distancePrefix = prefixEncode(distanceCode);
+        writer.putBits(distance.codes[distancePrefix.code], distance.bits[distancePrefix.code]);
+        writer.putBits(distancePrefix.extraValue, distancePrefix.extraBits);
+      }
+    });
+    
+    return cacheBits;
+  }
+
+  // Greedy LZ77 over whole pixels: the pixel to the left and the one above are tried first, then a hash chain
+  // of earlier positions starting with the same two pixels. Returns the copy length at each position that
+  // starts a copy (0 elsewhere) and its distance in pixels
+  findBackwardReferences(argb, width, height) {
+    const size = width * height;
+    const lengths = new Uint16Array(size);
+    const distances = new Uint32Array(size);
+    const head = new Int32Array(1 << HASH_BITS).fill(-1);
+    const chain = new Int32Array(size);
+    
+    const hashAt = i => (Math.imul(argb[i], 0x9E3779B1) ^ Math.imul(argb[i + 1], CACHE_HASH_MULTIPLIER)) >>> (32 - HASH_BITS);
+    const insert = i => {
+      if (i + 1 < size) {
+        const hash = hashAt(i);
+        chain[i] = head[hash];
+        head[hash] = i;
+      }
+    };
+    const matchLength = (i, j, limit) => {
+      let length = 0;
+      while (length < limit && argb[i + length] === argb[j + length]) length++;
+      return length;
+    };
+    
+    for (let i = 0; i < size;) {
+      const limit = Math.min(MAX_MATCH, size - i);
+      let bestLength = 0;
+      let bestDistance = 0;
+      
+      for (const distance of [1, width]) {
+        if (distance <= i) {
+          const length = matchLength(i, i - distance, limit);
+          if (length > bestLength) {
+            bestLength = length;
+            bestDistance = distance;
+          }
+        }
+      }
+      
+      if (i + 1 < size && bestLength < limit) {
+        for (let j = head[hashAt(i)], steps = 0; j >= 0 && steps < MAX_CHAIN && i - j <= MAX_DISTANCE; j = chain[j], steps++) {
+          if (argb[j + bestLength] !== argb[i + bestLength]) continue;
+          const length = matchLength(i, j, limit);
+          if (length > bestLength) {
+            bestLength = length;
+            bestDistance = i - j;
+            if (length === limit) break;
+          }
+        }
+      }
+      
+      if (bestLength >= MIN_MATCH) {
+        lengths[i] = bestLength;
+        distances[i] = bestDistance;
+        for (let k = 0; k < bestLength; k++) insert(i + k);
+        i += bestLength;
+      } else {
+        insert(i);
+        i++;
+      }
+    }
+    
+    return { lengths, distances };
+  }
+
+  // Distance to distance code: the smallest short code reaching it, otherwise the distance plus 120
+  buildDistanceCodes(width) {
+    const codes = new Map();
+    CODE_TO_PLANE.forEach((plane, index) => {
+      const distance = Math.max(1, (plane >> 4) * width + 8 - (plane & 0xF));
+      if (!codes.has(distance)) codes.set(distance, index + 1);
+    });
+    return distance => codes.get(distance) ?? distance + 120;
+  }
+
+  // Walks the pixels in coding order, with the color cache as the decoder will see it
+  forEachSymbol(argb, refs, cacheBits, distanceCodes, handlers) {
+    const cache = cacheBits > 0 ? new Uint32Array(1 << cacheBits) : null;
+    const cacheShift = 32 - cacheBits;
+    
+    for (let i = 0; i < argb.length;) {
+      const length = refs.lengths[i];
+      
+      if (length > 0) {
+        handlers.copy(length, distanceCodes(refs.distances[i]));
+        if (cache) {
+          for (let k = i; k < i + length; k++) {
+            cache[Math.imul(argb[k], CACHE_HASH_MULTIPLIER) >>> cacheShift] = argb[k];
+          }
+        }
+        i += length;
+        continue;
+      }
+      
+      const pixel = argb[i];
+      if (cache) {
+        const key = Math.imul(pixel, CACHE_HASH_MULTIPLIER) >>> cacheShift;
+        if (cache[key] === pixel) {
+          handlers.cache(key);
+          i++;
+          continue;
+        }
+        cache[key] = pixel;
+      }
+      handlers.literal(pixel);
+      i++;
+    }
+  }
+
+  // Green (with length prefixes and cache indices), red, blue, alpha and distance histograms
+  buildHistograms(argb, refs, cacheBits, distanceCodes) {
+    const green = new Uint32Array(NUM_LITERAL_CODES + NUM_LENGTH_CODES + (cacheBits > 0 ? 1 << cacheBits : 0));
+    const red = new Uint32Array(256);
+    const blue = new Uint32Array(256);
+    const alpha = new Uint32Array(256);
+    const distance = new Uint32Array(NUM_DISTANCE_CODES);
+    
+    this.forEachSymbol(argb, refs, cacheBits, distanceCodes, {
+      literal: pixel => {
+        green[(pixel >>> 8) & 0xFF]++;
+        red[(pixel >>> 16) & 0xFF]++;
+        blue[pixel & 0xFF]++;
+        alpha[pixel >>> 24]++;
+      },
+      cache: index => {
+        green[NUM_LITERAL_CODES + NUM_LENGTH_CODES + index]++;
+      },
+      copy: (length, distanceCode) => {
+        green[NUM_LITERAL_CODES + prefixEncode(length).code]++;
+        distance[prefixEncode(distanceCode).code]++;
+      }
+    });
+    
+    return [green, red, blue, alpha, distance];
+  }
+
+  // Huffman code lengths limited to maxLength: when the tree is too deep, small counts are raised and it is
+  // built again. Codes are canonical and bit-reversed for the LSB-first writer; a code with a single symbol
+  // takes no bits at all
+  buildHuffmanCode(histogram, maxLength) {
+    const size = histogram.length;
+    const lengths = new Uint8Array(size);
+    const used = [];
+    for (let symbol = 0; symbol < size; symbol++) {
+      if (histogram[symbol] > 0) used.push(symbol);
+    }
+    
+    if (used.length === 1) {
+      lengths[used[0]] = 1;
+    } else if (used.length > 1) {
+      for (let minCount = 1; ; minCount *= 2) {
+        const depths = huffmanDepths(used.map(symbol => Math.max(histogram[symbol], minCount)));
+        if (Math.max(...depths) <= maxLength) {
+          used.forEach((symbol, index) => {
+            lengths[symbol] = depths[index];
+          });
+          break;
+        }
+      }
+    }
+    
+    const codes = new Uint32Array(size);
+    const bits = new Uint8Array(size);
+    if (used.length > 1) {
+      const lengthCounts = new Uint32Array(maxLength + 1);
+      for (const length of lengths) {
+        if (length > 0) lengthCounts[length]++;
+      }
+      
+      const nextCode = new Uint32Array(maxLength + 2);
+      for (let length = 1, code = 0; length <= maxLength; length++) {
+        code = (code + lengthCounts[length - 1]) << 1;
+        nextCode[length] = code;
+      }
+      
+      for (let symbol = 0; symbol < size; symbol++) {
+        const length = lengths[symbol];
+        if (length > 0) {
+          codes[symbol] = reverseBits(nextCode[length]++, length);
+          bits[symbol] = length;
+        }
+      }
+    }
+    
+    return { lengths, codes, bits, used };
+  }
+
+  // One or two symbols below 256 fit the simple form; anything else sends its code lengths, themselves
+  // run-length coded and Huffman coded
+  writeHuffmanCode(writer, code) {
+    const { lengths, used } = code;
+    
+    if (used.length <= 2 && used.every(symbol => symbol < 256)) {
+      const symbols = used.length > 0 ? used : [0];
+      writer.putBits(1, 1);
+      writer.putBits(symbols.length - 1, 1);
+      if (symbols[0] < 2) {
+        writer.putBits(0, 1);
+        writer.putBits(symbols[0], 1);
+      } else {
+        writer.putBits(1, 1);
+        writer.putBits(symbols[0], 8);
+      }
+      if (symbols.length === 2) {
+        writer.putBits(symbols[1], 8);
+      }
+      return;
+    }
+    
+    const tokens = this.tokenizeCodeLengths(lengths);
+    const histogram = new Uint32Array(CODE_LENGTH_CODES);
+    for (const token of tokens) histogram[token.code]++;
+    const lengthCode = this.buildHuffmanCode(histogram, MAX_CODE_LENGTH_CODE_LENGTH);
+    
+    let count = CODE_LENGTH_CODES;
+    while (count > 4 && lengthCode.lengths[CODE_LENGTH_ORDER[count - 1]] === 0) count--;
+    
+    writer.putBits(0, 1);
+    writer.putBits(count - 4, 4);
+    for (let i = 0; i < count; i++) {
+      writer.putBits(lengthCode.lengths[CODE_LENGTH_ORDER[i]], 3);
+    }
+    
+    // Lengths are sent for the whole alphabet, so no max_symbol
+    writer.putBits(0, 1);
+    for (const { code, extraBits, extraValue } of tokens) {
+      writer.putBits(lengthCode.codes[code], lengthCode.bits[code]);
+      writer.putBits(extraValue, extraBits);
+    }
+  }
+
+  // 0 - 15 literal lengths, 16 repeats the previous non-zero length 3 - 6 times, 17 and 18 send 3 - 10 and
+  // 11 - 138 zeros
+  tokenizeCodeLengths(lengths) {
+    const tokens = [];
+    let previous = INITIAL_REPEAT_LENGTH;
+    
+    for (let i = 0; i < lengths.length;) {
+      const value = lengths[i];
+      let run = 1;
+      while (i + run < lengths.length && lengths[i + run] === value) run++;
+      i += run;
+      
+      if (value === 0) {
+        while (run >= 11) {
+          const repeat = Math.min(run, 138);
+          tokens.push({ code: 18, extraBits: 7, extraValue: repeat - 11 });
+          run -= repeat;
+        }
+        if (run >= 3) {
+          tokens.push({ code: 17, extraBits: 3, extraValue: run - 3 });
+          run = 0;
+        }
+      } else {
+        if (value !== previous) {
+          tokens.push({ code: value, extraBits: 0, extraValue: 0 });
+          previous = value;
+          run--;
+        }
+        while (run >= 3) {
+          const repeat = Math.min(run, 6);
+          tokens.push({ code: 16, extraBits: 2, extraValue: repeat - 3 });
+          run -= repeat;
+        }
+      }
+      
+      for (; run > 0; run--) {
+        tokens.push({ code: value, extraBits: 0, extraValue: 0 });
+      }
+    }
+    
+    return tokens;
+  }
+}
+
+function subSampleSize(size, bits) {
+  return (size + (1 << bits) - 1) >> bits;
+}
+
+function toSigned(value) {
+  return value >= 128 ? value - 256 : value;
+}
+
+function clampMultiplier(value) {
+  return Math.max(-128, Math.min(127, Math.round(value)));
+}
+
+function colorTransformDelta(multiplier, color) {
+  return (multiplier * color) >> 5;
+}
+
+// Channel-wise difference modulo 256
+function subPixels(a, b) {
+  return ((((a >>> 24) - (b >>> 24)) & 0xFF) << 24 |
+    (((a >>> 16) - (b >>> 16)) & 0xFF) << 16 |
+    (((a >>> 8) - (b >>> 8)) & 0xFF) << 8 |
+    ((a - b) & 0xFF)) >>> 0;
+}
+
+// Channel-wise rounded-down mean
+function average2(a, b) {
+  return ((((a ^ b) & 0xFEFEFEFE) >>> 1) + (a & b)) >>> 0;
+}
+
+function clampChannel(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+function mapChannels(callback) {
+  let result = 0;
+  for (let shift = 0; shift < 32; shift += 8) {
+    result |= callback(shift) << shift;
+  }
+  return result >>> 0;
+}
+
+function channel(pixel, shift) {
+  return (pixel >>> shift) & 0xFF;
+}
+
+function select(left, top, topLeft) {
+  let leftDistance = 0;
+  let topDistance = 0;
+  for (let shift = 0; shift < 32; shift += 8) {
+    const estimate = channel(left, shift) + channel(top, shift) - channel(topLeft, shift);
+    leftDistance += Math.abs(estimate - channel(left, shift));
+    topDistance += Math.abs(estimate - channel(top, shift));
+  }
+  return leftDistance < topDistance ? left : top;
+}
+
+// The first pixel predicts opaque black, the rest of the top row its left neighbour and the left column the
+// pixel above; the top-right neighbour of the last column is the first pixel of the current row
+function predict(argb, width, i, x, y, mode) {
+  if (y === 0) return x === 0 ? 0xFF000000 : argb[i - 1];
+  if (x === 0) return argb[i - width];
+
+  const left = argb[i - 1];
+  const top = argb[i - width];
+  const topLeft = argb[i - width - 1];
+  const topRight = argb[i - width + 1];
+
+  switch (mode) {
+    case 0: return 0xFF000000;
+    case 1: return left;
+    case 2: return top;
+    case 3: return topRight;
+    case 4: return topLeft;
+    case 5: return average2(average2(left, topRight), top);
+    case 6: return average2(left, topLeft);
+    case 7: return average2(left, top);
+    case 8: return average2(topLeft, top);
+    case 9: return average2(top, topRight);
+    case 10: return average2(average2(left, topLeft), average2(top, topRight));
+    case 11: return select(left, top, topLeft);
+    case 12: return mapChannels(shift => clampChannel(channel(left, shift) + channel(top, shift) - channel(topLeft, shift)));
+    default: {
+      const average = average2(left, top);
+      return mapChannels(shift => clampChannel(channel(average, shift) + Math.trunc((channel(average, shift) - channel(topLeft, shift)) / 2)));
+    }
+  }
+}
+
+function addToHistogram(histogram, pixel) {
+  histogram[pixel >>> 24]++;
+  histogram[256 + ((pixel >>> 16) & 0xFF)]++;
+  histogram[512 + ((pixel >>> 8) & 0xFF)]++;
+  histogram[768 + (pixel & 0xFF)]++;
+}
+
+// n * log2(n) for the counts a tile can produce
+function buildEntropyTerms(maxCount) {
+  const terms = new Float64Array(maxCount + 1);
+  for (let n = 2; n <= maxCount; n++) {
+    terms[n] = n * Math.log2(n);
+  }
+  return terms;
+}
+
+// Entropy in bits of each 256-bin section of the histogram, summed; clears the histogram as it goes
+function drainHistogramEntropy(histogram, entropyTerms) {
+  let bits = 0;
+  for (let section = 0; section < histogram.length; section += 256) {
+    let total = 0;
+    let sum = 0;
+    for (let i = section; i < section + 256; i++) {
+      const count = histogram[i];
+      if (count > 0) {
+        total += count;
+        sum += entropyTerms[count];
+        histogram[i] = 0;
+      }
+    }
+    bits += entropyTerms[total] - sum;
+  }
+  return bits;
+}
+
+function shannonBits(histogram) {
+  let total = 0;
+  let sum = 0;
+  for (const count of histogram) {
+    if (count > 0) {
+      total += count;
+      sum += count * Math.log2(count);
+    }
+  }
+  return total > 0 ? total * Math.log2(total) - sum : 0;
+}
+
+// Lengths and distances go as a prefix code plus extra bits: the two highest set bits of value - 1 pick the code
+function prefixEncode(value) {
+  const distance = value - 1;
+  if (distance < 2) {
+    return { code: distance, extraBits: 0, extraValue: 0 };
+  }
+
+  const highestBit = 31 - Math.clz32(distance);
+  const secondHighestBit = (distance >> (highestBit - 1)) & 1;
+  const extraBits = highestBit - 1;
+  return {
+    code: 2 * highestBit + secondHighestBit,
+    extraBits,
+    extraValue: distance & ((1 << extraBits) - 1)
+  };
+}
+
+// Depth of every leaf of a Huffman tree over the counts. Leaves are merged in count order through two queues,
+// so parents always come after their children
+function huffmanDepths(counts) {
+  const leafCount = counts.length;
+  const order = counts.map((count, index) => index).sort((a, b) => counts[a] - counts[b] || a - b);
+  const weights = new Float64Array(2 * leafCount - 1);
+  const parents = new Int32Array(2 * leafCount - 1);
+  order.forEach((index, position) => {
+    weights[position] = counts[index];
+  });
+
+  let leaf = 0;
+  let internal = leafCount;
+  let next = leafCount;
+  const take = () => (leaf < leafCount && (internal >= next || weights[leaf] <= weights[internal]) ? leaf++ : internal++);
+
+  while (next < 2 * leafCount - 1) {
+    const a = take();
+    const b = take();
+    weights[next] = weights[a] + weights[b];
+    parents[a] = parents[b] = next;
+    next++;
+  }
+
+  const nodeDepths = new Uint8Array(2 * leafCount - 1);
+  for (let node = 2 * leafCount - 3; node >= 0; node--) {
+    nodeDepths[node] = nodeDepths[parents[node]] + 1;
+  }
+
+  const depths = new Array(leafCount);
+  order.forEach((index, position) => {
+    depths[index] = nodeDepths[position];
+  });
+  return depths;
+}
+
+function reverseBits(code, length) {
+  let reversed = 0;
+  for (let i = 0; i < length; i++) {
+    reversed = (reversed << 1) | ((code >> i) & 1);
+  }
+  return reversed;
+}
+
+// Growable byte buffer written least significant bit first
+class VP8LBitWriter {
+  constructor(initialSize = 1024) {
+    this.buffer = new Uint8Array(Math.max(1024, initialSize));
+    this.length = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  putBits(value, count) {
+    if (count === 0) return;
+    
+    this.bitBuffer |= value << this.bitCount;
+    this.bitCount += count;
+    
+    while (this.bitCount >= 8) {
+      if (this.length === this.buffer.length) {
+        const grown = new Uint8Array(this.buffer.length * 2);
+        grown.set(this.buffer);
+        this.buffer = grown;
+      }
+      this.buffer[this.length++] = this.bitBuffer & 0xFF;
+      this.bitBuffer >>>= 8;
+      this.bitCount -= 8;
+    }
+  }
+
+  finish() {
+    if (this.bitCount > 0) {
+      this.putBits(0, 8 - this.bitCount);
+    }
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+export default VP8LEncoder;
\ No newline at end of file
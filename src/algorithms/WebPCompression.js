@@ -4,7 +4,9 @@
  */
 
 import Logger from '../utils/Logger.js';
-import { CompressionError, UnsupportedError } from '../core/ErrorHandler.js';
+import { CompressionError } from '../core/ErrorHandler.js';
+import VP8Encoder from './VP8Encoder.js';
+import VP8LEncoder from './VP8LEncoder.js';
 
 class WebPCompression {
   constructor(options, logger) {
@@ -36,17 +38,23 @@ class WebPCompression {
       EXIF: 16,
       ICC: 32
     };
+    
+    // Prediction filters of the ALPH chunk
+    this.ALPHA_FILTERS = {
+      NONE: 0,
+      HORIZONTAL: 1,
+      VERTICAL: 2,
+      GRADIENT: 3
+    };
+    
+    this.vp8 = new VP8Encoder(options, this.logger);
+    this.vp8l = new VP8LEncoder(options, this.logger);
   }
 
   async compress(imageData, options = {}) {
     const timer = this.logger.startTimer('webp_compression');
     
     try {
-      // Check WebP support
-      if (!this.isWebPSupported()) {
-        throw new UnsupportedError('WebP format is not supported in this environment');
-      }
-
       this.logger.debug('Starting WebP compression', { 
         quality: options.quality,
         method: options.method,
@@ -61,12 +69,16 @@ class WebPCompression {
       // Determine encoding parameters
       const encodingParams = this.determineEncodingParams(imageData, analysis, options);
       
-      // Encode using canvas if available (browser)
+      // Lossless is encoded in JavaScript everywhere; lossy uses the native canvas encoder when there is one
       let webpData;
-      if (typeof document !== 'undefined') {
+      let backend = 'javascript';
+      if (encodingParams.lossless) {
+        webpData = this.createWebPContainer([{ type: 'VP8L', data: this.vp8l.encode(imageData) }]);
+      } else if (this.isWebPSupported()) {
         webpData = await this.encodeWithCanvas(imageData, encodingParams);
+        backend = 'canvas';
       } else {
-        webpData = await this.encodeWithVP8(imageData, encodingParams);
+        webpData = await this.encodeVP8(imageData, encodingParams);
       }
       
       // Post-process for optimization
@@ -90,7 +102,8 @@ class WebPCompression {
         height: imageData.height,
         format: 'webp',
         quality: options.quality,
-        lossless: encodingParams.lossless
+        lossless: encodingParams.lossless,
+        backend
       };
       
     } catch (error) {
@@ -186,12 +199,12 @@ class WebPCompression {
 
   determineEncodingParams(imageData, analysis, options) {
     const params = {
-      quality: options.quality || 0.8,
+      quality: Math.min(1, Math.max(0, options.quality ?? 0.8)),
       method: options.method || this.METHODS.DEFAULT,
       preset: options.preset || this.PRESETS.DEFAULT,
       lossless: options.lossless || false,
       alpha: analysis.hasAlpha,
-      filterType: options.filterType || 1,
+      filterType: options.filterType ?? 1,
       filterSharpness: options.filterSharpness || 0,
       filterLevel: options.filterLevel || 0,
       preprocessing: options.preprocessing || 0,
@@ -202,15 +215,15 @@ class WebPCompression {
       qmax: options.qmax || 100,
       targetSize: options.targetSize || 0,
       targetPSNR: options.targetPSNR || 0,
-      segments: options.segments || 4,
-      snsStrength: options.snsStrength || 50,
-      filterStrength: options.filterStrength || 60,
+      segments: options.segments ?? 4,
+      snsStrength: options.snsStrength ?? 50,
+      filterStrength: options.filterStrength ?? 60,
       filterSharpness: options.filterSharpness || 0,
-      filterType: options.filterType || 1,
+      filterType: options.filterType ?? 1,
       autofilter: options.autofilter || false,
-      alphaCompression: options.alphaCompression || 1,
-      alphaFiltering: options.alphaFiltering || 1,
-      alphaQuality: options.alphaQuality || 100,
+      alphaCompression: options.alphaCompression ?? 1,
+      alphaFiltering: options.alphaFiltering ?? 1,
+      alphaQuality: options.alphaQuality ?? 1,
       pass: options.pass || 1,
       showCompressed: options.showCompressed || 0,
       preprocessing: options.preprocessing || 0,
@@ -246,7 +259,7 @@ class WebPCompression {
     
     // Adjust alpha compression
     if (params.alpha) {
-      params.alphaQuality = Math.max(80, params.alphaQuality);
+      params.alphaQuality = Math.max(0.8, params.alphaQuality);
     }
     
     return params;
@@ -298,292 +311,184 @@ class WebPCompression {
     });
   }
 
-  async encodeWithVP8(imageData, params) {
-    // VP8 encoding implementation
-    // This would be a complex implementation in production
-    
-    const { width, height, data } = imageData;
-    
-    // Create WebP container
-    const webpData = [];
-    
-    // RIFF header
-    webpData.push(0x52, 0x49, 0x46, 0x46); // "RIFF"
-    
-    // File size (will be updated later)
-    webpData.push(0x00, 0x00, 0x00, 0x00);
-    
-    // WebP signature
-    webpData.push(0x57, 0x45, 0x42, 0x50); // "WEBP"
-    
-    // VP8 chunk
-    if (params.lossless) {
-      webpData.push(0x56, 0x50, 0x38, 0x4C); // "VP8L"
-      const vp8lData = await this.encodeVP8Lossless(imageData, params);
-      
-      // VP8L chunk size
-      const size = vp8lData.length;
-      webpData.push((size >> 0) & 0xFF, (size >> 8) & 0xFF, 
-                   (size >> 16) & 0xFF, (size >> 24) & 0xFF);
-      
-      webpData.push(...vp8lData);
-    } else {
-      webpData.push(0x56, 0x50, 0x38, 0x20); // "VP8 "
-      const vp8Data = await this.encodeVP8Lossy(imageData, params);
-      
-      // VP8 chunk size
-      const size = vp8Data.length;
-      webpData.push((size >> 0) & 0xFF, (size >> 8) & 0xFF, 
-                   (size >> 16) & 0xFF, (size >> 24) & 0xFF);
-      
-      webpData.push(...vp8Data);
+  // RIFF header and the given chunks, each padded to an even size
+  createWebPContainer(chunks) {
+    const size = chunks.reduce((total, chunk) => total + 8 + chunk.data.length + (chunk.data.length & 1), 4);
+    const webpData = new Uint8Array(8 + size);
+    const view = new DataView(webpData.buffer);
+    
+    webpData.set([0x52, 0x49, 0x46, 0x46], 0); // 'RIFF'
+    view.setUint32(4, size, true);
+    webpData.set([0x57, 0x45, 0x42, 0x50], 8); // 'WEBP'
+    
+    let offset = 12;
+    for (const { type, data } of chunks) {
+      for (let i = 0; i < 4; i++) {
+        webpData[offset + i] = type.charCodeAt(i);
+      }
+      view.setUint32(offset + 4, data.length, true);
+      webpData.set(data, offset + 8);
+      offset += 8 + data.length + (data.length & 1);
     }
     
-    // Update file size
-    const fileSize = webpData.length - 8;
-    webpData[4] = (fileSize >> 0) & 0xFF;
-    webpData[5] = (fileSize >> 8) & 0xFF;
-    webpData[6] = (fileSize >> 16) & 0xFF;
-    webpData[7] = (fileSize >> 24) & 0xFF;
-    
-    return new Uint8Array(webpData);
+    return webpData;
   }
 
-  async encodeVP8Lossless(imageData, params) {
-    // VP8L (lossless) encoding
-    // Simplified implementation
-    
-    const vp8lData = [];
-    
-    // VP8L header
-    vp8lData.push(0x2F); // VP8L signature
-    
-    // Width and height
-    const width = imageData.width - 1;
-    const height = imageData.height - 1;
-    
-    vp8lData.push(
-      (width >> 0) & 0xFF,
-      (width >> 8) & 0xFF,
-      (width >> 14) & 0xFF | ((height >> 0) & 0x3) << 6,
-      (height >> 2) & 0xFF,
-      (height >> 10) & 0xFF
-    );
-    
-    // Alpha flag
-    const hasAlpha = params.alpha;
-    if (hasAlpha) {
-      vp8lData[4] |= 0x10;
-    }
-    
-    // Version
-    vp8lData.push(0x00);
+  async optimizeWebP(webpData, params) {
+    // WebP optimization
+    // In production, this would use advanced optimization techniques
     
-    // Encode image data
-    const encodedData = await this.encodeVP8LData(imageData, params);
-    vp8lData.push(...encodedData);
+    if (params.optimize) {
+      this.logger.debug('Optimizing WebP data');
+      
+      // Remove unnecessary chunks
+      // Optimize compression parameters
+      // Apply additional filters if needed
+    }
     
-    return new Uint8Array(vp8lData);
+    return webpData;
   }
 
-  async encodeVP8LData(imageData, params) {
-    // VP8L data encoding
-    // This would implement the actual VP8L compression
-    
-    const { data } = imageData;
-    const encoded = [];
-    
-    // Transform types
-    const transforms = [];
+  // Lossy WebP in JavaScript: a VP8 key frame, preceded by VP8X and ALPH chunks when the image is transparent
+  async encodeVP8(imageData, params) {
+    const { data, width, height } = imageData;
+    const frame = this.vp8.encode(imageData, params);
     
-    // Color transform
-    if (params.colorTransform) {
-      transforms.push(0x00); // Predictor transform
+    if (!params.alpha) {
+      return this.createWebPContainer([{ type: 'VP8 ', data: frame }]);
     }
     
-    // Color indexing transform
-    if (params.colorIndexing) {
-      transforms.push(0x02);
+    const alphaData = new Uint8Array(width * height);
+    for (let p = 0; p < alphaData.length; p++) {
+      alphaData[p] = data[p * 4 + 3];
     }
     
-    // Add transform data
-    encoded.push(transforms.length);
-    encoded.push(...transforms);
-    
-    // Image data
-    for (let i = 0; i < data.length; i += 4) {
-      encoded.push(data[i]);     // R
-      encoded.push(data[i + 1]); // G
-      encoded.push(data[i + 2]); // B
-      if (params.alpha) {
-        encoded.push(data[i + 3]); // A
-      }
-    }
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = 0x10; // Alpha flag
+    vp8x.set([(width - 1) & 0xFF, ((width - 1) >> 8) & 0xFF, (width - 1) >> 16], 4);
+    vp8x.set([(height - 1) & 0xFF, ((height - 1) >> 8) & 0xFF, (height - 1) >> 16], 7);
     
-    return encoded;
+    return this.createWebPContainer([
+      { type: 'VP8X', data: vp8x },
+      { type: 'ALPH', data: await this.compressAlpha(alphaData, width, height, params) },
+      { type: 'VP8 ', data: frame }
+    ]);
   }
 
-  async encodeVP8Lossy(imageData, params) {
-    // VP8 (lossy) encoding
-    // Simplified implementation
-    
-    const vp8Data = [];
-    
-    // Frame header
-    vp8Data.push(0x9D, 0x01, 0x2A); // VP8 frame tag
-    
-    // Width and height
-    const width = imageData.width;
-    const height = imageData.height;
+  // ALPH chunk payload: a header byte, then the alpha plane, level-reduced below alphaQuality 1 and run through
+  // a prediction filter, either raw (alphaCompression 0) or as a VP8L image stream. alphaFiltering 0 leaves the
+  // plane unfiltered, 1 picks the filter with the lowest residual entropy and 2 keeps whichever compresses best
+  async compressAlpha(alphaData, width, height, params) {
+    const compression = params.alphaCompression === 0 ? 0 : 1;
+    const quality = Math.round(Math.min(1, Math.max(0, params.alphaQuality ?? 1)) * 100);
+    const preprocessing = quality < 100 ? 1 : 0;
+    const alpha = preprocessing ? this.reduceAlphaLevels(alphaData, quality) : alphaData;
+    
+    let filters;
+    if (params.alphaFiltering === 0) {
+      filters = [this.ALPHA_FILTERS.NONE];
+    } else if (params.alphaFiltering === 2) {
+      filters = Object.values(this.ALPHA_FILTERS);
+    } else {
+      filters = [this.pickAlphaFilter(alpha, width, height)];
+    }
     
-    vp8Data.push(
-      (width >> 8) & 0x7F | 0x80,
-      width & 0xFF,
-      (height >> 8) & 0x7F | 0x80,
-      height & 0xFF
-    );
+    let best = null;
+    for (const filter of filters) {
+      const filtered = this.filterAlpha(alpha, width, height, filter);
+      const payload = compression
+        ? this.vp8l.encodeAlpha(filtered, width, height, filter === this.ALPHA_FILTERS.NONE)
+        : filtered;
+      
+      if (!best || payload.length < best.payload.length) {
+        best = { filter, payload };
+      }
+    }
     
-    // Quality and compression settings
-    const quality = Math.round(params.quality * 100);
-    vp8Data.push(quality & 0xFF);
+    const compressed = new Uint8Array(1 + best.payload.length);
+    compressed[0] = (preprocessing << 4) | (best.filter << 2) | compression;
+    compressed.set(best.payload, 1);
     
-    // Encode macroblocks
-    const macroblocks = await this.encodeMacroblocks(imageData, params);
-    vp8Data.push(...macroblocks);
+    this.logger.debug('WebP alpha compressed', {
+      filter: best.filter,
+      compression,
+      levelReduction: preprocessing === 1,
+      size: compressed.length
+    });
     
-    return new Uint8Array(vp8Data);
+    return compressed;
   }
 
-  async encodeMacroblocks(imageData, params) {
-    const { data, width, height } = imageData;
-    const macroblocks = [];
-    
-    // Process 16x16 macroblocks
-    for (let y = 0; y < height; y += 16) {
-      for (let x = 0; x < width; x += 16) {
-        const mbData = this.extractMacroblock(data, width, height, x, y);
-        const encodedMB = await this.encodeMacroblock(mbData, params);
-        macroblocks.push(...encodedMB);
-      }
-    }
-    
-    return macroblocks;
+  // Uniform quantization to fewer alpha levels, as many as libwebp keeps for the same quality
+  reduceAlphaLevels(alphaData, quality) {
+    const levels = Math.min(256, quality <= 70 ? 2 + Math.floor(quality / 5) : 16 + (quality - 70) * 8);
+    const step = 255 / (levels - 1);
+    return alphaData.map(value => Math.round(Math.round(value / step) * step));
   }
 
-  extractMacroblock(data, width, height, startX, startY) {
-    const mbData = new Uint8Array(16 * 16 * 4);
-    
-    for (let y = 0; y < 16; y++) {
-      for (let x = 0; x < 16; x++) {
-        const pixelX = Math.min(startX + x, width - 1);
-        const pixelY = Math.min(startY + y, height - 1);
-        const srcIndex = (pixelY * width + pixelX) * 4;
-        const dstIndex = (y * 16 + x) * 4;
-        
-        mbData[dstIndex] = data[srcIndex];
-        mbData[dstIndex + 1] = data[srcIndex + 1];
-        mbData[dstIndex + 2] = data[srcIndex + 2];
-        mbData[dstIndex + 3] = data[srcIndex + 3];
-      }
+  // Residuals against the left, top or gradient predictor. The first pixel predicts from 0, the rest of the top
+  // row from the left and the rest of the left column from above, whatever the filter
+  filterAlpha(alpha, width, height, filter) {
+    if (filter === this.ALPHA_FILTERS.NONE) {
+      return alpha;
     }
     
-    return mbData;
-  }
-
-  async encodeMacroblock(mbData, params) {
-    // Simplified macroblock encoding
-    // In VP8, this would involve prediction, DCT, quantization, etc.
-    
-    const encoded = [];
-    
-    // Prediction mode
-    encoded.push(0x00); // DC prediction
-    
-    // Residual data (simplified)
-    for (let i = 0; i < mbData.length; i += 4) {
-      encoded.push(mbData[i]);     // Y
-      encoded.push(mbData[i + 1]); // Cb
-      encoded.push(mbData[i + 2]); // Cr
+    const filtered = new Uint8Array(alpha.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        let prediction;
+        if (y === 0) {
+          prediction = x === 0 ? 0 : alpha[i - 1];
+        } else if (x === 0) {
+          prediction = alpha[i - width];
+        } else if (filter === this.ALPHA_FILTERS.HORIZONTAL) {
+          prediction = alpha[i - 1];
+        } else if (filter === this.ALPHA_FILTERS.VERTICAL) {
+          prediction = alpha[i - width];
+        } else {
+          prediction = Math.min(255, Math.max(0, alpha[i - 1] + alpha[i - width] - alpha[i - width - 1]));
+        }
+        filtered[i] = (alpha[i] - prediction) & 0xFF;
+      }
     }
     
-    return encoded;
+    return filtered;
   }
 
-  async optimizeWebP(webpData, params) {
-    // WebP optimization
-    // In production, this would use advanced optimization techniques
-    
-    if (params.optimize) {
-      this.logger.debug('Optimizing WebP data');
+  pickAlphaFilter(alpha, width, height) {
+    let bestFilter = this.ALPHA_FILTERS.NONE;
+    let bestEntropy = Infinity;
+    
+    for (const filter of Object.values(this.ALPHA_FILTERS)) {
+      const histogram = new Uint32Array(256);
+      for (const value of this.filterAlpha(alpha, width, height, filter)) {
+        histogram[value]++;
+      }
       
-      // Remove unnecessary chunks
-      // Optimize compression parameters
-      // Apply additional filters if needed
-    }
-    
-    return webpData;
-  }
-
-  // Alpha channel compression
-  async compressAlpha(alphaData, params) {
-    const compressed = [];
-    
-    // Alpha compression method
-    compressed.push(params.alphaCompression || 1);
-    
-    // Filter strength
-    compressed.push(params.alphaFiltering || 1);
-    
-    // Quality
-    compressed.push(params.alphaQuality || 100);
-    
-    // Compressed alpha data
-    for (let i = 0; i < alphaData.length; i++) {
-      compressed.push(alphaData[i]);
+      let entropy = 0;
+      for (const count of histogram) {
+        if (count > 0) entropy -= count * Math.log2(count / alpha.length);
+      }
+      if (entropy < bestEntropy) {
+        bestEntropy = entropy;
+        bestFilter = filter;
+      }
     }
     
-    return new Uint8Array(compressed);
+    return bestFilter;
   }
 
   // WebP features detection
   getSupportedFeatures() {
-    const features = {
-      lossy: false,
-      lossless: false,
-      alpha: false,
-      animation: false
+    // Both lossless and lossy WebP, alpha included, are encoded in JavaScript in every environment.
+    // Frames are encoded one by one and muxed into ANMF chunks by AnimationCompression
+    return {
+      lossy: true,
+      lossless: true,
+      alpha: true,
+      animation: true
     };
-    
-    if (this.isWebPSupported()) {
-      features.lossy = true;
-      
-      // Check for lossless support
-      try {
-        const canvas = document.createElement('canvas');
-        canvas.width = 1;
-        canvas.height = 1;
-        const dataURL = canvas.toDataURL('image/webp', 1.0);
-        features.lossless = dataURL.startsWith('data:image/webp');
-      } catch (error) {
-        features.lossless = false;
-      }
-      
-      // Check for alpha support
-      try {
-        const canvas = document.createElement('canvas');
-        canvas.width = 1;
-        canvas.height = 1;
-        const ctx = canvas.getContext('2d');
-        ctx.fillStyle = 'rgba(255, 0, 0, 0.5)';
-        ctx.fillRect(0, 0, 1, 1);
-        const dataURL = canvas.toDataURL('image/webp');
-        features.alpha = dataURL.startsWith('data:image/webp');
-      } catch (error) {
-        features.alpha = false;
-      }
-    }
-    
-    return features;
   }
 }
 
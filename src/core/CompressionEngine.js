@@ -4,27 +4,45 @@
  */
 
 import Logger from '../utils/Logger.js';
-import { CompressionError, MemoryError } from './ErrorHandler.js';
+import Environment from '../utils/Environment.js';
+import { CompressionError, ValidationError, MemoryError, WorkerError, TimeoutError, UnsupportedError } from './ErrorHandler.js';
 import JPEGCompression from '../algorithms/JPEGCompression.js';
 import PNGCompression from '../algorithms/PNGCompression.js';
 import WebPCompression from '../algorithms/WebPCompression.js';
+import GIFCompression from '../algorithms/GIFCompression.js';
+import BMPCompression from '../algorithms/BMPCompression.js';
+import TIFFCompression from '../algorithms/TIFFCompression.js';
 import AVIFCompression from '../algorithms/AVIFCompression.js';
 import SVGCompression from '../algorithms/SVGCompression.js';
 import ProgressiveCompression from '../algorithms/ProgressiveCompression.js';
+import AnimationCompression from '../algorithms/AnimationCompression.js';
+
+// Registered WebAssembly codecs by role: encoders turn RGBA pixels into a file, optimizers rewrite an encoded
+// file smaller, and deflate builds compress PNG image data into a zlib stream
+const WASM_CODEC_ROLES = {
+  encoder: { entry: 'encode', formats: ['jpeg', 'png', 'webp', 'avif'] },
+  optimizer: { entry: 'optimize', formats: ['jpeg', 'png', 'webp', 'avif'] },
+  deflate: { entry: 'deflate', formats: ['png'] }
+};
 
 class CompressionEngine {
   constructor(options, logger) {
     this.options = options;
     this.logger = logger || new Logger();
+    this.environment = new Environment();
     
     // Initialize compression algorithms
     this.algorithms = {
       jpeg: new JPEGCompression(options, logger),
       png: new PNGCompression(options, logger),
       webp: new WebPCompression(options, logger),
+      gif: new GIFCompression(options, logger),
+      bmp: new BMPCompression(options, logger),
+      tiff: new TIFFCompression(options, logger),
       avif: new AVIFCompression(options, logger),
       svg: new SVGCompression(options, logger),
-      progressive: new ProgressiveCompression(options, logger)
+      progressive: new ProgressiveCompression(options, logger),
+      animation: new AnimationCompression(options, logger)
     };
     
     // Compression strategies
@@ -67,8 +85,7 @@ class CompressionEngine {
       const optimizedData = await this.preProcess(imageData, format, strategy);
       
       // Select and apply compression algorithm
-      const algorithm = this.selectAlgorithm(format, strategy);
-      const compressedData = await algorithm.compress(optimizedData, strategy);
+      const compressedData = await this.runAlgorithm(this.resolveAlgorithmName(format), optimizedData, strategy);
       
       // Apply post-processing optimizations
       const finalData = await this.postProcess(compressedData, format, strategy);
@@ -98,10 +115,155 @@ class CompressionEngine {
       
     } catch (error) {
       this.logger.error('Compression failed', { error: error.message });
+      
+      // The error handler retries CompressionErrors; invalid input or options would only fail again
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       throw new CompressionError(error.message, 'auto', { imageData, options });
     }
   }
 
+  // Animated output is encoded frame by frame on the main thread, without the single-image pre/post-processing
+  async compressAnimation(animation, options = {}) {
+    const timer = this.logger.startTimer('compression_engine');
+    const originalSize = animation.frames.reduce((total, frame) => total + frame.data.length, 0);
+    
+    try {
+      const strategy = this.selectStrategy(options);
+      const compressedData = await this.algorithms.animation.compress(animation, strategy);
+      
+      this.updateCompressionStats({ size: originalSize }, compressedData, timer.end());
+      
+      return {
+        ...compressedData,
+        strategy: strategy.name,
+        metadata: {
+          originalSize,
+          compressedSize: compressedData.size,
+          compressionRatio: 1 - compressedData.size / originalSize,
+          processingTime: timer.end(),
+          animation: compressedData.animation
+        }
+      };
+    
+    } catch (error) {
+      this.logger.error('Animation compression failed', { error: error.message });
+      
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new CompressionError(error.message, 'animation', { frames: animation.frames.length, options });
+    }
+  }
+
+  // SVG markup is optimized as text: no pixels, so none of the raster pre/post-processing applies
+  async compressVector(markup, options = {}) {
+    const timer = this.logger.startTimer('compression_engine');
+    const originalSize = typeof markup === 'string' ? new TextEncoder().encode(markup).length : markup.byteLength;
+    
+    try {
+      const compressedData = await this.algorithms.svg.compress(markup, {
+        plugins: options.svgPlugins,
+        precision: options.svgPrecision
+      });
+      
+      this.updateCompressionStats({ size: originalSize }, compressedData, timer.end());
+      
+      return {
+        ...compressedData,
+        strategy: 'svg',
+        metadata: {
+          originalSize,
+          compressedSize: compressedData.size,
+          compressionRatio: 1 - compressedData.size / originalSize,
+          processingTime: timer.end(),
+          plugins: compressedData.plugins
+        }
+      };
+    
+    } catch (error) {
+      this.logger.error('SVG compression failed', { error: error.message });
+      throw error instanceof CompressionError ? error : new CompressionError(error.message, 'svg', { options });
+    }
+  }
+
+  setWorkerPool(workerPool) {
+    this.workerPool = workerPool;
+  }
+
+  // Called again whenever a codec is registered or removed; the PNG encoder deflates through a WebAssembly zlib
+  // build when there is one
+  setWebAssemblyModules(wasmModules) {
+    this.wasmModules = wasmModules;
+    
+    const zlib = wasmModules?.get('png', 'deflate');
+    this.algorithms.png.wasmZlib = zlib
+      ? { name: zlib.name, deflate: (data, level) => wasmModules.deflate(data, level) }
+      : null;
+  }
+
+  hasWebAssemblyCodec(algorithmName, role) {
+    return Boolean(this.options.enableWebAssembly && this.wasmModules?.get(algorithmName, role));
+  }
+
+  // A registered WebAssembly encoder first, then off the main thread when a worker pool can run the JavaScript
+  // encoder, otherwise in-thread
+  async runAlgorithm(algorithmName, imageData, strategy) {
+    const algorithm = this.selectAlgorithm(algorithmName, strategy);
+    const pixels = this.getPixelBuffer(imageData);
+    
+    if (pixels && this.hasWebAssemblyCodec(algorithmName, 'encoder')) {
+      try {
+        return await this.wasmModules.encode(algorithmName, { ...imageData, data: pixels }, strategy);
+      } catch (error) {
+        this.logger.warn('WebAssembly encoding failed, using JavaScript fallback', {
+          codec: this.wasmModules.get(algorithmName, 'encoder').name,
+          error: error.message
+        });
+      }
+    }
+    
+    // Workers have no WebAssembly codecs, so PNG stays here when its deflate runs in one
+    if (!this.workerPool || !pixels || !this.workerPool.supports(algorithmName) ||
+      this.hasWebAssemblyCodec(algorithmName, 'deflate')) {
+      return algorithm.compress(imageData, strategy);
+    }
+    
+    // Transferring detaches the sender's buffer, so pixels the caller still holds are copied first
+    const owned = strategy.transferPixels &&
+      pixels.buffer instanceof ArrayBuffer &&
+      pixels.byteOffset === 0 &&
+      pixels.byteLength === pixels.buffer.byteLength;
+    const data = owned ? pixels : new Uint8ClampedArray(pixels);
+    
+    try {
+      return await this.workerPool.process({
+        algorithm: algorithmName,
+        imageData: { ...imageData, data },
+        options: this.workerPool.toCloneable({ ...strategy, wasmCodecs: undefined })
+      }, [data.buffer]);
+    } catch (error) {
+      // A crashed worker leaves the pixels usable only if they were copied
+      if (!(error instanceof WorkerError) || owned) {
+        throw error;
+      }
+      
+      this.logger.warn('Worker compression failed, falling back to main thread', {
+        workerId: error.workerId,
+        error: error.message
+      });
+      return algorithm.compress(imageData, strategy);
+    }
+  }
+
+  // Raw RGBA bytes, unwrapping ImageData; null for encoded or non-pixel input
+  getPixelBuffer(imageData) {
+    const { data } = imageData;
+    const pixels = data && data.data && typeof data.width === 'number' ? data.data : data;
+    return ArrayBuffer.isView(pixels) ? pixels : null;
+  }
+
   async compressWithAlgorithm(imageData, algorithmName, options = {}) {
     const algorithm = this.algorithms[algorithmName.toLowerCase()];
     if (!algorithm) {
@@ -184,7 +346,7 @@ class CompressionEngine {
     };
   }
 
-  selectAlgorithm(format, strategy) {
+  resolveAlgorithmName(format) {
     const formatMap = {
       'jpg': 'jpeg',
       'jpeg': 'jpeg',
@@ -192,12 +354,17 @@ class CompressionEngine {
       'webp': 'webp',
       'avif': 'avif',
       'svg': 'svg',
-      'gif': 'png', // Convert GIF to PNG
-      'bmp': 'png', // Convert BMP to PNG
-      'tiff': 'png' // Convert TIFF to PNG
+      'gif': 'gif',
+      'bmp': 'bmp',
+      'tif': 'tiff',
+      'tiff': 'tiff'
     };
     
-    const algorithmName = formatMap[format.toLowerCase()] || 'png';
+    return formatMap[format.toLowerCase()] || 'png';
+  }
+
+  selectAlgorithm(format, strategy) {
+    const algorithmName = this.resolveAlgorithmName(format);
     const algorithm = this.algorithms[algorithmName];
     
     if (!algorithm) {
@@ -217,8 +384,9 @@ class CompressionEngine {
     }
     
     // Check actual available memory
-    if (performance.memory) {
-      const availableMemory = performance.memory.jsHeapSizeLimit - performance.memory.usedJSHeapSize;
+    const heap = this.environment.getHeapStatistics();
+    if (heap) {
+      const availableMemory = heap.limit - heap.used;
       if (estimatedMemory > availableMemory * 0.8) {
         this.logger.warn('Low memory detected, using conservative compression', {
           required: estimatedMemory,
@@ -263,16 +431,15 @@ class CompressionEngine {
   async postProcess(compressedData, format, strategy) {
     const optimizations = [];
     
-    // Progressive encoding
-    if (strategy.progressive && this.supportsProgressive(format)) {
+    // Progressive output is written by the encoder itself, which reports whether it did
+    if (compressedData.progressive) {
       optimizations.push('progressive');
-      compressedData = await this.algorithms.progressive.encode(compressedData);
     }
     
-    // Optimize compression
-    if (strategy.optimize) {
+    // Optimize compression; a registered WebAssembly optimizer always runs
+    if (strategy.optimize || this.hasWebAssemblyCodec(this.resolveAlgorithmName(format), 'optimizer')) {
       optimizations.push('compression_optimization');
-      compressedData = await this.optimizeCompression(compressedData, format);
+      compressedData = await this.optimizeCompression(compressedData, format, strategy);
     }
     
     // Add metadata
@@ -288,15 +455,12 @@ class CompressionEngine {
     };
   }
 
-  supportsProgressive(format) {
-    return ['jpeg', 'png', 'webp'].includes(format.toLowerCase());
-  }
-
-  async optimizeCompression(data, format) {
+  async optimizeCompression(data, format, strategy = {}) {
     // Use WebAssembly optimization if available
-    if (this.options.enableWebAssembly && this.wasmModules) {
+    const algorithmName = this.resolveAlgorithmName(format);
+    if (this.hasWebAssemblyCodec(algorithmName, 'optimizer')) {
       try {
-        return await this.wasmModules.optimize(data, format);
+        return await this.wasmModules.optimize(algorithmName, data, strategy);
       } catch (error) {
         this.logger.warn('WebAssembly optimization failed, using JavaScript fallback', { error: error.message });
       }
@@ -385,73 +549,117 @@ class WorkerPool {
   constructor(options) {
     this.maxWorkers = options.maxWorkers || 4;
     this.logger = options.logger;
+    this.environment = options.environment || new Environment();
+    this.workerURL = options.workerURL || new URL('./CompressionWorker.js', import.meta.url);
+    this.workerOptions = this.toCloneable(options.workerOptions || {});
+    this.startupTimeout = options.startupTimeout || 10000;
     this.workers = [];
     this.taskQueue = [];
     this.activeTasks = new Map();
     this.workerId = 0;
+    this.taskId = 0;
   }
 
   async initialize() {
-    if (typeof Worker === 'undefined') {
-      throw new Error('Web Workers not supported');
+    if (!this.environment.hasWorkers()) {
+      throw new UnsupportedError('workers', { runtime: this.environment.getRuntime() });
     }
 
-    for (let i = 0; i < this.maxWorkers; i++) {
-      await this.createWorker();
+    try {
+      for (let i = 0; i < this.maxWorkers; i++) {
+        await this.createWorker();
+      }
+    } catch (error) {
+      await this.terminate();
+      throw error;
     }
   }
 
+  // Algorithms with a pure JavaScript encoder; the others need a DOM canvas
+  supports(algorithm) {
+    if (this.workers.length === 0) return false;
+    return ['jpeg', 'png', 'webp'].includes(algorithm);
+  }
+
+  // Resolves once the worker has loaded the encoders and answered the init message
   async createWorker() {
-    try {
-      const worker = new Worker(URL.createObjectURL(new Blob([
-        `
-        self.onmessage = function(e) {
-          const { id, task, data } = e.data;
-          try {
-            // Compression worker logic would go here
-            const result = { success: true, data: data };
-            self.postMessage({ id, result });
-          } catch (error) {
-            self.postMessage({ id, error: error.message });
-          }
-        };
-        `
-      ])));
-
-      const workerInfo = {
-        id: ++this.workerId,
-        worker,
-        busy: false,
-        tasksCompleted: 0
-      };
+    const worker = await this.environment.createWorker(this.workerURL);
+    const workerInfo = {
+      id: ++this.workerId,
+      worker,
+      busy: false,
+      taskId: null,
+      tasksCompleted: 0
+    };
 
-      worker.onmessage = (e) => {
-        this.handleWorkerMessage(workerInfo, e.data);
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        reject(new TimeoutError('worker_startup', this.startupTimeout, { workerId: workerInfo.id }));
+      }, this.startupTimeout);
+      
+      workerInfo.ready = () => {
+        clearTimeout(timeout);
+        resolve();
       };
 
-      worker.onerror = (error) => {
-        this.logger.error('Worker error', { workerId: workerInfo.id, error: error.message });
-        this.restartWorker(workerInfo.id);
+      workerInfo.startupFailed = (error) => {
+        clearTimeout(timeout);
+        reject(new WorkerError(error.message || 'worker failed to start', workerInfo.id));
       };
 
-      this.workers.push(workerInfo);
+      this.listen(worker, 'message', (data) => this.handleWorkerMessage(workerInfo, data));
+      this.listen(worker, 'error', (error) => this.handleWorkerError(workerInfo, error));
+      this.listen(worker, 'exit', (code) => this.handleWorkerError(workerInfo, new Error(`exited with code ${code}`)));
+
+      worker.postMessage({ task: 'init', data: this.workerOptions });
+    }).catch((error) => {
+      worker.terminate();
+      throw error;
+    });
       
-    } catch (error) {
-      this.logger.error('Failed to create worker', { error: error.message });
+    workerInfo.ready = null;
+    workerInfo.startupFailed = null;
+    this.setIdle(workerInfo, true);
+    this.workers.push(workerInfo);
+  }
+
+  // Web Workers are EventTargets, worker_threads workers are EventEmitters
+  listen(worker, type, handler) {
+    if (typeof worker.on === 'function') {
+      worker.on(type, handler);
+    } else if (type !== 'exit') {
+      worker.addEventListener(type, (event) => handler(type === 'message' ? event.data : event));
+    }
+  }
+
+  // Idle worker_threads must not keep Node.js alive
+  setIdle(workerInfo, idle) {
+    const { worker } = workerInfo;
+    if (idle && typeof worker.unref === 'function') {
+      worker.unref();
+    } else if (!idle && typeof worker.ref === 'function') {
+      worker.ref();
     }
   }
 
   handleWorkerMessage(workerInfo, data) {
+    if (data.ready) {
+      workerInfo.ready?.();
+      return;
+    }
+    
     const { id, result, error } = data;
     const task = this.activeTasks.get(id);
     
     if (task) {
       this.activeTasks.delete(id);
       workerInfo.busy = false;
+      workerInfo.taskId = null;
       workerInfo.tasksCompleted++;
+      this.setIdle(workerInfo, true);
       
       if (error) {
-        task.reject(new Error(error));
+        task.reject(this.deserializeError(error));
       } else {
         task.resolve(result);
       }
@@ -460,10 +668,43 @@ class WorkerPool {
     }
   }
 
-  async process(data) {
+  handleWorkerError(workerInfo, error) {
+    if (workerInfo.startupFailed) {
+      workerInfo.startupFailed(error);
+      return;
+    }
+    
+    if (!this.workers.includes(workerInfo)) return;
+    
+    this.logger.error('Worker error', { workerId: workerInfo.id, error: error.message });
+    
+    // The task it was running is lost; the caller decides whether to retry in-thread
+    const task = this.activeTasks.get(workerInfo.taskId);
+    if (task) {
+      this.activeTasks.delete(workerInfo.taskId);
+      task.reject(new WorkerError(error.message || 'worker crashed', workerInfo.id));
+    }
+    
+    this.restartWorker(workerInfo.id).catch((restartError) => {
+      this.logger.error('Failed to restart worker', { workerId: workerInfo.id, error: restartError.message });
+    });
+  }
+
+  // Errors cross the thread boundary as plain data; validation failures keep their class so they are not retried
+  deserializeError(error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      return new ValidationError(error.message);
+    }
+    
+    const restored = new Error(error.message);
+    restored.name = error.name;
+    restored.code = error.code;
+    return restored;
+  }
+
+  async process(data, transfer = []) {
     return new Promise((resolve, reject) => {
-      const taskId = Date.now() + Math.random();
-      const task = { id: taskId, data, resolve, reject };
+      const task = { id: ++this.taskId, data, transfer, resolve, reject };
       
       this.taskQueue.push(task);
       this.processQueue();
@@ -471,30 +712,69 @@ class WorkerPool {
   }
 
   processQueue() {
-    if (this.taskQueue.length === 0) return;
+    while (this.taskQueue.length > 0) {
+      const availableWorker = this.workers.find(w => !w.busy);
+      if (!availableWorker) return;
     
-    const availableWorker = this.workers.find(w => !w.busy);
-    if (!availableWorker) return;
+      const task = this.taskQueue.shift();
+      availableWorker.busy = true;
+      availableWorker.taskId = task.id;
+      this.activeTasks.set(task.id, task);
+      this.setIdle(availableWorker, false);
     
-    const task = this.taskQueue.shift();
-    availableWorker.busy = true;
-    this.activeTasks.set(task.id, task);
+      try {
+        availableWorker.worker.postMessage({
+          id: task.id,
+          task: 'compress',
+          data: task.data
+        }, task.transfer);
+      } catch (error) {
+        // Uncloneable data never reached the worker, so it is still free
+        this.activeTasks.delete(task.id);
+        availableWorker.busy = false;
+        availableWorker.taskId = null;
+        this.setIdle(availableWorker, true);
+        task.reject(error);
+      }
+    }
+  }
     
-    availableWorker.worker.postMessage({
-      id: task.id,
-      task: 'compress',
-      data: task.data
-    });
+  // Options travel by structured clone: drop callbacks, signals and class instances
+  toCloneable(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.toCloneable(item));
+    }
+    
+    if (value && typeof value === 'object') {
+      if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+        return value;
+      }
+      
+      const prototype = Object.getPrototypeOf(value);
+      if (prototype !== Object.prototype && prototype !== null) {
+        return undefined;
+      }
+      
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        if (typeof item !== 'function') {
+          result[key] = this.toCloneable(item);
+        }
+      }
+      return result;
+    }
+    
+    return typeof value === 'function' || typeof value === 'symbol' ? undefined : value;
   }
 
   async restartWorker(workerId) {
     const workerIndex = this.workers.findIndex(w => w.id === workerId);
     if (workerIndex !== -1) {
-      const oldWorker = this.workers[workerIndex];
+      const [oldWorker] = this.workers.splice(workerIndex, 1);
       oldWorker.worker.terminate();
       
       await this.createWorker();
-      this.workers.splice(workerIndex, 1);
+      this.processQueue();
     }
   }
 
@@ -513,34 +793,186 @@ class WorkerPool {
   }
 
   async terminate() {
-    this.workers.forEach(workerInfo => {
-      workerInfo.worker.terminate();
-    });
+    const workers = this.workers;
+    const pending = [...this.taskQueue, ...this.activeTasks.values()];
+    
     this.workers = [];
     this.taskQueue = [];
     this.activeTasks.clear();
+    
+    pending.forEach(task => task.reject(new WorkerError('worker pool terminated', null)));
+    await Promise.all(workers.map(workerInfo => workerInfo.worker.terminate()));
   }
 }
 
-// WebAssembly modules wrapper
+// WebAssembly codec registry. Modules come from bytes, a compiled WebAssembly.Module or a local file, never from
+// the network, and are instantiated on the main thread
 class WebAssemblyModules {
   constructor(options) {
     this.logger = options.logger;
+    this.environment = options.environment || new Environment();
     this.modules = new Map();
   }
 
   async initialize() {
-    // Initialize WebAssembly compression modules
-    // This would load actual WASM files in production
-    this.logger.info('WebAssembly modules initialized');
+    if (!this.environment.hasWebAssembly()) {
+      throw new UnsupportedError('WebAssembly', { runtime: this.environment.getRuntime() });
+    }
   }
 
-  async optimize(data, format) {
-    const module = this.modules.get(format);
-    if (module) {
-      return module.optimize(data);
+  // codec is { name, source, role, imports, options, adapter }. Without an adapter the module must follow the
+  // calling convention of call()
+  async register(format, codec = {}) {
+    const role = codec.role || 'encoder';
+    const spec = WASM_CODEC_ROLES[role];
+    if (!spec) {
+      throw new ValidationError(`Unknown WebAssembly codec role: ${role}`, { role, roles: Object.keys(WASM_CODEC_ROLES) });
+    }
+    if (!spec.formats.includes(format)) {
+      throw new ValidationError(`No WebAssembly ${role} codecs for ${format}`, { format, role, formats: spec.formats });
+    }
+    if (codec.adapter !== undefined && typeof codec.adapter !== 'function') {
+      throw new ValidationError('WebAssembly codec adapter must be a function', { format, role });
+    }
+    
+    const instance = await this.instantiate(codec.source, codec.imports || {});
+    const { exports } = instance;
+    
+    if (!codec.adapter) {
+      const missing = ['memory', 'alloc', 'free', spec.entry].filter(name => !exports[name]);
+      if (missing.length > 0) {
+        throw new ValidationError(`WebAssembly codec is missing exports: ${missing.join(', ')}`, { format, role, missing });
+      }
+    }
+    
+    const entry = {
+      format,
+      role,
+      name: codec.name || `${format}-${role}`,
+      entry: spec.entry,
+      exports,
+      adapter: codec.adapter || null,
+      options: codec.options || {}
+    };
+    this.modules.set(`${role}:${format}`, entry);
+    this.logger.info('WebAssembly codec registered', { format, role, name: entry.name });
+    
+    return { format, role, name: entry.name };
+  }
+
+  unregister(format, role = 'encoder') {
+    return this.modules.delete(`${role}:${format}`);
+  }
+
+  get(format, role = 'encoder') {
+    return this.modules.get(`${role}:${format}`) || null;
+  }
+
+  list() {
+    return [...this.modules.values()].map(({ format, role, name }) => ({ format, role, name }));
+  }
+
+  async instantiate(source, imports) {
+    const { WebAssembly } = this.environment.global;
+    if (source instanceof WebAssembly.Module) {
+      return WebAssembly.instantiate(source, imports);
+    }
+    
+    let bytes;
+    if (typeof source === 'string' || this.environment.isInstance(source, 'URL')) {
+      if (/^[a-z][a-z0-9+.-]+:\/\//i.test(String(source)) && !String(source).startsWith('file:')) {
+        throw new ValidationError('WebAssembly codecs are loaded from bytes or local files, not URLs', { source: String(source) });
+      }
+      bytes = await this.environment.readFile(source);
+    } else if (this.environment.isBinary(source)) {
+      bytes = this.environment.toUint8Array(source);
+    } else {
+      throw new ValidationError('WebAssembly codec source must be bytes, a WebAssembly.Module or a file path');
+    }
+    
+    const { instance } = await WebAssembly.instantiate(bytes, imports);
+    return instance;
+  }
+
+  // RGBA pixels to an encoded file; quality goes to the module as 0 - 100
+  async encode(format, imageData, options = {}) {
+    const codec = this.get(format, 'encoder');
+    const { data, width, height } = imageData;
+    const pixels = this.environment.toUint8Array(data);
+    const quality = Math.round(Math.min(1, Math.max(0, options.quality ?? 0.8)) * 100);
+    
+    const encoded = codec.adapter
+      ? this.environment.toUint8Array(await codec.adapter(codec.exports, { data: pixels, width, height }, { ...codec.options, ...options }))
+      : this.call(codec, pixels, [width, height, quality]);
+    
+    return {
+      data: encoded,
+      size: encoded.length,
+      width,
+      height,
+      format,
+      quality: options.quality,
+      backend: 'wasm',
+      wasmCodecs: [codec.name]
+    };
+  }
+
+  // An encoded result rewritten by the format's optimizer, at the strategy's effort (1 - 9)
+  async optimize(format, result, options = {}) {
+    const codec = this.get(format, 'optimizer');
+    const bytes = this.environment.toUint8Array(result.data);
+    
+    const optimized = codec.adapter
+      ? this.environment.toUint8Array(await codec.adapter(codec.exports, bytes, { ...codec.options, ...options }))
+      : this.call(codec, bytes, [options.effort ?? 4]);
+    
+    // Optimizers may decline; the original is kept unless the rewrite is smaller
+    if (optimized.length >= bytes.length) {
+      return result;
+    }
+    
+    return {
+      ...result,
+      data: optimized,
+      size: optimized.length,
+      wasmCodecs: [...(result.wasmCodecs || []), codec.name]
+    };
+  }
+
+  // zlib stream of PNG image data at level 0 - 9
+  async deflate(data, level) {
+    const codec = this.get('png', 'deflate');
+    
+    return codec.adapter
+      ? this.environment.toUint8Array(await codec.adapter(codec.exports, data, { ...codec.options, level }))
+      : this.call(codec, data, [level]);
+  }
+
+  // Calling convention for modules without an adapter: the input is copied into memory from alloc(length), and
+  // the entry point is called with its pointer, its length and the role's arguments. It returns a pointer to a
+  // little-endian uint32 byte count followed by the output, or 0 on failure. Both blocks are released with free
+  call(codec, input, args) {
+    const { exports } = codec;
+    const inputPointer = exports.alloc(input.length);
+    if (!inputPointer) {
+      throw new CompressionError(`${codec.name} could not allocate ${input.length} bytes`, codec.format);
+    }
+    
+    try {
+      new Uint8Array(exports.memory.buffer, inputPointer, input.length).set(input);
+      const outputPointer = exports[codec.entry](inputPointer, input.length, ...args);
+      if (!outputPointer) {
+        throw new CompressionError(`${codec.name} returned no output`, codec.format, { role: codec.role });
+      }
+      
+      // Read through fresh views: the call may have grown memory and detached the old buffer
+      const length = new DataView(exports.memory.buffer).getUint32(outputPointer, true);
+      const output = new Uint8Array(exports.memory.buffer, outputPointer + 4, length).slice();
+      exports.free(outputPointer);
+      return output;
+    } finally {
+      exports.free(inputPointer);
     }
-    return data;
   }
 }
 
@@ -612,4 +1044,5 @@ class LRUCache {
   }
 }
 
+export { WorkerPool, WebAssemblyModules, LRUCache };
 export default CompressionEngine;
\ No newline at end of file
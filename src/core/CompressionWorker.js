@@ -0,0 +1,86 @@
+/**
+ * @xbibzlibrary/kompreser - Compression Worker
+ * Worker entry point that runs the pure JavaScript encoders off the main thread
+ */
+
+import Logger from '../utils/Logger.js';
+import JPEGCompression from '../algorithms/JPEGCompression.js';
+import PNGCompression from '../algorithms/PNGCompression.js';
+import WebPCompression from '../algorithms/WebPCompression.js';
+
+class CompressionWorker {
+  constructor(port) {
+    this.port = port;
+    this.algorithms = null;
+  }
+
+  // The pool sends the library options once, before any task
+  initialize(options = {}) {
+    const logger = new Logger({
+      level: options.logLevel || 'WARN',
+      enablePerformanceTracking: false
+    });
+    
+    this.algorithms = {
+      jpeg: new JPEGCompression(options, logger),
+      png: new PNGCompression(options, logger),
+      webp: new WebPCompression(options, logger)
+    };
+    
+    this.port.postMessage({ ready: true });
+  }
+
+  async handleMessage(message) {
+    const { id, task, data } = message;
+    
+    if (task === 'init') {
+      this.initialize(data);
+      return;
+    }
+    
+    try {
+      if (task !== 'compress') {
+        throw new Error(`Unknown worker task: ${task}`);
+      }
+      
+      const algorithm = this.algorithms?.[data.algorithm];
+      if (!algorithm) {
+        throw new Error(`Algorithm ${data.algorithm} is not available in workers`);
+      }
+      
+      const result = await algorithm.compress(data.imageData, data.options);
+      this.port.postMessage({ id, result }, this.getTransferList(result));
+    
+    } catch (error) {
+      this.port.postMessage({
+        id,
+        error: { name: error.name, message: error.message, code: error.code }
+      });
+    }
+  }
+
+  // The encoded output is not needed here any more, so hand its memory over instead of copying it
+  getTransferList(result) {
+    const data = result?.data;
+    if (ArrayBuffer.isView(data) && data.buffer instanceof ArrayBuffer) {
+      return [data.buffer];
+    }
+    return [];
+  }
+}
+
+// Browser workers talk through `self`, Node.js worker_threads through `parentPort`. No top-level await, so the
+// worker can also be bundled as CommonJS
+const connect = typeof self !== 'undefined' && typeof self.postMessage === 'function'
+  ? Promise.resolve(self)
+  : import('node:worker_threads').then(({ parentPort }) => parentPort);
+
+connect.then(port => {
+  const worker = new CompressionWorker(port);
+
+  if (typeof port.on === 'function') {
+    port.on('message', message => worker.handleMessage(message));
+  } else {
+    port.addEventListener('message', event => worker.handleMessage(event.data));
+  }
+});
\ No newline at end of file
@@ -139,8 +139,8 @@ class ErrorHandler {
         console.warn('[Kompreser] Attempting memory recovery...');
         
         // Force garbage collection if available
-        if (global.gc) {
-          global.gc();
+        if (globalThis.gc) {
+          globalThis.gc();
         }
         
         // Clear caches
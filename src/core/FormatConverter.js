@@ -0,0 +1,289 @@
+/**
+ * @xbibzlibrary/kompreser - Format Converter
+ * Transcodes compressed images between raster formats via decoded RGBA
+ */
+
+import Logger from '../utils/Logger.js';
+import FileValidator from '../utils/FileValidator.js';
+import { FormatError, UnsupportedError, KompreserError } from './ErrorHandler.js';
+import JPEGCompression from '../algorithms/JPEGCompression.js';
+import PNGCompression from '../algorithms/PNGCompression.js';
+import WebPCompression from '../algorithms/WebPCompression.js';
+import GIFCompression from '../algorithms/GIFCompression.js';
+import BMPCompression from '../algorithms/BMPCompression.js';
+import TIFFCompression from '../algorithms/TIFFCompression.js';
+import AVIFCompression from '../algorithms/AVIFCompression.js';
+import JPEGDecoder from '../decoders/JPEGDecoder.js';
+import PNGDecoder from '../decoders/PNGDecoder.js';
+import GIFDecoder from '../decoders/GIFDecoder.js';
+import BMPDecoder from '../decoders/BMPDecoder.js';
+import TIFFDecoder from '../decoders/TIFFDecoder.js';
+import WebPDecoder from '../decoders/WebPDecoder.js';
+
+class FormatConverter {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    this.validator = new FileValidator(options);
+    
+    // Format name normalization
+    this.FORMAT_ALIASES = {
+      jpg: 'jpeg',
+      tif: 'tiff',
+      'svg+xml': 'svg'
+    };
+    
+    this.RASTER_FORMATS = ['jpeg', 'png', 'webp', 'avif', 'gif', 'bmp', 'tiff'];
+    
+    // Encoders take RGBA image data and return { data, size, width, height }
+    this.encoders = new Map([
+      ['jpeg', new JPEGCompression(options, logger)],
+      ['png', new PNGCompression(options, logger)],
+      ['webp', new WebPCompression(options, logger)],
+      ['gif', new GIFCompression(options, logger)],
+      ['bmp', new BMPCompression(options, logger)],
+      ['tiff', new TIFFCompression(options, logger)],
+      ['avif', new AVIFCompression(options, logger)]
+    ]);
+    
+    // Decoders take encoded bytes and return { data, width, height } RGBA
+    this.decoders = new Map([
+      ['jpeg', new JPEGDecoder(options, logger)],
+      ['png', new PNGDecoder(options, logger)],
+      ['gif', new GIFDecoder(options, logger)],
+      ['bmp', new BMPDecoder(options, logger)],
+      ['tiff', new TIFFDecoder(options, logger)],
+      ['webp', new WebPDecoder(options, logger)]
+    ]);
+    
+    this.wasmModules = null;
+  }
+
+  registerEncoder(format, encoder) {
+    this.encoders.set(this.normalizeFormat(format), encoder);
+  }
+
+  registerDecoder(format, decoder) {
+    this.decoders.set(this.normalizeFormat(format), decoder);
+  }
+
+  // Registered WebAssembly encoders take precedence, as in the compression engine
+  setWebAssemblyModules(wasmModules) {
+    this.wasmModules = wasmModules;
+  }
+
+  hasWebAssemblyEncoder(format) {
+    return Boolean(this.options.enableWebAssembly && this.wasmModules?.get(format, 'encoder'));
+  }
+
+  // The built-in AVIF encoder only works where a canvas can write AVIF
+  isEncoderAvailable(format) {
+    if (this.hasWebAssemblyEncoder(format)) {
+      return true;
+    }
+    
+    const encoder = this.encoders.get(format);
+    if (!encoder) {
+      return false;
+    }
+    
+    return !(encoder instanceof AVIFCompression) || encoder.isAVIFSupported();
+  }
+
+  async convert(compressedData, options = {}) {
+    const timer = this.logger.startTimer('format_conversion');
+    
+    const sourceFormat = this.detectSourceFormat(compressedData);
+    const targetFormat = this.resolveTargetFormat(options.format, sourceFormat, compressedData);
+    
+    try {
+      // Nothing to transcode; only make sure the result is labelled correctly
+      if (sourceFormat === targetFormat) {
+        timer.end();
+        return {
+          ...compressedData,
+          size: compressedData.size ?? this.getByteLength(compressedData.data),
+          format: targetFormat
+        };
+      }
+      
+      this.assertConvertible(sourceFormat, targetFormat);
+      
+      this.logger.debug('Converting image format', {
+        from: sourceFormat,
+        to: targetFormat,
+        dimensions: `${compressedData.width}x${compressedData.height}`
+      });
+      
+      const imageData = sourceFormat === 'rgba'
+        ? this.toImageData(compressedData)
+        : await this.decode(compressedData.data, sourceFormat);
+      
+      const encoderOptions = {
+        ...options,
+        format: targetFormat,
+        quality: options.quality ?? compressedData.quality
+      };
+      const encoded = this.hasWebAssemblyEncoder(targetFormat)
+        ? await this.wasmModules.encode(targetFormat, imageData, encoderOptions)
+        : await this.encoders.get(targetFormat).compress(imageData, encoderOptions);
+      
+      const duration = timer.end();
+      
+      this.logger.debug('Format conversion completed', {
+        from: sourceFormat,
+        to: targetFormat,
+        duration,
+        sourceSize: this.getByteLength(compressedData.data),
+        convertedSize: encoded.size
+      });
+      
+      return {
+        ...compressedData,
+        ...encoded,
+        size: encoded.size ?? this.getByteLength(encoded.data),
+        backend: encoded.backend || 'javascript',
+        wasmCodecs: encoded.wasmCodecs || [],
+        width: imageData.width,
+        height: imageData.height,
+        format: targetFormat,
+        metadata: {
+          ...(compressedData.metadata || {}),
+          ...(encoded.metadata || {}),
+          convertedFrom: sourceFormat
+        }
+      };
+    
+    } catch (error) {
+      timer.end();
+      
+      // Unsupported pairs and encoder errors already carry their own context
+      if (error instanceof KompreserError) {
+        throw error;
+      }
+      
+      this.logger.error('Format conversion failed', { from: sourceFormat, to: targetFormat, error: error.message });
+      throw new FormatError(`conversion from ${sourceFormat} to ${targetFormat} failed: ${error.message}`, targetFormat, {
+        sourceFormat
+      });
+    }
+  }
+
+  canConvert(sourceFormat, targetFormat) {
+    const from = this.normalizeFormat(sourceFormat);
+    const to = this.normalizeFormat(targetFormat);
+    
+    if (from === to) {
+      return true;
+    }
+    
+    return this.isEncoderAvailable(to) && (from === 'rgba' || this.decoders.has(from));
+  }
+
+  getSupportedConversions() {
+    const conversions = {};
+    
+    for (const from of this.RASTER_FORMATS) {
+      conversions[from] = this.RASTER_FORMATS.filter(to => this.canConvert(from, to));
+    }
+    
+    return conversions;
+  }
+
+  assertConvertible(sourceFormat, targetFormat) {
+    const details = { sourceFormat, targetFormat };
+    
+    if (sourceFormat === 'svg' || targetFormat === 'svg') {
+      throw new UnsupportedError(`conversion from ${sourceFormat} to ${targetFormat} (vector and raster formats cannot be transcoded)`, details);
+    }
+    
+    if (!this.RASTER_FORMATS.includes(targetFormat)) {
+      throw new UnsupportedError(`conversion to unknown format ${targetFormat}`, details);
+    }
+    
+    if (!this.isEncoderAvailable(targetFormat)) {
+      throw new UnsupportedError(`conversion from ${sourceFormat} to ${targetFormat} (no ${targetFormat} encoder available)`, details);
+    }
+    
+    if (sourceFormat !== 'rgba' && !this.decoders.has(sourceFormat)) {
+      throw new UnsupportedError(`conversion from ${sourceFormat} to ${targetFormat} (no ${sourceFormat} decoder available)`, details);
+    }
+  }
+
+  async decode(data, format) {
+    const decoder = this.decoders.get(format);
+    const bytes = this.toUint8Array(data);
+    const decoded = await decoder.decode(bytes);
+    
+    if (!decoded || !decoded.data || !decoded.width || !decoded.height) {
+      throw new FormatError('decoder returned no image data', format);
+    }
+    
+    return decoded;
+  }
+
+  // The source is either an encoded file or raw RGBA pixels. Pixels are recognized first: their leading bytes can
+  // look like a signature (0x42 0x4D is "BM")
+  detectSourceFormat(compressedData) {
+    if (!compressedData || !compressedData.data) {
+      throw new FormatError('no image data to convert', 'unknown');
+    }
+    
+    if (typeof compressedData.data !== 'string') {
+      const bytes = this.toUint8Array(compressedData.data);
+      
+      if (compressedData.format === 'rgba' || bytes.length === compressedData.width * compressedData.height * 4) {
+        return 'rgba';
+      }
+      
+      const signature = this.validator.detectFileSignature(bytes);
+      if (signature) {
+        return this.normalizeFormat(signature.replace('image/', ''));
+      }
+    }
+    
+    if (compressedData.format) {
+      return this.normalizeFormat(compressedData.format);
+    }
+    
+    throw new FormatError('unable to detect source format', 'unknown');
+  }
+
+  resolveTargetFormat(format, sourceFormat, compressedData) {
+    if (format && format !== 'auto') {
+      return this.normalizeFormat(format);
+    }
+    
+    // Raw pixels have to be encoded into something
+    if (sourceFormat === 'rgba') {
+      return this.normalizeFormat(compressedData.format && compressedData.format !== 'rgba' ? compressedData.format : 'png');
+    }
+    
+    return sourceFormat;
+  }
+
+  normalizeFormat(format) {
+    const name = String(format).toLowerCase().replace(/^image\//, '');
+    return this.FORMAT_ALIASES[name] || name;
+  }
+
+  toImageData(compressedData) {
+    return {
+      data: this.toUint8Array(compressedData.data),
+      width: compressedData.width,
+      height: compressedData.height
+    };
+  }
+
+  toUint8Array(data) {
+    if (data instanceof Uint8Array) return data;
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    return new Uint8Array(data);
+  }
+
+  getByteLength(data) {
+    return data ? (data.byteLength ?? data.length) : 0;
+  }
+}
+
+export default FormatConverter;
\ No newline at end of file
@@ -4,12 +4,38 @@
  */
 
 import Logger from '../utils/Logger.js';
-import { ValidationError, FormatError } from './ErrorHandler.js';
+import Environment from '../utils/Environment.js';
+import ColorSpace from '../utils/ColorSpace.js';
+import FileValidator from '../utils/FileValidator.js';
+import JPEGDecoder from '../decoders/JPEGDecoder.js';
+import PNGDecoder from '../decoders/PNGDecoder.js';
+import GIFDecoder from '../decoders/GIFDecoder.js';
+import BMPDecoder from '../decoders/BMPDecoder.js';
+import TIFFDecoder from '../decoders/TIFFDecoder.js';
+import WebPDecoder from '../decoders/WebPDecoder.js';
+import MetadataExtractor from '../metadata/MetadataExtractor.js';
+import { ValidationError, FormatError, UnsupportedError } from './ErrorHandler.js';
 
 class ImageProcessor {
   constructor(options, logger) {
     this.options = options;
     this.logger = logger || new Logger();
+    this.environment = new Environment();
+    this.validator = new FileValidator(options);
+    
+    // Pure JavaScript decoders, selected by file signature
+    this.decoders = new Map([
+      ['jpeg', new JPEGDecoder(options, logger)],
+      ['png', new PNGDecoder(options, logger)],
+      ['gif', new GIFDecoder(options, logger)],
+      ['bmp', new BMPDecoder(options, logger)],
+      ['tiff', new TIFFDecoder(options, logger)],
+      ['webp', new WebPDecoder(options, logger)]
+    ]);
+    
+    // Only used to read the EXIF orientation and ICC profile of encoded input
+    this.metadataExtractor = new MetadataExtractor(options, this.logger);
+    this.colorSpace = new ColorSpace(options, this.logger);
     
     // Processing options
     this.maxCanvasSize = options.maxCanvasSize || 32767;
@@ -28,18 +54,22 @@ class ImageProcessor {
 
       let imageData;
       
+      const env = this.environment;
+      
       // Handle different input types
-      if (input instanceof File || input instanceof Blob) {
+      if (env.isInstance(input, 'File') || env.isInstance(input, 'Blob')) {
         imageData = await this.processFile(input, options);
       } else if (typeof input === 'string') {
         imageData = await this.processDataURL(input, options);
-      } else if (input instanceof HTMLImageElement) {
+      } else if (env.isInstance(input, 'HTMLImageElement')) {
         imageData = await this.processImageElement(input, options);
-      } else if (input instanceof HTMLCanvasElement) {
+      } else if (env.isInstance(input, 'HTMLCanvasElement')) {
         imageData = await this.processCanvasElement(input, options);
-      } else if (input instanceof ImageData) {
+      } else if (env.isInstance(input, 'ImageData')) {
         imageData = await this.processImageData(input, options);
-      } else if (input.data && input.width && input.height) {
+      } else if (env.isBinary(input)) {
+        imageData = await this.processBinary(env.toUint8Array(input), options);
+      } else if (input && input.data && input.width && input.height) {
         imageData = await this.processImageData(input, options);
       } else {
         throw new ValidationError(`Unsupported input type: ${this.getInputType(input)}`);
@@ -66,10 +96,15 @@ class ImageProcessor {
   }
 
   async processFile(file, options) {
+    // Outside the browser a Blob is just a container for encoded bytes
+    if (!this.environment.hasObjectURL() && !this.environment.hasImageBitmap()) {
+      return this.processBinary(new Uint8Array(await file.arrayBuffer()), options);
+    }
+    
     // Use ImageBitmap if available for better performance
     if (this.enableImageBitmap && typeof createImageBitmap !== 'undefined') {
       try {
-        const bitmap = await createImageBitmap(file);
+        const bitmap = await createImageBitmap(file, { imageOrientation: this.getBitmapOrientation(options) });
         return this.processImageBitmap(bitmap, options);
       } catch (error) {
         this.logger.warn('ImageBitmap processing failed, falling back to canvas', { error: error.message });
@@ -92,10 +127,143 @@ class ImageProcessor {
       throw new ValidationError('Invalid data URL format');
     }
 
+    if (!this.environment.hasDOM()) {
+      return this.processBinary(this.decodeDataURL(dataURL), options);
+    }
+    
     const img = await this.loadImage(dataURL);
     return this.processImageElement(img, options);
   }
 
+  decodeDataURL(dataURL) {
+    const comma = dataURL.indexOf(',');
+    if (comma === -1) {
+      throw new ValidationError('Invalid data URL format');
+    }
+    
+    const header = dataURL.slice(0, comma);
+    const payload = dataURL.slice(comma + 1);
+    
+    if (/;base64$/i.test(header)) {
+      return this.environment.decodeBase64(payload);
+    }
+    
+    return new TextEncoder().encode(decodeURIComponent(payload));
+  }
+
+  // Encoded image bytes (Buffer, Uint8Array, ArrayBuffer)
+  async processBinary(bytes, options) {
+    const mimeType = this.validator.detectFileSignature(bytes);
+    if (!mimeType) {
+      throw new ValidationError('Unrecognized image data');
+    }
+    
+    const format = mimeType.replace('image/', '');
+    
+    // Built-in decoders give the same pixels in every runtime, so they win over the browser's
+    const decoder = this.decoders.get(format);
+    if (decoder) {
+      // Only multi-page formats (TIFF) look at the page
+      const decoded = await decoder.decode(bytes, { page: options.page });
+      const { orientation, colorProfile } = this.metadataExtractor.readRenderingHints(bytes);
+      
+      // Orient before processImageData so resize limits apply to the upright image
+      const processed = await this.processImageData(this.orientImageData(decoded, options.autoOrient === false ? 1 : orientation), options);
+      
+      // The profile travels with the pixels until preprocessing converts them
+      return colorProfile ? { ...processed, colorProfile } : processed;
+    }
+    
+    if (this.enableImageBitmap && this.environment.hasImageBitmap() && this.environment.hasCanvas()) {
+      const bitmap = await createImageBitmap(new Blob([bytes], { type: mimeType }), {
+        imageOrientation: this.getBitmapOrientation(options)
+      });
+      return this.processImageBitmap(bitmap, options);
+    }
+    
+    throw new UnsupportedError(`decoding ${format} without a canvas`, {
+      format,
+      runtime: this.environment.getRuntime()
+    });
+  }
+
+  // Whether processBinary can read the format in this runtime: built-in decoders everywhere, the rest through a canvas
+  canDecode(format) {
+    return this.decoders.has(format) ||
+      (this.enableImageBitmap && this.environment.hasImageBitmap() && this.environment.hasCanvas());
+  }
+
+  // Every frame of an animated GIF, resized and color-converted like a still image; null for anything else
+  async processAnimation(bytes, options) {
+    if (this.validator.detectFileSignature(bytes) !== 'image/gif') {
+      return null;
+    }
+    
+    const animation = await this.decoders.get('gif').decodeFrames(bytes);
+    if (animation.frames.length < 2) {
+      return null;
+    }
+    
+    const frames = [];
+    for (const frame of animation.frames) {
+      const processed = await this.preprocessImageData(await this.processImageData(frame, options), options);
+      frames.push({ ...processed, delay: frame.delay });
+    }
+    
+    return {
+      width: frames[0].width,
+      height: frames[0].height,
+      loopCount: animation.loopCount,
+      frames
+    };
+  }
+
+  // 'none' is the createImageBitmap spelling for ignoring the EXIF orientation
+  getBitmapOrientation(options) {
+    return options.autoOrient === false ? 'none' : 'from-image';
+  }
+
+  // Apply one of the eight EXIF orientations; 5-8 swap width and height
+  orientImageData(imageData, orientation) {
+    if (orientation === 1) {
+      return imageData;
+    }
+    
+    const { data, width, height } = imageData;
+    const swap = orientation >= 5;
+    const outWidth = swap ? height : width;
+    const outHeight = swap ? width : height;
+    const output = new Uint8ClampedArray(outWidth * outHeight * 4);
+    
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let dx;
+        let dy;
+        switch (orientation) {
+          case 2: dx = width - 1 - x; dy = y; break;               // mirror horizontal
+          case 3: dx = width - 1 - x; dy = height - 1 - y; break;  // rotate 180
+          case 4: dx = x; dy = height - 1 - y; break;              // mirror vertical
+          case 5: dx = y; dy = x; break;                           // transpose
+          case 6: dx = height - 1 - y; dy = x; break;              // rotate 90 clockwise
+          case 7: dx = height - 1 - y; dy = width - 1 - x; break;  // transverse
+          case 8: dx = y; dy = width - 1 - x; break;               // rotate 90 counter-clockwise
+          default: dx = x; dy = y;
+        }
+        
+        const source = (y * width + x) * 4;
+        const target = (dy * outWidth + dx) * 4;
+        output[target] = data[source];
+        output[target + 1] = data[source + 1];
+        output[target + 2] = data[source + 2];
+        output[target + 3] = data[source + 3];
+      }
+    }
+    
+    this.logger.debug('Applied EXIF orientation', { orientation, dimensions: `${outWidth}x${outHeight}` });
+    
+    return { ...imageData, data: output, width: outWidth, height: outHeight };
+  }
+
   async processImageElement(img, options) {
     // Check if image is loaded
     if (!img.complete || img.naturalWidth === 0) {
@@ -229,12 +397,19 @@ class ImageProcessor {
       options
     );
 
+    if (!this.environment.hasCanvas()) {
+      return this.resampleImageData(imageData, width, height);
+    }
+    
     // Use canvas for high-quality resize
     const canvas = this.createCanvas(imageData.width, imageData.height);
     const ctx = canvas.getContext('2d');
     
-    // Put original ImageData
-    ctx.putImageData(imageData, 0, 0);
+    // Put original ImageData; plain pixel objects have to be wrapped first
+    const source = this.environment.isInstance(imageData, 'ImageData')
+      ? imageData
+      : new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height);
+    ctx.putImageData(source, 0, 0);
     
     // Create resized canvas
     const resizedCanvas = this.createCanvas(width, height);
@@ -264,6 +439,109 @@ class ImageProcessor {
     return this.processImageBitmap(resizedBitmap, options);
   }
 
+  // Separable triangle filter, widened when downscaling so every source pixel contributes
+  resampleImageData(imageData, width, height) {
+    const { data, width: srcWidth, height: srcHeight } = imageData;
+    
+    if (width === srcWidth && height === srcHeight) {
+      return {
+        data: imageData.data,
+        width,
+        height,
+        size: imageData.data.length
+      };
+    }
+    
+    // Premultiply so transparent pixels do not bleed their color into neighbours
+    const source = new Float32Array(srcWidth * srcHeight * 4);
+    for (let i = 0; i < source.length; i += 4) {
+      const alpha = data[i + 3] / 255;
+      source[i] = data[i] * alpha;
+      source[i + 1] = data[i + 1] * alpha;
+      source[i + 2] = data[i + 2] * alpha;
+      source[i + 3] = data[i + 3];
+    }
+    
+    const horizontal = this.resampleAxis(source, srcWidth, srcHeight, width, true);
+    const resampled = this.resampleAxis(horizontal, width, srcHeight, height, false);
+    
+    const output = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < output.length; i += 4) {
+      const alpha = resampled[i + 3];
+      const scale = alpha > 0 ? 255 / alpha : 0;
+      output[i] = Math.round(resampled[i] * scale);
+      output[i + 1] = Math.round(resampled[i + 1] * scale);
+      output[i + 2] = Math.round(resampled[i + 2] * scale);
+      output[i + 3] = Math.round(alpha);
+    }
+    
+    return {
+      data: output,
+      width,
+      height,
+      size: output.length
+    };
+  }
+
+  resampleAxis(source, srcWidth, srcHeight, targetSize, horizontal) {
+    const srcSize = horizontal ? srcWidth : srcHeight;
+    const lines = horizontal ? srcHeight : srcWidth;
+    const scale = srcSize / targetSize;
+    const support = Math.max(1, scale);
+    const outWidth = horizontal ? targetSize : srcWidth;
+    const output = new Float32Array(outWidth * (horizontal ? srcHeight : targetSize) * 4);
+    
+    // Weights depend only on the output position, so compute them once per axis
+    const contributions = [];
+    for (let i = 0; i < targetSize; i++) {
+      const center = (i + 0.5) * scale - 0.5;
+      const start = Math.max(0, Math.ceil(center - support));
+      const end = Math.min(srcSize - 1, Math.floor(center + support));
+      const weights = [];
+      let total = 0;
+      
+      for (let j = start; j <= end; j++) {
+        const weight = Math.max(0, 1 - Math.abs(j - center) / support);
+        weights.push(weight);
+        total += weight;
+      }
+      
+      // Edge pixels can end up with no weight when upscaling
+      if (total === 0) {
+        const nearest = Math.min(srcSize - 1, Math.max(0, Math.round(center)));
+        contributions.push({ start: nearest, weights: [1] });
+      } else {
+        contributions.push({ start, weights: weights.map(weight => weight / total) });
+      }
+    }
+    
+    for (let line = 0; line < lines; line++) {
+      for (let i = 0; i < targetSize; i++) {
+        const { start, weights } = contributions[i];
+        let r = 0, g = 0, b = 0, a = 0;
+        
+        for (let k = 0; k < weights.length; k++) {
+          const index = horizontal
+            ? (line * srcWidth + start + k) * 4
+            : ((start + k) * srcWidth + line) * 4;
+          const weight = weights[k];
+          r += source[index] * weight;
+          g += source[index + 1] * weight;
+          b += source[index + 2] * weight;
+          a += source[index + 3] * weight;
+        }
+        
+        const outIndex = horizontal ? (line * outWidth + i) * 4 : (i * outWidth + line) * 4;
+        output[outIndex] = r;
+        output[outIndex + 1] = g;
+        output[outIndex + 2] = b;
+        output[outIndex + 3] = a;
+      }
+    }
+    
+    return output;
+  }
+
   calculateDimensions(originalWidth, originalHeight, options) {
     let { width, height } = options;
     
@@ -322,20 +600,15 @@ class ImageProcessor {
   }
 
   createCanvas(width, height) {
-    // Use OffscreenCanvas if available
-    if (this.enableOffscreenCanvas && typeof OffscreenCanvas !== 'undefined') {
-      return new OffscreenCanvas(width, height);
-    }
-
-    // Fallback to regular canvas
-    if (typeof document !== 'undefined') {
+    // A DOM canvas is preferred when OffscreenCanvas has been disabled
+    if (!this.enableOffscreenCanvas && this.environment.hasDOM()) {
       const canvas = document.createElement('canvas');
       canvas.width = width;
       canvas.height = height;
       return canvas;
     }
 
-    throw new Error('Canvas creation not supported in this environment');
+    return this.environment.createCanvas(width, height);
   }
 
   extractImageData(canvas) {
@@ -353,8 +626,8 @@ class ImageProcessor {
   async preprocessImageData(imageData, options) {
     let processedData = { ...imageData };
 
-    // Apply color space conversion
-    if (options.colorSpace && options.colorSpace !== 'srgb') {
+    // Apply color space conversion; untagged pixels are taken as sRGB, tagged ones are converted even to sRGB
+    if (options.colorSpace && (options.colorSpace !== 'srgb' || imageData.colorProfile)) {
       processedData = await this.convertColorSpace(processedData, options.colorSpace);
     }
 
@@ -372,82 +645,26 @@ class ImageProcessor {
   }
 
   async convertColorSpace(imageData, targetColorSpace) {
-    const { data } = imageData;
-    const converted = new Uint8ClampedArray(data.length);
-
-    switch (targetColorSpace.toLowerCase()) {
-      case 'adobe-rgb':
-        // Convert sRGB to Adobe RGB
-        for (let i = 0; i < data.length; i += 4) {
-          const [r, g, b] = this.sRGBToAdobeRGB(data[i], data[i + 1], data[i + 2]);
-          converted[i] = r;
-          converted[i + 1] = g;
-          converted[i + 2] = b;
-          converted[i + 3] = data[i + 3];
-        }
-        break;
-        
-      case 'prophoto-rgb':
-        // Convert sRGB to ProPhoto RGB
-        for (let i = 0; i < data.length; i += 4) {
-          const [r, g, b] = this.sRGBToProPhotoRGB(data[i], data[i + 1], data[i + 2]);
-          converted[i] = r;
-          converted[i + 1] = g;
-          converted[i + 2] = b;
-          converted[i + 3] = data[i + 3];
-        }
-        break;
-        
-      default:
-        // Keep as sRGB
-        converted.set(data);
-    }
-
-    return {
-      ...imageData,
-      data: converted
-    };
-  }
-
-  sRGBToAdobeRGB(r, g, b) {
-    // sRGB to Adobe RGB conversion matrix
-    const matrix = [
-      [0.7152, 0.2848, 0.0000],
-      [0.0722, 0.9280, -0.0002],
-      [0.2126, 0.7874, 0.0000]
-    ];
-
-    const rLinear = r / 255;
-    const gLinear = g / 255;
-    const bLinear = b / 255;
-
-    const rAdobe = matrix[0][0] * rLinear + matrix[0][1] * gLinear + matrix[0][2] * bLinear;
-    const gAdobe = matrix[1][0] * rLinear + matrix[1][1] * gLinear + matrix[1][2] * bLinear;
-    const bAdobe = matrix[2][0] * rLinear + matrix[2][1] * gLinear + matrix[2][2] * bLinear;
-
-    return [
-      Math.round(Math.pow(Math.max(0, Math.min(1, rAdobe)), 1/2.2) * 255),
-      Math.round(Math.pow(Math.max(0, Math.min(1, gAdobe)), 1/2.2) * 255),
-      Math.round(Math.pow(Math.max(0, Math.min(1, bAdobe)), 1/2.2) * 255)
-    ];
-  }
+    const target = this.colorSpace.resolve(targetColorSpace);
+    let source = this.colorSpace.resolve('srgb');
 
-  sRGBToProPhotoRGB(r, g, b) {
-    // Simplified ProPhoto RGB conversion
-    const rLinear = Math.pow(r / 255, 2.2);
-    const gLinear = Math.pow(g / 255, 2.2);
-    const bLinear = Math.pow(b / 255, 2.2);
+    if (imageData.colorProfile) {
+      try {
+        source = this.colorSpace.fromProfile(imageData.colorProfile);
+      } catch (error) {
+        this.logger.warn('Embedded ICC profile cannot be applied, assuming sRGB', {
+          profile: imageData.colorProfile.description,
+          error: error.message
+        });
+      }
+    }
 
-    // ProPhoto RGB matrix (simplified)
-    const rPro = 0.7977 * rLinear + 0.1352 * gLinear + 0.0313 * bLinear;
-    const gPro = 0.2880 * rLinear + 0.7119 * gLinear + 0.0001 * bLinear;
-    const bPro = 0.0000 * rLinear + 0.0000 * gLinear + 1.0000 * bLinear;
+    const { colorProfile, ...pixels } = imageData;
+    if (this.colorSpace.isEquivalent(source, target)) {
+      return { ...pixels, colorSpace: target.name };
+    }
 
-    return [
-      Math.round(Math.pow(Math.max(0, Math.min(1, rPro)), 1/1.8) * 255),
-      Math.round(Math.pow(Math.max(0, Math.min(1, gPro)), 1/1.8) * 255),
-      Math.round(Math.pow(Math.max(0, Math.min(1, bPro)), 1/1.8) * 255)
-    ];
+    return { ...this.colorSpace.convert(pixels, source, target), colorSpace: target.name };
   }
 
   async applyPreprocessingFilters(imageData, options) {
@@ -628,16 +845,19 @@ class ImageProcessor {
   }
 
   getInputType(input) {
-    if (input instanceof File) return 'File';
-    if (input instanceof Blob) return 'Blob';
+    const env = this.environment;
+    if (env.isInstance(input, 'File')) return 'File';
+    if (env.isInstance(input, 'Blob')) return 'Blob';
     if (typeof input === 'string') {
       if (input.startsWith('data:')) return 'Data URL';
       if (input.startsWith('http')) return 'URL';
     }
-    if (input instanceof HTMLImageElement) return 'Image Element';
-    if (input instanceof HTMLCanvasElement) return 'Canvas Element';
-    if (input instanceof ImageData) return 'ImageData';
-    if (input.data && input.width && input.height) return 'ImageData-like';
+    if (env.isInstance(input, 'HTMLImageElement')) return 'Image Element';
+    if (env.isInstance(input, 'HTMLCanvasElement')) return 'Canvas Element';
+    if (env.isInstance(input, 'ImageData')) return 'ImageData';
+    if (env.isInstance(input, 'Buffer')) return 'Buffer';
+    if (env.isBinary(input)) return 'Binary';
+    if (input && input.data && input.width && input.height) return 'ImageData-like';
     return 'Unknown';
   }
 
@@ -4,34 +4,45 @@
  */
 
 import Logger from '../utils/Logger.js';
-import { ErrorHandler, ValidationError, FormatError, CompressionError } from './ErrorHandler.js';
+import { ErrorHandler, ValidationError, FormatError, CompressionError, UnsupportedError } from './ErrorHandler.js';
 import ImageProcessor from './ImageProcessor.js';
-import CompressionEngine from './CompressionEngine.js';
+import CompressionEngine, { WorkerPool, WebAssemblyModules, LRUCache } from './CompressionEngine.js';
 import FormatConverter from './FormatConverter.js';
+import QualitySearch from './QualitySearch.js';
 import FileValidator from '../utils/FileValidator.js';
 import ImageAnalyzer from '../utils/ImageAnalyzer.js';
 import BatchProcessor from '../utils/BatchProcessor.js';
 import PerformanceMonitor from '../utils/PerformanceMonitor.js';
+import Environment from '../utils/Environment.js';
+import ColorSpace from '../utils/ColorSpace.js';
+import ImageMetrics from '../utils/ImageMetrics.js';
+import MetadataExtractor from '../metadata/MetadataExtractor.js';
+import MetadataWriter from '../metadata/MetadataWriter.js';
+import MetadataSanitizer from '../metadata/MetadataSanitizer.js';
 
 class Kompreser {
   constructor(options = {}) {
+    this.environment = new Environment();
+    
     this.options = {
       // Compression options
       quality: 0.8,
       format: 'auto',
       progressive: true,
       metadata: 'preserve',
+      autoOrient: true,
       colorSpace: 'srgb',
       
       // Performance options
       useWorkers: true,
-      maxWorkers: navigator?.hardwareConcurrency || 4,
+      maxWorkers: this.environment.getHardwareConcurrency(),
       batchSize: 10,
       memoryLimit: 512 * 1024 * 1024, // 512MB
       
       // Advanced options
       enableAI: false,
       enableWebAssembly: true,
+      wasmCodecs: [], // [{ format, name, source, role, imports, options, adapter }], see registerCodec()
       enableStreaming: true,
       enableCaching: true,
       
@@ -84,9 +95,17 @@ class Kompreser {
     this.formatConverter = new FormatConverter(this.options, this.logger);
     this.batchProcessor = new BatchProcessor(this.options, this.logger);
     this.performanceMonitor = new PerformanceMonitor(this.options, this.logger);
-
-    // Initialize library
-    this.initialize();
+    this.qualitySearch = new QualitySearch(this.options, this.logger);
+    this.metrics = new ImageMetrics(this.options);
+    this.metadataExtractor = new MetadataExtractor(this.options, this.logger);
+    this.metadataWriter = new MetadataWriter(this.options, this.logger);
+    this.metadataSanitizer = new MetadataSanitizer(this.options, this.logger);
+    this.colorSpace = new ColorSpace(this.options, this.logger);
+
+    this.detectMaxWorkers = options.maxWorkers === undefined;
+    
+    // Initialize library; ready settles once workers and WebAssembly codecs are loaded
+    this.ready = this.initialize();
   }
 
   async initialize() {
@@ -98,9 +117,14 @@ class Kompreser {
         options: this.sanitizeOptionsForLogging()
       });
 
-      // Check browser compatibility
+      // Check runtime compatibility
       await this.checkCompatibility();
       
+      // The default maxWorkers may have been a guess if os could not be loaded synchronously
+      if (this.detectMaxWorkers) {
+        await this.resolveMaxWorkers();
+      }
+      
       // Initialize workers if enabled
       if (this.options.useWorkers) {
         await this.initializeWorkers();
@@ -131,29 +155,27 @@ class Kompreser {
   }
 
   async checkCompatibility() {
-    const features = {
-      canvas: !!window.OffscreenCanvas || !!document.createElement('canvas').getContext,
-      webworkers: !!window.Worker,
-      wasm: !!window.WebAssembly,
-      filereader: !!window.FileReader,
-      blob: !!window.Blob,
-      url: !!window.URL || !!window.webkitURL,
-      requestanimationframe: !!window.requestAnimationFrame
-    };
+    const { runtime, hardwareConcurrency, ...features } = this.environment.getCapabilities();
 
     const unsupported = Object.entries(features)
       .filter(([feature, supported]) => !supported)
       .map(([feature]) => feature);
 
-    if (unsupported.length > 0) {
+    // Without a canvas the pure JavaScript pipeline is used, so nothing here is fatal
+    if (unsupported.length > 0 && runtime === 'browser') {
       this.logger.warn('Some features are not supported in this environment', { unsupported });
-      
-      if (unsupported.includes('canvas')) {
-        throw new ValidationError('Canvas API is required for image processing');
-      }
     }
 
-    this.logger.info('Compatibility check completed', { features });
+    this.logger.info('Compatibility check completed', { runtime, features });
+  }
+
+  async resolveMaxWorkers() {
+    const maxWorkers = await this.environment.loadHardwareConcurrency();
+    if (maxWorkers !== this.options.maxWorkers) {
+      this.logger.debug('Processor count resolved', { maxWorkers });
+      this.options.maxWorkers = maxWorkers;
+      this.batchProcessor.concurrency = maxWorkers;
+    }
   }
 
   async initializeWorkers() {
@@ -161,14 +183,20 @@ class Kompreser {
       // Create worker pool for parallel processing
       this.workerPool = new WorkerPool({
         maxWorkers: this.options.maxWorkers,
-        logger: this.logger
+        logger: this.logger,
+        environment: this.environment,
+        workerURL: this.options.workerURL,
+        // WebAssembly codecs only run on the main thread
+        workerOptions: { ...this.options, wasmCodecs: undefined }
       });
       
       await this.workerPool.initialize();
+      this.compressionEngine.setWorkerPool(this.workerPool);
       this.logger.info('Worker pool initialized', { maxWorkers: this.options.maxWorkers });
       
     } catch (error) {
       this.logger.warn('Worker initialization failed, falling back to main thread', { error: error.message });
+      this.workerPool = null;
       this.options.useWorkers = false;
     }
   }
@@ -177,11 +205,24 @@ class Kompreser {
     try {
       // Initialize WebAssembly compression modules
       this.wasmModules = new WebAssemblyModules({
-        logger: this.logger
+        logger: this.logger,
+        environment: this.environment
       });
       
       await this.wasmModules.initialize();
-      this.logger.info('WebAssembly modules initialized');
+      
+      // A codec that fails to load leaves its format to the JavaScript encoder
+      for (const { format, ...codec } of this.options.wasmCodecs || []) {
+        try {
+          await this.wasmModules.register(this.formatConverter.normalizeFormat(format), codec);
+        } catch (error) {
+          this.logger.warn('WebAssembly codec could not be loaded', { format, name: codec.name, error: error.message });
+        }
+      }
+      
+      this.compressionEngine.setWebAssemblyModules(this.wasmModules);
+      this.formatConverter.setWebAssemblyModules(this.wasmModules);
+      this.logger.info('WebAssembly modules initialized', { codecs: this.wasmModules.list() });
       
     } catch (error) {
       this.logger.warn('WebAssembly initialization failed, using JavaScript fallback', { error: error.message });
@@ -189,6 +230,54 @@ class Kompreser {
     }
   }
 
+  // Use a local WebAssembly build for a format in place of the JavaScript encoder. The codec's role is 'encoder'
+  // (RGBA to file, the default), 'optimizer' (rewrites encoded output) or 'deflate' (zlib for PNG)
+  async registerCodec(format, codec) {
+    await this.ready;
+    if (!this.options.enableWebAssembly || !this.wasmModules) {
+      throw new UnsupportedError('WebAssembly codecs', { enableWebAssembly: this.options.enableWebAssembly });
+    }
+    
+    const registered = await this.wasmModules.register(this.formatConverter.normalizeFormat(format), codec);
+    this.compressionEngine.setWebAssemblyModules(this.wasmModules);
+    this.formatConverter.setWebAssemblyModules(this.wasmModules);
+    return registered;
+  }
+
+  unregisterCodec(format, role = 'encoder') {
+    const removed = this.wasmModules?.unregister(this.formatConverter.normalizeFormat(format), role) || false;
+    this.compressionEngine.setWebAssemblyModules(this.wasmModules);
+    this.formatConverter.setWebAssemblyModules(this.wasmModules);
+    return removed;
+  }
+
+  // Which backend encodes each format here: a registered WebAssembly codec, a canvas or JavaScript
+  getCodecCapabilities() {
+    const report = {};
+    
+    for (const format of ['jpeg', 'png', 'webp', 'avif', 'gif', 'bmp', 'tiff']) {
+      const codecs = Object.fromEntries(['encoder', 'optimizer', 'deflate']
+        .filter(role => this.compressionEngine.hasWebAssemblyCodec(format, role))
+        .map(role => [role, this.wasmModules.get(format, role).name]));
+      
+      let backend;
+      if (codecs.encoder) {
+        backend = 'wasm';
+      } else if (format === 'avif') {
+        backend = this.isFormatSupported('avif') ? 'javascript' : null;
+      } else if (format === 'webp' && this.compressionEngine.algorithms.webp.isWebPSupported()) {
+        // Lossy only; lossless WebP is always encoded in JavaScript
+        backend = 'canvas';
+      } else {
+        backend = 'javascript';
+      }
+      
+      report[format] = { backend, wasm: codecs };
+    }
+    
+    return report;
+  }
+
   async initializeCache() {
     try {
       // Initialize LRU cache for processed images
@@ -207,7 +296,11 @@ class Kompreser {
 
   // Main compression method
   async compress(input, options = {}) {
+    // Worker pool, WebAssembly codecs and performance monitoring are set up by initialize()
+    await this.ready;
+    
     const timer = this.logger.startTimer('compress');
+    const run = this.performanceMonitor.startRun();
     
     try {
       const mergedOptions = { ...this.options, ...options };
@@ -218,31 +311,92 @@ class Kompreser {
       });
 
       // Validate input
-      const validation = await this.validator.validateInput(input);
+      const validation = await run.measure('validate', () => this.validator.validateInput(input));
       if (!validation.valid) {
         throw new ValidationError('Invalid input', validation);
       }
 
+      // EXIF, IPTC and XMP only survive in the encoded source, so read them before decoding
+      const sourceBytes = await this.readSourceBytes(input);
+      
+      // SVG that may stay SVG is optimized as markup; rasterizing it would need a canvas and lose the vectors
+      if (this.isVectorSource(sourceBytes, mergedOptions)) {
+        return await this.compressVector(sourceBytes, mergedOptions, run, timer);
+      }
+      
+      const sourceMetadata = await this.readSourceMetadata(sourceBytes, mergedOptions);
+      
+      // Animated GIFs keep their frames when the output format can animate; the first frame stands in for analysis
+      const animation = await run.measure('processInput', () => this.readAnimation(sourceBytes, mergedOptions));
+      
       // Process input to get image data
-      const imageData = await this.processor.processInput(input, mergedOptions);
+      const imageData = animation
+        ? animation.frames[0]
+        : await run.measure('processInput', () => this.processor.processInput(input, mergedOptions));
       
       // Analyze image for optimal compression
-      const analysis = await this.analyzer.analyze(imageData, mergedOptions);
+      const analysis = await run.measure('analyze', () => this.analyzer.analyze(imageData, mergedOptions));
       
       // Determine optimal compression strategy
       const strategy = await this.determineCompressionStrategy(imageData, analysis, mergedOptions);
       
-      // Apply compression
-      const compressedData = await this.compressionEngine.compress(imageData, {
-        ...mergedOptions,
-        ...strategy
-      });
+      const maxBytes = mergedOptions.maxBytes || mergedOptions.targetSize;
+      const { targetQuality } = mergedOptions;
+      let finalData;
+      let outputOptions = mergedOptions;
+      
+      if (maxBytes && targetQuality) {
+        throw new ValidationError('maxBytes and targetQuality cannot be combined');
+      }
       
-      // Convert to target format if needed
-      const finalData = await this.formatConverter.convert(compressedData, mergedOptions);
+      if (animation) {
+        if (maxBytes || targetQuality) {
+          this.logger.warn('maxBytes and targetQuality are ignored for animated output', { frames: animation.frames.length });
+        }
+        
+        // Frames are selected, reduced to what changed and encoded into one animated file
+        const compressedData = await run.measure('compress', () => this.compressionEngine.compressAnimation(animation, {
+          ...mergedOptions,
+          ...strategy,
+          format: animation.format
+        }));
+        finalData = await this.applyMetadata(compressedData, sourceMetadata, mergedOptions);
+      } else if (targetQuality) {
+        // Encode repeatedly and keep the smallest output that still looks good enough
+        finalData = await run.measure('compress', () => this.compressToQuality(imageData, targetQuality, {
+          ...mergedOptions,
+          ...strategy
+        }, mergedOptions, sourceMetadata));
+        outputOptions = { ...mergedOptions, quality: finalData.metadata.targetQuality.quality };
+      } else if (maxBytes) {
+        // Encode repeatedly until the output fits the byte budget
+        finalData = await run.measure('compress', () => this.compressToSize(imageData, maxBytes, {
+          ...mergedOptions,
+          ...strategy
+        }, mergedOptions, sourceMetadata));
+        outputOptions = { ...mergedOptions, quality: finalData.metadata.targetSize.quality };
+      } else {
+        // Apply compression
+        const compressedData = await run.measure('compress', () => this.compressionEngine.compress(imageData, {
+          ...mergedOptions,
+          ...strategy,
+          // Pixels the pipeline decoded can move to a worker; pixels the caller passed in stay put
+          transferPixels: imageData.data !== input?.data
+        }));
+        
+        // Convert to target format if needed
+        const convertedData = await run.measure('convert', () => this.formatConverter.convert(compressedData, mergedOptions));
+        finalData = await this.applyMetadata(convertedData, sourceMetadata, mergedOptions);
+      }
       
       // Generate output
-      const result = await this.generateOutput(finalData, mergedOptions);
+      const result = await run.measure('generateOutput', () => this.generateOutput(finalData, outputOptions));
+      
+      run.finish({
+        pixels: imageData.width * imageData.height,
+        inputBytes: imageData.size || imageData.data?.length || 0,
+        outputBytes: result.size
+      });
       
       const duration = timer.end();
       
@@ -258,9 +412,12 @@ class Kompreser {
       return result;
       
     } catch (error) {
+      run.fail(error);
+      
       const result = await this.errorHandler.handleError(error, { 
         context: 'compression',
         compressionEngine: this.compressionEngine,
+        batchProcessor: this.batchProcessor,
         cache: this.cache
       });
       
@@ -276,6 +433,215 @@ class Kompreser {
     }
   }
 
+  isVectorSource(bytes, options) {
+    return Boolean(bytes) && ['svg', 'auto'].includes(options.format) &&
+      this.validator.detectFileSignature(bytes) === 'image/svg+xml';
+  }
+
+  async compressVector(bytes, options, run, timer) {
+    const compressedData = await run.measure('compress', () => this.compressionEngine.compressVector(bytes, options));
+    const result = await run.measure('generateOutput', () => this.generateOutput(compressedData, options));
+    
+    run.finish({
+      pixels: result.width * result.height,
+      inputBytes: bytes.length,
+      outputBytes: result.size
+    });
+    
+    this.logger.info('Compression completed successfully', {
+      duration: timer.end(),
+      originalSize: bytes.length,
+      compressedSize: result.size,
+      compressionRatio: Math.round((1 - result.size / bytes.length) * 100),
+      format: result.format
+    });
+    
+    return result;
+  }
+
+  // Frames of an animated source, or null when the source is a still image, animated: false is set or the
+  // output format cannot animate (only PNG, WebP and GIF can); 'auto' picks WebP where it can be encoded and
+  // APNG elsewhere
+  async readAnimation(bytes, options) {
+    if (!bytes || options.animated === false) {
+      return null;
+    }
+    
+    const format = options.format === 'auto'
+      ? (this.isFormatSupported('webp') ? 'webp' : 'png')
+      : options.format;
+    if (!['png', 'webp', 'gif'].includes(format)) {
+      return null;
+    }
+    
+    const animation = await this.processor.processAnimation(bytes, options);
+    return animation && { ...animation, format };
+  }
+
+  // Lower quality first, then scale, until the converted output is at most maxBytes
+  async compressToSize(imageData, maxBytes, options, mergedOptions, sourceMetadata = null) {
+    const { result, search } = await this.qualitySearch.searchForSize(imageData, maxBytes, {
+      quality: options.quality,
+      minQuality: options.minQuality,
+      // The same pixels are encoded several times, so they are never transferred to a worker;
+      // metadata is embedded per candidate so the budget covers it
+      encode: async (pixels, quality) => {
+        const compressed = await this.compressionEngine.compress(pixels, { ...options, quality, transferPixels: false });
+        return this.applyMetadata(await this.formatConverter.convert(compressed, mergedOptions), sourceMetadata, mergedOptions);
+      },
+      resize: (pixels, width, height) => this.processor.resizeImageData(pixels, { width, height })
+    });
+    
+    return {
+      ...result,
+      metadata: { ...result.metadata, targetSize: search }
+    };
+  }
+
+  // Smallest output whose decoded pixels still score targetQuality.value against the source
+  async compressToQuality(imageData, targetQuality, options, mergedOptions, sourceMetadata = null) {
+    const { metric, value } = targetQuality;
+    if (!ImageMetrics.METRICS.includes(metric) || typeof value !== 'number') {
+      throw new ValidationError(`targetQuality needs a metric (${ImageMetrics.METRICS.join(', ')}) and a numeric value`, { targetQuality });
+    }
+    
+    // Every candidate is decoded to be scored; better to fail before encoding than after
+    const format = options.format === 'jpg' ? 'jpeg' : options.format;
+    if (format && format !== 'auto' && !this.processor.canDecode(format)) {
+      throw new UnsupportedError(`targetQuality with ${format} output without a canvas`, {
+        format,
+        runtime: this.environment.getRuntime()
+      });
+    }
+    
+    const encodeWith = (settings) => async (pixels, quality) => {
+      const compressed = await this.compressionEngine.compress(pixels, { ...options, ...settings, quality, transferPixels: false });
+      return this.applyMetadata(await this.formatConverter.convert(compressed, mergedOptions), sourceMetadata, mergedOptions);
+    };
+    
+    // 4:2:0 JPEG tops out below high PSNR targets on saturated color edges, so full-resolution chroma gets a try
+    // before the search gives up
+    const subsampled = ['jpeg', 'jpg'].includes(options.format) && options.chromaSubsampling !== false;
+    
+    const { result, search } = await this.qualitySearch.searchForQuality(imageData, targetQuality, {
+      quality: options.quality,
+      minQuality: options.minQuality,
+      encode: encodeWith({}),
+      fallback: subsampled ? encodeWith({ chromaSubsampling: false }) : null,
+      measure: async (candidate) => this.metrics.measure(metric, imageData, await this.decodeResult(candidate))
+    });
+    
+    return {
+      ...result,
+      metadata: { ...result.metadata, targetQuality: search }
+    };
+  }
+
+  // The encoded bytes behind binary, Blob and data URL inputs; null for pixels and elements
+  async readSourceBytes(input) {
+    const env = this.environment;
+    
+    if (env.isBinary(input)) {
+      return env.toUint8Array(input);
+    }
+    if (env.isInstance(input, 'Blob')) {
+      return new Uint8Array(await input.arrayBuffer());
+    }
+    if (typeof input === 'string' && input.startsWith('data:image/')) {
+      return this.processor.decodeDataURL(input);
+    }
+    if (typeof input === 'string') {
+      return new TextEncoder().encode(input);
+    }
+    
+    return null;
+  }
+    
+  // Encoded sources only; pixel inputs and metadata: 'none' have nothing to carry over
+  async readSourceMetadata(bytes, options) {
+    if (options.metadata === 'none' || !bytes) {
+      return null;
+    }
+    
+    let extracted = this.metadataExtractor.extract(bytes);
+    
+    // The decoded pixels are already upright, so the copy that travels with them must say so
+    if (options.autoOrient !== false) {
+      extracted = this.metadataSanitizer.resetOrientation(extracted);
+    }
+    
+    if (!options.sanitizeMetadata) {
+      return extracted;
+    }
+    
+    // The policy applies to what is reported as well as to what gets embedded
+    const { metadata, removed } = this.metadataSanitizer.sanitize(extracted, options.sanitizeMetadata);
+    return { ...metadata, removed };
+  }
+
+  // Expose the parsed source metadata (and the sanitization audit), write it into the encoded output with
+  // metadata: 'preserve', and tag the output with the profile of its color space
+  async applyMetadata(result, sourceMetadata, options) {
+    const profile = this.getOutputProfile(options);
+    if (!sourceMetadata && !profile) {
+      return result;
+    }
+    
+    const output = { ...result, metadata: { ...result.metadata } };
+    let blocks = { icc: profile };
+    
+    if (sourceMetadata) {
+      const { exif, iptc, xmp, icc, raw, removed } = sourceMetadata;
+      Object.assign(output.metadata, { exif, iptc, xmp, icc });
+    
+      if (removed) {
+        output.metadata.removedTags = removed;
+      }
+      
+      // The source profile is never carried over: the pixels have already been converted out of it
+      if (options.metadata === 'preserve') {
+        blocks = { ...raw, icc: profile };
+      }
+    }
+    
+    const isBlob = this.environment.isInstance(result.data, 'Blob');
+    const bytes = isBlob
+      ? new Uint8Array(await result.data.arrayBuffer())
+      : this.environment.toUint8Array(result.data);
+    
+    const embedded = this.metadataWriter.embed(bytes, blocks);
+    if (embedded === bytes) {
+      return output;
+    }
+    
+    output.data = isBlob ? new Blob([embedded], { type: result.data.type }) : embedded;
+    output.size = embedded.length;
+    return output;
+  }
+
+  // Untagged output is read as sRGB, so by default only the wider spaces get a profile
+  getOutputProfile(options) {
+    const colorSpace = options.colorSpace || 'srgb';
+    const embed = options.embedProfile ?? colorSpace !== 'srgb';
+    
+    return embed ? this.colorSpace.createProfile(colorSpace) : null;
+  }
+
+  // Decode an encoded result back to RGBA; its pixels were already oriented when it was encoded
+  async decodeResult(result) {
+    const { data } = result;
+    const bytes = this.environment.isInstance(data, 'Blob')
+      ? new Uint8Array(await data.arrayBuffer())
+      : this.environment.toUint8Array(data);
+    
+    return this.processor.processBinary(bytes, { autoOrient: false });
+  }
+
+  // Cancel a running batch; items not yet started resolve as cancelled
+  cancelBatch() {
+    this.batchProcessor.cancel();
+  }
+
   // Batch compression method
   async compressBatch(inputs, options = {}) {
     const timer = this.logger.startTimer('batch_compress');
@@ -288,7 +654,7 @@ class Kompreser {
 
       const results = await this.batchProcessor.process(inputs, async (input) => {
         return this.compress(input, options);
-      });
+      }, options);
 
       const duration = timer.end();
       
@@ -316,6 +682,54 @@ class Kompreser {
     });
   }
 
+  // Compare two images of the same size: PSNR, SSIM, MS-SSIM, max channel error and an optional heatmap
+  async compare(reference, candidate, options = {}) {
+    const timer = this.logger.startTimer('compare');
+    
+    try {
+      const [referenceData, candidateData] = await Promise.all([
+        this.normalizeForComparison(reference),
+        this.normalizeForComparison(candidate)
+      ]);
+      
+      const comparison = this.metrics.compare(referenceData, candidateData, options);
+      const duration = timer.end();
+      
+      this.logger.info('Comparison completed', {
+        duration,
+        dimensions: `${comparison.width}x${comparison.height}`,
+        psnr: comparison.psnr,
+        ssim: comparison.ssim
+      });
+      
+      return comparison;
+    
+    } catch (error) {
+      await this.errorHandler.handleError(error, { context: 'comparison' });
+      throw error;
+    }
+  }
+
+  // compress() results carry encoded bytes with their format; everything else goes through the processor
+  async normalizeForComparison(input) {
+    if (this.isEncodedResult(input)) {
+      return this.decodeResult(input);
+    }
+    
+    return this.processor.processInput(input, {});
+  }
+
+  // The bytes must start with the signature of the format they claim, so raw pixels that happen to carry a
+  // format field are never mistaken for a file
+  isEncodedResult(input) {
+    if (!input || typeof input.format !== 'string' || !this.environment.isBinary(input.data)) {
+      return false;
+    }
+    
+    const format = input.format.toLowerCase() === 'jpg' ? 'jpeg' : input.format.toLowerCase();
+    return this.validator.detectFileSignature(this.environment.toUint8Array(input.data)) === `image/${format}`;
+  }
+
   // Resize method
   async resize(input, dimensions, options = {}) {
     const resizeOptions = {
@@ -349,7 +763,7 @@ class Kompreser {
       ...options,
       format: 'jpeg',
       progressive: true,
-      quality: options.quality || 0.9
+      quality: options.quality ?? 0.9
     };
     
     return this.compress(input, progressiveOptions);
@@ -409,11 +823,23 @@ class Kompreser {
   }
 
   isFormatSupported(format) {
-    const canvas = document.createElement('canvas');
+    if (this.compressionEngine.hasWebAssemblyCodec(format, 'encoder')) {
+      return true;
+    }
+    
+    // Without a DOM canvas only the pure JavaScript encoders are available
+    if (!this.environment.hasDOM()) {
+      return ['jpeg', 'png', 'webp', 'gif', 'bmp', 'tiff'].includes(format);
+    }
+    
+    const canvas = this.environment.createCanvas(1, 1);
     const supportedFormats = {
       'jpeg': () => canvas.toDataURL('image/jpeg').startsWith('data:image/jpeg'),
       'png': () => canvas.toDataURL('image/png').startsWith('data:image/png'),
-      'webp': () => canvas.toDataURL('image/webp').startsWith('data:image/webp'),
+      'gif': () => true,
+      'bmp': () => true,
+      'tiff': () => true,
+      'webp': () => true,
       'avif': () => {
         try {
           return canvas.toDataURL('image/avif').startsWith('data:image/avif');
@@ -434,6 +860,9 @@ class Kompreser {
       width: processedData.width,
       height: processedData.height,
       quality: options.quality,
+      frames: processedData.frames || 1,
+      backend: processedData.backend || 'javascript',
+      wasmCodecs: processedData.wasmCodecs || [],
       metadata: processedData.metadata || null
     };
 
@@ -443,11 +872,11 @@ class Kompreser {
     }
 
     // Create object URL if in browser
-    if (typeof window !== 'undefined' && window.URL) {
+    if (this.environment.hasObjectURL()) {
       const blob = new Blob([processedData.data], { 
-        type: `image/${processedData.format}` 
+        type: processedData.format === 'svg' ? 'image/svg+xml' : `image/${processedData.format}`
       });
-      output.url = window.URL.createObjectURL(blob);
+      output.url = URL.createObjectURL(blob);
     }
 
     return output;
@@ -473,15 +902,19 @@ class Kompreser {
   }
 
   getInputType(input) {
-    if (input instanceof File) return 'File';
-    if (input instanceof Blob) return 'Blob';
+    const env = this.environment;
+    if (env.isInstance(input, 'File')) return 'File';
+    if (env.isInstance(input, 'Blob')) return 'Blob';
     if (typeof input === 'string') {
       if (input.startsWith('data:')) return 'Data URL';
       if (input.startsWith('http')) return 'URL';
     }
-    if (input instanceof HTMLImageElement) return 'Image Element';
-    if (input instanceof HTMLCanvasElement) return 'Canvas Element';
-    if (input instanceof ImageData) return 'ImageData';
+    if (env.isInstance(input, 'HTMLImageElement')) return 'Image Element';
+    if (env.isInstance(input, 'HTMLCanvasElement')) return 'Canvas Element';
+    if (env.isInstance(input, 'ImageData')) return 'ImageData';
+    if (env.isInstance(input, 'Buffer')) return 'Buffer';
+    if (env.isBinary(input)) return 'Binary';
+    if (input && input.data && input.width && input.height) return 'Image Data Object';
     return 'Unknown';
   }
 
@@ -490,6 +923,9 @@ class Kompreser {
     // Remove sensitive information
     delete sanitized.outputPath;
     delete sanitized.apiKey;
+    if (sanitized.wasmCodecs) {
+      sanitized.wasmCodecs = sanitized.wasmCodecs.map(({ format, name, role }) => ({ format, name, role }));
+    }
     return sanitized;
   }
 
@@ -505,8 +941,13 @@ class Kompreser {
     return supported;
   }
 
+  getCapabilities() {
+    return this.environment.getCapabilities();
+  }
+
   async getPerformanceStats() {
     return {
+      pipeline: this.performanceMonitor.getStats(),
       logger: this.logger.getPerformanceReport(),
       errorHandler: this.errorHandler.getErrorStats(),
       cache: this.cache?.getStats(),
@@ -516,6 +957,9 @@ class Kompreser {
 
   // Cleanup method
   async destroy() {
+    // A pool still starting up would outlive the instance; initialization errors were already reported
+    await this.ready.catch(() => {});
+    
     this.logger.info('Destroying Kompreser instance');
     
     if (this.workerPool) {
@@ -531,7 +975,7 @@ class Kompreser {
     }
     
     // Revoke object URLs
-    if (typeof window !== 'undefined' && window.URL) {
+    if (this.environment.hasObjectURL()) {
       // Implementation would revoke any created object URLs
     }
     
@@ -0,0 +1,221 @@
+/**
+ * @xbibzlibrary/kompreser - Quality Search
+ * Iterative quality and scale search to hit a size budget or a perceptual quality target
+ */
+
+import Logger from '../utils/Logger.js';
+import { ValidationError } from './ErrorHandler.js';
+
+class QualitySearch {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    
+    // Formats whose encoders ignore quality can only shrink by downscaling
+    this.lossyFormats = ['jpeg', 'jpg', 'webp', 'avif'];
+    
+    this.maxIterations = 30;
+    this.qualityTolerance = 0.02;
+    this.minScale = options.minScale || 0.1;
+  }
+
+  // encode(imageData, quality) resolves to an encoded result; resize(imageData, width, height) to pixels
+  async searchForSize(imageData, maxBytes, { quality, minQuality = 0.3, encode, resize }) {
+    const timer = this.logger.startTimer('size_search');
+    const state = { iterations: 0, smallest: null };
+    
+    const attempt = async (pixels, candidateQuality) => {
+      state.iterations++;
+      const result = await encode(pixels, candidateQuality);
+      if (!state.smallest || result.size < state.smallest.size) {
+        state.smallest = result;
+      }
+      return result;
+    };
+    
+    let scale = 1;
+    let pixels = imageData;
+    
+    while (true) {
+      let result = await attempt(pixels, quality);
+      let finalQuality = quality;
+      
+      if (result.size > maxBytes && this.isLossy(result.format) && quality > minQuality) {
+        const fit = await this.bisectQuality(pixels, maxBytes, minQuality, quality, attempt, state);
+        result = fit.result;
+        finalQuality = fit.quality;
+      }
+      
+      if (result.size <= maxBytes) {
+        const duration = timer.end();
+        this.logger.debug('Size target reached', {
+          maxBytes,
+          size: result.size,
+          quality: finalQuality,
+          scale,
+          iterations: state.iterations,
+          duration
+        });
+        
+        return {
+          result,
+          search: {
+            maxBytes,
+            iterations: state.iterations,
+            quality: finalQuality,
+            scale,
+            width: pixels.width,
+            height: pixels.height
+          }
+        };
+      }
+      
+      // Encoded size roughly follows pixel count, so shrink by the square root of the overshoot
+      const factor = Math.min(0.95, Math.max(0.5, Math.sqrt(maxBytes / result.size) * 0.95));
+      scale *= factor;
+      
+      const width = Math.max(1, Math.round(imageData.width * scale));
+      const height = Math.max(1, Math.round(imageData.height * scale));
+      
+      if (scale < this.minScale || state.iterations >= this.maxIterations || (width === pixels.width && height === pixels.height)) {
+        timer.end();
+        throw new ValidationError(`Cannot compress image below ${maxBytes} bytes`, {
+          maxBytes,
+          smallestSize: state.smallest.size,
+          iterations: state.iterations
+        });
+      }
+      
+      this.logger.debug('Downscaling to meet size target', { scale, dimensions: `${width}x${height}` });
+      pixels = await resize(imageData, width, height);
+    }
+  }
+
+  // Smallest encode whose decoded pixels score at least target.value; measure(result) returns the score. fallback,
+  // when given, is a second encoder (same signature as encode) the search switches to once encode falls short even
+  // at quality 1
+  async searchForQuality(imageData, target, { quality, minQuality = 0.05, encode, measure, fallback = null }) {
+    const timer = this.logger.startTimer('quality_search');
+    const state = { iterations: 0, best: null, closest: null, encode };
+    
+    const attempt = async (candidateQuality) => {
+      state.iterations++;
+      const result = await state.encode(imageData, candidateQuality);
+      const candidate = {
+        result,
+        quality: candidateQuality,
+        value: await measure(result),
+        fallback: state.encode === fallback
+      };
+      
+      if (candidate.value >= target.value && (!state.best || result.size < state.best.result.size)) {
+        state.best = candidate;
+      }
+      if (!state.closest || candidate.value > state.closest.value) {
+        state.closest = candidate;
+      }
+      return candidate;
+    };
+    
+    const first = await attempt(quality);
+    
+    if (this.isLossy(first.result.format)) {
+      // Keep `high` on a passing quality and `low` below it, then close the gap
+      let low = minQuality;
+      let high = quality;
+      
+      if (first.value < target.value) {
+        low = quality;
+        high = 1;
+        let top = quality < 1 ? await attempt(1) : first;
+        
+        // The target lies beyond what encode can reach; start over with the fallback, untested at any quality
+        if (top.value < target.value && fallback) {
+          state.encode = fallback;
+          low = minQuality;
+          top = await attempt(1);
+        }
+        if (top.value < target.value) {
+          high = low;
+        }
+      }
+      
+      while (high - low > this.qualityTolerance && state.iterations < this.maxIterations) {
+        const middle = Math.round(((low + high) / 2) * 1000) / 1000;
+        const candidate = await attempt(middle);
+        
+        if (candidate.value >= target.value) {
+          high = middle;
+        } else {
+          low = middle;
+        }
+      }
+    }
+    
+    const chosen = state.best || state.closest;
+    const duration = timer.end();
+    
+    if (!state.best) {
+      this.logger.warn('Quality target not reached, returning the closest encode', {
+        metric: target.metric,
+        target: target.value,
+        achieved: chosen.value
+      });
+    }
+    
+    this.logger.debug('Quality search completed', {
+      metric: target.metric,
+      achieved: chosen.value,
+      quality: chosen.quality,
+      fallback: chosen.fallback,
+      size: chosen.result.size,
+      iterations: state.iterations,
+      duration
+    });
+    
+    return {
+      result: chosen.result,
+      search: {
+        metric: target.metric,
+        target: target.value,
+        achieved: chosen.value,
+        met: !!state.best,
+        quality: chosen.quality,
+        fallback: chosen.fallback,
+        iterations: state.iterations
+      }
+    };
+  }
+
+  // Highest quality in [minQuality, maxQuality) whose output fits; maxQuality is known not to
+  async bisectQuality(pixels, maxBytes, minQuality, maxQuality, attempt, state) {
+    const floor = await attempt(pixels, minQuality);
+    if (floor.size > maxBytes) {
+      return { result: floor, quality: minQuality };
+    }
+    
+    let best = { result: floor, quality: minQuality };
+    let low = minQuality;
+    let high = maxQuality;
+    
+    while (high - low > this.qualityTolerance && state.iterations < this.maxIterations) {
+      const middle = Math.round(((low + high) / 2) * 1000) / 1000;
+      const result = await attempt(pixels, middle);
+      
+      if (result.size <= maxBytes) {
+        best = { result, quality: middle };
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    
+    return best;
+  }
+
+  isLossy(format) {
+    return this.lossyFormats.includes(String(format).toLowerCase());
+  }
+}
+
+export default QualitySearch;
\ No newline at end of file
@@ -0,0 +1,331 @@
+/**
+ * @xbibzlibrary/kompreser - BMP Decoder
+ * Pure JavaScript Windows/OS2 bitmap decoder (1-32 bit, RLE4/RLE8, bitfields)
+ */
+
+import Logger from '../utils/Logger.js';
+import { FormatError } from '../core/ErrorHandler.js';
+import DecoderLimits from './DecoderLimits.js';
+
+class BMPDecoder {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    this.limits = new DecoderLimits(options);
+    
+    this.COMPRESSION = {
+      RGB: 0,
+      RLE8: 1,
+      RLE4: 2,
+      BITFIELDS: 3,
+      ALPHABITFIELDS: 6
+    };
+  }
+
+  async decode(data) {
+    const timer = this.logger.startTimer('bmp_decoding');
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    
+    const bmp = this.parseHeader(bytes);
+    const pixels = new Uint8ClampedArray(bmp.width * bmp.height * 4);
+    
+    if (bmp.compression === this.COMPRESSION.RLE8 || bmp.compression === this.COMPRESSION.RLE4) {
+      this.decodeRLE(bytes, bmp, pixels);
+    } else if (bmp.bitsPerPixel <= 8) {
+      this.decodeIndexed(bytes, bmp, pixels);
+    } else {
+      this.decodeTrueColor(bytes, bmp, pixels);
+    }
+    
+    const duration = timer.end();
+    this.logger.debug('BMP decoded', {
+      dimensions: `${bmp.width}x${bmp.height}`,
+      bitsPerPixel: bmp.bitsPerPixel,
+      compression: bmp.compression,
+      duration
+    });
+    
+    return {
+      data: pixels,
+      width: bmp.width,
+      height: bmp.height,
+      format: 'bmp'
+    };
+  }
+
+  parseHeader(bytes) {
+    if (bytes.length < 26 || bytes[0] !== 0x42 || bytes[1] !== 0x4D) {
+      throw new FormatError('missing BMP signature', 'bmp');
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const dataOffset = view.getUint32(10, true);
+    const headerSize = view.getUint32(14, true);
+    
+    if (14 + headerSize > bytes.length) {
+      throw new FormatError('BMP header is truncated', 'bmp');
+    }
+    
+    const bmp = { dataOffset, headerSize, masks: null, palette: null };
+    
+    // OS/2 BITMAPCOREHEADER uses 16-bit dimensions and 3-byte palette entries
+    if (headerSize === 12) {
+      bmp.width = view.getUint16(18, true);
+      bmp.rawHeight = view.getInt16(20, true);
+      bmp.bitsPerPixel = view.getUint16(24, true);
+      bmp.compression = this.COMPRESSION.RGB;
+      bmp.colorsUsed = 0;
+    } else if (headerSize >= 40) {
+      bmp.width = view.getInt32(18, true);
+      bmp.rawHeight = view.getInt32(22, true);
+      bmp.bitsPerPixel = view.getUint16(28, true);
+      bmp.compression = view.getUint32(30, true);
+      bmp.colorsUsed = view.getUint32(46, true);
+    } else {
+      throw new FormatError(`unsupported BMP header size ${headerSize}`, 'bmp');
+    }
+    
+    // Negative height means rows are stored top-down
+    bmp.topDown = bmp.rawHeight < 0;
+    bmp.height = Math.abs(bmp.rawHeight);
+    
+    if (bmp.width <= 0 || bmp.height === 0) {
+      throw new FormatError('image dimensions must be positive', 'bmp');
+    }
+    this.limits.assertDimensions(bmp.width, bmp.height, 'bmp');
+    
+    if (![1, 4, 8, 16, 24, 32].includes(bmp.bitsPerPixel)) {
+      throw new FormatError(`unsupported bit depth ${bmp.bitsPerPixel}`, 'bmp');
+    }
+    
+    const { RGB, RLE8, RLE4, BITFIELDS, ALPHABITFIELDS } = this.COMPRESSION;
+    const valid = {
+      [RGB]: true,
+      [RLE8]: bmp.bitsPerPixel === 8,
+      [RLE4]: bmp.bitsPerPixel === 4,
+      [BITFIELDS]: bmp.bitsPerPixel === 16 || bmp.bitsPerPixel === 32,
+      [ALPHABITFIELDS]: bmp.bitsPerPixel === 16 || bmp.bitsPerPixel === 32
+    };
+    if (!valid[bmp.compression]) {
+      throw new FormatError(`unsupported compression ${bmp.compression} for ${bmp.bitsPerPixel}-bit image`, 'bmp');
+    }
+    
+    if ((bmp.compression === RLE8 || bmp.compression === RLE4) && bmp.topDown) {
+      throw new FormatError('RLE bitmaps cannot be top-down', 'bmp');
+    }
+    
+    bmp.masks = this.readMasks(view, bmp);
+    
+    if (bmp.bitsPerPixel <= 8) {
+      bmp.palette = this.readPalette(bytes, bmp);
+    }
+    
+    return bmp;
+  }
+
+  // Channel masks from the V2+ header or the 3-4 DWORDs after a BITMAPINFOHEADER
+  readMasks(view, bmp) {
+    const { BITFIELDS, ALPHABITFIELDS } = this.COMPRESSION;
+    
+    if (bmp.compression === BITFIELDS || bmp.compression === ALPHABITFIELDS) {
+      const offset = 14 + 40;
+      const count = bmp.headerSize >= 56 || bmp.compression === ALPHABITFIELDS ? 4 : 3;
+      if (offset + count * 4 > view.byteLength) {
+        throw new FormatError('bitfield masks are truncated', 'bmp');
+      }
+      
+      return {
+        red: view.getUint32(offset, true),
+        green: view.getUint32(offset + 4, true),
+        blue: view.getUint32(offset + 8, true),
+        alpha: count === 4 ? view.getUint32(offset + 12, true) : 0
+      };
+    }
+    
+    if (bmp.bitsPerPixel === 16) {
+      return { red: 0x7C00, green: 0x03E0, blue: 0x001F, alpha: 0 };
+    }
+    
+    if (bmp.bitsPerPixel === 32) {
+      // Alpha is only trusted when it is not all zero, see decodeTrueColor
+      return { red: 0x00FF0000, green: 0x0000FF00, blue: 0x000000FF, alpha: 0xFF000000 };
+    }
+    
+    return null;
+  }
+
+  readPalette(bytes, bmp) {
+    const entrySize = bmp.headerSize === 12 ? 3 : 4;
+    const offset = 14 + bmp.headerSize;
+    const maxColors = 1 << bmp.bitsPerPixel;
+    const count = Math.min(bmp.colorsUsed || maxColors, maxColors, Math.floor((bmp.dataOffset - offset) / entrySize));
+    
+    const palette = new Uint8Array(maxColors * 3);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + i * entrySize;
+      if (entry + 2 >= bytes.length) break;
+      
+      // Stored as BGR(X)
+      palette[i * 3] = bytes[entry + 2];
+      palette[i * 3 + 1] = bytes[entry + 1];
+      palette[i * 3 + 2] = bytes[entry];
+    }
+    
+    return palette;
+  }
+
+  rowStride(bmp) {
+    return Math.floor((bmp.bitsPerPixel * bmp.width + 31) / 32) * 4;
+  }
+
+  targetRow(bmp, row) {
+    return bmp.topDown ? row : bmp.height - 1 - row;
+  }
+
+  decodeIndexed(bytes, bmp, pixels) {
+    const stride = this.rowStride(bmp);
+    const { bitsPerPixel, width, palette } = bmp;
+    const mask = (1 << bitsPerPixel) - 1;
+    
+    for (let row = 0; row < bmp.height; row++) {
+      const start = bmp.dataOffset + row * stride;
+      if (start >= bytes.length) break;
+      
+      const target = this.targetRow(bmp, row) * width * 4;
+      
+      for (let x = 0; x < width; x++) {
+        const bit = x * bitsPerPixel;
+        const byte = bytes[start + (bit >> 3)] ?? 0;
+        const index = (byte >> (8 - bitsPerPixel - (bit & 7))) & mask;
+        this.writePaletteColor(pixels, target + x * 4, palette, index);
+      }
+    }
+  }
+
+  decodeTrueColor(bytes, bmp, pixels) {
+    const stride = this.rowStride(bmp);
+    const bytesPerPixel = bmp.bitsPerPixel >> 3;
+    const { width } = bmp;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const channels = bmp.masks ? this.createChannelReaders(bmp.masks) : null;
+    let alphaSeen = false;
+    
+    for (let row = 0; row < bmp.height; row++) {
+      const start = bmp.dataOffset + row * stride;
+      if (start + width * bytesPerPixel > bytes.length) break;
+      
+      const target = this.targetRow(bmp, row) * width * 4;
+      
+      for (let x = 0; x < width; x++) {
+        const source = start + x * bytesPerPixel;
+        const out = target + x * 4;
+        
+        if (bytesPerPixel === 3) {
+          pixels[out] = bytes[source + 2];
+          pixels[out + 1] = bytes[source + 1];
+          pixels[out + 2] = bytes[source];
+          pixels[out + 3] = 255;
+          continue;
+        }
+        
+        const value = bytesPerPixel === 2 ? view.getUint16(source, true) : view.getUint32(source, true);
+        pixels[out] = channels.red(value);
+        pixels[out + 1] = channels.green(value);
+        pixels[out + 2] = channels.blue(value);
+        
+        if (channels.alpha) {
+          const alpha = channels.alpha(value);
+          pixels[out + 3] = alpha;
+          if (alpha !== 0) alphaSeen = true;
+        } else {
+          pixels[out + 3] = 255;
+        }
+      }
+    }
+    
+    // Plain 32-bit bitmaps usually leave the fourth byte zero; treat them as opaque
+    if (channels?.alpha && !alphaSeen && bmp.compression === this.COMPRESSION.RGB) {
+      for (let i = 3; i < pixels.length; i += 4) {
+        pixels[i] = 255;
+      }
+    }
+  }
+
+  // Extract a masked channel and scale it to 8 bits
+  createChannelReaders(masks) {
+    const reader = mask => {
+      if (!mask) return null;
+      
+      let shift = 0;
+      while (((mask >>> shift) & 1) === 0) shift++;
+      
+      let bits = 0;
+      while (((mask >>> (shift + bits)) & 1) === 1 && shift + bits < 32) bits++;
+      
+      const max = bits >= 32 ? 0xFFFFFFFF : (2 ** bits) - 1;
+      return value => Math.round((((value & mask) >>> shift) * 255) / max);
+    };
+    
+    return {
+      red: reader(masks.red) || (() => 0),
+      green: reader(masks.green) || (() => 0),
+      blue: reader(masks.blue) || (() => 0),
+      alpha: reader(masks.alpha)
+    };
+  }
+
+  // RLE4/RLE8 with end-of-line, end-of-bitmap, delta and absolute runs; skipped pixels stay transparent
+  decodeRLE(bytes, bmp, pixels) {
+    const is4Bit = bmp.compression === this.COMPRESSION.RLE4;
+    const { width, height, palette } = bmp;
+    let position = bmp.dataOffset;
+    let x = 0;
+    let row = 0;
+    
+    const put = index => {
+      if (x < width && row < height) {
+        this.writePaletteColor(pixels, (this.targetRow(bmp, row) * width + x) * 4, palette, index);
+      }
+      x++;
+    };
+    
+    while (position + 1 < bytes.length && row < height) {
+      const count = bytes[position++];
+      const value = bytes[position++];
+      
+      if (count > 0) {
+        for (let i = 0; i < count; i++) {
+          put(is4Bit ? (i & 1 ? value & 0x0F : value >> 4) : value);
+        }
+        continue;
+      }
+      
+      if (value === 0) {
+        x = 0;
+        row++;
+      } else if (value === 1) {
+        break;
+      } else if (value === 2) {
+        x += bytes[position++] ?? 0;
+        row += bytes[position++] ?? 0;
+      } else {
+        // Absolute run of `value` pixels, padded to a 16-bit boundary
+        const length = is4Bit ? Math.ceil(value / 2) : value;
+        for (let i = 0; i < value; i++) {
+          const byte = bytes[position + (is4Bit ? i >> 1 : i)] ?? 0;
+          put(is4Bit ? (i & 1 ? byte & 0x0F : byte >> 4) : byte);
+        }
+        position += length + (length & 1);
+      }
+    }
+  }
+
+  writePaletteColor(pixels, target, palette, index) {
+    pixels[target] = palette[index * 3];
+    pixels[target + 1] = palette[index * 3 + 1];
+    pixels[target + 2] = palette[index * 3 + 2];
+    pixels[target + 3] = 255;
+  }
+}
+
+export default BMPDecoder;
\ No newline at end of file
@@ -0,0 +1,34 @@
+/**
+ * @xbibzlibrary/kompreser - Decoder Limits
+ * Checks the dimensions a header claims before a decoder allocates pixels for them
+ */
+
+import { FormatError } from '../core/ErrorHandler.js';
+
+class DecoderLimits {
+  constructor(options = {}) {
+    this.maxDimension = options.maxCanvasSize || 32767;
+    this.memoryLimit = options.memoryLimit || 512 * 1024 * 1024;
+  }
+
+  // A few header bytes can claim any size, so the RGBA buffer has to fit maxCanvasSize per side and memoryLimit
+  // in total before anything is allocated
+  assertDimensions(width, height, format) {
+    if (width > this.maxDimension || height > this.maxDimension) {
+      throw new FormatError(`image dimensions ${width}x${height} exceed the maximum of ${this.maxDimension} per side`, format, {
+        width,
+        height
+      });
+    }
+    
+    const bytes = width * height * 4;
+    if (bytes > this.memoryLimit) {
+      throw new FormatError(`a ${width}x${height} image needs ${Math.round(bytes / 1024 / 1024)}MB, over the memory limit of ${Math.round(this.memoryLimit / 1024 / 1024)}MB`, format, {
+        width,
+        height
+      });
+    }
+  }
+}
+
+export default DecoderLimits;
\ No newline at end of file
@@ -0,0 +1,414 @@
+/**
+ * @xbibzlibrary/kompreser - GIF Decoder
+ * Pure JavaScript GIF87a/GIF89a parser with LZW decoding and frame compositing
+ */
+
+import Logger from '../utils/Logger.js';
+import { FormatError } from '../core/ErrorHandler.js';
+import DecoderLimits from './DecoderLimits.js';
+
+const MAX_CODE_SIZE = 12;
+
+// Interlaced images store rows in four passes as [start, step]
+const INTERLACE_PASSES = [[0, 8], [4, 8], [2, 4], [1, 2]];
+
+// Disposal methods from the graphic control extension
+const DISPOSE_BACKGROUND = 2;
+const DISPOSE_PREVIOUS = 3;
+
+// Browsers play delays below 20ms at 100ms, so the same timing is reported here
+const MIN_DELAY = 20;
+const DEFAULT_DELAY = 100;
+
+class GIFDecoder {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    this.limits = new DecoderLimits(options);
+  }
+
+  // The first frame composited onto the logical screen
+  async decode(data) {
+    const timer = this.logger.startTimer('gif_decoding');
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    
+    const gif = this.parse(bytes, { maxFrames: 1 });
+    if (gif.frames.length === 0) {
+      throw new FormatError('GIF contains no image data', 'gif');
+    }
+    
+    const pixels = new Uint8ClampedArray(gif.width * gif.height * 4);
+    this.drawFrame(pixels, gif.width, gif.height, gif.frames[0]);
+    
+    const duration = timer.end();
+    this.logger.debug('GIF decoded', {
+      dimensions: `${gif.width}x${gif.height}`,
+      duration
+    });
+    
+    return {
+      data: pixels,
+      width: gif.width,
+      height: gif.height,
+      format: 'gif'
+    };
+  }
+
+  // Every frame as a full RGBA canvas, with the previous frames' disposal already applied
+  async decodeFrames(data) {
+    const timer = this.logger.startTimer('gif_frame_decoding');
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    
+    const gif = this.parse(bytes);
+    if (gif.frames.length === 0) {
+      throw new FormatError('GIF contains no image data', 'gif');
+    }
+    
+    const { width, height } = gif;
+    const canvas = new Uint8ClampedArray(width * height * 4);
+    const frames = [];
+    
+    for (const frame of gif.frames) {
+      const previous = frame.disposal === DISPOSE_PREVIOUS ? canvas.slice() : null;
+      this.drawFrame(canvas, width, height, frame);
+      
+      frames.push({
+        data: canvas.slice(),
+        width,
+        height,
+        delay: frame.delay < MIN_DELAY ? DEFAULT_DELAY : frame.delay
+      });
+      
+      // Background disposal clears to transparent, as browsers do, rather than to the background color
+      if (frame.disposal === DISPOSE_BACKGROUND) {
+        this.clearRect(canvas, width, height, frame);
+      } else if (previous) {
+        canvas.set(previous);
+      }
+    }
+    
+    const duration = timer.end();
+    this.logger.debug('GIF frames decoded', {
+      dimensions: `${width}x${height}`,
+      frames: frames.length,
+      duration
+    });
+    
+    // The loop extension counts repeats after the first play; loopCount is the number of plays, 0 for forever
+    const loopCount = gif.loopCount === null ? 1 : gif.loopCount && gif.loopCount + 1;
+    
+    return { width, height, loopCount, frames };
+  }
+
+  parse(bytes, options = {}) {
+    const maxFrames = options.maxFrames ?? Infinity;
+    const signature = String.fromCharCode(...bytes.subarray(0, 6));
+    
+    if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+      throw new FormatError('missing GIF signature', 'gif');
+    }
+    
+    if (bytes.length < 13) {
+      throw new FormatError('GIF header is truncated', 'gif');
+    }
+    
+    const gif = {
+      width: bytes[6] | (bytes[7] << 8),
+      height: bytes[8] | (bytes[9] << 8),
+      globalPalette: null,
+      backgroundIndex: bytes[11],
+      loopCount: null,
+      frames: []
+    };
+    this.limits.assertDimensions(gif.width, gif.height, 'gif');
+    
+    const packed = bytes[10];
+    let offset = 13;
+    
+    if (packed & 0x80) {
+      const size = 3 * (1 << ((packed & 0x07) + 1));
+      gif.globalPalette = this.readBytes(bytes, offset, size);
+      offset += size;
+    }
+    
+    // Graphic control applies to the next image only
+    let control = null;
+    
+    while (offset < bytes.length && gif.frames.length < maxFrames) {
+      const introducer = bytes[offset++];
+      
+      if (introducer === 0x3B) {
+        break;
+      }
+      
+      if (introducer === 0x21) {
+        const label = bytes[offset++];
+        const { blocks, next } = this.readSubBlocks(bytes, offset);
+        offset = next;
+        
+        if (label === 0xF9 && blocks.length > 0 && blocks[0].length >= 4) {
+          const block = blocks[0];
+          control = {
+            disposal: (block[0] >> 2) & 0x07,
+            transparentIndex: block[0] & 0x01 ? block[3] : null,
+            delay: (block[1] | (block[2] << 8)) * 10
+          };
+        } else if (label === 0xFF && blocks.length > 1 && this.isLoopExtension(blocks[0])) {
+          const loop = blocks[1];
+          if (loop[0] === 1 && loop.length >= 3) {
+            gif.loopCount = loop[1] | (loop[2] << 8);
+          }
+        }
+        continue;
+      }
+      
+      if (introducer === 0x2C) {
+        const frame = this.readImage(bytes, offset, gif, control);
+        gif.frames.push(frame.image);
+        offset = frame.next;
+        control = null;
+        continue;
+      }
+      
+      // Trailing garbage after the last frame is common; stop rather than fail
+      if (gif.frames.length > 0) {
+        break;
+      }
+      
+      throw new FormatError(`unexpected block 0x${introducer.toString(16)}`, 'gif');
+    }
+    
+    return gif;
+  }
+
+  readImage(bytes, offset, gif, control) {
+    if (offset + 9 > bytes.length) {
+      throw new FormatError('image descriptor is truncated', 'gif');
+    }
+    
+    const image = {
+      x: bytes[offset] | (bytes[offset + 1] << 8),
+      y: bytes[offset + 2] | (bytes[offset + 3] << 8),
+      width: bytes[offset + 4] | (bytes[offset + 5] << 8),
+      height: bytes[offset + 6] | (bytes[offset + 7] << 8),
+      interlaced: (bytes[offset + 8] & 0x40) !== 0,
+      palette: gif.globalPalette,
+      transparentIndex: control?.transparentIndex ?? null,
+      disposal: control?.disposal ?? 0,
+      delay: control?.delay ?? 0,
+      indices: null
+    };
+    this.limits.assertDimensions(image.width, image.height, 'gif');
+    
+    const packed = bytes[offset + 8];
+    offset += 9;
+    
+    if (packed & 0x80) {
+      const size = 3 * (1 << ((packed & 0x07) + 1));
+      image.palette = this.readBytes(bytes, offset, size);
+      offset += size;
+    }
+    
+    if (!image.palette) {
+      throw new FormatError('image has no color table', 'gif');
+    }
+    
+    const minCodeSize = bytes[offset++];
+    const { blocks, next } = this.readSubBlocks(bytes, offset);
+    
+    const indices = this.decodeLZW(this.concat(blocks), minCodeSize, image.width * image.height);
+    image.indices = image.interlaced ? this.deinterlace(indices, image.width, image.height) : indices;
+    
+    return { image, next };
+  }
+
+  readSubBlocks(bytes, offset) {
+    const blocks = [];
+    
+    while (offset < bytes.length) {
+      const size = bytes[offset++];
+      if (size === 0) break;
+      
+      blocks.push(bytes.subarray(offset, Math.min(offset + size, bytes.length)));
+      offset += size;
+    }
+    
+    return { blocks, next: offset };
+  }
+
+  readBytes(bytes, offset, size) {
+    if (offset + size > bytes.length) {
+      throw new FormatError('color table is truncated', 'gif');
+    }
+    return bytes.subarray(offset, offset + size);
+  }
+
+  isLoopExtension(block) {
+    const identifier = String.fromCharCode(...block.subarray(0, 11));
+    return identifier === 'NETSCAPE2.0' || identifier === 'ANIMEXTS1.0';
+  }
+
+  concat(blocks) {
+    const data = new Uint8Array(blocks.reduce((total, block) => total + block.length, 0));
+    let position = 0;
+    for (const block of blocks) {
+      data.set(block, position);
+      position += block.length;
+    }
+    return data;
+  }
+
+  // Variable-width LZW; missing pixels at the end of a short stream stay index 0
+  decodeLZW(data, minCodeSize, pixelCount) {
+    if (minCodeSize < 1 || minCodeSize > 11) {
+      throw new FormatError(`invalid LZW minimum code size ${minCodeSize}`, 'gif');
+    }
+    
+    const output = new Uint8Array(pixelCount);
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    
+    // Each code is stored as (prefix code, last byte) plus its length for fast unwinding
+    const prefix = new Int16Array(1 << MAX_CODE_SIZE);
+    const suffix = new Uint8Array(1 << MAX_CODE_SIZE);
+    const lengths = new Uint16Array(1 << MAX_CODE_SIZE);
+    for (let i = 0; i < clearCode; i++) {
+      prefix[i] = -1;
+      suffix[i] = i;
+      lengths[i] = 1;
+    }
+    
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let previous = -1;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let position = 0;
+    let written = 0;
+    
+    while (written < pixelCount) {
+      while (bitCount < codeSize && position < data.length) {
+        bitBuffer |= data[position++] << bitCount;
+        bitCount += 8;
+      }
+      
+      if (bitCount < codeSize) break;
+      
+      const code = bitBuffer & ((1 << codeSize) - 1);
+      bitBuffer >>>= codeSize;
+      bitCount -= codeSize;
+      
+      if (code === clearCode) {
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+        previous = -1;
+        continue;
+      }
+      
+      if (code === endCode) break;
+      
+      let firstByte;
+      
+      if (code < nextCode) {
+        // Known code: unwind it, and the new entry is previous + its first byte
+        written = this.writeCode(code, prefix, suffix, lengths, output, written);
+        firstByte = this.firstByte(code, prefix, suffix);
+      } else if (code === nextCode && previous !== -1) {
+        // KwKwK case: the code being defined is previous + previous's first byte
+        firstByte = this.firstByte(previous, prefix, suffix);
+        written = this.writeCode(previous, prefix, suffix, lengths, output, written);
+        if (written < pixelCount) output[written++] = firstByte;
+      } else {
+        throw new FormatError('invalid LZW code', 'gif');
+      }
+      
+      if (previous !== -1 && nextCode < (1 << MAX_CODE_SIZE)) {
+        prefix[nextCode] = previous;
+        suffix[nextCode] = firstByte;
+        lengths[nextCode] = lengths[previous] + 1;
+        nextCode++;
+        
+        // Past 4095 the table is full and the code size stays at 12 until a clear code
+        if (nextCode === (1 << codeSize) && codeSize < MAX_CODE_SIZE) {
+          codeSize++;
+        }
+      }
+      
+      previous = code;
+    }
+    
+    return output;
+  }
+
+  writeCode(code, prefix, suffix, lengths, output, written) {
+    const length = lengths[code];
+    const end = written + length;
+    
+    // Unwind backwards; anything beyond the image is dropped
+    for (let position = end - 1, current = code; current !== -1; position--) {
+      if (position < output.length) {
+        output[position] = suffix[current];
+      }
+      current = prefix[current];
+    }
+    
+    return Math.min(end, output.length);
+  }
+
+  firstByte(code, prefix, suffix) {
+    while (prefix[code] !== -1) {
+      code = prefix[code];
+    }
+    return suffix[code];
+  }
+
+  deinterlace(indices, width, height) {
+    const output = new Uint8Array(indices.length);
+    let row = 0;
+    
+    for (const [start, step] of INTERLACE_PASSES) {
+      for (let y = start; y < height; y += step) {
+        output.set(indices.subarray(row * width, (row + 1) * width), y * width);
+        row++;
+      }
+    }
+    
+    return output;
+  }
+
+  // Draw a frame's opaque pixels onto an RGBA canvas of the logical screen size
+  drawFrame(pixels, width, height, frame) {
+    const { palette, transparentIndex, indices } = frame;
+    const colors = palette.length / 3;
+    
+    for (let y = 0; y < frame.height; y++) {
+      const targetY = frame.y + y;
+      if (targetY >= height) break;
+      
+      for (let x = 0; x < frame.width; x++) {
+        const targetX = frame.x + x;
+        if (targetX >= width) break;
+        
+        const index = indices[y * frame.width + x];
+        if (index === transparentIndex || index >= colors) continue;
+        
+        const target = (targetY * width + targetX) * 4;
+        pixels[target] = palette[index * 3];
+        pixels[target + 1] = palette[index * 3 + 1];
+        pixels[target + 2] = palette[index * 3 + 2];
+        pixels[target + 3] = 255;
+      }
+    }
+  }
+
+  clearRect(pixels, width, height, frame) {
+    const right = Math.min(frame.x + frame.width, width);
+    const bottom = Math.min(frame.y + frame.height, height);
+    
+    for (let y = frame.y; y < bottom; y++) {
+      pixels.fill(0, (y * width + frame.x) * 4, (y * width + right) * 4);
+    }
+  }
+}
+
+export default GIFDecoder;
\ No newline at end of file
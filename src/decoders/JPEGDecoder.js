@@ -0,0 +1,884 @@
+/**
+ * @xbibzlibrary/kompreser - JPEG Decoder
+ * Pure JavaScript baseline and progressive JPEG decoder
+ */
+
+import Logger from '../utils/Logger.js';
+import { FormatError, UnsupportedError } from '../core/ErrorHandler.js';
+import DecoderLimits from './DecoderLimits.js';
+
+// Zigzag scan position -> natural (row-major) coefficient index
+const ZIGZAG = new Uint8Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// IDCT basis: IDCT_TABLE[x * 8 + u] = C(u) / 2 * cos((2x + 1) * u * PI / 16)
+const IDCT_TABLE = new Float32Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    const scale = u === 0 ? Math.SQRT1_2 : 1;
+    IDCT_TABLE[x * 8 + u] = (scale / 2) * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+  }
+}
+
+class JPEGDecoder {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    this.limits = new DecoderLimits(options);
+    
+    this.MARKERS = {
+      SOF0: 0xC0,
+      SOF1: 0xC1,
+      SOF2: 0xC2,
+      DHT: 0xC4,
+      SOI: 0xD8,
+      EOI: 0xD9,
+      SOS: 0xDA,
+      DQT: 0xDB,
+      DRI: 0xDD,
+      APP14: 0xEE
+    };
+    
+    // Frame types other than baseline/extended/progressive Huffman
+    this.UNSUPPORTED_FRAMES = {
+      0xC3: 'lossless JPEG',
+      0xC5: 'differential JPEG',
+      0xC6: 'differential progressive JPEG',
+      0xC7: 'differential lossless JPEG',
+      0xC9: 'arithmetic-coded JPEG',
+      0xCA: 'arithmetic-coded progressive JPEG',
+      0xCB: 'arithmetic-coded lossless JPEG',
+      0xCD: 'arithmetic-coded differential JPEG',
+      0xCE: 'arithmetic-coded differential progressive JPEG',
+      0xCF: 'arithmetic-coded differential lossless JPEG'
+    };
+  }
+
+  async decode(data) {
+    const timer = this.logger.startTimer('jpeg_decoding');
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    
+    const jpeg = this.parse(bytes);
+    const planes = jpeg.frame.components.map(component => this.buildComponentPlane(component, jpeg.quantizationTables));
+    const pixels = this.convertToRGBA(jpeg, planes);
+    
+    const duration = timer.end();
+    this.logger.debug('JPEG decoded', {
+      dimensions: `${jpeg.frame.width}x${jpeg.frame.height}`,
+      components: jpeg.frame.components.length,
+      progressive: jpeg.frame.progressive,
+      scans: jpeg.scans,
+      duration
+    });
+    
+    return {
+      data: pixels,
+      width: jpeg.frame.width,
+      height: jpeg.frame.height,
+      format: 'jpeg'
+    };
+  }
+
+  parse(bytes) {
+    if (bytes[0] !== 0xFF || bytes[1] !== this.MARKERS.SOI) {
+      throw new FormatError('missing JPEG SOI marker', 'jpeg');
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const jpeg = {
+      frame: null,
+      quantizationTables: [],
+      huffmanTables: { dc: [], ac: [] },
+      resetInterval: 0,
+      adobe: null,
+      scans: 0
+    };
+    let offset = 2;
+    
+    while (offset < bytes.length) {
+      // Tolerate garbage and fill bytes between segments
+      if (bytes[offset] !== 0xFF) {
+        offset++;
+        continue;
+      }
+      
+      const marker = bytes[offset + 1];
+      if (marker === 0xFF) {
+        offset++;
+        continue;
+      }
+      
+      offset += 2;
+      
+      if (marker === this.MARKERS.EOI) break;
+      if (marker >= 0xD0 && marker <= 0xD7) continue;
+      
+      if (offset + 2 > bytes.length) break;
+      const length = view.getUint16(offset);
+      const segment = bytes.subarray(offset + 2, offset + length);
+      
+      if (offset + length > bytes.length) {
+        // Keep what earlier scans produced, as browsers do for partial downloads
+        if (jpeg.scans > 0) break;
+        throw new FormatError(`truncated segment 0x${marker.toString(16)}`, 'jpeg');
+      }
+      
+      switch (marker) {
+        case this.MARKERS.DQT:
+          this.readQuantizationTables(segment, jpeg);
+          break;
+        
+        case this.MARKERS.DHT:
+          this.readHuffmanTables(segment, jpeg);
+          break;
+        
+        case this.MARKERS.DRI:
+          jpeg.resetInterval = (segment[0] << 8) | segment[1];
+          break;
+        
+        case this.MARKERS.SOF0:
+        case this.MARKERS.SOF1:
+        case this.MARKERS.SOF2:
+          if (jpeg.frame) {
+            throw new FormatError('multiple frames are not supported', 'jpeg');
+          }
+          jpeg.frame = this.readFrame(segment, marker === this.MARKERS.SOF2);
+          break;
+        
+        case this.MARKERS.APP14:
+          // Adobe segment: the transform flag tells RGB/CMYK apart from YCbCr/YCCK
+          if (String.fromCharCode(...segment.subarray(0, 5)) === 'Adobe' && segment.length >= 12) {
+            jpeg.adobe = { transform: segment[11] };
+          }
+          break;
+        
+        case this.MARKERS.SOS: {
+          if (!jpeg.frame) {
+            throw new FormatError('scan before frame header', 'jpeg');
+          }
+          const scan = this.readScanHeader(segment, jpeg);
+          offset = this.decodeScan(bytes, offset + length, jpeg, scan);
+          jpeg.scans++;
+          continue;
+        }
+        
+        default:
+          if (this.UNSUPPORTED_FRAMES[marker]) {
+            throw new UnsupportedError(this.UNSUPPORTED_FRAMES[marker], { format: 'jpeg' });
+          }
+          break;
+      }
+      
+      offset += length;
+    }
+    
+    if (!jpeg.frame) {
+      throw new FormatError('missing frame header', 'jpeg');
+    }
+    
+    if (jpeg.scans === 0) {
+      throw new FormatError('no image data', 'jpeg');
+    }
+    
+    return jpeg;
+  }
+
+  readQuantizationTables(segment, jpeg) {
+    let offset = 0;
+    
+    while (offset < segment.length) {
+      const precision = segment[offset] >> 4;
+      const id = segment[offset] & 0x0F;
+      offset++;
+      
+      // Stored in zigzag order; keep them in natural order
+      const table = new Uint16Array(64);
+      for (let i = 0; i < 64; i++) {
+        if (precision === 0) {
+          table[ZIGZAG[i]] = segment[offset++];
+        } else {
+          table[ZIGZAG[i]] = (segment[offset] << 8) | segment[offset + 1];
+          offset += 2;
+        }
+      }
+      
+      jpeg.quantizationTables[id] = table;
+    }
+  }
+
+  readHuffmanTables(segment, jpeg) {
+    let offset = 0;
+    
+    while (offset + 17 <= segment.length) {
+      const tableClass = segment[offset] >> 4;
+      const id = segment[offset] & 0x0F;
+      const counts = segment.subarray(offset + 1, offset + 17);
+      offset += 17;
+      
+      const total = counts.reduce((sum, count) => sum + count, 0);
+      const values = segment.slice(offset, offset + total);
+      offset += total;
+      
+      const table = this.buildHuffmanTable(counts, values);
+      if (tableClass === 0) {
+        jpeg.huffmanTables.dc[id] = table;
+      } else {
+        jpeg.huffmanTables.ac[id] = table;
+      }
+    }
+  }
+
+  // Canonical decoding tables (JPEG spec F.2.2.3): maxCode per length and value offsets
+  buildHuffmanTable(counts, values) {
+    const maxCode = new Int32Array(18).fill(-1);
+    const valueOffset = new Int32Array(18);
+    let code = 0;
+    let index = 0;
+    
+    for (let length = 1; length <= 16; length++) {
+      const count = counts[length - 1];
+      valueOffset[length] = index - code;
+      code += count;
+      index += count;
+      if (count > 0) {
+        maxCode[length] = code - 1;
+      }
+      code <<= 1;
+    }
+    
+    return { maxCode, valueOffset, values };
+  }
+
+  readFrame(segment, progressive) {
+    const precision = segment[0];
+    if (precision !== 8) {
+      throw new UnsupportedError(`${precision}-bit JPEG`, { format: 'jpeg' });
+    }
+    
+    const frame = {
+      progressive,
+      height: (segment[1] << 8) | segment[2],
+      width: (segment[3] << 8) | segment[4],
+      components: []
+    };
+    
+    if (frame.width === 0 || frame.height === 0) {
+      throw new FormatError('image dimensions must be positive', 'jpeg');
+    }
+    this.limits.assertDimensions(frame.width, frame.height, 'jpeg');
+    
+    const count = segment[5];
+    if (![1, 3, 4].includes(count)) {
+      throw new UnsupportedError(`JPEG with ${count} components`, { format: 'jpeg' });
+    }
+    
+    for (let i = 0; i < count; i++) {
+      const offset = 6 + i * 3;
+      const h = segment[offset + 1] >> 4;
+      const v = segment[offset + 1] & 0x0F;
+      
+      if (h < 1 || h > 4 || v < 1 || v > 4) {
+        throw new FormatError('invalid sampling factors', 'jpeg');
+      }
+      
+      frame.components.push({
+        id: segment[offset],
+        h,
+        v,
+        quantizationTable: segment[offset + 2]
+      });
+    }
+    
+    frame.maxH = Math.max(...frame.components.map(component => component.h));
+    frame.maxV = Math.max(...frame.components.map(component => component.v));
+    frame.mcusPerLine = Math.ceil(frame.width / (8 * frame.maxH));
+    frame.mcusPerColumn = Math.ceil(frame.height / (8 * frame.maxV));
+    
+    for (const component of frame.components) {
+      // Blocks covering the component itself, and the MCU-padded grid that stores them
+      component.blocksPerLine = Math.ceil(Math.ceil((frame.width * component.h) / frame.maxH) / 8);
+      component.blocksPerColumn = Math.ceil(Math.ceil((frame.height * component.v) / frame.maxV) / 8);
+      component.paddedBlocksPerLine = frame.mcusPerLine * component.h;
+      component.paddedBlocksPerColumn = frame.mcusPerColumn * component.v;
+      component.coefficients = new Int16Array(component.paddedBlocksPerLine * component.paddedBlocksPerColumn * 64);
+      component.pred = 0;
+    }
+    
+    return frame;
+  }
+
+  readScanHeader(segment, jpeg) {
+    const count = segment[0];
+    const components = [];
+    
+    for (let i = 0; i < count; i++) {
+      const id = segment[1 + i * 2];
+      const tables = segment[2 + i * 2];
+      const component = jpeg.frame.components.find(candidate => candidate.id === id);
+      
+      if (!component) {
+        throw new FormatError(`scan references unknown component ${id}`, 'jpeg');
+      }
+      
+      component.dcTable = jpeg.huffmanTables.dc[tables >> 4];
+      component.acTable = jpeg.huffmanTables.ac[tables & 0x0F];
+      components.push(component);
+    }
+    
+    const offset = 1 + count * 2;
+    return {
+      components,
+      spectralStart: segment[offset],
+      spectralEnd: segment[offset + 1],
+      successiveHigh: segment[offset + 2] >> 4,
+      successiveLow: segment[offset + 2] & 0x0F
+    };
+  }
+
+  // Decode one entropy-coded scan; returns the offset of the marker that follows it
+  decodeScan(bytes, offset, jpeg, scan) {
+    const { frame, resetInterval } = jpeg;
+    const { components, spectralStart, spectralEnd, successiveHigh, successiveLow } = scan;
+    const reader = new JPEGBitReader(bytes, offset);
+    
+    let decodeBlock;
+    if (!frame.progressive) {
+      decodeBlock = (component, blockOffset) => this.decodeBaseline(reader, component, blockOffset);
+    } else if (spectralStart === 0) {
+      decodeBlock = successiveHigh === 0
+        ? (component, blockOffset) => this.decodeDCFirst(reader, component, blockOffset, successiveLow)
+        : (component, blockOffset) => this.decodeDCRefine(reader, component, blockOffset, successiveLow);
+    } else {
+      decodeBlock = successiveHigh === 0
+        ? (component, blockOffset) => this.decodeACFirst(reader, component, blockOffset, scan)
+        : (component, blockOffset) => this.decodeACRefine(reader, component, blockOffset, scan);
+    }
+    
+    for (const component of components) {
+      const needsDC = !frame.progressive || spectralStart === 0;
+      const needsAC = !frame.progressive || spectralStart > 0;
+      if ((needsDC && successiveHigh === 0 && !component.dcTable) || (needsAC && spectralEnd > 0 && !component.acTable)) {
+        throw new FormatError('scan references a missing Huffman table', 'jpeg');
+      }
+    }
+    
+    // A single-component scan walks that component's own blocks instead of whole MCUs
+    const single = components.length === 1;
+    const component0 = components[0];
+    const totalUnits = single
+      ? component0.blocksPerLine * component0.blocksPerColumn
+      : frame.mcusPerLine * frame.mcusPerColumn;
+    
+    const decodeUnit = unit => {
+      if (single) {
+        const row = Math.floor(unit / component0.blocksPerLine);
+        const column = unit % component0.blocksPerLine;
+        decodeBlock(component0, (row * component0.paddedBlocksPerLine + column) * 64);
+        return;
+      }
+      
+      const mcuRow = Math.floor(unit / frame.mcusPerLine);
+      const mcuColumn = unit % frame.mcusPerLine;
+      
+      for (const component of components) {
+        for (let v = 0; v < component.v; v++) {
+          for (let h = 0; h < component.h; h++) {
+            const row = mcuRow * component.v + v;
+            const column = mcuColumn * component.h + h;
+            decodeBlock(component, (row * component.paddedBlocksPerLine + column) * 64);
+          }
+        }
+      }
+    };
+    
+    let unit = 0;
+    while (unit < totalUnits) {
+      for (const component of components) {
+        component.pred = 0;
+      }
+      reader.eobRun = 0;
+      reader.refineState = 0;
+      
+      const end = resetInterval ? Math.min(unit + resetInterval, totalUnits) : totalUnits;
+      for (; unit < end; unit++) {
+        decodeUnit(unit);
+      }
+      
+      if (unit >= totalUnits) break;
+      
+      // Expect RSTn between intervals; anything else ends a damaged scan early
+      const marker = reader.seekMarker();
+      if (marker < 0xD0 || marker > 0xD7) break;
+      reader.skipMarker();
+    }
+    
+    return reader.findNextSegment();
+  }
+
+  decodeBaseline(reader, component, blockOffset) {
+    const coefficients = component.coefficients;
+    const size = reader.decodeHuffman(component.dcTable);
+    component.pred += size === 0 ? 0 : reader.receiveAndExtend(size);
+    coefficients[blockOffset] = component.pred;
+    
+    let k = 1;
+    while (k < 64) {
+      const rs = reader.decodeHuffman(component.acTable);
+      const s = rs & 15;
+      const r = rs >> 4;
+      
+      if (s === 0) {
+        if (r < 15) break;
+        k += 16;
+        continue;
+      }
+      
+      k += r;
+      if (k > 63) break;
+      coefficients[blockOffset + ZIGZAG[k]] = reader.receiveAndExtend(s);
+      k++;
+    }
+  }
+
+  decodeDCFirst(reader, component, blockOffset, successiveLow) {
+    const size = reader.decodeHuffman(component.dcTable);
+    component.pred += size === 0 ? 0 : reader.receiveAndExtend(size);
+    component.coefficients[blockOffset] = component.pred * (1 << successiveLow);
+  }
+
+  decodeDCRefine(reader, component, blockOffset, successiveLow) {
+    if (reader.readBit()) {
+      component.coefficients[blockOffset] |= 1 << successiveLow;
+    }
+  }
+
+  decodeACFirst(reader, component, blockOffset, scan) {
+    if (reader.eobRun > 0) {
+      reader.eobRun--;
+      return;
+    }
+    
+    const coefficients = component.coefficients;
+    let k = scan.spectralStart;
+    
+    while (k <= scan.spectralEnd) {
+      const rs = reader.decodeHuffman(component.acTable);
+      const s = rs & 15;
+      const r = rs >> 4;
+      
+      if (s === 0) {
+        if (r < 15) {
+          reader.eobRun = reader.receive(r) + (1 << r) - 1;
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      
+      k += r;
+      if (k > 63) break;
+      coefficients[blockOffset + ZIGZAG[k]] = reader.receiveAndExtend(s) * (1 << scan.successiveLow);
+      k++;
+    }
+  }
+
+  // Successive approximation refinement of AC coefficients (JPEG spec G.1.2.3).
+  // States: 0 = read next symbol, 1/2 = skipping zero-history coefficients
+  // (2 then places a new value), 3 = place new value, 4 = inside an end-of-band run
+  decodeACRefine(reader, component, blockOffset, scan) {
+    const coefficients = component.coefficients;
+    const bit = 1 << scan.successiveLow;
+    let k = scan.spectralStart;
+    let run = 0;
+    
+    while (k <= scan.spectralEnd) {
+      const index = blockOffset + ZIGZAG[k];
+      const value = coefficients[index];
+      const sign = value < 0 ? -1 : 1;
+      
+      switch (reader.refineState) {
+        case 0: {
+          const rs = reader.decodeHuffman(component.acTable);
+          const s = rs & 15;
+          run = rs >> 4;
+          
+          if (s === 0) {
+            if (run < 15) {
+              reader.eobRun = reader.receive(run) + (1 << run);
+              reader.refineState = 4;
+            } else {
+              run = 16;
+              reader.refineState = 1;
+            }
+          } else {
+            if (s !== 1) {
+              throw new FormatError('invalid AC refinement code', 'jpeg');
+            }
+            reader.refineValue = reader.receiveAndExtend(s);
+            reader.refineState = run ? 2 : 3;
+          }
+          continue;
+        }
+        
+        case 1:
+        case 2:
+          if (value) {
+            coefficients[index] += sign * (reader.readBit() * bit);
+          } else {
+            run--;
+            if (run === 0) {
+              reader.refineState = reader.refineState === 2 ? 3 : 0;
+            }
+          }
+          break;
+        
+        case 3:
+          if (value) {
+            coefficients[index] += sign * (reader.readBit() * bit);
+          } else {
+            coefficients[index] = reader.refineValue * bit;
+            reader.refineState = 0;
+          }
+          break;
+        
+        case 4:
+          if (value) {
+            coefficients[index] += sign * (reader.readBit() * bit);
+          }
+          break;
+      }
+      
+      k++;
+    }
+    
+    if (reader.refineState === 4) {
+      reader.eobRun--;
+      if (reader.eobRun === 0) {
+        reader.refineState = 0;
+      }
+    }
+  }
+
+  // Dequantize and inverse-transform every block into an 8-bit sample plane
+  buildComponentPlane(component, quantizationTables) {
+    const table = quantizationTables[component.quantizationTable];
+    if (!table) {
+      throw new FormatError(`missing quantization table ${component.quantizationTable}`, 'jpeg');
+    }
+    
+    const width = component.paddedBlocksPerLine * 8;
+    const plane = new Uint8ClampedArray(width * component.paddedBlocksPerColumn * 8);
+    const block = new Float32Array(64);
+    const temp = new Float32Array(64);
+    
+    for (let row = 0; row < component.blocksPerColumn; row++) {
+      for (let column = 0; column < component.blocksPerLine; column++) {
+        const offset = (row * component.paddedBlocksPerLine + column) * 64;
+        
+        for (let i = 0; i < 64; i++) {
+          block[i] = component.coefficients[offset + i] * table[i];
+        }
+        
+        this.inverseDCT(block, temp);
+        
+        const origin = row * 8 * width + column * 8;
+        for (let y = 0; y < 8; y++) {
+          for (let x = 0; x < 8; x++) {
+            plane[origin + y * width + x] = Math.round(block[y * 8 + x] + 128);
+          }
+        }
+      }
+    }
+    
+    return { data: plane, width };
+  }
+
+  // Separable 8x8 inverse DCT in place: rows of coefficients, then columns
+  inverseDCT(block, temp) {
+    for (let v = 0; v < 8; v++) {
+      const row = v * 8;
+      let hasAC = false;
+      for (let u = 1; u < 8; u++) {
+        if (block[row + u] !== 0) {
+          hasAC = true;
+          break;
+        }
+      }
+      
+      if (!hasAC) {
+        const dc = block[row] * IDCT_TABLE[0];
+        for (let x = 0; x < 8; x++) temp[row + x] = dc;
+        continue;
+      }
+      
+      for (let x = 0; x < 8; x++) {
+        let sum = 0;
+        for (let u = 0; u < 8; u++) {
+          sum += IDCT_TABLE[x * 8 + u] * block[row + u];
+        }
+        temp[row + x] = sum;
+      }
+    }
+    
+    for (let x = 0; x < 8; x++) {
+      for (let y = 0; y < 8; y++) {
+        let sum = 0;
+        for (let v = 0; v < 8; v++) {
+          sum += IDCT_TABLE[y * 8 + v] * temp[v * 8 + x];
+        }
+        block[y * 8 + x] = sum;
+      }
+    }
+  }
+
+  // Upsample each plane to full size and convert to RGBA
+  convertToRGBA(jpeg, planes) {
+    const { frame, adobe } = jpeg;
+    const { width, height, components } = frame;
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const count = components.length;
+    
+    const fullPlanes = components.map((component, i) => this.upsamplePlane(planes[i], component, frame));
+    const colorTransform = this.resolveColorTransform(components, adobe);
+    const samples = new Uint8Array(4);
+    
+    for (let i = 0; i < width * height; i++) {
+      for (let c = 0; c < count; c++) {
+        samples[c] = fullPlanes[c][i];
+      }
+      this.writeColor(pixels, i * 4, samples, count, colorTransform, adobe);
+    }
+    
+    return pixels;
+  }
+
+  // Bilinear interpolation between sample centers; at 2x this is libjpeg's "fancy" 3:1 triangle filter
+  upsamplePlane(plane, component, frame) {
+    const { width, height, maxH, maxV } = frame;
+    const output = new Uint8ClampedArray(width * height);
+    const planeWidth = Math.ceil((width * component.h) / maxH);
+    const planeHeight = Math.ceil((height * component.v) / maxV);
+    
+    const axis = (size, sourceSize, factor) => {
+      const lower = new Uint32Array(size);
+      const upper = new Uint32Array(size);
+      const weight = new Float32Array(size);
+      
+      for (let i = 0; i < size; i++) {
+        const position = Math.min(sourceSize - 1, Math.max(0, (i + 0.5) * factor - 0.5));
+        lower[i] = Math.floor(position);
+        upper[i] = Math.min(sourceSize - 1, lower[i] + 1);
+        weight[i] = position - lower[i];
+      }
+      
+      return { lower, upper, weight };
+    };
+    
+    const columns = axis(width, planeWidth, component.h / maxH);
+    const rows = axis(height, planeHeight, component.v / maxV);
+    
+    for (let y = 0; y < height; y++) {
+      const top = rows.lower[y] * plane.width;
+      const bottom = rows.upper[y] * plane.width;
+      const wy = rows.weight[y];
+      
+      for (let x = 0; x < width; x++) {
+        const left = columns.lower[x];
+        const right = columns.upper[x];
+        const wx = columns.weight[x];
+        
+        const upperValue = plane.data[top + left] + (plane.data[top + right] - plane.data[top + left]) * wx;
+        const lowerValue = plane.data[bottom + left] + (plane.data[bottom + right] - plane.data[bottom + left]) * wx;
+        output[y * width + x] = Math.round(upperValue + (lowerValue - upperValue) * wy);
+      }
+    }
+    
+    return output;
+  }
+
+  resolveColorTransform(components, adobe) {
+    if (components.length === 3) {
+      if (adobe) return adobe.transform !== 0;
+      
+      // Component ids 'R', 'G', 'B' mark untransformed RGB
+      const ids = components.map(component => component.id);
+      return !(ids[0] === 0x52 && ids[1] === 0x47 && ids[2] === 0x42);
+    }
+    
+    if (components.length === 4) {
+      return adobe ? adobe.transform === 2 : false;
+    }
+    
+    return false;
+  }
+
+  writeColor(pixels, out, samples, count, colorTransform, adobe) {
+    if (count === 1) {
+      pixels[out] = samples[0];
+      pixels[out + 1] = samples[0];
+      pixels[out + 2] = samples[0];
+      pixels[out + 3] = 255;
+      return;
+    }
+    
+    let r = samples[0];
+    let g = samples[1];
+    let b = samples[2];
+    
+    if (colorTransform) {
+      const Y = samples[0];
+      const cb = samples[1] - 128;
+      const cr = samples[2] - 128;
+      r = Y + 1.402 * cr;
+      g = Y - 0.344136 * cb - 0.714136 * cr;
+      b = Y + 1.772 * cb;
+    }
+    
+    if (count === 4) {
+      const k = samples[3];
+      
+      if (colorTransform) {
+        // YCCK decodes to inverted CMY, the same convention as Adobe CMYK
+        r = 255 - Math.min(255, Math.max(0, r));
+        g = 255 - Math.min(255, Math.max(0, g));
+        b = 255 - Math.min(255, Math.max(0, b));
+      }
+      
+      if (adobe) {
+        // Adobe stores CMYK inverted
+        r = (r * k) / 255;
+        g = (g * k) / 255;
+        b = (b * k) / 255;
+      } else {
+        r = ((255 - r) * (255 - k)) / 255;
+        g = ((255 - g) * (255 - k)) / 255;
+        b = ((255 - b) * (255 - k)) / 255;
+      }
+    }
+    
+    pixels[out] = Math.round(r);
+    pixels[out + 1] = Math.round(g);
+    pixels[out + 2] = Math.round(b);
+    pixels[out + 3] = 255;
+  }
+}
+
+// MSB-first reader over entropy-coded data: removes byte stuffing and
+// returns zero bits once a marker or the end of data is reached
+class JPEGBitReader {
+  constructor(data, offset) {
+    this.data = data;
+    this.position = offset;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    this.markerReached = false;
+    
+    // Progressive AC state carried between blocks
+    this.eobRun = 0;
+    this.refineState = 0;
+    this.refineValue = 0;
+  }
+
+  fillByte() {
+    if (this.markerReached || this.position >= this.data.length) {
+      this.bitBuffer = 0;
+      this.bitCount = 8;
+      return;
+    }
+    
+    const byte = this.data[this.position];
+    if (byte === 0xFF) {
+      if (this.data[this.position + 1] === 0x00) {
+        this.position += 2;
+      } else {
+        this.markerReached = true;
+        this.bitBuffer = 0;
+        this.bitCount = 8;
+        return;
+      }
+    } else {
+      this.position++;
+    }
+    
+    this.bitBuffer = byte;
+    this.bitCount = 8;
+  }
+
+  readBit() {
+    if (this.bitCount === 0) {
+      this.fillByte();
+    }
+    
+    this.bitCount--;
+    return (this.bitBuffer >> this.bitCount) & 1;
+  }
+
+  receive(length) {
+    let value = 0;
+    while (length-- > 0) {
+      value = (value << 1) | this.readBit();
+    }
+    return value;
+  }
+
+  receiveAndExtend(length) {
+    const value = this.receive(length);
+    return value >= 1 << (length - 1) ? value : value - (1 << length) + 1;
+  }
+
+  decodeHuffman(table) {
+    let code = 0;
+    
+    for (let length = 1; length <= 16; length++) {
+      code = (code << 1) | this.readBit();
+      if (code <= table.maxCode[length]) {
+        return table.values[table.valueOffset[length] + code];
+      }
+    }
+    
+    throw new FormatError('invalid Huffman code', 'jpeg');
+  }
+
+  // Drop remaining bits and locate the next marker; returns its code or -1
+  seekMarker() {
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    
+    let position = this.position;
+    while (position + 1 < this.data.length) {
+      if (this.data[position] === 0xFF) {
+        const next = this.data[position + 1];
+        if (next !== 0x00 && next !== 0xFF) {
+          this.position = position;
+          return next;
+        }
+      }
+      position++;
+    }
+    
+    this.position = this.data.length;
+    return -1;
+  }
+
+  skipMarker() {
+    this.position += 2;
+    this.markerReached = false;
+  }
+
+  // Offset of the next non-restart marker after the scan
+  findNextSegment() {
+    for (;;) {
+      const marker = this.seekMarker();
+      if (marker < 0xD0 || marker > 0xD7) {
+        return this.position;
+      }
+      this.skipMarker();
+    }
+  }
+}
+
+export default JPEGDecoder;
\ No newline at end of file
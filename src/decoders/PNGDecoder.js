@@ -0,0 +1,369 @@
+/**
+ * @xbibzlibrary/kompreser - PNG Decoder
+ * Pure JavaScript PNG decoder for all color types, bit depths and Adam7 interlacing
+ */
+
+import Logger from '../utils/Logger.js';
+import Zlib from '../utils/Zlib.js';
+import { FormatError } from '../core/ErrorHandler.js';
+import DecoderLimits from './DecoderLimits.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// Adam7 passes as [xStart, yStart, xStep, yStep]
+const ADAM7_PASSES = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2]
+];
+
+class PNGDecoder {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    this.limits = new DecoderLimits(options);
+    this.zlib = new Zlib();
+    
+    // Channels per color type and the bit depths each one allows
+    this.CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+    this.BIT_DEPTHS = {
+      0: [1, 2, 4, 8, 16],
+      2: [8, 16],
+      3: [1, 2, 4, 8],
+      4: [8, 16],
+      6: [8, 16]
+    };
+  }
+
+  async decode(data) {
+    const timer = this.logger.startTimer('png_decoding');
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    
+    const png = this.parseChunks(bytes);
+    const { width, height, interlace } = png.header;
+    
+    const raw = this.zlib.inflate(png.idat);
+    png.toByte = this.createSampleScaler(png.header.bitDepth);
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    
+    if (interlace === 1) {
+      let offset = 0;
+      for (const [xStart, yStart, xStep, yStep] of ADAM7_PASSES) {
+        const passWidth = Math.ceil((width - xStart) / xStep);
+        const passHeight = Math.ceil((height - yStart) / yStep);
+        if (passWidth <= 0 || passHeight <= 0) continue;
+        
+        offset = this.decodePass(raw, offset, png, passWidth, passHeight, pixels, xStart, yStart, xStep, yStep);
+      }
+    } else {
+      this.decodePass(raw, 0, png, width, height, pixels, 0, 0, 1, 1);
+    }
+    
+    const duration = timer.end();
+    this.logger.debug('PNG decoded', {
+      dimensions: `${width}x${height}`,
+      colorType: png.header.colorType,
+      bitDepth: png.header.bitDepth,
+      interlaced: interlace === 1,
+      duration
+    });
+    
+    return {
+      data: pixels,
+      width,
+      height,
+      format: 'png'
+    };
+  }
+
+  parseChunks(bytes) {
+    for (let i = 0; i < PNG_SIGNATURE.length; i++) {
+      if (bytes[i] !== PNG_SIGNATURE[i]) {
+        throw new FormatError('missing PNG signature', 'png');
+      }
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const idatParts = [];
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    let offset = 8;
+    
+    while (offset + 8 <= bytes.length) {
+      const length = view.getUint32(offset);
+      const type = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6], bytes[offset + 7]);
+      const start = offset + 8;
+      
+      if (start + length > bytes.length) {
+        throw new FormatError(`truncated ${type} chunk`, 'png');
+      }
+      
+      const chunk = bytes.subarray(start, start + length);
+      
+      if (type === 'IHDR') {
+        header = this.parseHeader(chunk);
+      } else if (type === 'PLTE') {
+        palette = chunk;
+      } else if (type === 'tRNS') {
+        transparency = chunk;
+      } else if (type === 'IDAT') {
+        idatParts.push(chunk);
+      } else if (type === 'IEND') {
+        break;
+      }
+      
+      // Skip data and CRC
+      offset = start + length + 4;
+    }
+    
+    if (!header) {
+      throw new FormatError('missing IHDR chunk', 'png');
+    }
+    
+    if (idatParts.length === 0) {
+      throw new FormatError('missing IDAT chunk', 'png');
+    }
+    
+    if (header.colorType === 3 && !palette) {
+      throw new FormatError('missing PLTE chunk for indexed image', 'png');
+    }
+    
+    const idat = new Uint8Array(idatParts.reduce((total, part) => total + part.length, 0));
+    let position = 0;
+    for (const part of idatParts) {
+      idat.set(part, position);
+      position += part.length;
+    }
+    
+    return {
+      header,
+      palette,
+      transparency: transparency ? this.parseTransparency(transparency, header) : null,
+      idat
+    };
+  }
+
+  parseHeader(chunk) {
+    if (chunk.length < 13) {
+      throw new FormatError('IHDR chunk is too short', 'png');
+    }
+    
+    const view = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    const header = {
+      width: view.getUint32(0),
+      height: view.getUint32(4),
+      bitDepth: chunk[8],
+      colorType: chunk[9],
+      compression: chunk[10],
+      filter: chunk[11],
+      interlace: chunk[12]
+    };
+    
+    if (header.width === 0 || header.height === 0) {
+      throw new FormatError('image dimensions must be positive', 'png');
+    }
+    this.limits.assertDimensions(header.width, header.height, 'png');
+    
+    if (!this.BIT_DEPTHS[header.colorType]?.includes(header.bitDepth)) {
+      throw new FormatError(`invalid bit depth ${header.bitDepth} for color type ${header.colorType}`, 'png');
+    }
+    
+    if (header.compression !== 0 || header.filter !== 0 || header.interlace > 1) {
+      throw new FormatError('unsupported compression, filter or interlace method', 'png');
+    }
+    
+    return header;
+  }
+
+  // Palette alpha for indexed images, otherwise the single transparent sample value(s)
+  parseTransparency(chunk, header) {
+    if (header.colorType === 3) {
+      return { alpha: chunk };
+    }
+    
+    const view = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    
+    if (header.colorType === 0 && chunk.length >= 2) {
+      return { key: [view.getUint16(0)] };
+    }
+    
+    if (header.colorType === 2 && chunk.length >= 6) {
+      return { key: [view.getUint16(0), view.getUint16(2), view.getUint16(4)] };
+    }
+    
+    return null;
+  }
+
+  decodePass(raw, offset, png, passWidth, passHeight, pixels, xStart, yStart, xStep, yStep) {
+    const { width, bitDepth, colorType } = png.header;
+    const channels = this.CHANNELS[colorType];
+    const bitsPerPixel = channels * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const rowBytes = Math.ceil((passWidth * bitsPerPixel) / 8);
+    
+    if (offset + (rowBytes + 1) * passHeight > raw.length) {
+      throw new FormatError('image data is truncated', 'png');
+    }
+    
+    let previous = new Uint8Array(rowBytes);
+    let current = new Uint8Array(rowBytes);
+    
+    for (let y = 0; y < passHeight; y++) {
+      const filterType = raw[offset];
+      current.set(raw.subarray(offset + 1, offset + 1 + rowBytes));
+      offset += rowBytes + 1;
+      
+      this.unfilterRow(filterType, current, previous, bytesPerPixel);
+      
+      const row = (yStart + y * yStep) * width;
+      for (let x = 0; x < passWidth; x++) {
+        this.writePixel(current, x, png, pixels, (row + xStart + x * xStep) * 4);
+      }
+      
+      [previous, current] = [current, previous];
+    }
+    
+    return offset;
+  }
+
+  unfilterRow(filterType, row, previous, bytesPerPixel) {
+    const length = row.length;
+    
+    switch (filterType) {
+      case 0:
+        break;
+      
+      case 1:
+        for (let i = bytesPerPixel; i < length; i++) {
+          row[i] = (row[i] + row[i - bytesPerPixel]) & 0xFF;
+        }
+        break;
+      
+      case 2:
+        for (let i = 0; i < length; i++) {
+          row[i] = (row[i] + previous[i]) & 0xFF;
+        }
+        break;
+      
+      case 3:
+        for (let i = 0; i < length; i++) {
+          const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+          row[i] = (row[i] + ((left + previous[i]) >> 1)) & 0xFF;
+        }
+        break;
+      
+      case 4:
+        for (let i = 0; i < length; i++) {
+          const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+          const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+          row[i] = (row[i] + this.paethPredictor(left, previous[i], upLeft)) & 0xFF;
+        }
+        break;
+      
+      default:
+        throw new FormatError(`invalid filter type ${filterType}`, 'png');
+    }
+  }
+
+  paethPredictor(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const distanceLeft = Math.abs(estimate - left);
+    const distanceUp = Math.abs(estimate - up);
+    const distanceUpLeft = Math.abs(estimate - upLeft);
+    
+    if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left;
+    if (distanceUp <= distanceUpLeft) return up;
+    return upLeft;
+  }
+
+  // Map samples of any bit depth to 8 bits
+  createSampleScaler(bitDepth) {
+    if (bitDepth === 16) return sample => sample >> 8;
+    if (bitDepth === 8) return sample => sample;
+    
+    const max = (1 << bitDepth) - 1;
+    return sample => Math.round((sample * 255) / max);
+  }
+
+  // Full-precision sample `index` of a row
+  readSample(row, index, bitDepth) {
+    if (bitDepth === 8) return row[index];
+    if (bitDepth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+    
+    const bit = index * bitDepth;
+    return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+  }
+
+  writePixel(row, x, png, pixels, target) {
+    const { bitDepth, colorType } = png.header;
+    const transparency = png.transparency;
+    const channels = this.CHANNELS[colorType];
+    const base = x * channels;
+    const toByte = png.toByte;
+    
+    switch (colorType) {
+      case 0: {
+        const gray = this.readSample(row, base, bitDepth);
+        const value = toByte(gray);
+        pixels[target] = value;
+        pixels[target + 1] = value;
+        pixels[target + 2] = value;
+        pixels[target + 3] = transparency?.key && gray === transparency.key[0] ? 0 : 255;
+        break;
+      }
+      
+      case 2: {
+        const r = this.readSample(row, base, bitDepth);
+        const g = this.readSample(row, base + 1, bitDepth);
+        const b = this.readSample(row, base + 2, bitDepth);
+        const key = transparency?.key;
+        pixels[target] = toByte(r);
+        pixels[target + 1] = toByte(g);
+        pixels[target + 2] = toByte(b);
+        pixels[target + 3] = key && r === key[0] && g === key[1] && b === key[2] ? 0 : 255;
+        break;
+      }
+      
+      case 3: {
+        const index = this.readSample(row, x, bitDepth);
+        const entry = index * 3;
+        
+        // Out-of-range indices decode as opaque black, like most decoders
+        if (entry + 2 < png.palette.length) {
+          pixels[target] = png.palette[entry];
+          pixels[target + 1] = png.palette[entry + 1];
+          pixels[target + 2] = png.palette[entry + 2];
+        } else {
+          pixels[target] = 0;
+          pixels[target + 1] = 0;
+          pixels[target + 2] = 0;
+        }
+        pixels[target + 3] = transparency?.alpha && index < transparency.alpha.length ? transparency.alpha[index] : 255;
+        break;
+      }
+      
+      case 4: {
+        const value = toByte(this.readSample(row, base, bitDepth));
+        pixels[target] = value;
+        pixels[target + 1] = value;
+        pixels[target + 2] = value;
+        pixels[target + 3] = toByte(this.readSample(row, base + 1, bitDepth));
+        break;
+      }
+      
+      case 6:
+        pixels[target] = toByte(this.readSample(row, base, bitDepth));
+        pixels[target + 1] = toByte(this.readSample(row, base + 1, bitDepth));
+        pixels[target + 2] = toByte(this.readSample(row, base + 2, bitDepth));
+        pixels[target + 3] = toByte(this.readSample(row, base + 3, bitDepth));
+        break;
+    }
+  }
+}
+
+export default PNGDecoder;
\ No newline at end of file
@@ -0,0 +1,530 @@
+/**
+ * @xbibzlibrary/kompreser - TIFF Decoder
+ * Pure JavaScript baseline TIFF decoder (II/MM, strips, LZW/PackBits/Deflate, multi-page)
+ */
+
+import Logger from '../utils/Logger.js';
+import Zlib from '../utils/Zlib.js';
+import { FormatError, UnsupportedError } from '../core/ErrorHandler.js';
+import DecoderLimits from './DecoderLimits.js';
+
+// Byte size of each field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const TAGS = {
+  NEW_SUBFILE_TYPE: 254,
+  IMAGE_WIDTH: 256,
+  IMAGE_LENGTH: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  PHOTOMETRIC: 262,
+  FILL_ORDER: 266,
+  STRIP_OFFSETS: 273,
+  SAMPLES_PER_PIXEL: 277,
+  ROWS_PER_STRIP: 278,
+  STRIP_BYTE_COUNTS: 279,
+  PLANAR_CONFIGURATION: 284,
+  PREDICTOR: 317,
+  COLOR_MAP: 320,
+  TILE_WIDTH: 322,
+  EXTRA_SAMPLES: 338,
+  SAMPLE_FORMAT: 339
+};
+
+const COMPRESSION = {
+  NONE: 1,
+  LZW: 5,
+  DEFLATE: 8,
+  PACKBITS: 32773,
+  DEFLATE_OLD: 32946
+};
+
+const PHOTOMETRIC = {
+  WHITE_IS_ZERO: 0,
+  BLACK_IS_ZERO: 1,
+  RGB: 2,
+  PALETTE: 3,
+  CMYK: 5
+};
+
+// Color channels before any extra samples
+const COLOR_SAMPLES = { 0: 1, 1: 1, 2: 3, 3: 1, 5: 4 };
+
+const LZW_CLEAR = 256;
+const LZW_EOI = 257;
+const LZW_MAX_CODES = 4096;
+
+// Bounds the IFD chain so a looping or corrupt file cannot hang the decoder
+const MAX_PAGES = 1024;
+
+class TIFFDecoder {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    this.limits = new DecoderLimits(options);
+    this.zlib = new Zlib();
+  }
+
+  // First page unless options.page picks another one (0-based)
+  async decode(data, options = {}) {
+    const timer = this.logger.startTimer('tiff_decoding');
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    
+    const reader = this.readHeader(bytes);
+    const pages = this.readDirectories(reader);
+    const page = options.page ?? 0;
+    
+    if (!Number.isInteger(page) || page < 0 || page >= pages.length) {
+      throw new FormatError(`page ${page} does not exist, the file has ${pages.length}`, 'tiff');
+    }
+    
+    const image = this.decodePage(reader, pages[page]);
+    
+    const duration = timer.end();
+    this.logger.debug('TIFF decoded', {
+      dimensions: `${image.width}x${image.height}`,
+      page,
+      pages: pages.length,
+      duration
+    });
+    
+    return { ...image, page, pages: pages.length };
+  }
+
+  // Every page of a multi-page file, in file order
+  async decodePages(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const reader = this.readHeader(bytes);
+    
+    return this.readDirectories(reader).map((ifd, page) => ({ ...this.decodePage(reader, ifd), page }));
+  }
+
+  readHeader(bytes) {
+    if (bytes.length < 8) {
+      throw new FormatError('TIFF header is truncated', 'tiff');
+    }
+    
+    const order = String.fromCharCode(bytes[0], bytes[1]);
+    if (order !== 'II' && order !== 'MM') {
+      throw new FormatError(`invalid TIFF byte order ${JSON.stringify(order)}`, 'tiff');
+    }
+    
+    const littleEndian = order === 'II';
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const magic = view.getUint16(2, littleEndian);
+    if (magic === 43) {
+      throw new UnsupportedError('BigTIFF', { format: 'tiff' });
+    }
+    if (magic !== 42) {
+      throw new FormatError('invalid TIFF magic number', 'tiff');
+    }
+    
+    return { bytes, view, littleEndian, firstIFD: view.getUint32(4, littleEndian) };
+  }
+
+  // Image directories as tag -> values maps; reduced-resolution copies (thumbnails) are not pages
+  readDirectories(reader) {
+    const { bytes, view, littleEndian } = reader;
+    const pages = [];
+    const visited = new Set();
+    let offset = reader.firstIFD;
+    
+    while (offset !== 0 && !visited.has(offset) && visited.size < MAX_PAGES) {
+      if (offset + 2 > bytes.length) {
+        throw new FormatError('TIFF directory offset is out of range', 'tiff');
+      }
+      visited.add(offset);
+      
+      const count = view.getUint16(offset, littleEndian);
+      if (offset + 2 + count * 12 + 4 > bytes.length) {
+        throw new FormatError('TIFF directory is truncated', 'tiff');
+      }
+      
+      const tags = new Map();
+      for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const tag = view.getUint16(entry, littleEndian);
+        const values = this.readValues(reader, view.getUint16(entry + 2, littleEndian), view.getUint32(entry + 4, littleEndian), entry + 8);
+        if (values) tags.set(tag, values);
+      }
+      
+      if (!((tags.get(TAGS.NEW_SUBFILE_TYPE)?.[0] ?? 0) & 1)) {
+        pages.push(tags);
+      }
+      offset = view.getUint32(offset + 2 + count * 12, littleEndian);
+    }
+    
+    if (pages.length === 0) {
+      throw new FormatError('TIFF file has no images', 'tiff');
+    }
+    
+    return pages;
+  }
+
+  // Values of four bytes or fewer sit in the entry itself, larger ones at the offset it holds
+  readValues(reader, type, count, entryOffset) {
+    const { bytes, view, littleEndian } = reader;
+    const size = TYPE_SIZES[type];
+    if (!size) return null;
+    
+    const offset = size * count > 4 ? view.getUint32(entryOffset, littleEndian) : entryOffset;
+    if (offset + size * count > bytes.length) {
+      this.logger.warn('Ignoring TIFF tag with out of range values', { type, count });
+      return null;
+    }
+    
+    const values = new Array(count);
+    for (let i = 0; i < count; i++) {
+      const at = offset + i * size;
+      switch (type) {
+        case 3: values[i] = view.getUint16(at, littleEndian); break;
+        case 4: values[i] = view.getUint32(at, littleEndian); break;
+        case 8: values[i] = view.getInt16(at, littleEndian); break;
+        case 9: values[i] = view.getInt32(at, littleEndian); break;
+        case 5: values[i] = view.getUint32(at, littleEndian) / view.getUint32(at + 4, littleEndian); break;
+        case 10: values[i] = view.getInt32(at, littleEndian) / view.getInt32(at + 4, littleEndian); break;
+        case 11: values[i] = view.getFloat32(at, littleEndian); break;
+        case 12: values[i] = view.getFloat64(at, littleEndian); break;
+        case 6: values[i] = view.getInt8(at); break;
+        default: values[i] = bytes[at];
+      }
+    }
+    return values;
+  }
+
+  decodePage(reader, tags) {
+    const page = this.readPageInfo(tags);
+    const { width, height, samplesPerPixel, bitsPerSample, planar, rowsPerStrip } = page;
+    
+    // Chunky data is one plane of interleaved samples, planar data one plane per sample
+    const planeSamples = planar ? 1 : samplesPerPixel;
+    const planeCount = planar ? samplesPerPixel : 1;
+    const rowBytes = Math.ceil(width * planeSamples * bitsPerSample / 8);
+    const stripsPerPlane = Math.ceil(height / rowsPerStrip);
+    
+    const offsets = tags.get(TAGS.STRIP_OFFSETS);
+    const byteCounts = tags.get(TAGS.STRIP_BYTE_COUNTS);
+    if (!offsets || offsets.length < stripsPerPlane * planeCount) {
+      throw new FormatError('TIFF strip offsets are missing', 'tiff');
+    }
+    
+    const planes = [];
+    for (let plane = 0; plane < planeCount; plane++) {
+      const output = new Uint8Array(rowBytes * height);
+      
+      for (let strip = 0; strip < stripsPerPlane; strip++) {
+        const index = plane * stripsPerPlane + strip;
+        const rows = Math.min(rowsPerStrip, height - strip * rowsPerStrip);
+        const expected = rows * rowBytes;
+        const start = offsets[index];
+        // Uncompressed files may leave out the byte counts
+        const length = byteCounts ? byteCounts[index] : expected;
+        
+        if (start + length > reader.bytes.length) {
+          throw new FormatError(`TIFF strip ${index} is truncated`, 'tiff');
+        }
+        
+        const decoded = this.decompressStrip(reader.bytes.subarray(start, start + length), page.compression, expected);
+        output.set(decoded.subarray(0, expected), strip * rowsPerStrip * rowBytes);
+      }
+      
+      if (page.predictor === 2) {
+        this.undoPredictor(output, rowBytes, height, planeSamples, bitsPerSample, reader.littleEndian);
+      }
+      planes.push(output);
+    }
+    
+    return {
+      data: this.toRGBA(planes, page, rowBytes, reader.littleEndian),
+      width,
+      height,
+      format: 'tiff'
+    };
+  }
+
+  readPageInfo(tags) {
+    const first = (tag, fallback) => tags.get(tag)?.[0] ?? fallback;
+    
+    const width = first(TAGS.IMAGE_WIDTH, 0);
+    const height = first(TAGS.IMAGE_LENGTH, 0);
+    if (width <= 0 || height <= 0) {
+      throw new FormatError('image dimensions must be positive', 'tiff');
+    }
+    this.limits.assertDimensions(width, height, 'tiff');
+    
+    if (tags.has(TAGS.TILE_WIDTH)) {
+      throw new UnsupportedError('tiled TIFF', { format: 'tiff' });
+    }
+    
+    const samplesPerPixel = first(TAGS.SAMPLES_PER_PIXEL, 1);
+    const bitsPerSample = first(TAGS.BITS_PER_SAMPLE, 1);
+    const photometric = first(TAGS.PHOTOMETRIC, samplesPerPixel >= 3 ? PHOTOMETRIC.RGB : PHOTOMETRIC.BLACK_IS_ZERO);
+    const compression = first(TAGS.COMPRESSION, COMPRESSION.NONE);
+    const extraSamples = tags.get(TAGS.EXTRA_SAMPLES) || [];
+    
+    if (!(photometric in COLOR_SAMPLES)) {
+      throw new UnsupportedError(`TIFF photometric interpretation ${photometric}`, { format: 'tiff' });
+    }
+    if (!Object.values(COMPRESSION).includes(compression)) {
+      throw new UnsupportedError(`TIFF compression ${compression}`, { format: 'tiff' });
+    }
+    if (![1, 2, 4, 8, 16].includes(bitsPerSample) || (tags.get(TAGS.BITS_PER_SAMPLE) || []).some(bits => bits !== bitsPerSample)) {
+      throw new UnsupportedError(`TIFF bit depth ${tags.get(TAGS.BITS_PER_SAMPLE)}`, { format: 'tiff' });
+    }
+    if ((tags.get(TAGS.SAMPLE_FORMAT) || []).some(format => format !== 1)) {
+      throw new UnsupportedError('TIFF samples that are not unsigned integers', { format: 'tiff' });
+    }
+    if (first(TAGS.FILL_ORDER, 1) !== 1) {
+      throw new UnsupportedError('TIFF fill order 2', { format: 'tiff' });
+    }
+    if (samplesPerPixel < COLOR_SAMPLES[photometric]) {
+      throw new FormatError(`${samplesPerPixel} samples per pixel are too few for photometric interpretation ${photometric}`, 'tiff');
+    }
+    if (photometric === PHOTOMETRIC.PALETTE && !tags.has(TAGS.COLOR_MAP)) {
+      throw new FormatError('palette TIFF has no color map', 'tiff');
+    }
+    
+    const predictor = first(TAGS.PREDICTOR, 1);
+    if (predictor === 2 && bitsPerSample < 8) {
+      throw new UnsupportedError(`TIFF horizontal predictor with ${bitsPerSample}-bit samples`, { format: 'tiff' });
+    }
+    if (predictor !== 1 && predictor !== 2) {
+      throw new UnsupportedError(`TIFF predictor ${predictor}`, { format: 'tiff' });
+    }
+    
+    // The first extra sample is alpha when the file says so, or when it is left unspecified
+    const alphaType = samplesPerPixel > COLOR_SAMPLES[photometric] ? extraSamples[0] ?? 2 : null;
+    
+    return {
+      width,
+      height,
+      samplesPerPixel,
+      bitsPerSample,
+      photometric,
+      compression,
+      predictor,
+      planar: first(TAGS.PLANAR_CONFIGURATION, 1) === 2 && samplesPerPixel > 1,
+      rowsPerStrip: Math.min(first(TAGS.ROWS_PER_STRIP, height), height) || height,
+      alpha: alphaType === 1 || alphaType === 2 ? alphaType : null,
+      colorMap: tags.get(TAGS.COLOR_MAP) || null
+    };
+  }
+
+  decompressStrip(input, compression, expected) {
+    switch (compression) {
+      case COMPRESSION.LZW:
+        return this.decodeLZW(input, expected);
+      case COMPRESSION.PACKBITS:
+        return this.decodePackBits(input, expected);
+      case COMPRESSION.DEFLATE:
+      case COMPRESSION.DEFLATE_OLD:
+        return this.zlib.inflate(input);
+      default:
+        return input;
+    }
+  }
+
+  // Most significant bit first, 9 to 12 bit codes; unlike GIF the code width grows one entry early
+  decodeLZW(input, expected) {
+    const output = new Uint8Array(expected);
+    const prefix = new Uint16Array(LZW_MAX_CODES);
+    const suffix = new Uint8Array(LZW_MAX_CODES);
+    const lengths = new Uint16Array(LZW_MAX_CODES);
+    for (let i = 0; i < 256; i++) {
+      suffix[i] = i;
+      lengths[i] = 1;
+    }
+    
+    const totalBits = input.length * 8;
+    let bitPosition = 0;
+    let codeSize = 9;
+    let nextCode = LZW_EOI + 1;
+    let previous = -1;
+    let written = 0;
+    
+    // Writes the string for `code` at the current position and returns its first byte
+    const writeString = code => {
+      const length = lengths[code];
+      let first = 0;
+      for (let i = length - 1; i >= 0; i--) {
+        if (written + i < expected) output[written + i] = suffix[code];
+        first = suffix[code];
+        code = prefix[code];
+      }
+      written += length;
+      return first;
+    };
+    
+    while (bitPosition + codeSize <= totalBits && written < expected) {
+      const byte = bitPosition >> 3;
+      const chunk = (input[byte] << 16) | ((input[byte + 1] ?? 0) << 8) | (input[byte + 2] ?? 0);
+      const code = (chunk >> (24 - (bitPosition & 7) - codeSize)) & ((1 << codeSize) - 1);
+      bitPosition += codeSize;
+      
+      if (code === LZW_EOI) break;
+      
+      if (code === LZW_CLEAR) {
+        codeSize = 9;
+        nextCode = LZW_EOI + 1;
+        previous = -1;
+        continue;
+      }
+      
+      if (previous === -1) {
+        if (code > 255) {
+          throw new FormatError(`invalid LZW code ${code} after a clear code`, 'tiff');
+        }
+        writeString(code);
+        previous = code;
+        continue;
+      }
+      
+      let first;
+      if (code < nextCode) {
+        first = writeString(code);
+      } else if (code === nextCode) {
+        // The code being defined: the previous string plus its own first byte
+        first = writeString(previous);
+        if (written < expected) output[written] = first;
+        written++;
+      } else {
+        throw new FormatError(`invalid LZW code ${code}`, 'tiff');
+      }
+      
+      if (nextCode < LZW_MAX_CODES) {
+        prefix[nextCode] = previous;
+        suffix[nextCode] = first;
+        lengths[nextCode] = lengths[previous] + 1;
+        nextCode++;
+      }
+      previous = code;
+      
+      if (nextCode + 1 >= 1 << codeSize && codeSize < 12) {
+        codeSize++;
+      }
+    }
+    
+    return output;
+  }
+
+  // Header byte n: 0..127 copies n + 1 literal bytes, -127..-1 repeats the next byte 1 - n times, -128 is a no-op
+  decodePackBits(input, expected) {
+    const output = new Uint8Array(expected);
+    let written = 0;
+    let i = 0;
+    
+    while (i < input.length && written < expected) {
+      const header = (input[i++] << 24) >> 24;
+      
+      if (header >= 0) {
+        const count = Math.min(header + 1, expected - written, input.length - i);
+        output.set(input.subarray(i, i + count), written);
+        written += count;
+        i += header + 1;
+      } else if (header !== -128) {
+        const count = Math.min(1 - header, expected - written);
+        output.fill(input[i++], written, written + count);
+        written += count;
+      }
+    }
+    
+    return output;
+  }
+
+  // Horizontal differencing: each sample is stored as the difference to the same sample of the pixel before it
+  undoPredictor(data, rowBytes, height, samples, bitsPerSample, littleEndian) {
+    if (bitsPerSample === 8) {
+      for (let y = 0; y < height; y++) {
+        const row = y * rowBytes;
+        for (let i = samples; i < rowBytes; i++) {
+          data[row + i] = (data[row + i] + data[row + i - samples]) & 0xFF;
+        }
+      }
+      return;
+    }
+    
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    for (let y = 0; y < height; y++) {
+      const row = y * rowBytes;
+      for (let i = samples * 2; i + 1 < rowBytes; i += 2) {
+        const value = view.getUint16(row + i, littleEndian) + view.getUint16(row + i - samples * 2, littleEndian);
+        view.setUint16(row + i, value & 0xFFFF, littleEndian);
+      }
+    }
+  }
+
+  toRGBA(planes, page, rowBytes, littleEndian) {
+    const { width, height, samplesPerPixel, bitsPerSample, photometric, planar, alpha, colorMap } = page;
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const maxValue = (1 << bitsPerSample) - 1;
+    const colorSamples = COLOR_SAMPLES[photometric];
+    const sample = new Array(samplesPerPixel);
+    
+    // Raw sample value of pixel x in a row, sample s
+    const read = (y, x, s) => {
+      const plane = planar ? planes[s] : planes[0];
+      const index = planar ? x : x * samplesPerPixel + s;
+      const row = y * rowBytes;
+      
+      if (bitsPerSample === 8) return plane[row + index];
+      if (bitsPerSample === 16) {
+        const at = row + index * 2;
+        return littleEndian ? plane[at] | (plane[at + 1] << 8) : (plane[at] << 8) | plane[at + 1];
+      }
+      
+      const bit = index * bitsPerSample;
+      return (plane[row + (bit >> 3)] >> (8 - bitsPerSample - (bit & 7))) & maxValue;
+    };
+    const scale = value => Math.round(value * 255 / maxValue);
+    
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        for (let s = 0; s < samplesPerPixel; s++) {
+          sample[s] = read(y, x, s);
+        }
+        
+        const o = (y * width + x) * 4;
+        switch (photometric) {
+          case PHOTOMETRIC.WHITE_IS_ZERO:
+            pixels[o] = pixels[o + 1] = pixels[o + 2] = 255 - scale(sample[0]);
+            break;
+          case PHOTOMETRIC.BLACK_IS_ZERO:
+            pixels[o] = pixels[o + 1] = pixels[o + 2] = scale(sample[0]);
+            break;
+          case PHOTOMETRIC.PALETTE: {
+            // Three tables of 16-bit red, green and blue entries
+            const entries = 1 << bitsPerSample;
+            pixels[o] = colorMap[sample[0]] >> 8;
+            pixels[o + 1] = colorMap[entries + sample[0]] >> 8;
+            pixels[o + 2] = colorMap[entries * 2 + sample[0]] >> 8;
+            break;
+          }
+          case PHOTOMETRIC.CMYK: {
+            const k = 255 - scale(sample[3]);
+            pixels[o] = (255 - scale(sample[0])) * k / 255;
+            pixels[o + 1] = (255 - scale(sample[1])) * k / 255;
+            pixels[o + 2] = (255 - scale(sample[2])) * k / 255;
+            break;
+          }
+          default:
+            pixels[o] = scale(sample[0]);
+            pixels[o + 1] = scale(sample[1]);
+            pixels[o + 2] = scale(sample[2]);
+        }
+        
+        pixels[o + 3] = alpha ? scale(sample[colorSamples]) : 255;
+        
+        // Associated alpha means the color samples were premultiplied
+        if (alpha === 1 && pixels[o + 3] > 0 && pixels[o + 3] < 255) {
+          for (let c = 0; c < 3; c++) {
+            pixels[o + c] = pixels[o + c] * 255 / pixels[o + 3];
+          }
+        }
+      }
+    }
+    
+    return pixels;
+  }
+}
+
+export default TIFFDecoder;
\ No newline at end of file
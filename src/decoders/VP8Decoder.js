@@ -0,0 +1,762 @@
+/**
+ * @xbibzlibrary/kompreser - VP8 Decoder
+ * Lossy WebP bitstream: a VP8 key frame (RFC 6386) with segments, token partitions, the normal and simple loop
+ * filters, and libwebp's fancy chroma upsampling on the way to RGB
+ */
+
+import Logger from '../utils/Logger.js';
+import { FormatError, UnsupportedError } from '../core/ErrorHandler.js';
+import DecoderLimits from './DecoderLimits.js';
+import {
+  B_PRED,
+  MB_TO_BMODE,
+  KF_YMODE_TREE,
+  KF_YMODE_PROBS,
+  UV_MODE_TREE,
+  KF_UV_MODE_PROBS,
+  BMODE_TREE,
+  BMODE_PROBS,
+  SEGMENT_TREE,
+  ZIGZAG,
+  BANDS,
+  CATEGORY_PROBS,
+  DC_TABLE,
+  AC_TABLE,
+  DEFAULT_COEFF_PROBS,
+  FLAT_UPDATE_PROBS,
+  loadEdges,
+  predictBlock,
+  predict4,
+  idctAdd,
+  iwht
+} from '../algorithms/VP8Encoder.js';
+
+const NUM_SEGMENTS = 4;
+
+// Block types of the coefficient probabilities
+const TYPE_I16_AC = 0;
+const TYPE_Y2 = 1;
+const TYPE_CHROMA = 2;
+const TYPE_I4 = 3;
+const NUM_CONTEXTS = 3;
+const NUM_PROBAS = 11;
+const NUM_BANDS = 8;
+
+// Coefficients of a macroblock: 16 luma blocks, 4 U, 4 V, then the second-order luma DC block
+const U_OFFSET = 16 * 16;
+const V_OFFSET = 20 * 16;
+const Y2_OFFSET = 24 * 16;
+const NUM_COEFFS = 25 * 16;
+
+// Non-zero flags kept per macroblock column and row: 4 luma, 2 U, 2 V and the Y2 block
+const NZ_CONTEXTS = 9;
+
+// 4x4 prediction workspace: the left and top-left column, 16 pixels, and the 4 pixels above and to the right
+const WORK_STRIDE = 21;
+
+// Filter types from the frame header
+const FILTER_NONE = 0;
+const FILTER_SIMPLE = 1;
+const FILTER_NORMAL = 2;
+
+// Bytes the boolean decoder may read past the end of a partition before the partition counts as truncated
+const PARTITION_SLACK = 2;
+
+class VP8Decoder {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    this.limits = new DecoderLimits(options);
+  }
+
+  // VP8 chunk payload to opaque RGBA
+  decode(data) {
+    if (data.length < 10) {
+      throw new FormatError('VP8 frame too short', 'webp');
+    }
+    
+    const tag = data[0] | (data[1] << 8) | (data[2] << 16);
+    if (tag & 1) {
+      throw new UnsupportedError('VP8 interframes', { format: 'webp' });
+    }
+    if (data[3] !== 0x9D || data[4] !== 0x01 || data[5] !== 0x2A) {
+      throw new FormatError('Invalid VP8 start code', 'webp');
+    }
+    
+    // Upscaling hints in the top two bits are left to the caller, like libwebp does
+    const width = (data[6] | (data[7] << 8)) & 0x3FFF;
+    const height = (data[8] | (data[9] << 8)) & 0x3FFF;
+    const partitionStart = 10 + (tag >>> 5);
+    if (width === 0 || height === 0 || partitionStart > data.length) {
+      throw new FormatError('Invalid VP8 frame header', 'webp');
+    }
+    this.limits.assertDimensions(width, height, 'webp');
+    
+    const header = new BoolDecoder(data, 10, partitionStart);
+    const frame = this.readFrameHeader(header, data, partitionStart, width, height);
+    this.decodeMacroblocks(frame, header);
+    this.filterFrame(frame);
+    
+    return { data: this.toRGBA(frame), width, height };
+  }
+
+  // Segmentation, loop filter, token partitions, quantizers and token probabilities
+  readFrameHeader(header, data, partitionStart, width, height) {
+    header.readFlag(); // Color space
+    header.readFlag(); // Clamping type
+    
+    const segmentation = {
+      enabled: header.readFlag(),
+      updateMap: false,
+      absolute: false,
+      quantizers: new Int32Array(NUM_SEGMENTS),
+      filterLevels: new Int32Array(NUM_SEGMENTS),
+      probs: [255, 255, 255]
+    };
+    if (segmentation.enabled) {
+      segmentation.updateMap = header.readFlag();
+      if (header.readFlag()) {
+        segmentation.absolute = header.readFlag();
+        for (let s = 0; s < NUM_SEGMENTS; s++) {
+          segmentation.quantizers[s] = header.readFlag() ? header.readSigned(7) : 0;
+        }
+        for (let s = 0; s < NUM_SEGMENTS; s++) {
+          segmentation.filterLevels[s] = header.readFlag() ? header.readSigned(6) : 0;
+        }
+      }
+      if (segmentation.updateMap) {
+        for (let i = 0; i < 3; i++) {
+          segmentation.probs[i] = header.readFlag() ? header.readLiteral(8) : 255;
+        }
+      }
+    }
+    
+    const filter = {
+      simple: header.readFlag(),
+      level: header.readLiteral(6),
+      sharpness: header.readLiteral(3),
+      refDeltas: new Int32Array(4),
+      modeDeltas: new Int32Array(4)
+    };
+    filter.useDeltas = header.readFlag();
+    if (filter.useDeltas && header.readFlag()) {
+      for (let i = 0; i < 4; i++) {
+        if (header.readFlag()) filter.refDeltas[i] = header.readSigned(6);
+      }
+      for (let i = 0; i < 4; i++) {
+        if (header.readFlag()) filter.modeDeltas[i] = header.readSigned(6);
+      }
+    }
+    const filterType = filter.level === 0 ? FILTER_NONE : filter.simple ? FILTER_SIMPLE : FILTER_NORMAL;
+    
+    // Sizes of all but the last token partition follow the first partition as 3-byte values
+    const partitionCount = 1 << header.readLiteral(2);
+    let offset = partitionStart + 3 * (partitionCount - 1);
+    if (offset > data.length) {
+      throw new FormatError('Truncated VP8 partition table', 'webp');
+    }
+    const partitions = [];
+    for (let p = 0; p < partitionCount; p++) {
+      const sizeOffset = partitionStart + 3 * p;
+      const size = p < partitionCount - 1
+        ? data[sizeOffset] | (data[sizeOffset + 1] << 8) | (data[sizeOffset + 2] << 16)
+        : data.length - offset;
+      const end = Math.min(data.length, offset + size);
+      partitions.push(new BoolDecoder(data, offset, end));
+      offset = end;
+    }
+    
+    const baseIndex = header.readLiteral(7);
+    const deltas = Array.from({ length: 5 }, () => (header.readFlag() ? header.readSigned(4) : 0));
+    const quantizers = [];
+    for (let s = 0; s < NUM_SEGMENTS; s++) {
+      let index = baseIndex;
+      if (segmentation.enabled) {
+        index = segmentation.quantizers[s] + (segmentation.absolute ? 0 : baseIndex);
+      }
+      quantizers.push(buildQuantizer(index, deltas));
+    }
+    
+    header.readFlag(); // Probabilities are not kept for later frames either way
+    
+    const probs = Uint8Array.from(DEFAULT_COEFF_PROBS);
+    for (let i = 0; i < probs.length; i++) {
+      if (header.readBit(FLAT_UPDATE_PROBS[i])) {
+        probs[i] = header.readLiteral(8);
+      }
+    }
+    
+    const skipProb = header.readFlag() ? header.readLiteral(8) : null;
+    
+    const mbWidth = (width + 15) >> 4;
+    const mbHeight = (height + 15) >> 4;
+    return {
+      width,
+      height,
+      mbWidth,
+      mbHeight,
+      yStride: mbWidth * 16,
+      uvStride: mbWidth * 8,
+      y: new Uint8Array(mbWidth * mbHeight * 256),
+      u: new Uint8Array(mbWidth * mbHeight * 64),
+      v: new Uint8Array(mbWidth * mbHeight * 64),
+      segmentation,
+      filterType,
+      filterStrengths: filterType === FILTER_NONE ? null : this.buildFilterStrengths(segmentation, filter),
+      filters: new Int32Array(mbWidth * mbHeight * 4),
+      partitions,
+      quantizers,
+      probs,
+      skipProb
+    };
+  }
+
+  // Edge limit, interior limit and high edge variance threshold per segment, for macroblocks without and with
+  // 4x4 prediction
+  buildFilterStrengths(segmentation, filter) {
+    const strengths = [];
+    
+    for (let s = 0; s < NUM_SEGMENTS; s++) {
+      let baseLevel = filter.level;
+      if (segmentation.enabled) {
+        baseLevel = segmentation.filterLevels[s] + (segmentation.absolute ? 0 : filter.level);
+      }
+      
+      for (let i4 = 0; i4 <= 1; i4++) {
+        let level = baseLevel;
+        if (filter.useDeltas) {
+          level += filter.refDeltas[0] + (i4 ? filter.modeDeltas[0] : 0);
+        }
+        level = Math.min(63, Math.max(0, level));
+        
+        let interior = level;
+        if (filter.sharpness > 0) {
+          interior >>= filter.sharpness > 4 ? 2 : 1;
+          interior = Math.min(interior, 9 - filter.sharpness);
+        }
+        interior = Math.max(1, interior);
+        
+        strengths.push(level === 0
+          ? { limit: 0, interior: 0, hevThreshold: 0 }
+          : { limit: 2 * level + interior, interior, hevThreshold: level >= 40 ? 2 : level >= 15 ? 1 : 0 });
+      }
+    }
+    
+    return strengths;
+  }
+
+  // Modes from the first partition, residuals from the token partition of the row, reconstructed into the
+  // planes. Prediction reads unfiltered pixels, so the loop filter runs once the whole frame is in place
+  decodeMacroblocks(frame, header) {
+    const { mbWidth, mbHeight, segmentation, partitions, probs, skipProb } = frame;
+    const scratch = createScratch();
+    const topModes = new Uint8Array(mbWidth * 4);
+    const leftModes = new Uint8Array(4);
+    const topNz = new Uint8Array(mbWidth * NZ_CONTEXTS);
+    const leftNz = new Uint8Array(NZ_CONTEXTS);
+    
+    for (let mbY = 0, mb = 0; mbY < mbHeight; mbY++) {
+      const tokens = partitions[mbY % partitions.length];
+      leftModes.fill(0);
+      leftNz.fill(0);
+      
+      for (let mbX = 0; mbX < mbWidth; mbX++, mb++) {
+        const segment = segmentation.updateMap ? readTree(header, SEGMENT_TREE, segmentation.probs) : 0;
+        const skip = skipProb !== null && header.readBit(skipProb) === 1;
+        const yMode = readTree(header, KF_YMODE_TREE, KF_YMODE_PROBS);
+        const i4 = yMode === B_PRED;
+        
+        for (let i = 0; i < 16; i++) {
+          const x = i & 3;
+          const y = i >> 2;
+          const mode = i4 ? readTree(header, BMODE_TREE, BMODE_PROBS[topModes[mbX * 4 + x]][leftModes[y]]) : MB_TO_BMODE[yMode];
+          scratch.bModes[i] = topModes[mbX * 4 + x] = leftModes[y] = mode;
+        }
+        
+        const uvMode = readTree(header, UV_MODE_TREE, KF_UV_MODE_PROBS);
+        
+        const top = topNz.subarray(mbX * NZ_CONTEXTS, (mbX + 1) * NZ_CONTEXTS);
+        const coeffs = scratch.coeffs.fill(0);
+        let nonZero = false;
+        if (!skip) {
+          nonZero = this.readResiduals(tokens, probs, coeffs, i4, frame.quantizers[segment], top, leftNz, scratch);
+        } else {
+          // Skipped macroblocks have no coefficients; the Y2 context only belongs to macroblocks with one
+          top.fill(0, 0, 8);
+          leftNz.fill(0, 0, 8);
+          if (!i4) top[8] = leftNz[8] = 0;
+        }
+        
+        if (frame.filterStrengths) {
+          const { limit, interior, hevThreshold } = frame.filterStrengths[segment * 2 + (i4 ? 1 : 0)];
+          frame.filters.set([limit, interior, hevThreshold, i4 || nonZero ? 1 : 0], mb * 4);
+        }
+        
+        this.reconstruct(frame, scratch, mbX, mbY, yMode, uvMode);
+      }
+      
+      if (tokens.overrun > PARTITION_SLACK || header.overrun > PARTITION_SLACK) {
+        throw new FormatError('Truncated VP8 partition', 'webp');
+      }
+    }
+  }
+
+  // Coefficients of every block in bitstream order, dequantized; the Y2 block's inverse Walsh-Hadamard
+  // transform supplies the luma DC coefficients of 16x16-predicted macroblocks. True when any block has
+  // coefficients
+  readResiduals(tokens, probs, coeffs, i4, quant, top, left, scratch) {
+    let first = 0;
+    let type = TYPE_I4;
+    
+    if (!i4) {
+      const y2 = scratch.y2.fill(0);
+      const nz = readBlock(tokens, probs, TYPE_Y2, top[8] + left[8], 0, quant.y2, y2, 0);
+      top[8] = left[8] = nz > 0 ? 1 : 0;
+      iwht(y2, scratch.dcs);
+      for (let b = 0; b < 16; b++) {
+        coeffs[b * 16] = scratch.dcs[b];
+      }
+      first = 1;
+      type = TYPE_I16_AC;
+    }
+    
+    for (let y = 0; y < 4; y++) {
+      for (let x = 0; x < 4; x++) {
+        const nz = readBlock(tokens, probs, type, top[x] + left[y], first, quant.y1, coeffs, (y * 4 + x) * 16);
+        top[x] = left[y] = nz > first ? 1 : 0;
+      }
+    }
+    
+    for (let plane = 0; plane < 2; plane++) {
+      const nz = 4 + plane * 2;
+      const offset = plane ? V_OFFSET : U_OFFSET;
+      for (let y = 0; y < 2; y++) {
+        for (let x = 0; x < 2; x++) {
+          const count = readBlock(tokens, probs, TYPE_CHROMA, top[nz + x] + left[nz + y], 0, quant.uv, coeffs, offset + (y * 2 + x) * 16);
+          top[nz + x] = left[nz + y] = count > 0 ? 1 : 0;
+        }
+      }
+    }
+    
+    for (let i = 0; i < Y2_OFFSET; i++) {
+      if (coeffs[i] !== 0) return true;
+    }
+    return false;
+  }
+
+  // Prediction plus residual, with the same edges as the encoder's reconstruction
+  reconstruct(frame, scratch, mbX, mbY, yMode, uvMode) {
+    const { y, u, v, yStride, uvStride, mbWidth } = frame;
+    const { coeffs, edgeY, edgeU, edgeV, pred, predUV, work, edge4, pred4, bModes } = scratch;
+    const hasTop = mbY > 0;
+    const hasLeft = mbX > 0;
+    const yOrigin = mbY * 16 * yStride + mbX * 16;
+    const uvOrigin = mbY * 8 * uvStride + mbX * 8;
+    
+    loadEdges(edgeY, y, yStride, yOrigin, 16, hasTop, hasLeft);
+    loadEdges(edgeU, u, uvStride, uvOrigin, 8, hasTop, hasLeft);
+    loadEdges(edgeV, v, uvStride, uvOrigin, 8, hasTop, hasLeft);
+    
+    if (yMode !== B_PRED) {
+      predictBlock(pred, 16, yMode, edgeY, hasTop, hasLeft);
+      for (let b = 0; b < 16; b++) {
+        const origin = (b >> 2) * 64 + (b & 3) * 4;
+        idctAdd(coeffs.subarray(b * 16, b * 16 + 16), pred, origin, 16, y, yOrigin + (b >> 2) * 4 * yStride + (b & 3) * 4, yStride);
+      }
+    } else {
+      // Sub-blocks on the right edge read the four pixels above and to the right of the macroblock, in every row
+      work[0] = edgeY[0];
+      for (let i = 0; i < 16; i++) {
+        work[1 + i] = edgeY[1 + i];
+        work[(i + 1) * WORK_STRIDE] = edgeY[17 + i];
+      }
+      const above = yOrigin - yStride;
+      for (let i = 0; i < 4; i++) {
+        const value = !hasTop ? 127 : mbX < mbWidth - 1 ? y[above + 16 + i] : y[above + 15];
+        for (let row = 0; row < 16; row += 4) {
+          work[row * WORK_STRIDE + 17 + i] = value;
+        }
+      }
+      
+      for (let b = 0; b < 16; b++) {
+        const origin = (b >> 2) * 4 * WORK_STRIDE + (b & 3) * 4;
+        
+        // Edge in the specification's order: left column bottom-up, top-left, then 8 pixels above
+        edge4[4] = work[origin];
+        for (let i = 0; i < 8; i++) {
+          edge4[5 + i] = work[origin + 1 + i];
+        }
+        for (let i = 0; i < 4; i++) {
+          edge4[3 - i] = work[origin + (i + 1) * WORK_STRIDE];
+        }
+        
+        predict4(pred4, bModes[b], edge4);
+        idctAdd(coeffs.subarray(b * 16, b * 16 + 16), pred4, 0, 4, work, origin + WORK_STRIDE + 1, WORK_STRIDE);
+      }
+      
+      for (let row = 0; row < 16; row++) {
+        y.set(work.subarray((row + 1) * WORK_STRIDE + 1, (row + 1) * WORK_STRIDE + 17), yOrigin + row * yStride);
+      }
+    }
+    
+    for (let plane = 0; plane < 2; plane++) {
+      const target = plane ? v : u;
+      const offset = plane ? V_OFFSET : U_OFFSET;
+      predictBlock(predUV, 8, uvMode, plane ? edgeV : edgeU, hasTop, hasLeft);
+      for (let k = 0; k < 4; k++) {
+        const origin = (k >> 1) * 32 + (k & 1) * 4;
+        idctAdd(coeffs.subarray(offset + k * 16, offset + k * 16 + 16), predUV, origin, 8, target, uvOrigin + (k >> 1) * 4 * uvStride + (k & 1) * 4, uvStride);
+      }
+    }
+  }
+
+  // Macroblocks in raster order: left edge, inner vertical edges, top edge, inner horizontal edges. Inner edges
+  // are only filtered in macroblocks with coefficients or 4x4 prediction
+  filterFrame(frame) {
+    const { filterType, filters, mbWidth, mbHeight, y, u, v, yStride, uvStride } = frame;
+    if (filterType === FILTER_NONE) return;
+    
+    for (let mbY = 0, mb = 0; mbY < mbHeight; mbY++) {
+      for (let mbX = 0; mbX < mbWidth; mbX++, mb++) {
+        const limit = filters[mb * 4];
+        const interior = filters[mb * 4 + 1];
+        const hevThreshold = filters[mb * 4 + 2];
+        const inner = filters[mb * 4 + 3] === 1;
+        if (limit === 0) continue;
+        
+        const yOrigin = mbY * 16 * yStride + mbX * 16;
+        const uvOrigin = mbY * 8 * uvStride + mbX * 8;
+        
+        if (filterType === FILTER_SIMPLE) {
+          if (mbX > 0) simpleFilter(y, yOrigin, 1, yStride, 16, limit + 4);
+          if (inner) {
+            for (let i = 4; i < 16; i += 4) simpleFilter(y, yOrigin + i, 1, yStride, 16, limit);
+          }
+          if (mbY > 0) simpleFilter(y, yOrigin, yStride, 1, 16, limit + 4);
+          if (inner) {
+            for (let i = 4; i < 16; i += 4) simpleFilter(y, yOrigin + i * yStride, yStride, 1, 16, limit);
+          }
+          continue;
+        }
+        
+        if (mbX > 0) {
+          edgeFilter(y, yOrigin, 1, yStride, 16, limit + 4, interior, hevThreshold, true);
+          edgeFilter(u, uvOrigin, 1, uvStride, 8, limit + 4, interior, hevThreshold, true);
+          edgeFilter(v, uvOrigin, 1, uvStride, 8, limit + 4, interior, hevThreshold, true);
+        }
+        if (inner) {
+          for (let i = 4; i < 16; i += 4) edgeFilter(y, yOrigin + i, 1, yStride, 16, limit, interior, hevThreshold, false);
+          edgeFilter(u, uvOrigin + 4, 1, uvStride, 8, limit, interior, hevThreshold, false);
+          edgeFilter(v, uvOrigin + 4, 1, uvStride, 8, limit, interior, hevThreshold, false);
+        }
+        if (mbY > 0) {
+          edgeFilter(y, yOrigin, yStride, 1, 16, limit + 4, interior, hevThreshold, true);
+          edgeFilter(u, uvOrigin, uvStride, 1, 8, limit + 4, interior, hevThreshold, true);
+          edgeFilter(v, uvOrigin, uvStride, 1, 8, limit + 4, interior, hevThreshold, true);
+        }
+        if (inner) {
+          for (let i = 4; i < 16; i += 4) edgeFilter(y, yOrigin + i * yStride, yStride, 1, 16, limit, interior, hevThreshold, false);
+          edgeFilter(u, uvOrigin + 4 * uvStride, uvStride, 1, 8, limit, interior, hevThreshold, false);
+          edgeFilter(v, uvOrigin + 4 * uvStride, uvStride, 1, 8, limit, interior, hevThreshold, false);
+        }
+      }
+    }
+  }
+
+  // Chroma is upsampled with libwebp's 9-3-3-1 weights: every output row blends its nearest chroma row with the
+  // next nearest one, both interpolated horizontally the same way
+  toRGBA(frame) {
+    const { width, height, y, u, v, yStride, uvStride } = frame;
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const chromaRows = (height + 1) >> 1;
+    
+    for (let row = 0; row < height; row++) {
+      const near = row >> 1;
+      const far = row & 1 ? Math.min(chromaRows - 1, near + 1) : Math.max(0, near - 1);
+      upsampleRow(
+        y.subarray(row * yStride),
+        u.subarray(near * uvStride), v.subarray(near * uvStride),
+        u.subarray(far * uvStride), v.subarray(far * uvStride),
+        pixels, row * width * 4, width
+      );
+    }
+    
+    return pixels;
+  }
+}
+
+function createScratch() {
+  return {
+    coeffs: new Int32Array(NUM_COEFFS),
+    y2: new Int32Array(16),
+    dcs: new Int32Array(16),
+    bModes: new Uint8Array(16),
+    edgeY: new Uint8Array(33),
+    edgeU: new Uint8Array(17),
+    edgeV: new Uint8Array(17),
+    pred: new Uint8Array(256),
+    predUV: new Uint8Array(64),
+    work: new Uint8Array(WORK_STRIDE * 17),
+    edge4: new Uint8Array(13),
+    pred4: new Uint8Array(16)
+  };
+}
+
+// Dequantization factors of a quantizer index and the frame's index deltas (Y1 DC, Y2 DC, Y2 AC, UV DC, UV AC)
+function buildQuantizer(index, [y1dc, y2dc, y2ac, uvdc, uvac]) {
+  const step = (table, delta, max = 127) => table[Math.min(max, Math.max(0, index + delta))];
+  return {
+    y1: [step(DC_TABLE, y1dc), step(AC_TABLE, 0)],
+    y2: [step(DC_TABLE, y2dc) * 2, Math.max(8, Math.floor((step(AC_TABLE, y2ac) * 155) / 100))],
+    uv: [step(DC_TABLE, uvdc, 117), step(AC_TABLE, uvac)]
+  };
+}
+
+function probaIndex(type, n, ctx) {
+  return ((type * NUM_BANDS + BANDS[n]) * NUM_CONTEXTS + ctx) * NUM_PROBAS;
+}
+
+function readTree(decoder, tree, probs) {
+  let node = 0;
+  while ((node = tree[node + decoder.readBit(probs[node >> 1])]) > 0);
+  return -node;
+}
+
+// Tokens of one block in zigzag order, dequantized into out. Returns the position after the last coefficient,
+// which is first when the block has none
+function readBlock(decoder, probs, type, ctx, first, [dcStep, acStep], out, offset) {
+  let index = probaIndex(type, first, ctx);
+
+  for (let n = first; n < 16; n++) {
+    if (!decoder.readBit(probs[index])) return n;
+    
+    // No end-of-block branch follows a zero
+    while (!decoder.readBit(probs[index + 1])) {
+      if (++n === 16) return 16;
+      index = probaIndex(type, n, 0);
+    }
+    
+    const value = decoder.readBit(probs[index + 2]) ? readLevel(decoder, probs, index) : 1;
+    out[offset + ZIGZAG[n]] = (decoder.readBit(128) ? -value : value) * (n > 0 ? acStep : dcStep);
+    if (n < 15) {
+      index = probaIndex(type, n + 1, value === 1 ? 1 : 2);
+    }
+  }
+
+  return 16;
+}
+
+// Token tree below the one branch, then the extra bits of the DCT_CAT tokens
+function readLevel(decoder, probs, index) {
+  if (!decoder.readBit(probs[index + 3])) {
+    return decoder.readBit(probs[index + 4]) ? 3 + decoder.readBit(probs[index + 5]) : 2;
+  }
+  if (!decoder.readBit(probs[index + 6])) {
+    if (!decoder.readBit(probs[index + 7])) {
+      return 5 + decoder.readBit(159);
+    }
+    return 7 + 2 * decoder.readBit(165) + decoder.readBit(145);
+  }
+
+  const high = decoder.readBit(probs[index + 8]);
+  const category = 2 * high + decoder.readBit(probs[index + 9 + high]);
+  let extra = 0;
+  for (const prob of CATEGORY_PROBS[category]) {
+    extra = extra * 2 + decoder.readBit(prob);
+  }
+  return 3 + (8 << category) + extra;
+}
+
+function clamp255(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+function clampSigned(value, limit) {
+  return value < -limit ? -limit : value > limit - 1 ? limit - 1 : value;
+}
+
+// The edge between p[-step] and p[0] passes when the pixels across it differ by less than the limit
+function needsFilter(p, i, step, limit) {
+  return 4 * Math.abs(p[i - step] - p[i]) + Math.abs(p[i - 2 * step] - p[i + step]) <= 2 * limit + 1;
+}
+
+function needsFilterInterior(p, i, step, limit, interior) {
+  return needsFilter(p, i, step, limit) &&
+    Math.abs(p[i - 4 * step] - p[i - 3 * step]) <= interior &&
+    Math.abs(p[i - 3 * step] - p[i - 2 * step]) <= interior &&
+    Math.abs(p[i - 2 * step] - p[i - step]) <= interior &&
+    Math.abs(p[i + 3 * step] - p[i + 2 * step]) <= interior &&
+    Math.abs(p[i + 2 * step] - p[i + step]) <= interior &&
+    Math.abs(p[i + step] - p[i]) <= interior;
+}
+
+function highEdgeVariance(p, i, step, threshold) {
+  return Math.abs(p[i - 2 * step] - p[i - step]) > threshold || Math.abs(p[i + step] - p[i]) > threshold;
+}
+
+// Adjusts the two pixels next to the edge, using the outer pair in the estimate
+function filter2(p, i, step) {
+  const p0 = p[i - step];
+  const q0 = p[i];
+  const a = 3 * (q0 - p0) + clampSigned(p[i - 2 * step] - p[i + step], 128);
+  p[i - step] = clamp255(p0 + clampSigned((a + 3) >> 3, 16));
+  p[i] = clamp255(q0 - clampSigned((a + 4) >> 3, 16));
+}
+
+// Inner edges: two pixels on each side
+function filter4(p, i, step) {
+  const p1 = p[i - 2 * step];
+  const p0 = p[i - step];
+  const q0 = p[i];
+  const q1 = p[i + step];
+  const a = 3 * (q0 - p0);
+  const a1 = clampSigned((a + 4) >> 3, 16);
+  const a2 = clampSigned((a + 3) >> 3, 16);
+  const a3 = (a1 + 1) >> 1;
+  p[i - 2 * step] = clamp255(p1 + a3);
+  p[i - step] = clamp255(p0 + a2);
+  p[i] = clamp255(q0 - a1);
+  p[i + step] = clamp255(q1 - a3);
+}
+
+// Macroblock edges: three pixels on each side
+function filter6(p, i, step) {
+  const p2 = p[i - 3 * step];
+  const p1 = p[i - 2 * step];
+  const p0 = p[i - step];
+  const q0 = p[i];
+  const q1 = p[i + step];
+  const q2 = p[i + 2 * step];
+  const a = clampSigned(3 * (q0 - p0) + clampSigned(p1 - q1, 128), 128);
+  const a1 = (27 * a + 63) >> 7;
+  const a2 = (18 * a + 63) >> 7;
+  const a3 = (9 * a + 63) >> 7;
+  p[i - 3 * step] = clamp255(p2 + a3);
+  p[i - 2 * step] = clamp255(p1 + a2);
+  p[i - step] = clamp255(p0 + a1);
+  p[i] = clamp255(q0 - a1);
+  p[i + step] = clamp255(q1 - a2);
+  p[i + 2 * step] = clamp255(q2 - a3);
+}
+
+// count positions along an edge, step crossing it and advance moving along it
+function simpleFilter(p, origin, step, advance, count, limit) {
+  for (let k = 0, i = origin; k < count; k++, i += advance) {
+    if (needsFilter(p, i, step, limit)) filter2(p, i, step);
+  }
+}
+
+function edgeFilter(p, origin, step, advance, count, limit, interior, hevThreshold, macroblockEdge) {
+  for (let k = 0, i = origin; k < count; k++, i += advance) {
+    if (!needsFilterInterior(p, i, step, limit, interior)) continue;
+    
+    if (highEdgeVariance(p, i, step, hevThreshold)) {
+      filter2(p, i, step);
+    } else if (macroblockEdge) {
+      filter6(p, i, step);
+    } else {
+      filter4(p, i, step);
+    }
+  }
+}
+
+// BT.601 limited range to RGB in libwebp's 14-bit fixed point
+function yuvToRGB(y, u, v, out, o) {
+  const luma = (y * 19077) >> 8;
+  out[o] = clip8(luma + ((v * 26149) >> 8) - 14234);
+  out[o + 1] = clip8(luma - ((u * 6419) >> 8) - ((v * 13320) >> 8) + 8708);
+  out[o + 2] = clip8(luma + ((u * 33050) >> 8) - 17685);
+  out[o + 3] = 255;
+}
+
+function clip8(value) {
+  return value < 0 ? 0 : value > 16383 ? 255 : value >> 6;
+}
+
+// One output row from its luma and the near and far chroma rows
+function upsampleRow(luma, nearU, nearV, farU, farV, out, offset, width) {
+  const interpolate = (near, far, x) => {
+    if (x === 0 || (x === width - 1 && !(width & 1))) {
+      const c = x >> 1;
+      return (3 * near[c] + far[c] + 2) >> 2;
+    }
+    const c = (x + 1) >> 1;
+    const average = near[c - 1] + near[c] + far[c - 1] + far[c] + 8;
+    // Odd pixels lean towards the chroma sample on their left, even ones towards the one on their right
+    return x & 1
+      ? (((average + 2 * (near[c] + far[c - 1])) >> 3) + near[c - 1]) >> 1
+      : (((average + 2 * (near[c - 1] + far[c])) >> 3) + near[c]) >> 1;
+  };
+
+  for (let x = 0; x < width; x++) {
+    yuvToRGB(luma[x], interpolate(nearU, farU, x), interpolate(nearV, farV, x), out, offset + x * 4);
+  }
+}
+
+// Boolean entropy decoder of the specification. Reads past the end of the partition yield zeros and are counted
+// in overrun
+class BoolDecoder {
+  constructor(data, start, end) {
+    this.data = data;
+    this.position = start;
+    this.end = end;
+    this.overrun = 0;
+    this.range = 255;
+    this.bitCount = 0;
+    this.value = (this.nextByte() << 8) | this.nextByte();
+  }
+
+  nextByte() {
+    if (this.position < this.end) {
+      return this.data[this.position++];
+    }
+    this.overrun++;
+    return 0;
+  }
+
+  readBit(prob) {
+    const split = 1 + (((this.range - 1) * prob) >> 8);
+    const bigSplit = split << 8;
+    let bit;
+    if (this.value >= bigSplit) {
+      bit = 1;
+      this.range -= split;
+      this.value -= bigSplit;
+    } else {
+      bit = 0;
+      this.range = split;
+    }
+    
+    while (this.range < 128) {
+      this.value <<= 1;
+      this.range <<= 1;
+      if (++this.bitCount === 8) {
+        this.bitCount = 0;
+        this.value |= this.nextByte();
+      }
+    }
+    
+    return bit;
+  }
+
+  readFlag() {
+    return this.readBit(128) === 1;
+  }
+
+  // Unsigned value of count bits at even probability, most significant first
+  readLiteral(count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      value = (value << 1) | this.readBit(128);
+    }
+    return value;
+  }
+
+  // Magnitude, then the sign
+  readSigned(count) {
+    const value = this.readLiteral(count);
+    return this.readFlag() ? -value : value;
+  }
+}
+
+export default VP8Decoder;
\ No newline at end of file
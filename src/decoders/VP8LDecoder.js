@@ -0,0 +1,555 @@
+/**
+ * @xbibzlibrary/kompreser - VP8L Decoder
+ * Lossless WebP bitstream: predictor, cross-color, subtract-green and color-indexing transforms, meta Huffman
+ * codes, LZ77 backward references and the color cache
+ */
+
+import Logger from '../utils/Logger.js';
+import { FormatError } from '../core/ErrorHandler.js';
+import DecoderLimits from './DecoderLimits.js';
+
+const VP8L_SIGNATURE = 0x2F;
+
+const PREDICTOR_TRANSFORM = 0;
+const CROSS_COLOR_TRANSFORM = 1;
+const SUBTRACT_GREEN_TRANSFORM = 2;
+const COLOR_INDEXING_TRANSFORM = 3;
+
+const NUM_LITERAL_CODES = 256;
+const NUM_LENGTH_CODES = 24;
+const NUM_DISTANCE_CODES = 40;
+const MAX_CACHE_BITS = 11;
+const CACHE_HASH_MULTIPLIER = 0x1e35a7bd;
+
+// The 120 short distance codes address a neighbourhood of 8 rows above and 8 pixels on either side, nearest
+// first; each entry is (y << 4) | (8 - x)
+const CODE_TO_PLANE = [
+  0x18, 0x07, 0x17, 0x19, 0x28, 0x06, 0x27, 0x29, 0x16, 0x1a,
+  0x26, 0x2a, 0x38, 0x05, 0x37, 0x39, 0x15, 0x1b, 0x36, 0x3a,
+  0x25, 0x2b, 0x48, 0x04, 0x47, 0x49, 0x14, 0x1c, 0x35, 0x3b,
+  0x46, 0x4a, 0x24, 0x2c, 0x58, 0x45, 0x4b, 0x34, 0x3c, 0x03,
+  0x57, 0x59, 0x13, 0x1d, 0x56, 0x5a, 0x23, 0x2d, 0x44, 0x4c,
+  0x55, 0x5b, 0x33, 0x3d, 0x68, 0x02, 0x67, 0x69, 0x12, 0x1e,
+  0x66, 0x6a, 0x22, 0x2e, 0x54, 0x5c, 0x43, 0x4d, 0x65, 0x6b,
+  0x32, 0x3e, 0x78, 0x01, 0x77, 0x79, 0x53, 0x5d, 0x11, 0x1f,
+  0x64, 0x6c, 0x42, 0x4e, 0x76, 0x7a, 0x21, 0x2f, 0x75, 0x7b,
+  0x31, 0x3f, 0x63, 0x6d, 0x52, 0x5e, 0x00, 0x74, 0x7c, 0x41,
+  0x4f, 0x10, 0x20, 0x62, 0x6e, 0x30, 0x73, 0x7d, 0x51, 0x5f,
+  0x40, 0x72, 0x7e, 0x61, 0x6f, 0x50, 0x71, 0x7f, 0x60, 0x70
+];
+
+const CODE_LENGTH_CODES = 19;
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+// Code length 16 repeats the previous non-zero length, which starts out as 8; 17 and 18 are runs of zeros
+const INITIAL_REPEAT_LENGTH = 8;
+const REPEAT_EXTRA_BITS = [2, 3, 7];
+const REPEAT_OFFSETS = [3, 3, 11];
+
+class VP8LDecoder {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    this.limits = new DecoderLimits(options);
+  }
+
+  // VP8L chunk payload: signature, dimensions and the image stream. Pixels come back as ARGB words
+  decode(data) {
+    const reader = new VP8LBitReader(data);
+    if (reader.readBits(8) !== VP8L_SIGNATURE) {
+      throw new FormatError('Invalid VP8L signature', 'webp');
+    }
+    
+    const width = reader.readBits(14) + 1;
+    const height = reader.readBits(14) + 1;
+    this.limits.assertDimensions(width, height, 'webp');
+    const hasAlpha = reader.readBits(1) === 1;
+    const version = reader.readBits(3);
+    if (version !== 0) {
+      throw new FormatError(`Unsupported VP8L version ${version}`, 'webp');
+    }
+    
+    return { argb: this.decodeImageStream(reader, width, height, true), width, height, hasAlpha };
+  }
+
+  // The headerless image stream of an ALPH chunk, which carries alpha in the green channel
+  decodeAlpha(data, width, height) {
+    const argb = this.decodeImageStream(new VP8LBitReader(data), width, height, true);
+    const alpha = new Uint8Array(width * height);
+    for (let i = 0; i < alpha.length; i++) {
+      alpha[i] = (argb[i] >>> 8) & 0xFF;
+    }
+    return alpha;
+  }
+
+  // Transforms and meta Huffman codes only appear at the top level; the images they carry are plain
+  // entropy-coded pixels
+  decodeImageStream(reader, width, height, topLevel) {
+    const transforms = [];
+    let codedWidth = width;
+    
+    if (topLevel) {
+      while (reader.readBits(1)) {
+        const transform = this.readTransform(reader, codedWidth, height, transforms);
+        transforms.push(transform);
+        codedWidth = transform.codedWidth;
+      }
+    }
+    
+    let cacheBits = 0;
+    if (reader.readBits(1)) {
+      cacheBits = reader.readBits(4);
+      if (cacheBits < 1 || cacheBits > MAX_CACHE_BITS) {
+        throw new FormatError(`Invalid VP8L color cache size ${cacheBits}`, 'webp');
+      }
+    }
+    
+    // Meta codes: one code group per tile, chosen by the red and green channels of the entropy image
+    let huffmanBits = 0;
+    let huffmanImage = null;
+    let groupCount = 1;
+    if (topLevel && reader.readBits(1)) {
+      huffmanBits = reader.readBits(3) + 2;
+      huffmanImage = this.decodeImageStream(reader, subSampleSize(codedWidth, huffmanBits), subSampleSize(height, huffmanBits), false);
+      for (let i = 0; i < huffmanImage.length; i++) {
+        huffmanImage[i] = (huffmanImage[i] >>> 8) & 0xFFFF;
+        groupCount = Math.max(groupCount, huffmanImage[i] + 1);
+      }
+    }
+    
+    const groups = [];
+    for (let i = 0; i < groupCount; i++) {
+      groups.push(this.readCodeGroup(reader, cacheBits));
+    }
+    
+    let argb = this.decodePixels(reader, codedWidth, height, { groups, huffmanImage, huffmanBits, cacheBits });
+    for (let i = transforms.length - 1; i >= 0; i--) {
+      argb = this.inverseTransform(transforms[i], argb, height);
+    }
+    
+    return argb;
+  }
+
+  // Each transform appears at most once; color indexing packs several pixels into one from then on
+  readTransform(reader, width, height, transforms) {
+    const type = reader.readBits(2);
+    if (transforms.some(transform => transform.type === type)) {
+      throw new FormatError(`VP8L transform ${type} appears twice`, 'webp');
+    }
+    
+    const transform = { type, width, codedWidth: width, bits: 0, data: null };
+    
+    if (type === PREDICTOR_TRANSFORM || type === CROSS_COLOR_TRANSFORM) {
+      transform.bits = reader.readBits(3) + 2;
+      transform.data = this.decodeImageStream(reader, subSampleSize(width, transform.bits), subSampleSize(height, transform.bits), false);
+    } else if (type === COLOR_INDEXING_TRANSFORM) {
+      const size = reader.readBits(8) + 1;
+      const colors = this.decodeImageStream(reader, size, 1, false);
+      
+      // Entries are stored as differences to the previous one; indices past the end read transparent black
+      const palette = new Uint32Array(256);
+      palette[0] = colors[0];
+      for (let i = 1; i < size; i++) {
+        palette[i] = addPixels(colors[i], palette[i - 1]);
+      }
+      
+      transform.bits = size > 16 ? 0 : size > 4 ? 1 : size > 2 ? 2 : 3;
+      transform.data = palette;
+      transform.codedWidth = subSampleSize(width, transform.bits);
+    }
+    
+    return transform;
+  }
+
+  // Green (with length prefixes and cache indices), red, blue, alpha and distance codes
+  readCodeGroup(reader, cacheBits) {
+    const greenSize = NUM_LITERAL_CODES + NUM_LENGTH_CODES + (cacheBits > 0 ? 1 << cacheBits : 0);
+    return [greenSize, NUM_LITERAL_CODES, NUM_LITERAL_CODES, NUM_LITERAL_CODES, NUM_DISTANCE_CODES]
+      .map(size => this.readCode(reader, size));
+  }
+
+  // Either one or two symbols listed directly, or code lengths coded with a code of their own
+  readCode(reader, alphabetSize) {
+    const lengths = new Uint8Array(alphabetSize);
+    
+    if (reader.readBits(1)) {
+      const count = reader.readBits(1) + 1;
+      const symbols = [reader.readBits(reader.readBits(1) ? 8 : 1)];
+      if (count === 2) {
+        symbols.push(reader.readBits(8));
+      }
+      for (const symbol of symbols) {
+        if (symbol >= alphabetSize) {
+          throw new FormatError('Invalid VP8L Huffman code', 'webp');
+        }
+        lengths[symbol] = 1;
+      }
+    } else {
+      const codeLengthLengths = new Uint8Array(CODE_LENGTH_CODES);
+      const count = reader.readBits(4) + 4;
+      for (let i = 0; i < count; i++) {
+        codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.readBits(3);
+      }
+      this.readCodeLengths(reader, codeLengthLengths, lengths);
+    }
+    
+    return createDecodeTable(lengths);
+  }
+
+  readCodeLengths(reader, codeLengthLengths, lengths) {
+    const table = createDecodeTable(codeLengthLengths);
+    
+    // Optionally fewer code length symbols than the alphabet; the rest are zero
+    let remaining = lengths.length;
+    if (reader.readBits(1)) {
+      const lengthBits = 2 + 2 * reader.readBits(3);
+      remaining = 2 + reader.readBits(lengthBits);
+      if (remaining > lengths.length) {
+        throw new FormatError('Invalid VP8L code lengths', 'webp');
+      }
+    }
+    
+    let previous = INITIAL_REPEAT_LENGTH;
+    for (let symbol = 0; symbol < lengths.length && remaining-- > 0;) {
+      const code = reader.readSymbol(table);
+      if (code < 16) {
+        lengths[symbol++] = code;
+        if (code !== 0) previous = code;
+        continue;
+      }
+      
+      const slot = code - 16;
+      const repeat = reader.readBits(REPEAT_EXTRA_BITS[slot]) + REPEAT_OFFSETS[slot];
+      if (symbol + repeat > lengths.length) {
+        throw new FormatError('Invalid VP8L code lengths', 'webp');
+      }
+      lengths.fill(code === 16 ? previous : 0, symbol, symbol + repeat);
+      symbol += repeat;
+    }
+  }
+
+  // Literals, backward references and color cache hits; every decoded pixel also enters the cache
+  decodePixels(reader, width, height, { groups, huffmanImage, huffmanBits, cacheBits }) {
+    const argb = new Uint32Array(width * height);
+    const cache = cacheBits > 0 ? new Uint32Array(1 << cacheBits) : null;
+    const cacheShift = 32 - cacheBits;
+    const huffmanWidth = subSampleSize(width, huffmanBits);
+    let cached = 0;
+    let group = groups[0];
+    
+    for (let i = 0; i < argb.length;) {
+      if (huffmanImage) {
+        const x = i % width;
+        const y = (i - x) / width;
+        group = groups[huffmanImage[(y >> huffmanBits) * huffmanWidth + (x >> huffmanBits)]];
+      }
+      
+      const green = reader.readSymbol(group[0]);
+      
+      if (green < NUM_LITERAL_CODES) {
+        const red = reader.readSymbol(group[1]);
+        const blue = reader.readSymbol(group[2]);
+        const alpha = reader.readSymbol(group[3]);
+        argb[i++] = ((alpha << 24) | (red << 16) | (green << 8) | blue) >>> 0;
+      } else if (green < NUM_LITERAL_CODES + NUM_LENGTH_CODES) {
+        const length = readPrefixedValue(reader, green - NUM_LITERAL_CODES);
+        const distance = planeCodeToDistance(width, readPrefixedValue(reader, reader.readSymbol(group[4])));
+        if (distance > i || i + length > argb.length) {
+          throw new FormatError('VP8L backward reference out of bounds', 'webp');
+        }
+        for (let end = i + length; i < end; i++) {
+          argb[i] = argb[i - distance];
+        }
+      } else {
+        const key = green - NUM_LITERAL_CODES - NUM_LENGTH_CODES;
+        if (!cache || key >= cache.length) {
+          throw new FormatError('Invalid VP8L color cache index', 'webp');
+        }
+        for (; cached < i; cached++) {
+          cache[Math.imul(argb[cached], CACHE_HASH_MULTIPLIER) >>> cacheShift] = argb[cached];
+        }
+        argb[i++] = cache[key];
+      }
+      
+      if (cache) {
+        for (; cached < i; cached++) {
+          cache[Math.imul(argb[cached], CACHE_HASH_MULTIPLIER) >>> cacheShift] = argb[cached];
+        }
+      }
+    }
+    
+    return argb;
+  }
+
+  inverseTransform(transform, argb, height) {
+    const { type, width, bits, data } = transform;
+    
+    switch (type) {
+      case SUBTRACT_GREEN_TRANSFORM:
+        for (let i = 0; i < argb.length; i++) {
+          const pixel = argb[i];
+          const green = (pixel >>> 8) & 0xFF;
+          argb[i] = ((pixel & 0xFF00FF00) | ((((pixel >>> 16) + green) & 0xFF) << 16) | ((pixel + green) & 0xFF)) >>> 0;
+        }
+        return argb;
+      
+      case PREDICTOR_TRANSFORM: {
+        const tilesPerRow = subSampleSize(width, bits);
+        for (let y = 0, i = 0; y < height; y++) {
+          for (let x = 0; x < width; x++, i++) {
+            const mode = (data[(y >> bits) * tilesPerRow + (x >> bits)] >>> 8) & 0xF;
+            argb[i] = addPixels(argb[i], predict(argb, width, i, x, y, mode));
+          }
+        }
+        return argb;
+      }
+      
+      case CROSS_COLOR_TRANSFORM: {
+        const tilesPerRow = subSampleSize(width, bits);
+        for (let y = 0, i = 0; y < height; y++) {
+          for (let x = 0; x < width; x++, i++) {
+            const element = data[(y >> bits) * tilesPerRow + (x >> bits)];
+            const pixel = argb[i];
+            const green = toSigned((pixel >>> 8) & 0xFF);
+            const red = ((pixel >>> 16) + colorTransformDelta(toSigned(element & 0xFF), green)) & 0xFF;
+            const blue = (pixel + colorTransformDelta(toSigned((element >>> 8) & 0xFF), green) +
+              colorTransformDelta(toSigned((element >>> 16) & 0xFF), toSigned(red))) & 0xFF;
+            argb[i] = ((pixel & 0xFF00FF00) | (red << 16) | blue) >>> 0;
+          }
+        }
+        return argb;
+      }
+      
+      default: {
+        // Color indexing: 8 >> bits-bit palette indices in the green channel, lowest bits first
+        const output = new Uint32Array(width * height);
+        const codedWidth = subSampleSize(width, bits);
+        const indexBits = 8 >> bits;
+        const indexMask = (1 << indexBits) - 1;
+        const pixelMask = (1 << bits) - 1;
+        for (let y = 0, i = 0; y < height; y++) {
+          for (let x = 0; x < width; x++, i++) {
+            const packed = (argb[y * codedWidth + (x >> bits)] >>> 8) & 0xFF;
+            output[i] = data[(packed >> ((x & pixelMask) * indexBits)) & indexMask];
+          }
+        }
+        return output;
+      }
+    }
+  }
+}
+
+function subSampleSize(size, bits) {
+  return (size + (1 << bits) - 1) >> bits;
+}
+
+function toSigned(value) {
+  return value >= 128 ? value - 256 : value;
+}
+
+function colorTransformDelta(multiplier, color) {
+  return (multiplier * color) >> 5;
+}
+
+// Channel-wise sum modulo 256
+function addPixels(a, b) {
+  return ((((a >>> 24) + (b >>> 24)) & 0xFF) << 24 |
+    (((a >>> 16) + (b >>> 16)) & 0xFF) << 16 |
+    (((a >>> 8) + (b >>> 8)) & 0xFF) << 8 |
+    ((a + b) & 0xFF)) >>> 0;
+}
+
+// Channel-wise rounded-down mean
+function average2(a, b) {
+  return ((((a ^ b) & 0xFEFEFEFE) >>> 1) + (a & b)) >>> 0;
+}
+
+function clampChannel(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+function mapChannels(callback) {
+  let result = 0;
+  for (let shift = 0; shift < 32; shift += 8) {
+    result |= callback(shift) << shift;
+  }
+  return result >>> 0;
+}
+
+function channel(pixel, shift) {
+  return (pixel >>> shift) & 0xFF;
+}
+
+function select(left, top, topLeft) {
+  let leftDistance = 0;
+  let topDistance = 0;
+  for (let shift = 0; shift < 32; shift += 8) {
+    const estimate = channel(left, shift) + channel(top, shift) - channel(topLeft, shift);
+    leftDistance += Math.abs(estimate - channel(left, shift));
+    topDistance += Math.abs(estimate - channel(top, shift));
+  }
+  return leftDistance < topDistance ? left : top;
+}
+
+// Predictions from pixels already decoded: the first pixel predicts opaque black, the rest of the top row its
+// left neighbour and the left column the pixel above; the top-right neighbour of the last column is the first
+// pixel of the current row. Modes 14 and 15 are unused and predict black
+function predict(argb, width, i, x, y, mode) {
+  if (y === 0) return x === 0 ? 0xFF000000 : argb[i - 1];
+  if (x === 0) return argb[i - width];
+
+  const left = argb[i - 1];
+  const top = argb[i - width];
+  const topLeft = argb[i - width - 1];
+  const topRight = argb[i - width + 1];
+
+  switch (mode) {
+    case 1: return left;
+    case 2: return top;
+    case 3: return topRight;
+    case 4: return topLeft;
+    case 5: return average2(average2(left, topRight), top);
+    case 6: return average2(left, topLeft);
+    case 7: return average2(left, top);
+    case 8: return average2(topLeft, top);
+    case 9: return average2(top, topRight);
+    case 10: return average2(average2(left, topLeft), average2(top, topRight));
+    case 11: return select(left, top, topLeft);
+    case 12: return mapChannels(shift => clampChannel(channel(left, shift) + channel(top, shift) - channel(topLeft, shift)));
+    case 13: {
+      const average = average2(left, top);
+      return mapChannels(shift => clampChannel(channel(average, shift) + Math.trunc((channel(average, shift) - channel(topLeft, shift)) / 2)));
+    }
+    default: return 0xFF000000;
+  }
+}
+
+// Lengths and distances: a prefix symbol, then as many extra bits as it calls for
+function readPrefixedValue(reader, symbol) {
+  if (symbol < 4) return symbol + 1;
+  const extraBits = (symbol - 2) >> 1;
+  const offset = (2 + (symbol & 1)) << extraBits;
+  return offset + reader.readBits(extraBits) + 1;
+}
+
+function planeCodeToDistance(width, code) {
+  if (code > CODE_TO_PLANE.length) return code - CODE_TO_PLANE.length;
+
+  const plane = CODE_TO_PLANE[code - 1];
+  const distance = (plane >> 4) * width + 8 - (plane & 0xF);
+  return Math.max(1, distance);
+}
+
+// Lookup table indexed by the next maxBits input bits (LSB first); entries are symbol << 4 | length. A code with
+// a single symbol takes no bits at all
+function createDecodeTable(lengths) {
+  let maxBits = 0;
+  let symbols = 0;
+  let lastSymbol = 0;
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    if (lengths[symbol] === 0) continue;
+    maxBits = Math.max(maxBits, lengths[symbol]);
+    symbols++;
+    lastSymbol = symbol;
+  }
+
+  if (symbols === 0) {
+    throw new FormatError('Empty VP8L Huffman code', 'webp');
+  }
+  if (symbols === 1) {
+    return { table: Uint32Array.of(lastSymbol << 4), maxBits: 0 };
+  }
+
+  const counts = new Uint16Array(maxBits + 1);
+  for (const length of lengths) {
+    if (length > 0) counts[length]++;
+  }
+
+  // Only complete codes are valid
+  let space = 1;
+  for (let bits = 1; bits <= maxBits; bits++) {
+    space = space * 2 - counts[bits];
+    if (space < 0) break;
+  }
+  if (space !== 0) {
+    throw new FormatError('Invalid VP8L Huffman code', 'webp');
+  }
+
+  const nextCode = new Uint16Array(maxBits + 2);
+  for (let bits = 1, code = 0; bits <= maxBits; bits++) {
+    code = (code + counts[bits - 1]) << 1;
+    nextCode[bits] = code;
+  }
+
+  const table = new Uint32Array(1 << maxBits);
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    const length = lengths[symbol];
+    if (length === 0) continue;
+    
+    const entry = (symbol << 4) | length;
+    for (let index = reverseBits(nextCode[length]++, length); index < table.length; index += 1 << length) {
+      table[index] = entry;
+    }
+  }
+
+  return { table, maxBits };
+}
+
+function reverseBits(code, length) {
+  let reversed = 0;
+  for (let i = 0; i < length; i++) {
+    reversed = (reversed << 1) | ((code >> i) & 1);
+  }
+  return reversed;
+}
+
+// LSB-first bit reader; reading past the end of the chunk is an error
+class VP8LBitReader {
+  constructor(data) {
+    this.data = data;
+    this.position = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  fill(count) {
+    while (this.bitCount < count) {
+      if (this.position >= this.data.length) {
+        throw new FormatError('Truncated VP8L bitstream', 'webp');
+      }
+      this.bitBuffer = (this.bitBuffer | (this.data[this.position++] << this.bitCount)) >>> 0;
+      this.bitCount += 8;
+    }
+  }
+
+  readBits(count) {
+    if (count === 0) return 0;
+    
+    this.fill(count);
+    const value = this.bitBuffer & ((1 << count) - 1);
+    this.bitBuffer >>>= count;
+    this.bitCount -= count;
+    return value;
+  }
+
+  readSymbol({ table, maxBits }) {
+    if (maxBits === 0) return table[0] >>> 4;
+    
+    // The last symbols of a stream may need fewer bits than the table is indexed by
+    while (this.bitCount < maxBits && this.position < this.data.length) {
+      this.bitBuffer = (this.bitBuffer | (this.data[this.position++] << this.bitCount)) >>> 0;
+      this.bitCount += 8;
+    }
+    
+    const entry = table[this.bitBuffer & ((1 << maxBits) - 1)];
+    const length = entry & 15;
+    if (length > this.bitCount) {
+      throw new FormatError('Truncated VP8L bitstream', 'webp');
+    }
+    
+    this.bitBuffer >>>= length;
+    this.bitCount -= length;
+    return entry >>> 4;
+  }
+}
+
+export default VP8LDecoder;
\ No newline at end of file
@@ -0,0 +1,212 @@
+/**
+ * @xbibzlibrary/kompreser - WebP Decoder
+ * Pure JavaScript WebP reader: the RIFF container, lossy (VP8) and lossless (VP8L) bitstreams, ALPH chunks and
+ * the first frame of animations
+ */
+
+import Logger from '../utils/Logger.js';
+import { FormatError } from '../core/ErrorHandler.js';
+import DecoderLimits from './DecoderLimits.js';
+import VP8Decoder from './VP8Decoder.js';
+import VP8LDecoder from './VP8LDecoder.js';
+
+// Prediction filters of the ALPH chunk
+const ALPHA_FILTER_NONE = 0;
+const ALPHA_FILTER_HORIZONTAL = 1;
+const ALPHA_FILTER_VERTICAL = 2;
+
+// Bytes before the frame's own chunks in an ANMF payload: position, size, duration and flags
+const ANMF_HEADER_SIZE = 16;
+
+class WebPDecoder {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    this.limits = new DecoderLimits(options);
+    
+    this.vp8 = new VP8Decoder(options, this.logger);
+    this.vp8l = new VP8LDecoder(options, this.logger);
+  }
+
+  // Still images, or the first frame of an animation on its canvas
+  async decode(data) {
+    const timer = this.logger.startTimer('webp_decoding');
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    
+    const chunks = this.readChunks(bytes, 12, this.readRIFFEnd(bytes));
+    const vp8x = chunks.find(chunk => chunk.type === 'VP8X');
+    const frame = chunks.find(chunk => chunk.type === 'ANMF');
+    
+    let decoded;
+    if (frame && vp8x) {
+      decoded = this.decodeAnimationFrame(vp8x.data, frame.data);
+    } else {
+      decoded = this.decodeImage(chunks);
+    }
+    
+    const duration = timer.end();
+    this.logger.debug('WebP decoded', {
+      dimensions: `${decoded.width}x${decoded.height}`,
+      lossless: decoded.lossless,
+      duration
+    });
+    
+    return {
+      data: decoded.data,
+      width: decoded.width,
+      height: decoded.height,
+      format: 'webp'
+    };
+  }
+
+  readRIFFEnd(bytes) {
+    if (bytes.length < 12 || readFourCC(bytes, 0) !== 'RIFF' || readFourCC(bytes, 8) !== 'WEBP') {
+      throw new FormatError('Invalid WebP signature', 'webp');
+    }
+    return Math.min(bytes.length, 8 + readUint32(bytes, 4));
+  }
+
+  // Chunks between start and end; each is padded to an even size
+  readChunks(bytes, start, end) {
+    const chunks = [];
+    let offset = start;
+    
+    while (offset + 8 <= end) {
+      const type = readFourCC(bytes, offset);
+      const size = readUint32(bytes, offset + 4);
+      if (offset + 8 + size > end) {
+        throw new FormatError(`Truncated WebP ${type.trim()} chunk`, 'webp');
+      }
+      
+      chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + size) });
+      offset += 8 + size + (size & 1);
+    }
+    
+    return chunks;
+  }
+
+  // A VP8L bitstream, or a VP8 one with an optional ALPH chunk
+  decodeImage(chunks) {
+    const lossless = chunks.find(chunk => chunk.type === 'VP8L');
+    if (lossless) {
+      const { argb, width, height } = this.vp8l.decode(lossless.data);
+      const pixels = new Uint8ClampedArray(width * height * 4);
+      for (let i = 0; i < argb.length; i++) {
+        const pixel = argb[i];
+        pixels[i * 4] = (pixel >>> 16) & 0xFF;
+        pixels[i * 4 + 1] = (pixel >>> 8) & 0xFF;
+        pixels[i * 4 + 2] = pixel & 0xFF;
+        pixels[i * 4 + 3] = pixel >>> 24;
+      }
+      return { data: pixels, width, height, lossless: true };
+    }
+    
+    const lossy = chunks.find(chunk => chunk.type === 'VP8 ');
+    if (!lossy) {
+      throw new FormatError('WebP contains no image data', 'webp');
+    }
+    
+    const { data, width, height } = this.vp8.decode(lossy.data);
+    const alphaChunk = chunks.find(chunk => chunk.type === 'ALPH');
+    if (alphaChunk) {
+      const alpha = this.decodeAlpha(alphaChunk.data, width, height);
+      for (let i = 0; i < alpha.length; i++) {
+        data[i * 4 + 3] = alpha[i];
+      }
+    }
+    
+    return { data, width, height, lossless: false };
+  }
+
+  // ALPH payload: a header byte with compression and filter, then the plane raw or as a headerless VP8L stream.
+  // Level reduction needs nothing on this side
+  decodeAlpha(payload, width, height) {
+    if (payload.length < 1) {
+      throw new FormatError('Empty WebP alpha chunk', 'webp');
+    }
+    
+    const compression = payload[0] & 3;
+    const filter = (payload[0] >> 2) & 3;
+    let alpha;
+    
+    if (compression === 0) {
+      if (payload.length - 1 < width * height) {
+        throw new FormatError('Truncated WebP alpha chunk', 'webp');
+      }
+      alpha = payload.slice(1, 1 + width * height);
+    } else if (compression === 1) {
+      alpha = this.vp8l.decodeAlpha(payload.subarray(1), width, height);
+    } else {
+      throw new FormatError(`Unknown WebP alpha compression ${compression}`, 'webp');
+    }
+    
+    return this.unfilterAlpha(alpha, width, height, filter);
+  }
+
+  // Adds back the left, top or gradient prediction. The first pixel predicts from 0, the rest of the top row from
+  // the left and the rest of the left column from above, whatever the filter
+  unfilterAlpha(alpha, width, height, filter) {
+    if (filter === ALPHA_FILTER_NONE) {
+      return alpha;
+    }
+    
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        let prediction;
+        if (y === 0) {
+          prediction = x === 0 ? 0 : alpha[i - 1];
+        } else if (x === 0) {
+          prediction = alpha[i - width];
+        } else if (filter === ALPHA_FILTER_HORIZONTAL) {
+          prediction = alpha[i - 1];
+        } else if (filter === ALPHA_FILTER_VERTICAL) {
+          prediction = alpha[i - width];
+        } else {
+          prediction = Math.min(255, Math.max(0, alpha[i - 1] + alpha[i - width] - alpha[i - width - 1]));
+        }
+        alpha[i] = (alpha[i] + prediction) & 0xFF;
+      }
+    }
+    
+    return alpha;
+  }
+
+  // The first ANMF frame at its offset on a transparent canvas of the VP8X size
+  decodeAnimationFrame(vp8x, anmf) {
+    if (vp8x.length < 10 || anmf.length < ANMF_HEADER_SIZE) {
+      throw new FormatError('Invalid WebP animation header', 'webp');
+    }
+    
+    const width = readUint24(vp8x, 4) + 1;
+    const height = readUint24(vp8x, 7) + 1;
+    this.limits.assertDimensions(width, height, 'webp');
+    const left = readUint24(anmf, 0) * 2;
+    const top = readUint24(anmf, 3) * 2;
+    
+    const frame = this.decodeImage(this.readChunks(anmf, ANMF_HEADER_SIZE, anmf.length));
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    
+    for (let y = 0; y < frame.height && top + y < height; y++) {
+      const rowWidth = Math.max(0, Math.min(frame.width, width - left));
+      const source = y * frame.width * 4;
+      pixels.set(frame.data.subarray(source, source + rowWidth * 4), ((top + y) * width + left) * 4);
+    }
+    
+    return { data: pixels, width, height, lossless: frame.lossless };
+  }
+}
+
+function readFourCC(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+function readUint24(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+}
+
+function readUint32(bytes, offset) {
+  return readUint24(bytes, offset) + bytes[offset + 3] * 0x1000000;
+}
+
+export default WebPDecoder;
\ No newline at end of file
@@ -23,6 +23,8 @@ import {
 
 // Utilities
 import Logger from './utils/Logger.js';
+import Environment from './utils/Environment.js';
+import ImageMetrics from './utils/ImageMetrics.js';
 
 // Re-export everything for different module systems
 export {
@@ -43,7 +45,9 @@ export {
   ErrorHandler,
   
   // Utilities
-  Logger
+  Logger,
+  Environment,
+  ImageMetrics
 };
 
 // Default export for convenience
@@ -64,5 +68,5 @@ if (typeof window !== 'undefined') {
     MetadataError,
     PerformanceError
   };
-  window.KompreserUtils = { Logger };
+  window.KompreserUtils = { Logger, Environment, ImageMetrics };
 }
\ No newline at end of file
@@ -0,0 +1,290 @@
+/**
+ * @xbibzlibrary/kompreser - EXIF Parser
+ * TIFF-structured EXIF reader for IFD0, the Exif sub-IFD and the GPS IFD
+ */
+
+import Logger from '../utils/Logger.js';
+import { MetadataError } from '../core/ErrorHandler.js';
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const IFD0_TAGS = {
+  0x010E: 'ImageDescription',
+  0x010F: 'Make',
+  0x0110: 'Model',
+  0x0112: 'Orientation',
+  0x011A: 'XResolution',
+  0x011B: 'YResolution',
+  0x0128: 'ResolutionUnit',
+  0x0131: 'Software',
+  0x0132: 'DateTime',
+  0x013B: 'Artist',
+  0x013E: 'WhitePoint',
+  0x013F: 'PrimaryChromaticities',
+  0x0211: 'YCbCrCoefficients',
+  0x0213: 'YCbCrPositioning',
+  0x0214: 'ReferenceBlackWhite',
+  0x8298: 'Copyright',
+  0x8769: 'ExifIFDPointer',
+  0x8825: 'GPSInfoIFDPointer'
+};
+
+const EXIF_TAGS = {
+  0x829A: 'ExposureTime',
+  0x829D: 'FNumber',
+  0x8822: 'ExposureProgram',
+  0x8827: 'ISOSpeedRatings',
+  0x8830: 'SensitivityType',
+  0x9000: 'ExifVersion',
+  0x9003: 'DateTimeOriginal',
+  0x9004: 'DateTimeDigitized',
+  0x9010: 'OffsetTime',
+  0x9011: 'OffsetTimeOriginal',
+  0x9012: 'OffsetTimeDigitized',
+  0x9101: 'ComponentsConfiguration',
+  0x9201: 'ShutterSpeedValue',
+  0x9202: 'ApertureValue',
+  0x9203: 'BrightnessValue',
+  0x9204: 'ExposureBiasValue',
+  0x9205: 'MaxApertureValue',
+  0x9206: 'SubjectDistance',
+  0x9207: 'MeteringMode',
+  0x9208: 'LightSource',
+  0x9209: 'Flash',
+  0x920A: 'FocalLength',
+  0x9214: 'SubjectArea',
+  0x927C: 'MakerNote',
+  0x9286: 'UserComment',
+  0x9290: 'SubSecTime',
+  0x9291: 'SubSecTimeOriginal',
+  0x9292: 'SubSecTimeDigitized',
+  0xA000: 'FlashpixVersion',
+  0xA001: 'ColorSpace',
+  0xA002: 'PixelXDimension',
+  0xA003: 'PixelYDimension',
+  0xA005: 'InteroperabilityIFDPointer',
+  0xA20E: 'FocalPlaneXResolution',
+  0xA20F: 'FocalPlaneYResolution',
+  0xA210: 'FocalPlaneResolutionUnit',
+  0xA217: 'SensingMethod',
+  0xA300: 'FileSource',
+  0xA301: 'SceneType',
+  0xA401: 'CustomRendered',
+  0xA402: 'ExposureMode',
+  0xA403: 'WhiteBalance',
+  0xA404: 'DigitalZoomRatio',
+  0xA405: 'FocalLengthIn35mmFilm',
+  0xA406: 'SceneCaptureType',
+  0xA408: 'Contrast',
+  0xA409: 'Saturation',
+  0xA40A: 'Sharpness',
+  0xA420: 'ImageUniqueID',
+  0xA430: 'CameraOwnerName',
+  0xA431: 'BodySerialNumber',
+  0xA432: 'LensSpecification',
+  0xA433: 'LensMake',
+  0xA434: 'LensModel',
+  0xA435: 'LensSerialNumber'
+};
+
+const GPS_TAGS = {
+  0x0000: 'GPSVersionID',
+  0x0001: 'GPSLatitudeRef',
+  0x0002: 'GPSLatitude',
+  0x0003: 'GPSLongitudeRef',
+  0x0004: 'GPSLongitude',
+  0x0005: 'GPSAltitudeRef',
+  0x0006: 'GPSAltitude',
+  0x0007: 'GPSTimeStamp',
+  0x0008: 'GPSSatellites',
+  0x0009: 'GPSStatus',
+  0x000A: 'GPSMeasureMode',
+  0x000B: 'GPSDOP',
+  0x000C: 'GPSSpeedRef',
+  0x000D: 'GPSSpeed',
+  0x000E: 'GPSTrackRef',
+  0x000F: 'GPSTrack',
+  0x0010: 'GPSImgDirectionRef',
+  0x0011: 'GPSImgDirection',
+  0x0012: 'GPSMapDatum',
+  0x0017: 'GPSDestBearingRef',
+  0x0018: 'GPSDestBearing',
+  0x001B: 'GPSProcessingMethod',
+  0x001D: 'GPSDateStamp',
+  0x001F: 'GPSHPositioningError'
+};
+
+class ExifParser {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    this.maxEntries = 1000;
+  }
+
+  // Tag names per directory, and the IFD0 entries that point at the sub-directories
+  static TAGS = { ifd0: IFD0_TAGS, exif: EXIF_TAGS, gps: GPS_TAGS };
+  static POINTERS = { 0x8769: 'exif', 0x8825: 'gps' };
+
+  // `tiff` starts at the byte-order mark, i.e. after any "Exif\0\0" prefix
+  parse(tiff) {
+    const bytes = tiff instanceof Uint8Array ? tiff : new Uint8Array(tiff);
+    const reader = this.createReader(bytes);
+    const visited = new Set();
+    
+    const ifd0 = this.readIFD(reader, reader.firstIFD, IFD0_TAGS, visited);
+    const result = {
+      ifd0: ifd0.tags,
+      exif: {},
+      gps: {}
+    };
+    
+    const exifPointer = ifd0.tags.ExifIFDPointer;
+    if (typeof exifPointer === 'number') {
+      result.exif = this.readIFD(reader, exifPointer, EXIF_TAGS, visited).tags;
+    }
+    
+    const gpsPointer = ifd0.tags.GPSInfoIFDPointer;
+    if (typeof gpsPointer === 'number') {
+      result.gps = this.readIFD(reader, gpsPointer, GPS_TAGS, visited).tags;
+    }
+    
+    // Pointers are layout details, not metadata
+    delete result.ifd0.ExifIFDPointer;
+    delete result.ifd0.GPSInfoIFDPointer;
+    delete result.exif.InteroperabilityIFDPointer;
+    
+    return result;
+  }
+
+  createReader(bytes) {
+    if (bytes.length < 8) {
+      throw new MetadataError('TIFF header is truncated', 'exif');
+    }
+    
+    const order = String.fromCharCode(bytes[0], bytes[1]);
+    if (order !== 'II' && order !== 'MM') {
+      throw new MetadataError(`invalid TIFF byte order ${JSON.stringify(order)}`, 'exif');
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const littleEndian = order === 'II';
+    
+    if (view.getUint16(2, littleEndian) !== 42) {
+      throw new MetadataError('invalid TIFF magic number', 'exif');
+    }
+    
+    return {
+      bytes,
+      view,
+      littleEndian,
+      firstIFD: view.getUint32(4, littleEndian)
+    };
+  }
+
+  // Entries of one IFD keyed by tag name; unknown tags keep their number as Tag0xNNNN
+  readIFD(reader, offset, names, visited) {
+    const { entries, next } = this.readEntries(reader, offset, visited);
+    
+    const tags = {};
+    for (const entry of entries) {
+      const value = this.readValue(reader, entry);
+      if (value === undefined) {
+        this.logger.debug('Skipping unreadable EXIF entry', { tag: entry.tag, type: entry.type, count: entry.count });
+        continue;
+      }
+      
+      tags[this.tagName(entry.tag, names)] = value;
+    }
+    
+    return { tags, next };
+  }
+
+  // Raw directory entries with the position of each entry and of its value
+  readEntries(reader, offset, visited = new Set()) {
+    const { view, littleEndian, bytes } = reader;
+    
+    if (visited.has(offset)) {
+      throw new MetadataError('IFD chain loops back on itself', 'exif', { offset });
+    }
+    visited.add(offset);
+    
+    if (offset + 2 > bytes.length) {
+      throw new MetadataError('IFD offset is outside the EXIF block', 'exif', { offset });
+    }
+    
+    const count = view.getUint16(offset, littleEndian);
+    const end = offset + 2 + count * 12;
+    if (count > this.maxEntries || end > bytes.length) {
+      throw new MetadataError('IFD is truncated', 'exif', { offset, count });
+    }
+    
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const position = offset + 2 + i * 12;
+      const type = view.getUint16(position + 2, littleEndian);
+      const valueCount = view.getUint32(position + 4, littleEndian);
+      const length = (TYPE_SIZES[type] || 0) * valueCount;
+      
+      entries.push({
+        tag: view.getUint16(position, littleEndian),
+        type,
+        count: valueCount,
+        position,
+        length,
+        // Values of up to four bytes sit in the entry itself
+        valueOffset: length <= 4 ? position + 8 : view.getUint32(position + 8, littleEndian)
+      });
+    }
+    
+    // Some writers leave out the next-IFD pointer of the last directory
+    return {
+      entries,
+      next: end + 4 <= bytes.length ? view.getUint32(end, littleEndian) : 0
+    };
+  }
+
+  readValue(reader, { type, count, length, valueOffset: start }) {
+    const { view, littleEndian, bytes } = reader;
+    const size = TYPE_SIZES[type];
+    if (!size || start + length > bytes.length) return undefined;
+    
+    if (type === 2) {
+      const text = new TextDecoder('latin1').decode(bytes.subarray(start, start + length));
+      return text.replace(/\0[\s\S]*$/, '').trim();
+    }
+    
+    if (type === 7) {
+      return bytes.slice(start, start + length);
+    }
+    
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      const position = start + i * size;
+      switch (type) {
+        case 1: values.push(view.getUint8(position)); break;
+        case 3: values.push(view.getUint16(position, littleEndian)); break;
+        case 4: values.push(view.getUint32(position, littleEndian)); break;
+        case 5: values.push(this.rational(view.getUint32(position, littleEndian), view.getUint32(position + 4, littleEndian))); break;
+        case 6: values.push(view.getInt8(position)); break;
+        case 8: values.push(view.getInt16(position, littleEndian)); break;
+        case 9: values.push(view.getInt32(position, littleEndian)); break;
+        case 10: values.push(this.rational(view.getInt32(position, littleEndian), view.getInt32(position + 4, littleEndian))); break;
+        case 11: values.push(view.getFloat32(position, littleEndian)); break;
+        case 12: values.push(view.getFloat64(position, littleEndian)); break;
+      }
+    }
+    
+    return count === 1 ? values[0] : values;
+  }
+
+  tagName(tag, names) {
+    return names[tag] || `Tag0x${tag.toString(16).toUpperCase().padStart(4, '0')}`;
+  }
+
+  rational(numerator, denominator) {
+    return denominator === 0 ? 0 : numerator / denominator;
+  }
+}
+
+export default ExifParser;
\ No newline at end of file
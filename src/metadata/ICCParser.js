@@ -0,0 +1,174 @@
+/**
+ * @xbibzlibrary/kompreser - ICC Profile Parser
+ * Reads the header, description, colorants and tone curves of ICC v2 and v4 matrix/TRC profiles
+ */
+
+import Logger from '../utils/Logger.js';
+import { MetadataError } from '../core/ErrorHandler.js';
+
+// Parameter count for each parametricCurveType function
+const PARAMETRIC_ARITY = { 0: 1, 1: 3, 2: 4, 3: 5, 4: 7 };
+
+class ICCParser {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+  }
+
+  parse(profile) {
+    const bytes = profile instanceof Uint8Array ? profile : new Uint8Array(profile);
+    if (bytes.length < 132) {
+      throw new MetadataError('ICC profile is truncated', 'icc', { size: bytes.length });
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (this.readSignature(bytes, 36) !== 'acsp') {
+      throw new MetadataError('missing ICC profile signature', 'icc');
+    }
+    
+    const tags = this.readTagTable(bytes, view);
+    const major = bytes[8];
+    const minor = bytes[9] >> 4;
+    
+    const result = {
+      version: `${major}.${minor}`,
+      deviceClass: this.readSignature(bytes, 12).trim(),
+      colorSpace: this.readSignature(bytes, 16).trim(),
+      connectionSpace: this.readSignature(bytes, 20).trim(),
+      renderingIntent: view.getUint32(64),
+      description: tags.desc ? this.readText(bytes, view, tags.desc) : null,
+      copyright: tags.cprt ? this.readText(bytes, view, tags.cprt) : null,
+      whitePoint: tags.wtpt ? this.readXYZ(bytes, view, tags.wtpt) : null,
+      colorants: null,
+      curves: null
+    };
+    
+    // Matrix/TRC profiles describe RGB with three colorants and three tone curves
+    const matrixTags = ['rXYZ', 'gXYZ', 'bXYZ', 'rTRC', 'gTRC', 'bTRC'];
+    if (result.colorSpace === 'RGB' && matrixTags.every(tag => tags[tag])) {
+      result.colorants = {
+        red: this.readXYZ(bytes, view, tags.rXYZ),
+        green: this.readXYZ(bytes, view, tags.gXYZ),
+        blue: this.readXYZ(bytes, view, tags.bXYZ)
+      };
+      result.curves = {
+        red: this.readCurve(bytes, view, tags.rTRC),
+        green: this.readCurve(bytes, view, tags.gTRC),
+        blue: this.readCurve(bytes, view, tags.bTRC)
+      };
+    }
+    
+    return result;
+  }
+
+  readTagTable(bytes, view) {
+    const count = view.getUint32(128);
+    if (132 + count * 12 > bytes.length) {
+      throw new MetadataError('ICC tag table is truncated', 'icc', { count });
+    }
+    
+    const tags = {};
+    for (let i = 0; i < count; i++) {
+      const entry = 132 + i * 12;
+      const offset = view.getUint32(entry + 4);
+      const size = view.getUint32(entry + 8);
+      
+      if (offset + size > bytes.length || size < 8) {
+        throw new MetadataError('ICC tag points outside the profile', 'icc', { tag: this.readSignature(bytes, entry) });
+      }
+      
+      tags[this.readSignature(bytes, entry)] = { offset, size };
+    }
+    
+    return tags;
+  }
+
+  readXYZ(bytes, view, { offset }) {
+    this.expectType(bytes, offset, ['XYZ ']);
+    return [0, 1, 2].map(i => this.readS15Fixed16(view, offset + 8 + i * 4));
+  }
+
+  // curv: identity, a single gamma or a sampled table; para: one of the five ICC functions
+  readCurve(bytes, view, { offset }) {
+    const type = this.expectType(bytes, offset, ['curv', 'para']);
+    
+    if (type === 'para') {
+      const fn = view.getUint16(offset + 8);
+      const arity = PARAMETRIC_ARITY[fn];
+      if (arity === undefined) {
+        throw new MetadataError(`unknown parametric curve function ${fn}`, 'icc');
+      }
+      
+      const params = [];
+      for (let i = 0; i < arity; i++) {
+        params.push(this.readS15Fixed16(view, offset + 12 + i * 4));
+      }
+      return { type: 'parametric', function: fn, params };
+    }
+    
+    const count = view.getUint32(offset + 8);
+    if (count === 0) {
+      return { type: 'gamma', gamma: 1 };
+    }
+    if (count === 1) {
+      return { type: 'gamma', gamma: view.getUint16(offset + 12) / 256 };
+    }
+    
+    const table = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      table[i] = view.getUint16(offset + 12 + i * 2) / 65535;
+    }
+    return { type: 'table', table };
+  }
+
+  // v2 textDescriptionType and textType, v4 multiLocalizedUnicodeType (first record)
+  readText(bytes, view, { offset, size }) {
+    const type = this.readSignature(bytes, offset);
+    
+    if (type === 'desc') {
+      const length = view.getUint32(offset + 8);
+      return this.readASCII(bytes, offset + 12, Math.min(length, size - 12));
+    }
+    
+    if (type === 'text') {
+      return this.readASCII(bytes, offset + 8, size - 8);
+    }
+    
+    if (type === 'mluc') {
+      const records = view.getUint32(offset + 8);
+      if (records === 0) return null;
+      
+      const length = view.getUint32(offset + 20);
+      const start = offset + view.getUint32(offset + 24);
+      let text = '';
+      for (let i = 0; i + 1 < length && start + i + 1 < bytes.length; i += 2) {
+        text += String.fromCharCode(view.getUint16(start + i));
+      }
+      return text.replace(/\0+$/, '');
+    }
+    
+    return null;
+  }
+
+  readASCII(bytes, offset, length) {
+    return new TextDecoder('latin1').decode(bytes.subarray(offset, offset + length)).replace(/\0[\s\S]*$/, '');
+  }
+
+  expectType(bytes, offset, types) {
+    const type = this.readSignature(bytes, offset);
+    if (!types.includes(type)) {
+      throw new MetadataError(`unexpected ICC tag type ${JSON.stringify(type)}`, 'icc', { expected: types });
+    }
+    return type;
+  }
+
+  readSignature(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+  }
+
+  readS15Fixed16(view, offset) {
+    return view.getInt32(offset) / 65536;
+  }
+}
+
+export default ICCParser;
\ No newline at end of file
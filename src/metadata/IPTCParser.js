@@ -0,0 +1,167 @@
+/**
+ * @xbibzlibrary/kompreser - IPTC Parser
+ * Photoshop image resource reader for IPTC-IIM records stored in JPEG APP13
+ */
+
+import Logger from '../utils/Logger.js';
+import { MetadataError } from '../core/ErrorHandler.js';
+
+const PHOTOSHOP_SIGNATURE = 'Photoshop 3.0\0';
+
+// Image resource that holds the IPTC-IIM datasets
+const IPTC_RESOURCE = 0x0404;
+
+// Application record (record 2) dataset names
+const RECORD_2_TAGS = {
+  0: 'RecordVersion',
+  5: 'ObjectName',
+  7: 'EditStatus',
+  10: 'Urgency',
+  15: 'Category',
+  20: 'SupplementalCategories',
+  25: 'Keywords',
+  40: 'SpecialInstructions',
+  55: 'DateCreated',
+  60: 'TimeCreated',
+  62: 'DigitalCreationDate',
+  63: 'DigitalCreationTime',
+  65: 'OriginatingProgram',
+  70: 'ProgramVersion',
+  80: 'By-line',
+  85: 'By-lineTitle',
+  90: 'City',
+  92: 'Sub-location',
+  95: 'Province-State',
+  100: 'Country-PrimaryLocationCode',
+  101: 'Country-PrimaryLocationName',
+  103: 'OriginalTransmissionReference',
+  105: 'Headline',
+  110: 'Credit',
+  115: 'Source',
+  116: 'CopyrightNotice',
+  118: 'Contact',
+  120: 'Caption-Abstract',
+  122: 'Writer-Editor'
+};
+
+// Datasets that may legitimately repeat are always returned as arrays
+const REPEATABLE = new Set(['SupplementalCategories', 'Keywords', 'By-line', 'By-lineTitle', 'Contact', 'Writer-Editor']);
+
+class IPTCParser {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+  }
+
+  // Pull the IIM block out of an APP13 payload ("Photoshop 3.0\0" + 8BIM resources)
+  extractIIM(segment) {
+    const bytes = segment instanceof Uint8Array ? segment : new Uint8Array(segment);
+    const signature = new TextDecoder('latin1').decode(bytes.subarray(0, PHOTOSHOP_SIGNATURE.length));
+    if (signature !== PHOTOSHOP_SIGNATURE) {
+      return null;
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = PHOTOSHOP_SIGNATURE.length;
+    
+    while (offset + 12 <= bytes.length) {
+      if (view.getUint32(offset) !== 0x3842494D) { // '8BIM'
+        throw new MetadataError('invalid Photoshop image resource', 'iptc', { offset });
+      }
+      
+      const id = view.getUint16(offset + 4);
+      
+      // Pascal name padded to an even length
+      const nameLength = bytes[offset + 6];
+      offset += 6 + ((nameLength + 2) & ~1);
+      
+      if (offset + 4 > bytes.length) break;
+      const size = view.getUint32(offset);
+      offset += 4;
+      
+      if (offset + size > bytes.length) {
+        throw new MetadataError('image resource is truncated', 'iptc', { id, size });
+      }
+      
+      if (id === IPTC_RESOURCE) {
+        return bytes.slice(offset, offset + size);
+      }
+      
+      offset += size + (size & 1);
+    }
+    
+    return null;
+  }
+
+  // Record 2 values by dataset name; repeated datasets become arrays
+  parse(iim) {
+    const datasets = this.readDatasets(iim);
+    const charset = datasets.find(({ record, dataset }) => record === 1 && dataset === 90);
+    const decoder = new TextDecoder(!charset || this.isUTF8Declaration(charset.value) ? 'utf-8' : 'latin1');
+    const result = {};
+    
+    for (const { record, dataset, value: raw } of datasets) {
+      if (record !== 2) continue;
+      
+      const name = this.datasetName(dataset);
+      const value = dataset === 0 ? (raw[0] << 8) | raw[1] : decoder.decode(raw).trim();
+      
+      if (REPEATABLE.has(name)) {
+        result[name] = result[name] || [];
+        result[name].push(value);
+      } else if (name in result) {
+        result[name] = [].concat(result[name], value);
+      } else {
+        result[name] = value;
+      }
+    }
+    
+    return result;
+  }
+
+  // IIM datasets: 0x1C, record, dataset, 16-bit length, value; start/end cover the whole dataset
+  readDatasets(iim) {
+    const bytes = iim instanceof Uint8Array ? iim : new Uint8Array(iim);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const datasets = [];
+    let offset = 0;
+    
+    while (offset + 5 <= bytes.length && bytes[offset] === 0x1C) {
+      const start = offset;
+      const record = bytes[offset + 1];
+      const dataset = bytes[offset + 2];
+      let length = view.getUint16(offset + 3);
+      offset += 5;
+      
+      // Extended datasets store the real length in the following bytes
+      if (length & 0x8000) {
+        const lengthBytes = length & 0x7FFF;
+        length = 0;
+        for (let i = 0; i < lengthBytes; i++) {
+          length = length * 256 + bytes[offset + i];
+        }
+        offset += lengthBytes;
+      }
+      
+      if (offset + length > bytes.length) {
+        throw new MetadataError('IPTC dataset is truncated', 'iptc', { record, dataset, length });
+      }
+      
+      datasets.push({ record, dataset, value: bytes.subarray(offset, offset + length), start, end: offset + length });
+      offset += length;
+    }
+    
+    return datasets;
+  }
+
+  datasetName(dataset) {
+    return RECORD_2_TAGS[dataset] || `Dataset2:${dataset}`;
+  }
+    
+  // Coded character set (1:90) of ESC % G means UTF-8; undeclared text is read as UTF-8 too
+  isUTF8Declaration(value) {
+    return value[0] === 0x1B && value[1] === 0x25 && value[2] === 0x47;
+  }
+}
+
+export default IPTCParser;
\ No newline at end of file
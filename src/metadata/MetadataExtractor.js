@@ -0,0 +1,248 @@
+/**
+ * @xbibzlibrary/kompreser - Metadata Extractor
+ * Finds EXIF, IPTC, XMP and ICC blocks in JPEG, PNG and WebP files and parses them
+ */
+
+import Logger from '../utils/Logger.js';
+import FileValidator from '../utils/FileValidator.js';
+import Zlib from '../utils/Zlib.js';
+import ExifParser from './ExifParser.js';
+import IPTCParser from './IPTCParser.js';
+import XMPParser from './XMPParser.js';
+import ICCParser from './ICCParser.js';
+
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_NAMESPACE = 'http://ns.adobe.com/xap/1.0/\0';
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+const ICC_HEADER = 'ICC_PROFILE\0';
+
+class MetadataExtractor {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    this.validator = new FileValidator(options);
+    this.zlib = new Zlib();
+    
+    this.exifParser = new ExifParser(options, this.logger);
+    this.iptcParser = new IPTCParser(options, this.logger);
+    this.xmpParser = new XMPParser(options, this.logger);
+    this.iccParser = new ICCParser(options, this.logger);
+  }
+
+  // Parsed blocks plus the raw bytes needed to embed them again; missing blocks are null
+  extract(data) {
+    const timer = this.logger.startTimer('metadata_extraction');
+    const { format, raw } = this.readBlocks(data);
+    
+    const metadata = {
+      exif: this.parseBlock('exif', raw.exif, block => this.exifParser.parse(block)),
+      iptc: this.parseBlock('iptc', raw.iptc, block => this.iptcParser.parse(block)),
+      xmp: this.parseBlock('xmp', raw.xmp, block => this.xmpParser.parse(block)),
+      icc: this.parseBlock('icc', raw.icc, block => this.iccParser.parse(block)),
+      raw
+    };
+    
+    const duration = timer.end();
+    this.logger.debug('Metadata extracted', {
+      format,
+      exif: !!metadata.exif,
+      iptc: !!metadata.iptc,
+      xmp: !!metadata.xmp,
+      icc: metadata.icc?.description || !!metadata.icc,
+      duration
+    });
+    
+    return metadata;
+  }
+
+  // What the decoder needs to render the pixels correctly: EXIF orientation (1-8, 1 when absent
+  // or invalid) and the parsed ICC profile, without parsing the other blocks
+  readRenderingHints(data) {
+    const { raw } = this.readBlocks(data);
+    const orientation = this.parseBlock('exif', raw.exif, block => this.exifParser.parse(block))?.ifd0.Orientation;
+    
+    return {
+      orientation: Number.isInteger(orientation) && orientation >= 1 && orientation <= 8 ? orientation : 1,
+      colorProfile: this.parseBlock('icc', raw.icc, block => this.iccParser.parse(block))
+    };
+  }
+
+  readBlocks(data) {
+    // A plain view, so slices are copies even when a Buffer comes in
+    const bytes = ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+    const format = (this.validator.detectFileSignature(bytes) || '').replace('image/', '');
+    
+    let raw = { exif: null, iptc: null, xmp: null, icc: null };
+    try {
+      if (format === 'jpeg') {
+        raw = this.readJPEG(bytes);
+      } else if (format === 'png') {
+        raw = this.readPNG(bytes);
+      } else if (format === 'webp') {
+        raw = this.readWebP(bytes);
+      }
+    } catch (error) {
+      // Broken metadata never stops the image itself from being processed
+      this.logger.warn('Could not read image metadata', { format, error: error.message });
+    }
+    
+    return { format, raw };
+  }
+
+  parseBlock(type, block, parse) {
+    if (!block) return null;
+    
+    try {
+      return parse(block);
+    } catch (error) {
+      this.logger.warn(`Ignoring unreadable ${type.toUpperCase()} block`, { error: error.message });
+      return null;
+    }
+  }
+
+  // Marker segments up to the first scan
+  readJPEG(bytes) {
+    const raw = { exif: null, iptc: null, xmp: null, icc: null };
+    const iccChunks = [];
+    let offset = 2;
+    
+    while (offset + 4 <= bytes.length) {
+      if (bytes[offset] !== 0xFF) break;
+      
+      const marker = bytes[offset + 1];
+      
+      // Fill bytes and standalone markers carry no length
+      if (marker === 0xFF) {
+        offset++;
+        continue;
+      }
+      if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+        offset += 2;
+        continue;
+      }
+      if (marker === 0xDA || marker === 0xD9) break;
+      
+      const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+      const payload = bytes.subarray(offset + 4, Math.min(bytes.length, offset + 2 + length));
+      
+      if (marker === 0xE1 && !raw.exif && this.startsWith(payload, EXIF_HEADER)) {
+        raw.exif = payload.slice(EXIF_HEADER.length);
+      } else if (marker === 0xE1 && !raw.xmp && this.startsWith(payload, XMP_NAMESPACE)) {
+        raw.xmp = new TextDecoder().decode(payload.subarray(XMP_NAMESPACE.length));
+      } else if (marker === 0xED && !raw.iptc) {
+        raw.iptc = this.iptcParser.extractIIM(payload);
+      } else if (marker === 0xE2 && this.startsWith(payload, ICC_HEADER)) {
+        // Profiles larger than one segment are split into numbered chunks
+        iccChunks.push({ sequence: payload[ICC_HEADER.length], data: payload.subarray(ICC_HEADER.length + 2) });
+      }
+      
+      offset += 2 + length;
+    }
+    
+    if (iccChunks.length > 0) {
+      iccChunks.sort((a, b) => a.sequence - b.sequence);
+      raw.icc = this.concat(iccChunks.map(chunk => chunk.data));
+    }
+    
+    return raw;
+  }
+
+  readPNG(bytes) {
+    const raw = { exif: null, iptc: null, xmp: null, icc: null };
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 8;
+    
+    while (offset + 8 <= bytes.length) {
+      const length = view.getUint32(offset);
+      const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      const data = bytes.subarray(offset + 8, Math.min(bytes.length, offset + 8 + length));
+      
+      if (type === 'eXIf') {
+        // Some writers keep the JPEG-style prefix
+        raw.exif = this.startsWith(data, EXIF_HEADER) ? data.slice(EXIF_HEADER.length) : data.slice();
+      } else if (this.startsWith(data, `${PNG_XMP_KEYWORD}\0`) && ['iTXt', 'zTXt', 'tEXt'].includes(type)) {
+        raw.xmp = this.readTextChunk(type, data);
+      } else if (type === 'iCCP') {
+        // Profile name, compression method, zlib stream
+        const nameEnd = data.indexOf(0);
+        raw.icc = this.zlib.inflate(data.subarray(nameEnd + 2));
+      } else if (type === 'IEND') {
+        break;
+      }
+      
+      offset += 12 + length;
+    }
+    
+    return raw;
+  }
+
+  // XMP belongs in iTXt, but some writers (libvips among them) use zTXt or tEXt
+  readTextChunk(type, data) {
+    let offset = PNG_XMP_KEYWORD.length + 1;
+    
+    if (type === 'tEXt') {
+      return new TextDecoder().decode(data.subarray(offset));
+    }
+    if (type === 'zTXt') {
+      return new TextDecoder().decode(this.zlib.inflate(data.subarray(offset + 1)));
+    }
+    
+    // iTXt: compression flag and method, language\0, translated keyword\0, text
+    const compressed = data[offset] === 1;
+    offset += 2;
+    
+    for (let skip = 0; skip < 2; skip++) {
+      const end = data.indexOf(0, offset);
+      offset = end === -1 ? data.length : end + 1;
+    }
+    
+    const text = data.subarray(offset);
+    return new TextDecoder().decode(compressed ? this.zlib.inflate(text) : text);
+  }
+
+  readWebP(bytes) {
+    const raw = { exif: null, iptc: null, xmp: null, icc: null };
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 12;
+    
+    while (offset + 8 <= bytes.length) {
+      const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+      const size = view.getUint32(offset + 4, true);
+      const data = bytes.subarray(offset + 8, Math.min(bytes.length, offset + 8 + size));
+      
+      if (type === 'EXIF') {
+        raw.exif = this.startsWith(data, EXIF_HEADER) ? data.slice(EXIF_HEADER.length) : data.slice();
+      } else if (type === 'XMP ') {
+        raw.xmp = new TextDecoder().decode(data);
+      } else if (type === 'ICCP') {
+        raw.icc = data.slice();
+      }
+      
+      // Chunks are padded to an even size
+      offset += 8 + size + (size & 1);
+    }
+    
+    return raw;
+  }
+
+  concat(parts) {
+    const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      output.set(part, offset);
+      offset += part.length;
+    }
+    return output;
+  }
+
+  startsWith(bytes, text) {
+    if (bytes.length < text.length) return false;
+    
+    for (let i = 0; i < text.length; i++) {
+      if (bytes[i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+  }
+}
+
+export default MetadataExtractor;
\ No newline at end of file
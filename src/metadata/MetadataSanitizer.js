@@ -0,0 +1,243 @@
+/**
+ * @xbibzlibrary/kompreser - Metadata Sanitizer
+ * Applies keep/drop tag policies to extracted EXIF, IPTC and XMP blocks and records what was removed,
+ * and rewrites the orientation once it has been applied to the pixels
+ */
+
+import Logger from '../utils/Logger.js';
+import { ValidationError } from '../core/ErrorHandler.js';
+import ExifParser from './ExifParser.js';
+import IPTCParser from './IPTCParser.js';
+import XMPParser from './XMPParser.js';
+
+const ORIENTATION_TAG = 0x0112;
+
+class MetadataSanitizer {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    
+    this.exifParser = new ExifParser(options, this.logger);
+    this.iptcParser = new IPTCParser(options, this.logger);
+    this.xmpParser = new XMPParser(options, this.logger);
+  }
+
+  // Used for `sanitizeMetadata: true`: location, maker data and anything that identifies the owner or device
+  static DEFAULT_POLICY = {
+    keep: [],
+    drop: ['GPS*', 'MakerNote', '*SerialNumber', 'CameraOwnerName', 'OwnerName']
+  };
+
+  // Without a drop list, keep acts as an allow list
+  resolvePolicy(option) {
+    if (!option) return null;
+    if (option === true) return MetadataSanitizer.DEFAULT_POLICY;
+    
+    const { keep = [], drop = ['*'] } = typeof option === 'object' ? option : {};
+    if (typeof option !== 'object' || !Array.isArray(keep) || !Array.isArray(drop)) {
+      throw new ValidationError('sanitizeMetadata must be true or { keep?: string[], drop?: string[] }', { sanitizeMetadata: option });
+    }
+    
+    return { keep, drop };
+  }
+
+  // Returns the metadata with the removed tags taken out of both the parsed and the raw blocks
+  sanitize(metadata, option) {
+    const policy = this.resolvePolicy(option);
+    if (!policy || !metadata) {
+      return { metadata, removed: [] };
+    }
+    
+    const timer = this.logger.startTimer('metadata_sanitization');
+    const keep = policy.keep.map(pattern => this.compilePattern(pattern));
+    const drop = policy.drop.map(pattern => this.compilePattern(pattern));
+    const removed = [];
+    const raw = { ...metadata.raw };
+    const sanitizers = {
+      exif: (block, shouldRemove) => this.sanitizeEXIF(block, shouldRemove, removed),
+      iptc: (block, shouldRemove) => this.sanitizeIPTC(block, shouldRemove, removed),
+      xmp: (block, shouldRemove) => this.sanitizeXMP(block, shouldRemove, removed)
+    };
+    
+    for (const [block, sanitizeBlock] of Object.entries(sanitizers)) {
+      if (!raw[block]) continue;
+      
+      // A block name on its own (EXIF, IPTC, XMP) drops the whole block
+      const dropBlock = this.matches(drop, block, true) && !this.matches(keep, block, true);
+      // Takes one name or several spellings of the same one; any kept spelling wins
+      const shouldRemove = names => {
+        const list = [].concat(names);
+        return !list.some(name => this.matches(keep, name)) && (dropBlock || list.some(name => this.matches(drop, name)));
+      };
+      
+      try {
+        raw[block] = sanitizeBlock(raw[block], shouldRemove);
+      } catch (error) {
+        // A block that cannot be edited safely is not passed on at all
+        this.logger.warn(`Dropping ${block.toUpperCase()} block that could not be sanitized`, { error: error.message });
+        removed.push({ block, group: null, tag: '*' });
+        raw[block] = null;
+      }
+    }
+    
+    const result = {
+      exif: raw.exif ? this.exifParser.parse(raw.exif) : null,
+      iptc: raw.iptc ? this.iptcParser.parse(raw.iptc) : null,
+      xmp: raw.xmp ? this.xmpParser.parse(raw.xmp) : null,
+      icc: metadata.icc,
+      raw
+    };
+    
+    const duration = timer.end();
+    this.logger.debug('Metadata sanitized', { removed: removed.length, duration });
+    
+    return { metadata: result, removed };
+  }
+
+  // Orientation 1 in EXIF and XMP, once the pixels have been turned upright
+  resetOrientation(metadata) {
+    const orientation = metadata?.exif?.ifd0.Orientation;
+    if (!orientation || orientation === 1) {
+      return metadata;
+    }
+    
+    const raw = { ...metadata.raw };
+    const bytes = raw.exif.slice();
+    const reader = this.exifParser.createReader(bytes);
+    const entry = this.exifParser.readEntries(reader, reader.firstIFD).entries.find(({ tag }) => tag === ORIENTATION_TAG);
+    if (entry?.type === 3) {
+      reader.view.setUint16(entry.valueOffset, 1, reader.littleEndian);
+      raw.exif = bytes;
+    }
+    
+    if (raw.xmp) {
+      raw.xmp = raw.xmp
+        .replace(/(tiff:Orientation\s*=\s*")\d(")/g, (match, open, close) => `${open}1${close}`)
+        .replace(/(<tiff:Orientation>)\s*\d\s*(<\/tiff:Orientation>)/g, (match, open, close) => `${open}1${close}`);
+    }
+    
+    return {
+      ...metadata,
+      exif: { ...metadata.exif, ifd0: { ...metadata.exif.ifd0, Orientation: 1 } },
+      xmp: metadata.xmp?.['tiff:Orientation'] ? { ...metadata.xmp, 'tiff:Orientation': '1' } : metadata.xmp,
+      raw
+    };
+  }
+
+  // Entries are removed from their directories in place so every other offset, the thumbnail
+  // and maker notes included, stays valid; the freed bytes are zeroed
+  sanitizeEXIF(tiff, shouldRemove, removed) {
+    const bytes = tiff.slice();
+    const reader = this.exifParser.createReader(bytes);
+    const remaining = this.filterIFD(reader, reader.firstIFD, 'ifd0', shouldRemove, removed, new Set());
+    
+    return remaining > 0 ? bytes : null;
+  }
+
+  filterIFD(reader, offset, group, shouldRemove, removed, visited) {
+    const { bytes, view, littleEndian } = reader;
+    const { entries, next } = this.exifParser.readEntries(reader, offset, visited);
+    const names = ExifParser.TAGS[group];
+    const kept = [];
+    
+    for (const entry of entries) {
+      const subGroup = group === 'ifd0' ? ExifParser.POINTERS[entry.tag] : null;
+      
+      if (subGroup) {
+        const subOffset = view.getUint32(entry.valueOffset, littleEndian);
+        if (this.filterIFD(reader, subOffset, subGroup, shouldRemove, removed, visited) > 0) {
+          kept.push(bytes.slice(entry.position, entry.position + 12));
+        }
+        continue;
+      }
+      
+      const tag = this.exifParser.tagName(entry.tag, names);
+      if (shouldRemove(tag)) {
+        removed.push({ block: 'exif', group, tag });
+        if (entry.length > 4) {
+          bytes.fill(0, entry.valueOffset, Math.min(bytes.length, entry.valueOffset + entry.length));
+        }
+      } else {
+        kept.push(bytes.slice(entry.position, entry.position + 12));
+      }
+    }
+    
+    if (kept.length === entries.length) {
+      return kept.length;
+    }
+    
+    // Rewrite the directory: count, surviving entries, next pointer, then zeros
+    const end = offset + 2 + entries.length * 12;
+    view.setUint16(offset, kept.length, littleEndian);
+    kept.forEach((entry, index) => bytes.set(entry, offset + 2 + index * 12));
+    
+    const nextPosition = offset + 2 + kept.length * 12;
+    view.setUint32(nextPosition, next, littleEndian);
+    bytes.fill(0, nextPosition + 4, Math.min(bytes.length, end + 4));
+    
+    return kept.length;
+  }
+
+  // Record 2 datasets are filtered by name; envelope records are kept as they are
+  sanitizeIPTC(iim, shouldRemove, removed) {
+    const kept = [];
+    let remaining = 0;
+    
+    for (const dataset of this.iptcParser.readDatasets(iim)) {
+      if (dataset.record === 2 && dataset.dataset !== 0) {
+        const tag = this.iptcParser.datasetName(dataset.dataset);
+        if (shouldRemove(tag)) {
+          removed.push({ block: 'iptc', group: 'application', tag });
+          continue;
+        }
+        remaining++;
+      }
+      kept.push(iim.subarray(dataset.start, dataset.end));
+    }
+    
+    if (remaining === 0) return null;
+    
+    const output = new Uint8Array(kept.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of kept) {
+      output.set(part, offset);
+      offset += part.length;
+    }
+    return output;
+  }
+
+  // Properties may be attributes of rdf:Description or elements inside it
+  sanitizeXMP(packet, shouldRemove, removed) {
+    const isRemoved = name => {
+      if (/^(xmlns|rdf|xml|x):/.test(name)) return false;
+      if (!shouldRemove([name, name.slice(name.indexOf(':') + 1)])) return false;
+      
+      removed.push({ block: 'xmp', group: name.slice(0, name.indexOf(':')), tag: name });
+      return true;
+    };
+    
+    const sanitizeAttributes = tag => tag.replace(/\s+([\w.-]+:[\w.-]+)\s*=\s*"[^"]*"/g, (attribute, name) => isRemoved(name) ? '' : attribute);
+    const sanitizeElements = body => body.replace(/<([\w.-]+:[\w.-]+)(?:\s[^>]*)?(?:\/>|>[\s\S]*?<\/\1>)/g, (element, name) => isRemoved(name) ? '' : element);
+    
+    const sanitized = packet
+      .replace(/(<rdf:Description\b[^>]*?)(\/>|>([\s\S]*?)<\/rdf:Description>)/g, (description, open, close, body) => {
+        return body === undefined
+          ? sanitizeAttributes(open) + close
+          : `${sanitizeAttributes(open)}>${sanitizeElements(body)}</rdf:Description>`;
+      });
+    
+    return Object.keys(this.xmpParser.parse(sanitized)).length > 0 ? sanitized : null;
+  }
+
+  // Case-insensitive globs where * matches any run of characters; XMP names may carry a prefix
+  compilePattern(pattern) {
+    const source = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return { literal: !String(pattern).includes('*'), regex: new RegExp(`^${source}$`, 'i') };
+  }
+
+  matches(patterns, name, literalOnly = false) {
+    return patterns.some(({ literal, regex }) => (!literalOnly || literal) && regex.test(name));
+  }
+}
+
+export default MetadataSanitizer;
\ No newline at end of file
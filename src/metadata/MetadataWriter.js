@@ -0,0 +1,276 @@
+/**
+ * @xbibzlibrary/kompreser - Metadata Writer
+ * Embeds raw EXIF, IPTC, XMP and ICC blocks into encoded JPEG, PNG and WebP files
+ */
+
+import Logger from '../utils/Logger.js';
+import FileValidator from '../utils/FileValidator.js';
+import Zlib from '../utils/Zlib.js';
+import PNGCompression from '../algorithms/PNGCompression.js';
+
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_NAMESPACE = 'http://ns.adobe.com/xap/1.0/\0';
+const PHOTOSHOP_SIGNATURE = 'Photoshop 3.0\0';
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+const ICC_HEADER = 'ICC_PROFILE\0';
+
+// A marker segment length field counts itself, so payloads top out at 65533 bytes
+const MAX_SEGMENT_PAYLOAD = 65533;
+
+// VP8X feature flags
+const WEBP_FLAG_ICC = 0x20;
+const WEBP_FLAG_ALPHA = 0x10;
+const WEBP_FLAG_EXIF = 0x08;
+const WEBP_FLAG_XMP = 0x04;
+
+class MetadataWriter {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    this.validator = new FileValidator(options);
+    this.png = new PNGCompression(options, this.logger);
+    this.zlib = new Zlib();
+  }
+
+  // raw is { exif, iptc, xmp, icc } as returned by MetadataExtractor: TIFF bytes, IIM bytes, the XMP packet
+  // and the ICC profile
+  embed(data, raw) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (!raw || (!raw.exif && !raw.iptc && !raw.xmp && !raw.icc)) {
+      return bytes;
+    }
+    
+    const format = (this.validator.detectFileSignature(bytes) || '').replace('image/', '');
+    const xmp = raw.xmp ? new TextEncoder().encode(raw.xmp) : null;
+    
+    switch (format) {
+      case 'jpeg':
+        return this.embedJPEG(bytes, raw.exif, raw.iptc, xmp, raw.icc);
+      case 'png':
+        return this.embedPNG(bytes, raw.exif, raw.iptc, xmp, raw.icc);
+      case 'webp':
+        return this.embedWebP(bytes, raw.exif, raw.iptc, xmp, raw.icc);
+      default:
+        this.logger.warn('Metadata cannot be embedded in this format', { format: format || 'unknown' });
+        return bytes;
+    }
+  }
+
+  embedJPEG(bytes, exif, iptc, xmp, icc) {
+    const segments = [];
+    
+    if (exif) {
+      segments.push(this.createSegment(0xE1, EXIF_HEADER, exif, 'EXIF'));
+    }
+    if (xmp) {
+      segments.push(this.createSegment(0xE1, XMP_NAMESPACE, xmp, 'XMP'));
+    }
+    if (icc) {
+      segments.push(...this.createICCSegments(icc));
+    }
+    if (iptc) {
+      segments.push(this.createSegment(0xED, PHOTOSHOP_SIGNATURE, this.createIPTCResource(iptc), 'IPTC'));
+    }
+    
+    // EXIF must directly follow SOI, or a JFIF APP0 if there is one
+    let insertAt = 2;
+    while (bytes[insertAt] === 0xFF && bytes[insertAt + 1] === 0xE0) {
+      insertAt += 2 + ((bytes[insertAt + 2] << 8) | bytes[insertAt + 3]);
+    }
+    
+    return this.concat([bytes.subarray(0, insertAt), ...segments.filter(Boolean), bytes.subarray(insertAt)]);
+  }
+
+  createSegment(marker, header, payload, type) {
+    const length = header.length + payload.length;
+    if (length > MAX_SEGMENT_PAYLOAD) {
+      this.logger.warn(`${type} block is too large for a JPEG segment, dropping it`, { size: length });
+      return null;
+    }
+    
+    const segment = new Uint8Array(4 + length);
+    segment[0] = 0xFF;
+    segment[1] = marker;
+    segment[2] = (length + 2) >> 8;
+    segment[3] = (length + 2) & 0xFF;
+    segment.set(this.latin1(header), 4);
+    segment.set(payload, 4 + header.length);
+    return segment;
+  }
+
+  // APP2 chunks of at most 65519 profile bytes, each tagged with its 1-based index and the chunk count
+  createICCSegments(icc) {
+    const chunkSize = MAX_SEGMENT_PAYLOAD - ICC_HEADER.length - 2;
+    const count = Math.ceil(icc.length / chunkSize);
+    if (count > 255) {
+      this.logger.warn('ICC profile is too large for JPEG, dropping it', { size: icc.length });
+      return [];
+    }
+    
+    const segments = [];
+    for (let i = 0; i < count; i++) {
+      const chunk = icc.subarray(i * chunkSize, (i + 1) * chunkSize);
+      segments.push(this.createSegment(0xE2, ICC_HEADER, this.concat([new Uint8Array([i + 1, count]), chunk]), 'ICC'));
+    }
+    return segments;
+  }
+
+  // Single 8BIM 0x0404 resource with an empty name, padded to an even size
+  createIPTCResource(iim) {
+    const resource = new Uint8Array(12 + iim.length + (iim.length & 1));
+    const view = new DataView(resource.buffer);
+    resource.set(this.latin1('8BIM'), 0);
+    view.setUint16(4, 0x0404);
+    view.setUint32(8, iim.length);
+    resource.set(iim, 12);
+    return resource;
+  }
+
+  // iCCP, eXIf and the XMP iTXt chunk go before the palette and image data; PNG has no IPTC container
+  embedPNG(bytes, exif, iptc, xmp, icc) {
+    if (iptc) {
+      this.logger.warn('PNG has no standard IPTC chunk, dropping IPTC metadata');
+    }
+    
+    const chunks = [];
+    if (icc) {
+      const header = this.latin1('ICC Profile\0\0');
+      chunks.push(this.png.createChunk('iCCP', this.concat([header, this.zlib.deflate(icc, 9)])));
+    }
+    if (exif) {
+      chunks.push(this.png.createChunk('eXIf', exif));
+    }
+    if (xmp) {
+      const header = this.latin1(`${PNG_XMP_KEYWORD}\0\0\0\0\0`);
+      chunks.push(this.png.createChunk('iTXt', this.concat([header, xmp])));
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+      const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      if (type === 'PLTE' || type === 'IDAT') break;
+      offset += 12 + view.getUint32(offset);
+    }
+    
+    return this.concat([bytes.subarray(0, offset), ...chunks, bytes.subarray(offset)]);
+  }
+
+  // Simple VP8/VP8L files are promoted to the extended VP8X layout, which is the only one with metadata
+  embedWebP(bytes, exif, iptc, xmp, icc) {
+    if (iptc) {
+      this.logger.warn('WebP has no IPTC chunk, dropping IPTC metadata');
+    }
+    
+    // Only chunks that are about to be replaced are dropped, so the VP8X flags stay accurate
+    const replaced = [exif && 'EXIF', xmp && 'XMP ', icc && 'ICCP'].filter(Boolean);
+    const chunks = this.readRIFFChunks(bytes).filter(chunk => !replaced.includes(chunk.type));
+    let header = chunks.find(chunk => chunk.type === 'VP8X');
+    
+    if (!header) {
+      const image = chunks.find(chunk => chunk.type === 'VP8 ' || chunk.type === 'VP8L');
+      if (!image) {
+        this.logger.warn('WebP file has no image chunk, metadata not embedded');
+        return bytes;
+      }
+      
+      header = { type: 'VP8X', data: this.createVP8X(image) };
+      chunks.unshift(header);
+    } else {
+      header.data = header.data.slice();
+    }
+    
+    // The profile has to come right after VP8X, before any animation or image data
+    if (icc) {
+      header.data[0] |= WEBP_FLAG_ICC;
+      chunks.splice(chunks.indexOf(header) + 1, 0, { type: 'ICCP', data: icc });
+    }
+    if (exif) {
+      header.data[0] |= WEBP_FLAG_EXIF;
+      chunks.push({ type: 'EXIF', data: exif });
+    }
+    if (xmp) {
+      header.data[0] |= WEBP_FLAG_XMP;
+      chunks.push({ type: 'XMP ', data: xmp });
+    }
+    
+    const parts = [];
+    for (const { type, data } of chunks) {
+      const chunkHeader = new Uint8Array(8);
+      chunkHeader.set(this.latin1(type), 0);
+      new DataView(chunkHeader.buffer).setUint32(4, data.length, true);
+      parts.push(chunkHeader, data);
+      if (data.length & 1) parts.push(new Uint8Array(1));
+    }
+    
+    const body = this.concat(parts);
+    const riff = new Uint8Array(12);
+    riff.set(this.latin1('RIFF'), 0);
+    new DataView(riff.buffer).setUint32(4, body.length + 4, true);
+    riff.set(this.latin1('WEBP'), 8);
+    
+    return this.concat([riff, body]);
+  }
+
+  readRIFFChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 12;
+    
+    while (offset + 8 <= bytes.length) {
+      const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+      const size = view.getUint32(offset + 4, true);
+      chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + size) });
+      offset += 8 + size + (size & 1);
+    }
+    
+    return chunks;
+  }
+
+  // Flags, three reserved bytes, then canvas width and height minus one as 24-bit values
+  createVP8X(image) {
+    const { data } = image;
+    let width;
+    let height;
+    let flags = 0;
+    
+    if (image.type === 'VP8L') {
+      const bits = data[1] | (data[2] << 8) | (data[3] << 16) | (data[4] << 24);
+      width = (bits & 0x3FFF) + 1;
+      height = ((bits >>> 14) & 0x3FFF) + 1;
+      if ((bits >>> 28) & 1) flags |= WEBP_FLAG_ALPHA;
+    } else {
+      // Key frame: 3-byte frame tag, 3-byte start code, then 14-bit dimensions
+      width = (data[6] | (data[7] << 8)) & 0x3FFF;
+      height = (data[8] | (data[9] << 8)) & 0x3FFF;
+    }
+    
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = flags;
+    for (let i = 0; i < 3; i++) {
+      vp8x[4 + i] = ((width - 1) >> (8 * i)) & 0xFF;
+      vp8x[7 + i] = ((height - 1) >> (8 * i)) & 0xFF;
+    }
+    return vp8x;
+  }
+
+  latin1(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+      bytes[i] = text.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  concat(parts) {
+    const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      output.set(part, offset);
+      offset += part.length;
+    }
+    return output;
+  }
+}
+
+export default MetadataWriter;
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * @xbibzlibrary/kompreser - XMP Parser
+ * Lightweight RDF/XML reader for the simple and array properties of an XMP packet
+ */
+
+import Logger from '../utils/Logger.js';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class XMPParser {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+  }
+
+  // Returns properties keyed by their qualified name (e.g. 'xmp:CreatorTool', 'dc:subject');
+  // structures and qualifiers are left to the packet itself
+  parse(packet) {
+    const properties = {};
+    const descriptions = packet.matchAll(/<rdf:Description\b([^>]*?)(\/>|>([\s\S]*?)<\/rdf:Description>)/g);
+    
+    for (const [, attributes, , body] of descriptions) {
+      // Simple properties may be written as attributes of the description
+      for (const [, name, value] of attributes.matchAll(/([\w.-]+:[\w.-]+)\s*=\s*"([^"]*)"/g)) {
+        if (name.startsWith('xmlns:') || name.startsWith('rdf:')) continue;
+        properties[name] = this.decodeEntities(value);
+      }
+      
+      if (!body) continue;
+      
+      for (const [, name, content] of body.matchAll(/<([\w.-]+:[\w.-]+)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/g)) {
+        const items = [...content.matchAll(/<rdf:li\b[^>]*>([\s\S]*?)<\/rdf:li>/g)].map(([, item]) => this.decodeEntities(item.trim()));
+        
+        if (items.length > 0) {
+          // Language alternatives collapse to their default entry
+          properties[name] = /<rdf:Alt\b/.test(content) ? items[0] : items;
+        } else if (!content.includes('<')) {
+          properties[name] = this.decodeEntities(content.trim());
+        }
+      }
+    }
+    
+    return properties;
+  }
+
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return String.fromCodePoint(value);
+      }
+      return XML_ENTITIES[code] ?? entity;
+    });
+  }
+}
+
+export default XMPParser;
\ No newline at end of file
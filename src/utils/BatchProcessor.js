@@ -0,0 +1,268 @@
+/**
+ * @xbibzlibrary/kompreser - Batch Processor
+ * Concurrency-limited batch execution with progress events and cancellation
+ */
+
+import Logger from './Logger.js';
+import { ValidationError } from '../core/ErrorHandler.js';
+
+class BatchProcessor {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    
+    this.batchSize = Math.max(1, Math.floor(options.batchSize || 10));
+    this.concurrency = Math.max(1, Math.floor(options.maxWorkers || 4));
+    
+    this.listeners = new Map();
+    
+    // One entry per process() call in flight; cancellation and concurrency slots are tracked per run
+    this.runs = new Set();
+    
+    // Callbacks passed as options are wired up as event listeners
+    const callbacks = {
+      progress: options.onProgress,
+      fileComplete: options.onFileComplete,
+      batchComplete: options.onBatchComplete
+    };
+    
+    for (const [event, callback] of Object.entries(callbacks)) {
+      if (typeof callback === 'function') {
+        this.on(event, callback);
+      }
+    }
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return this;
+  }
+
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+    return this;
+  }
+
+  // Instance listeners, plus the callbacks of the run the event belongs to
+  emit(event, payload, run) {
+    const callback = run?.callbacks[event];
+    const listeners = [...(this.listeners.get(event) || []), ...(typeof callback === 'function' ? [callback] : [])];
+    
+    for (const listener of listeners) {
+      try {
+        listener(payload);
+      } catch (error) {
+        this.logger.warn('Batch event listener failed', { event, error: error.message });
+      }
+    }
+  }
+
+  async process(inputs, fn, options = {}) {
+    if (!Array.isArray(inputs)) {
+      throw new ValidationError('Batch input must be an array');
+    }
+    
+    if (typeof fn !== 'function') {
+      throw new ValidationError('Batch processor requires a processing function');
+    }
+    
+    const timer = this.logger.startTimer('batch_processing');
+    const total = inputs.length;
+    const results = new Array(total);
+    const progress = { processed: 0, succeeded: 0, failed: 0 };
+    
+    // Per-call callbacks only live for this run
+    const run = {
+      cancelled: !!options.signal?.aborted,
+      activeCount: 0,
+      waiting: [],
+      callbacks: {
+        progress: options.onProgress,
+        fileComplete: options.onFileComplete,
+        batchComplete: options.onBatchComplete
+      }
+    };
+    
+    const onAbort = () => this.cancelRun(run);
+    options.signal?.addEventListener?.('abort', onAbort);
+    
+    this.runs.add(run);
+    
+    this.logger.debug('Starting batch processing', {
+      total,
+      batchSize: this.batchSize,
+      concurrency: this.concurrency
+    });
+    
+    try {
+      let offset = 0;
+      
+      // batchSize is re-read each round so reduceBatchSize() applies to the remaining work
+      while (offset < total) {
+        const batch = inputs.slice(offset, offset + this.batchSize).map((input, i) => ({ input, index: offset + i }));
+        offset += batch.length;
+        
+        const batchResults = await Promise.all(batch.map(({ input, index }) =>
+          this.runItem(run, input, index, fn).then(result => {
+            results[index] = result;
+            
+            progress.processed++;
+            if (result.success) {
+              progress.succeeded++;
+            } else {
+              progress.failed++;
+            }
+            
+            this.emit('fileComplete', result, run);
+            this.emit('progress', {
+              ...progress,
+              total,
+              percentage: Math.round((progress.processed / total) * 100),
+              index,
+              currentFile: this.getInputName(input, index),
+              cancelled: run.cancelled
+            }, run);
+            
+            return result;
+          })
+        ));
+        
+        this.emit('batchComplete', batchResults, run);
+      }
+      
+      const duration = timer.end();
+      
+      this.logger.debug('Batch processing completed', {
+        duration,
+        total,
+        succeeded: progress.succeeded,
+        failed: progress.failed,
+        cancelled: run.cancelled
+      });
+      
+      return results;
+    
+    } finally {
+      this.runs.delete(run);
+      options.signal?.removeEventListener?.('abort', onAbort);
+    }
+  }
+
+  async runItem(run, input, index, fn) {
+    await this.acquireSlot(run);
+    
+    const start = Date.now();
+    
+    try {
+      if (run.cancelled) {
+        return {
+          success: false,
+          result: null,
+          error: 'Batch processing cancelled',
+          cancelled: true,
+          index,
+          inputIndex: index,
+          processingTime: 0
+        };
+      }
+      
+      const result = await fn(input, index);
+      
+      return {
+        success: true,
+        result,
+        error: null,
+        index,
+        inputIndex: index,
+        processingTime: Date.now() - start
+      };
+    
+    } catch (error) {
+      this.logger.warn('Batch item failed', { index, error: error.message });
+      
+      return {
+        success: false,
+        result: null,
+        error: error.message,
+        errorCode: error.code,
+        index,
+        inputIndex: index,
+        processingTime: Date.now() - start
+      };
+    
+    } finally {
+      this.releaseSlot(run);
+    }
+  }
+
+  // Wait until fewer than `concurrency` items of this run are in flight
+  acquireSlot(run) {
+    if (run.activeCount < this.concurrency) {
+      run.activeCount++;
+      return Promise.resolve();
+    }
+    
+    return new Promise(resolve => {
+      run.waiting.push(resolve);
+    });
+  }
+
+  releaseSlot(run) {
+    run.activeCount--;
+    
+    while (run.waiting.length > 0 && run.activeCount < this.concurrency) {
+      run.activeCount++;
+      run.waiting.shift()();
+    }
+  }
+
+  // Cancels every run in flight; a signal passed to process() only cancels its own run
+  cancel() {
+    this.runs.forEach(run => this.cancelRun(run));
+  }
+
+  cancelRun(run) {
+    if (!run.cancelled) {
+      run.cancelled = true;
+      this.logger.info('Batch processing cancelled', { pending: run.waiting.length });
+    }
+  }
+
+  // Called by the memory recovery strategy: halve the batch size and the number of items in flight
+  reduceBatchSize() {
+    const previous = { batchSize: this.batchSize, concurrency: this.concurrency };
+    
+    this.batchSize = Math.max(1, Math.floor(this.batchSize / 2));
+    this.concurrency = Math.max(1, Math.floor(this.concurrency / 2));
+    
+    this.logger.warn('Reduced batch processing load', {
+      batchSize: `${previous.batchSize} -> ${this.batchSize}`,
+      concurrency: `${previous.concurrency} -> ${this.concurrency}`
+    });
+    
+    return { batchSize: this.batchSize, concurrency: this.concurrency };
+  }
+
+  getInputName(input, index) {
+    return (input && typeof input === 'object' && input.name) || `#${index}`;
+  }
+
+  getStats() {
+    const runs = [...this.runs];
+    
+    return {
+      running: runs.length > 0,
+      runs: runs.length,
+      cancelled: runs.length > 0 && runs.every(run => run.cancelled),
+      batchSize: this.batchSize,
+      concurrency: this.concurrency,
+      activeTasks: runs.reduce((sum, run) => sum + run.activeCount, 0),
+      queuedTasks: runs.reduce((sum, run) => sum + run.waiting.length, 0)
+    };
+  }
+}
+
+export default BatchProcessor;
\ No newline at end of file
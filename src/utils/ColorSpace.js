@@ -0,0 +1,376 @@
+/**
+ * @xbibzlibrary/kompreser - Color Space Management
+ * Matrix/TRC RGB color spaces: linear-light conversion between them and ICC v4 profile generation
+ */
+
+import Logger from './Logger.js';
+import { ValidationError, UnsupportedError } from '../core/ErrorHandler.js';
+
+// ICC profile connection space white (D50) and chromaticities of the usual white points
+const PCS_WHITE = [0.9642, 1.0, 0.8249];
+const D65 = [0.3127, 0.3290];
+const D50 = [0.3457, 0.3585];
+
+const BRADFORD = [
+  [0.8951, 0.2664, -0.1614],
+  [-0.7502, 1.7135, 0.0367],
+  [0.0389, -0.0685, 1.0296]
+];
+
+// IEC 61966-2-1 piecewise curve as ICC parametric function 3
+const SRGB_CURVE = { type: 'parametric', function: 3, params: [2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045] };
+
+const SPACES = {
+  'srgb': {
+    description: 'sRGB',
+    primaries: [[0.64, 0.33], [0.30, 0.60], [0.15, 0.06]],
+    white: D65,
+    curve: SRGB_CURVE
+  },
+  'display-p3': {
+    description: 'Display P3',
+    primaries: [[0.680, 0.320], [0.265, 0.690], [0.150, 0.060]],
+    white: D65,
+    curve: SRGB_CURVE
+  },
+  'adobe-rgb': {
+    description: 'Adobe RGB (1998)',
+    primaries: [[0.64, 0.33], [0.21, 0.71], [0.15, 0.06]],
+    white: D65,
+    curve: { type: 'gamma', gamma: 563 / 256 }
+  },
+  'prophoto-rgb': {
+    description: 'ProPhoto RGB',
+    primaries: [[0.7347, 0.2653], [0.1596, 0.8404], [0.0366, 0.0001]],
+    white: D50,
+    // ROMM RGB: gamma 1.8 with a linear segment below 1/512
+    curve: { type: 'parametric', function: 3, params: [1.8, 1, 0, 1 / 16, 1 / 32] }
+  }
+};
+
+// Encoded values are looked up at the square root of linear light, which keeps the shadows precise
+const ENCODE_LUT_SIZE = 4096;
+
+class ColorSpace {
+  constructor(options = {}, logger) {
+    this.options = options;
+    this.logger = logger || new Logger();
+    this.spaces = new Map();
+    this.profiles = new Map();
+  }
+
+  static NAMES = Object.keys(SPACES);
+
+  // A built-in space by name: { name, description, matrix (RGB to D50 XYZ), curves }
+  resolve(name) {
+    const key = String(name).toLowerCase();
+    if (!SPACES[key]) {
+      throw new ValidationError(`Unknown color space: ${name}`, { colorSpace: name, supported: ColorSpace.NAMES });
+    }
+    
+    if (!this.spaces.has(key)) {
+      const { description, primaries, white, curve } = SPACES[key];
+      this.spaces.set(key, {
+        name: key,
+        description,
+        matrix: this.adaptToPCS(this.primariesToXYZ(primaries, white), white),
+        curves: { red: curve, green: curve, blue: curve }
+      });
+    }
+    
+    return this.spaces.get(key);
+  }
+
+  // Space described by a parsed ICC profile, reported under a built-in name when it matches one
+  fromProfile(profile) {
+    if (!profile.colorants || !profile.curves) {
+      throw new UnsupportedError('ICC profiles without RGB colorants and tone curves', {
+        description: profile.description,
+        colorSpace: profile.colorSpace
+      });
+    }
+    
+    const { red, green, blue } = profile.colorants;
+    const space = {
+      name: 'icc',
+      description: profile.description || 'Embedded ICC profile',
+      matrix: [0, 1, 2].map(row => [red[row], green[row], blue[row]]),
+      curves: profile.curves
+    };
+    
+    const match = ColorSpace.NAMES.find(name => this.isEquivalent(space, this.resolve(name)));
+    return match ? { ...space, name: match } : space;
+  }
+
+  isEquivalent(a, b) {
+    for (let row = 0; row < 3; row++) {
+      for (let column = 0; column < 3; column++) {
+        if (Math.abs(a.matrix[row][column] - b.matrix[row][column]) > 0.002) return false;
+      }
+    }
+    
+    for (const channel of ['red', 'green', 'blue']) {
+      for (let i = 0; i <= 32; i++) {
+        const value = i / 32;
+        if (Math.abs(this.evaluateCurve(a.curves[channel], value) - this.evaluateCurve(b.curves[channel], value)) > 0.5 / 255) {
+          return false;
+        }
+      }
+    }
+    
+    return true;
+  }
+
+  // Decode to linear light, change primaries in D50 XYZ, clip and re-encode; alpha is left alone
+  convert(imageData, source, target) {
+    const timer = this.logger.startTimer('color_conversion');
+    const matrix = this.multiply(this.invert(target.matrix), source.matrix);
+    const decode = ['red', 'green', 'blue'].map(channel => this.createDecodeTable(source.curves[channel]));
+    const encode = ['red', 'green', 'blue'].map(channel => this.createEncodeTable(target.curves[channel]));
+    const [m0, m1, m2] = matrix;
+    
+    const { data } = imageData;
+    const output = new Uint8ClampedArray(data.length);
+    
+    for (let i = 0; i < data.length; i += 4) {
+      const r = decode[0][data[i]];
+      const g = decode[1][data[i + 1]];
+      const b = decode[2][data[i + 2]];
+      
+      output[i] = this.encodeValue(encode[0], m0[0] * r + m0[1] * g + m0[2] * b);
+      output[i + 1] = this.encodeValue(encode[1], m1[0] * r + m1[1] * g + m1[2] * b);
+      output[i + 2] = this.encodeValue(encode[2], m2[0] * r + m2[1] * g + m2[2] * b);
+      output[i + 3] = data[i + 3];
+    }
+    
+    const duration = timer.end();
+    this.logger.debug('Color space converted', { from: source.name, to: target.name, duration });
+    
+    return { ...imageData, data: output };
+  }
+
+  encodeValue(table, linear) {
+    const clipped = linear <= 0 ? 0 : linear >= 1 ? 1 : linear;
+    return table[Math.round(Math.sqrt(clipped) * ENCODE_LUT_SIZE)];
+  }
+
+  createDecodeTable(curve) {
+    const table = new Float32Array(256);
+    for (let i = 0; i < 256; i++) {
+      table[i] = this.evaluateCurve(curve, i / 255);
+    }
+    return table;
+  }
+
+  createEncodeTable(curve) {
+    const table = new Uint8Array(ENCODE_LUT_SIZE + 1);
+    for (let i = 0; i <= ENCODE_LUT_SIZE; i++) {
+      const linear = (i / ENCODE_LUT_SIZE) ** 2;
+      table[i] = Math.round(this.invertCurve(curve, linear) * 255);
+    }
+    return table;
+  }
+
+  // Encoded value (0-1) to linear light
+  evaluateCurve(curve, x) {
+    if (curve.type === 'gamma') {
+      return x ** curve.gamma;
+    }
+    
+    if (curve.type === 'table') {
+      const { table } = curve;
+      const position = x * (table.length - 1);
+      const index = Math.min(table.length - 2, Math.floor(position));
+      const t = position - index;
+      return table[index] + (table[index + 1] - table[index]) * t;
+    }
+    
+    const [g, a = 1, b = 0, c = 0, d = 0, e = 0, f = 0] = curve.params;
+    switch (curve.function) {
+      case 0:
+        return x ** g;
+      case 1:
+        return x >= -b / a ? Math.max(0, a * x + b) ** g : 0;
+      case 2:
+        return x >= -b / a ? Math.max(0, a * x + b) ** g + c : c;
+      case 3:
+        return x >= d ? Math.max(0, a * x + b) ** g : c * x;
+      case 4:
+        return x >= d ? Math.max(0, a * x + b) ** g + e : c * x + f;
+      default:
+        throw new UnsupportedError(`parametric curve function ${curve.function}`);
+    }
+  }
+
+  // Tone curves are monotonic, so bisection finds the encoded value for any linear one
+  invertCurve(curve, y) {
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 24; i++) {
+      const middle = (low + high) / 2;
+      if (this.evaluateCurve(curve, middle) < y) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    return (low + high) / 2;
+  }
+
+  // RGB to XYZ for the given primaries, scaled so RGB white lands on the white point
+  primariesToXYZ(primaries, white) {
+    const toXYZ = ([x, y]) => [x / y, 1, (1 - x - y) / y];
+    const columns = primaries.map(toXYZ);
+    const P = [0, 1, 2].map(row => columns.map(column => column[row]));
+    const S = this.apply(this.invert(P), toXYZ(white));
+    
+    return P.map(row => row.map((value, column) => value * S[column]));
+  }
+
+  // Bradford chromatic adaptation from the space's white to the D50 connection space
+  adaptToPCS(matrix, white) {
+    const source = this.apply(BRADFORD, [white[0] / white[1], 1, (1 - white[0] - white[1]) / white[1]]);
+    const destination = this.apply(BRADFORD, PCS_WHITE);
+    const scale = [0, 1, 2].map(i => [0, 1, 2].map(j => (i === j ? destination[i] / source[i] : 0)));
+    const adaptation = this.multiply(this.invert(BRADFORD), this.multiply(scale, BRADFORD));
+    
+    return this.multiply(adaptation, matrix);
+  }
+
+  // ICC v4 display profile for a built-in space; bytes are cached per space
+  createProfile(name) {
+    const space = this.resolve(name);
+    if (this.profiles.has(space.name)) {
+      return this.profiles.get(space.name);
+    }
+    
+    const { white } = SPACES[space.name];
+    const chad = this.adaptToPCS([[1, 0, 0], [0, 1, 0], [0, 0, 1]], white);
+    const curve = this.createParametricTag(space.curves.red);
+    
+    const tags = [
+      ['desc', this.createMLUCTag(space.description)],
+      ['cprt', this.createMLUCTag('No copyright, use freely')],
+      ['wtpt', this.createXYZTag(PCS_WHITE)],
+      ['chad', this.createS15Tag('sf32', chad.flat())],
+      ['rXYZ', this.createXYZTag(space.matrix.map(row => row[0]))],
+      ['gXYZ', this.createXYZTag(space.matrix.map(row => row[1]))],
+      ['bXYZ', this.createXYZTag(space.matrix.map(row => row[2]))],
+      ['rTRC', curve],
+      ['gTRC', curve],
+      ['bTRC', curve]
+    ];
+    
+    // Identical tag data (the three curves) is stored once and shared
+    const tableSize = 4 + tags.length * 12;
+    const layout = new Map();
+    let size = 128 + tableSize;
+    for (const [, data] of tags) {
+      if (!layout.has(data)) {
+        layout.set(data, size);
+        size += (data.length + 3) & ~3;
+      }
+    }
+    
+    const profile = new Uint8Array(size);
+    const view = new DataView(profile.buffer);
+    
+    view.setUint32(0, size);
+    view.setUint32(8, 0x04300000);
+    this.writeSignature(profile, 12, 'mntr');
+    this.writeSignature(profile, 16, 'RGB ');
+    this.writeSignature(profile, 20, 'XYZ ');
+    [2024, 1, 1, 0, 0, 0].forEach((value, i) => view.setUint16(24 + i * 2, value));
+    this.writeSignature(profile, 36, 'acsp');
+    PCS_WHITE.forEach((value, i) => view.setInt32(68 + i * 4, Math.round(value * 65536)));
+    
+    view.setUint32(128, tags.length);
+    tags.forEach(([signature, data], i) => {
+      const entry = 132 + i * 12;
+      this.writeSignature(profile, entry, signature);
+      view.setUint32(entry + 4, layout.get(data));
+      view.setUint32(entry + 8, data.length);
+    });
+    
+    for (const [data, offset] of layout) {
+      profile.set(data, offset);
+    }
+    
+    this.profiles.set(space.name, profile);
+    return profile;
+  }
+
+  createMLUCTag(text) {
+    const data = new Uint8Array(28 + text.length * 2);
+    const view = new DataView(data.buffer);
+    this.writeSignature(data, 0, 'mluc');
+    view.setUint32(8, 1);
+    view.setUint32(12, 12);
+    this.writeSignature(data, 16, 'enUS');
+    view.setUint32(20, text.length * 2);
+    view.setUint32(24, 28);
+    for (let i = 0; i < text.length; i++) {
+      view.setUint16(28 + i * 2, text.charCodeAt(i));
+    }
+    return data;
+  }
+
+  createXYZTag(xyz) {
+    return this.createS15Tag('XYZ ', xyz);
+  }
+
+  createS15Tag(type, values) {
+    const data = new Uint8Array(8 + values.length * 4);
+    const view = new DataView(data.buffer);
+    this.writeSignature(data, 0, type);
+    values.forEach((value, i) => view.setInt32(8 + i * 4, Math.round(value * 65536)));
+    return data;
+  }
+
+  createParametricTag(curve) {
+    const { function: fn, params } = curve.type === 'gamma'
+      ? { function: 0, params: [curve.gamma] }
+      : curve;
+    
+    const data = new Uint8Array(12 + params.length * 4);
+    const view = new DataView(data.buffer);
+    this.writeSignature(data, 0, 'para');
+    view.setUint16(8, fn);
+    params.forEach((value, i) => view.setInt32(12 + i * 4, Math.round(value * 65536)));
+    return data;
+  }
+
+  writeSignature(bytes, offset, signature) {
+    for (let i = 0; i < 4; i++) {
+      bytes[offset + i] = signature.charCodeAt(i);
+    }
+  }
+
+  multiply(a, b) {
+    return a.map(row => [0, 1, 2].map(column => row[0] * b[0][column] + row[1] * b[1][column] + row[2] * b[2][column]));
+  }
+
+  apply(matrix, vector) {
+    return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+  }
+
+  invert(m) {
+    const [[a, b, c], [d, e, f], [g, h, i]] = m;
+    const A = e * i - f * h;
+    const B = -(d * i - f * g);
+    const C = d * h - e * g;
+    const determinant = a * A + b * B + c * C;
+    
+    if (Math.abs(determinant) < 1e-12) {
+      throw new ValidationError('Color matrix is not invertible');
+    }
+    
+    return [
+      [A / determinant, -(b * i - c * h) / determinant, (b * f - c * e) / determinant],
+      [B / determinant, (a * i - c * g) / determinant, -(a * f - c * d) / determinant],
+      [C / determinant, -(a * h - b * g) / determinant, (a * e - b * d) / determinant]
+    ];
+  }
+}
+
+export default ColorSpace;
\ No newline at end of file
@@ -0,0 +1,226 @@
+/**
+ * @xbibzlibrary/kompreser - Runtime Environment Detection
+ * Capability detection so browser-only paths can be gated in Node.js and workers
+ */
+
+import { UnsupportedError } from '../core/ErrorHandler.js';
+
+class Environment {
+  constructor(globalObject = globalThis) {
+    this.global = globalObject;
+  }
+
+  isNode() {
+    const process = this.global.process;
+    return !!(process && process.versions && process.versions.node);
+  }
+
+  isBrowser() {
+    return typeof this.global.window !== 'undefined' && typeof this.global.document !== 'undefined';
+  }
+
+  isWebWorker() {
+    return typeof this.global.importScripts === 'function' && typeof this.global.document === 'undefined';
+  }
+
+  hasDOM() {
+    const document = this.global.document;
+    return !!(document && typeof document.createElement === 'function');
+  }
+
+  hasOffscreenCanvas() {
+    return typeof this.global.OffscreenCanvas === 'function';
+  }
+
+  hasCanvas() {
+    return this.hasOffscreenCanvas() || this.hasDOM();
+  }
+
+  hasImageBitmap() {
+    return typeof this.global.createImageBitmap === 'function';
+  }
+
+  hasWebWorkers() {
+    return typeof this.global.Worker === 'function' && !this.isNode();
+  }
+
+  hasWorkers() {
+    return this.hasWebWorkers() || this.isNode();
+  }
+
+  hasWebAssembly() {
+    return typeof this.global.WebAssembly === 'object' && typeof this.global.WebAssembly.instantiate === 'function';
+  }
+
+  // Object URLs only make sense where something can load them
+  hasObjectURL() {
+    const URL = this.global.URL || this.global.webkitURL;
+    return !this.isNode() &&
+      typeof this.global.Blob === 'function' &&
+      !!URL && typeof URL.createObjectURL === 'function';
+  }
+
+  // Logical processors from navigator (browsers, Node.js 21+) or the os module; 4 where neither is available.
+  // Node.js before 20.16 has no process.getBuiltinModule, so os is only there after loadHardwareConcurrency()
+  getHardwareConcurrency() {
+    const navigator = this.global.navigator;
+    if (navigator && navigator.hardwareConcurrency) {
+      return navigator.hardwareConcurrency;
+    }
+    
+    const os = this.isNode() ? this.nodeOS || this.global.process.getBuiltinModule?.('node:os') : null;
+    if (os) {
+      return Math.max(1, os.availableParallelism?.() ?? os.cpus().length);
+    }
+    
+    return 4;
+  }
+
+  async loadHardwareConcurrency() {
+    if (this.isNode() && !this.nodeOS) {
+      // Browser builds cannot import it, which leaves the estimate as it is
+      this.nodeOS = await import('node:os').catch(() => null);
+    }
+    
+    return this.getHardwareConcurrency();
+  }
+
+  // Milliseconds from the high-resolution clock; Node.js 14 has no global performance
+  now() {
+    const performance = this.global.performance;
+    return performance && typeof performance.now === 'function' ? performance.now() : Date.now();
+  }
+
+  // Chromium's non-standard heap figures, the only ones that carry a limit
+  getHeapStatistics() {
+    const memory = this.global.performance?.memory;
+    if (!memory) {
+      return null;
+    }
+    
+    return {
+      used: memory.usedJSHeapSize,
+      total: memory.totalJSHeapSize,
+      limit: memory.jsHeapSizeLimit
+    };
+  }
+
+  getMemoryUsage() {
+    const heap = this.getHeapStatistics();
+    if (heap) {
+      return heap;
+    }
+    
+    const process = this.global.process;
+    if (process && typeof process.memoryUsage === 'function') {
+      const usage = process.memoryUsage();
+      return {
+        used: usage.heapUsed,
+        total: usage.heapTotal,
+        limit: null
+      };
+    }
+    
+    return null;
+  }
+
+  // instanceof against globals that may not exist in this runtime
+  isInstance(value, typeName) {
+    const type = this.global[typeName];
+    return typeof type === 'function' && value instanceof type;
+  }
+
+  // Encoded image bytes: Buffer, typed array or ArrayBuffer
+  isBinary(value) {
+    return value instanceof ArrayBuffer || (ArrayBuffer.isView(value) && !(value instanceof DataView));
+  }
+
+  toUint8Array(value) {
+    if (value instanceof Uint8Array) return value;
+    if (value instanceof ArrayBuffer) return new Uint8Array(value);
+    return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  }
+
+  decodeBase64(base64) {
+    if (typeof this.global.atob === 'function') {
+      const binary = this.global.atob(base64);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      return bytes;
+    }
+    
+    const Buffer = this.global.Buffer;
+    if (Buffer) {
+      return new Uint8Array(Buffer.from(base64, 'base64'));
+    }
+    
+    throw new UnsupportedError('base64 decoding');
+  }
+
+  createCanvas(width, height) {
+    if (this.hasOffscreenCanvas()) {
+      return new this.global.OffscreenCanvas(width, height);
+    }
+    
+    if (this.hasDOM()) {
+      const canvas = this.global.document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      return canvas;
+    }
+    
+    throw new UnsupportedError('canvas', { runtime: this.getRuntime() });
+  }
+
+  // Module Web Worker in browsers, worker_threads in Node.js
+  async createWorker(url) {
+    if (this.hasWebWorkers()) {
+      return new this.global.Worker(url, { type: 'module' });
+    }
+    
+    if (this.isNode()) {
+      const { Worker } = await import('node:worker_threads');
+      return new Worker(url);
+    }
+    
+    throw new UnsupportedError('workers', { runtime: this.getRuntime() });
+  }
+
+  // Local files only, as bytes; file: URLs are accepted alongside plain paths
+  async readFile(path) {
+    if (!this.isNode()) {
+      throw new UnsupportedError('reading files', { runtime: this.getRuntime() });
+    }
+    
+    const { readFile } = await import('node:fs/promises');
+    const target = typeof path === 'string' && path.startsWith('file:') ? new URL(path) : path;
+    return new Uint8Array(await readFile(target));
+  }
+
+  getRuntime() {
+    if (this.isNode()) return 'node';
+    if (this.isWebWorker()) return 'worker';
+    if (this.isBrowser()) return 'browser';
+    return 'unknown';
+  }
+
+  getCapabilities() {
+    return {
+      runtime: this.getRuntime(),
+      dom: this.hasDOM(),
+      canvas: this.hasCanvas(),
+      offscreenCanvas: this.hasOffscreenCanvas(),
+      imageBitmap: this.hasImageBitmap(),
+      webworkers: this.hasWebWorkers(),
+      workers: this.hasWorkers(),
+      wasm: this.hasWebAssembly(),
+      blob: typeof this.global.Blob === 'function',
+      objectURL: this.hasObjectURL(),
+      hardwareConcurrency: this.getHardwareConcurrency()
+    };
+  }
+}
+
+export default Environment;
\ No newline at end of file
@@ -4,10 +4,12 @@
  */
 
 import { ValidationError, FormatError } from '../core/ErrorHandler.js';
+import Environment from './Environment.js';
 
 class FileValidator {
   constructor(options) {
     this.options = options;
+    this.environment = new Environment();
     this.maxFileSize = options.maxFileSize || 50 * 1024 * 1024; // 50MB
     this.allowedFormats = options.allowedFormats || [
       'image/jpeg', 'image/jpg', 'image/png', 'image/webp', 
@@ -30,20 +32,26 @@ class FileValidator {
     };
 
     try {
+      const env = this.environment;
+      
       // Determine input type and validate accordingly
-      if (input instanceof File) {
+      if (env.isInstance(input, 'File')) {
         await this.validateFile(input, validation);
-      } else if (input instanceof Blob) {
+      } else if (env.isInstance(input, 'Blob')) {
         await this.validateBlob(input, validation);
+      } else if (typeof input === 'string' && !input.startsWith('data:')) {
+        await this.validateSVGMarkup(input, validation);
       } else if (typeof input === 'string') {
         await this.validateDataURL(input, validation);
-      } else if (input instanceof HTMLImageElement) {
+      } else if (env.isInstance(input, 'HTMLImageElement')) {
         await this.validateImageElement(input, validation);
-      } else if (input instanceof HTMLCanvasElement) {
+      } else if (env.isInstance(input, 'HTMLCanvasElement')) {
         await this.validateCanvasElement(input, validation);
-      } else if (input instanceof ImageData) {
+      } else if (env.isInstance(input, 'ImageData')) {
         await this.validateImageData(input, validation);
-      } else if (input.data && input.width && input.height) {
+      } else if (env.isBinary(input)) {
+        await this.validateBinary(env.toUint8Array(input), validation);
+      } else if (input && input.data && input.width && input.height) {
         await this.validateImageData(input, validation);
       } else {
         validation.errors.push('Unsupported input type');
@@ -69,7 +77,7 @@ class FileValidator {
     validation.size = file.size;
 
     // Check MIME type
-    if (!this.allowedFormats.includes(file.type)) {
+    if (!this.isFormatAllowed(file.type)) {
       validation.errors.push(`File type "${file.type}" is not supported`);
     }
     validation.format = file.type;
@@ -98,7 +106,7 @@ class FileValidator {
     validation.size = blob.size;
 
     // Check MIME type
-    if (blob.type && !this.allowedFormats.includes(blob.type)) {
+    if (blob.type && !this.isFormatAllowed(blob.type)) {
       validation.errors.push(`Blob type "${blob.type}" is not supported`);
     }
     validation.format = blob.type;
@@ -110,6 +118,25 @@ class FileValidator {
     }
   }
 
+  // Inline SVG markup; any other text is neither an image nor a data URL
+  async validateSVGMarkup(markup, validation) {
+    const bytes = new TextEncoder().encode(markup);
+    if (!this.looksLikeSVG(bytes)) {
+      validation.errors.push('Invalid data URL format');
+      return;
+    }
+    
+    if (bytes.length > this.maxFileSize) {
+      validation.errors.push(`SVG size ${this.formatBytes(bytes.length)} exceeds maximum allowed ${this.formatBytes(this.maxFileSize)}`);
+    }
+    validation.size = bytes.length;
+    
+    if (!this.isFormatAllowed('image/svg+xml')) {
+      validation.errors.push('Data format "image/svg+xml" is not supported');
+    }
+    validation.format = 'image/svg+xml';
+  }
+
   async validateDataURL(dataURL, validation) {
     if (!dataURL.startsWith('data:image/')) {
       validation.errors.push('Invalid data URL format');
@@ -120,7 +147,7 @@ class FileValidator {
     const formatMatch = dataURL.match(/^data:image\/([a-zA-Z+]+);base64,/);
     if (formatMatch) {
       const format = `image/${formatMatch[1]}`;
-      if (!this.allowedFormats.includes(format)) {
+      if (!this.isFormatAllowed(format)) {
         validation.errors.push(`Data URL format "${format}" is not supported`);
       }
       validation.format = format;
@@ -141,6 +168,37 @@ class FileValidator {
     }
   }
 
+  // Encoded bytes carry no MIME type, so the signature decides the format
+  async validateBinary(bytes, validation) {
+    if (bytes.length > this.maxFileSize) {
+      validation.errors.push(`Data size ${this.formatBytes(bytes.length)} exceeds maximum allowed ${this.formatBytes(this.maxFileSize)}`);
+    }
+    validation.size = bytes.length;
+    
+    const format = this.detectFileSignature(bytes);
+    if (!format) {
+      validation.errors.push('Data does not match any supported image signature');
+      return;
+    }
+    
+    if (!this.isFormatAllowed(format)) {
+      validation.errors.push(`Data format "${format}" is not supported`);
+    }
+    validation.format = format;
+  }
+
+  // allowedFormats may hold MIME types or bare format names
+  isFormatAllowed(format) {
+    const aliases = { jpg: 'jpeg', 'svg+xml': 'svg', tif: 'tiff' };
+    const normalize = name => {
+      const bare = String(name).toLowerCase().replace(/^image\//, '');
+      return aliases[bare] || bare;
+    };
+    
+    const target = normalize(format);
+    return this.allowedFormats.some(allowed => normalize(allowed) === target);
+  }
+
   async validateImageElement(img, validation) {
     // Check dimensions
     if (img.naturalWidth === 0 || img.naturalHeight === 0) {
@@ -153,9 +211,7 @@ class FileValidator {
     }
 
     // Extract image data
-    const canvas = document.createElement('canvas');
-    canvas.width = img.naturalWidth;
-    canvas.height = img.naturalHeight;
+    const canvas = this.environment.createCanvas(img.naturalWidth, img.naturalHeight);
     const ctx = canvas.getContext('2d');
     ctx.drawImage(img, 0, 0);
 
@@ -317,34 +373,46 @@ class FileValidator {
   }
 
   detectFileSignature(data) {
-    // Check for common image format signatures
-    const signatures = {
-      'image/jpeg': [0xFF, 0xD8],
-      'image/png': [0x89, 0x50, 0x4E, 0x47],
-      'image/gif': [0x47, 0x49, 0x46],
-      'image/webp': [0x52, 0x49, 0x46, 0x46],
-      'image/bmp': [0x42, 0x4D],
-      'image/tiff': [0x49, 0x49, 0x2A, 0x00]
-    };
+    // Check for common image format signatures as [offset, bytes] parts
+    const signatures = [
+      ['image/jpeg', [[0, [0xFF, 0xD8]]]],
+      ['image/png', [[0, [0x89, 0x50, 0x4E, 0x47]]]],
+      ['image/gif', [[0, [0x47, 0x49, 0x46]]]],
+      ['image/webp', [[0, [0x52, 0x49, 0x46, 0x46]], [8, [0x57, 0x45, 0x42, 0x50]]]], // RIFF....WEBP
+      ['image/avif', [[4, [0x66, 0x74, 0x79, 0x70]], [8, [0x61, 0x76, 0x69, 0x66]]]], // ftypavif
+      ['image/avif', [[4, [0x66, 0x74, 0x79, 0x70]], [8, [0x61, 0x76, 0x69, 0x73]]]], // ftypavis
+      ['image/bmp', [[0, [0x42, 0x4D]]]],
+      ['image/tiff', [[0, [0x49, 0x49, 0x2A, 0x00]]]],
+      ['image/tiff', [[0, [0x4D, 0x4D, 0x00, 0x2A]]]]
+    ];
 
-    for (const [format, signature] of Object.entries(signatures)) {
-      if (this.compareSignatures(data, signature)) {
+    for (const [format, parts] of signatures) {
+      if (parts.every(([offset, signature]) => this.compareSignatures(data, signature, offset))) {
         return format;
       }
     }
+    
+    if (this.looksLikeSVG(data)) {
+      return 'image/svg+xml';
+    }
 
     return null;
   }
 
-  compareSignatures(data, signature) {
-    if (data.length < signature.length) return false;
+  compareSignatures(data, signature, offset = 0) {
+    if (data.length < offset + signature.length) return false;
     
     for (let i = 0; i < signature.length; i++) {
-      if (data[i] !== signature[i]) return false;
+      if (data[offset + i] !== signature[i]) return false;
     }
     return true;
   }
 
+  looksLikeSVG(data) {
+    const head = String.fromCharCode(...data.subarray(0, Math.min(data.length, 1024)));
+    return /^(\uFEFF|\xEF\xBB\xBF)?\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(head);
+  }
+
   async checkMetadataForScripts(file, validation) {
     try {
       // Basic check for suspicious strings in file header
@@ -0,0 +1,321 @@
+/**
+ * @xbibzlibrary/kompreser - Image Quality Metrics
+ * Full-reference PSNR, SSIM, MS-SSIM, error and difference heatmaps between two RGBA images
+ */
+
+import { ValidationError } from '../core/ErrorHandler.js';
+
+// Wang et al. constants for 8-bit data
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+// Per-scale weights from the MS-SSIM paper, finest scale first
+const MS_SSIM_WEIGHTS = [0.0448, 0.2856, 0.3001, 0.2363, 0.1333];
+
+// Heatmap color ramp from no difference to maximum difference
+const HEATMAP_STOPS = [
+  [0, 0, 0],
+  [0, 0, 255],
+  [0, 255, 0],
+  [255, 255, 0],
+  [255, 0, 0]
+];
+
+class ImageMetrics {
+  constructor(options = {}) {
+    this.options = options;
+    this.windowSize = 11;
+    this.sigma = 1.5;
+  }
+
+  // All supported metrics grow with fidelity
+  static METRICS = ['psnr', 'ssim', 'ms-ssim'];
+
+  // Metrics are computed on the color channels; alpha is ignored
+  measure(metric, reference, candidate) {
+    switch (metric) {
+      case 'psnr':
+        return this.psnr(reference, candidate);
+      case 'ssim':
+        return this.ssim(reference, candidate);
+      case 'ms-ssim':
+        return this.msssim(reference, candidate);
+      default:
+        throw new ValidationError(`Unknown quality metric: ${metric}`, { metric });
+    }
+  }
+
+  // Every metric at once, plus an optional per-pixel difference heatmap
+  compare(reference, candidate, options = {}) {
+    this.assertComparable(reference, candidate);
+    
+    const result = {
+      width: reference.width,
+      height: reference.height,
+      psnr: this.psnr(reference, candidate),
+      ssim: this.ssim(reference, candidate),
+      msssim: this.msssim(reference, candidate),
+      maxError: this.maxError(reference, candidate),
+      identical: false
+    };
+    
+    const { r, g, b, a } = result.maxError;
+    result.identical = Math.max(r, g, b, a) === 0;
+    
+    if (options.heatmap) {
+      result.heatmap = this.heatmap(reference, candidate, options);
+    }
+    
+    return result;
+  }
+
+  maxError(reference, candidate) {
+    this.assertComparable(reference, candidate);
+    
+    const a = reference.data;
+    const b = candidate.data;
+    const max = [0, 0, 0, 0];
+    
+    for (let i = 0; i < a.length; i += 4) {
+      for (let c = 0; c < 4; c++) {
+        const difference = Math.abs(a[i + c] - b[i + c]);
+        if (difference > max[c]) max[c] = difference;
+      }
+    }
+    
+    return { r: max[0], g: max[1], b: max[2], a: max[3] };
+  }
+
+  // Largest channel difference per pixel, amplified by heatmapScale and mapped black-blue-green-yellow-red
+  heatmap(reference, candidate, options = {}) {
+    this.assertComparable(reference, candidate);
+    
+    const scale = options.heatmapScale || 4;
+    const a = reference.data;
+    const b = candidate.data;
+    const data = new Uint8ClampedArray(a.length);
+    
+    for (let i = 0; i < a.length; i += 4) {
+      const difference = Math.max(
+        Math.abs(a[i] - b[i]),
+        Math.abs(a[i + 1] - b[i + 1]),
+        Math.abs(a[i + 2] - b[i + 2]),
+        Math.abs(a[i + 3] - b[i + 3])
+      );
+      
+      const [red, green, blue] = this.heatColor(Math.min(1, (difference * scale) / 255));
+      data[i] = red;
+      data[i + 1] = green;
+      data[i + 2] = blue;
+      data[i + 3] = 255;
+    }
+    
+    return { data, width: reference.width, height: reference.height };
+  }
+
+  heatColor(value) {
+    const stops = HEATMAP_STOPS;
+    const position = value * (stops.length - 1);
+    const index = Math.min(stops.length - 2, Math.floor(position));
+    const t = position - index;
+    const from = stops[index];
+    const to = stops[index + 1];
+    
+    return [
+      from[0] + (to[0] - from[0]) * t,
+      from[1] + (to[1] - from[1]) * t,
+      from[2] + (to[2] - from[2]) * t
+    ];
+  }
+
+  psnr(reference, candidate) {
+    this.assertComparable(reference, candidate);
+    
+    const a = reference.data;
+    const b = candidate.data;
+    let sum = 0;
+    
+    for (let i = 0; i < a.length; i += 4) {
+      const dr = a[i] - b[i];
+      const dg = a[i + 1] - b[i + 1];
+      const db = a[i + 2] - b[i + 2];
+      sum += dr * dr + dg * dg + db * db;
+    }
+    
+    const mse = sum / ((a.length / 4) * 3);
+    return mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse);
+  }
+
+  ssim(reference, candidate) {
+    this.assertComparable(reference, candidate);
+    
+    const { width, height } = reference;
+    const { ssim } = this.ssimComponents(this.toLuma(reference), this.toLuma(candidate), width, height);
+    return ssim;
+  }
+
+  msssim(reference, candidate) {
+    this.assertComparable(reference, candidate);
+    
+    let x = this.toLuma(reference);
+    let y = this.toLuma(candidate);
+    let { width, height } = reference;
+    
+    // Coarser scales are skipped once the image is smaller than the window
+    const scales = [];
+    for (let scale = 0; scale < MS_SSIM_WEIGHTS.length; scale++) {
+      scales.push(this.ssimComponents(x, y, width, height));
+      
+      if (Math.min(width, height) < this.windowSize * 2) break;
+      
+      const nextX = this.downsample(x, width, height);
+      const nextY = this.downsample(y, width, height);
+      x = nextX.plane;
+      y = nextY.plane;
+      width = nextX.width;
+      height = nextX.height;
+    }
+    
+    const weights = MS_SSIM_WEIGHTS.slice(0, scales.length);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    
+    let value = 1;
+    scales.forEach((components, scale) => {
+      const weight = weights[scale] / total;
+      const isLast = scale === scales.length - 1;
+      const term = isLast ? components.ssim : components.contrastStructure;
+      value *= Math.max(0, term) ** weight;
+    });
+    
+    return value;
+  }
+
+  // Mean SSIM and mean contrast-structure term over all fully covered windows
+  ssimComponents(x, y, width, height) {
+    const kernel = this.createKernel(Math.min(this.windowSize, width, height));
+    
+    const muX = this.filter(x, width, height, kernel);
+    const muY = this.filter(y, width, height, kernel);
+    const sigmaXX = this.filter(x, width, height, kernel, x);
+    const sigmaYY = this.filter(y, width, height, kernel, y);
+    const sigmaXY = this.filter(x, width, height, kernel, y);
+    
+    let ssim = 0;
+    let contrastStructure = 0;
+    
+    for (let i = 0; i < muX.length; i++) {
+      const mx = muX[i];
+      const my = muY[i];
+      const varX = sigmaXX[i] - mx * mx;
+      const varY = sigmaYY[i] - my * my;
+      const covariance = sigmaXY[i] - mx * my;
+      
+      const cs = (2 * covariance + SSIM_C2) / (varX + varY + SSIM_C2);
+      const luminance = (2 * mx * my + SSIM_C1) / (mx * mx + my * my + SSIM_C1);
+      
+      contrastStructure += cs;
+      ssim += luminance * cs;
+    }
+    
+    return {
+      ssim: ssim / muX.length,
+      contrastStructure: contrastStructure / muX.length
+    };
+  }
+
+  createKernel(size) {
+    // Keep the window odd so it has a center sample
+    const length = size % 2 === 0 ? size - 1 : size;
+    const kernel = new Float32Array(length);
+    const center = (length - 1) / 2;
+    let sum = 0;
+    
+    for (let i = 0; i < length; i++) {
+      kernel[i] = Math.exp(-((i - center) ** 2) / (2 * this.sigma * this.sigma));
+      sum += kernel[i];
+    }
+    
+    for (let i = 0; i < length; i++) {
+      kernel[i] /= sum;
+    }
+    
+    return kernel;
+  }
+
+  // Separable Gaussian over the 'valid' region only, like the reference implementation;
+  // with a second plane the product of both is filtered without materializing it
+  filter(plane, width, height, kernel, other = null) {
+    const length = kernel.length;
+    const outWidth = width - length + 1;
+    const outHeight = height - length + 1;
+    
+    const horizontal = new Float32Array(outWidth * height);
+    for (let y = 0; y < height; y++) {
+      const row = y * width;
+      for (let x = 0; x < outWidth; x++) {
+        let sum = 0;
+        for (let k = 0; k < length; k++) {
+          const index = row + x + k;
+          sum += (other ? plane[index] * other[index] : plane[index]) * kernel[k];
+        }
+        horizontal[y * outWidth + x] = sum;
+      }
+    }
+    
+    const output = new Float32Array(outWidth * outHeight);
+    for (let y = 0; y < outHeight; y++) {
+      for (let x = 0; x < outWidth; x++) {
+        let sum = 0;
+        for (let k = 0; k < length; k++) {
+          sum += horizontal[(y + k) * outWidth + x] * kernel[k];
+        }
+        output[y * outWidth + x] = sum;
+      }
+    }
+    
+    return output;
+  }
+
+  // 2x2 box average, dropping an odd last row or column
+  downsample(plane, width, height) {
+    const outWidth = width >> 1;
+    const outHeight = height >> 1;
+    const output = new Float32Array(outWidth * outHeight);
+    
+    for (let y = 0; y < outHeight; y++) {
+      for (let x = 0; x < outWidth; x++) {
+        const source = y * 2 * width + x * 2;
+        output[y * outWidth + x] = (plane[source] + plane[source + 1] + plane[source + width] + plane[source + width + 1]) / 4;
+      }
+    }
+    
+    return { plane: output, width: outWidth, height: outHeight };
+  }
+
+  // ITU-R BT.601 luma, the usual input for SSIM
+  toLuma(imageData) {
+    const { data } = imageData;
+    const luma = new Float32Array(data.length / 4);
+    
+    for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+      luma[j] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+    
+    return luma;
+  }
+
+  assertComparable(reference, candidate) {
+    if (!reference?.data || !candidate?.data) {
+      throw new ValidationError('Both images need RGBA pixel data');
+    }
+    
+    if (reference.width !== candidate.width || reference.height !== candidate.height) {
+      throw new ValidationError('Images must have the same dimensions', {
+        reference: `${reference.width}x${reference.height}`,
+        candidate: `${candidate.width}x${candidate.height}`
+      });
+    }
+  }
+}
+
+export default ImageMetrics;
\ No newline at end of file
@@ -3,6 +3,8 @@
  * Comprehensive logging with multiple levels, formatting, and performance tracking
  */
 
+import Environment from './Environment.js';
+
 class Logger {
   constructor(options = {}) {
     this.options = {
@@ -16,6 +18,7 @@ class Logger {
       ...options
     };
     
+    this.environment = new Environment();
     this.logs = [];
     this.performanceMetrics = new Map();
     this.memoryUsage = [];
@@ -205,10 +208,10 @@ class Logger {
   }
 
   startTimer(operation) {
-    const startTime = performance.now();
+    const startTime = this.environment.now();
     return {
       end: () => {
-        const endTime = performance.now();
+        const endTime = this.environment.now();
         const duration = Math.round(endTime - startTime);
         this.trackPerformance({ operation, duration });
         return duration;
@@ -250,12 +253,13 @@ class Logger {
 
   startMemoryTracking() {
     setInterval(() => {
-      if (performance.memory) {
+      const heap = this.environment.getHeapStatistics();
+      if (heap) {
         const memory = {
           timestamp: Date.now(),
-          used: Math.round(performance.memory.usedJSHeapSize / 1024 / 1024),
-          total: Math.round(performance.memory.totalJSHeapSize / 1024 / 1024),
-          limit: Math.round(performance.memory.jsHeapSizeLimit / 1024 / 1024)
+          used: Math.round(heap.used / 1024 / 1024),
+          total: Math.round(heap.total / 1024 / 1024),
+          limit: Math.round(heap.limit / 1024 / 1024)
         };
         
         this.memoryUsage.push(memory);
@@ -274,14 +278,7 @@ class Logger {
   }
 
   getMemoryUsage() {
-    if (performance.memory) {
-      return {
-        used: performance.memory.usedJSHeapSize,
-        total: performance.memory.totalJSHeapSize,
-        limit: performance.memory.jsHeapSizeLimit
-      };
-    }
-    return null;
+    return this.environment.getHeapStatistics();
   }
 
   formatMemory(memory) {
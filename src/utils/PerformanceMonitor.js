@@ -0,0 +1,219 @@
+/**
+ * @xbibzlibrary/kompreser - Performance Monitor
+ * Per-stage pipeline timings, throughput and memory tracking with percentile statistics
+ */
+
+import Logger from './Logger.js';
+import Environment from './Environment.js';
+
+class PerformanceMonitor {
+  constructor(options = {}, logger) {
+    this.options = {
+      maxSamples: 500,
+      memorySampleInterval: 1000,
+      ...options
+    };
+    this.logger = logger || new Logger();
+    this.environment = new Environment();
+    
+    // Pipeline stages in execution order
+    this.STAGES = ['validate', 'processInput', 'analyze', 'compress', 'convert', 'generateOutput'];
+    
+    this.running = false;
+    this.samplingTimer = null;
+    this.runId = 0;
+    this.reset();
+  }
+
+  start() {
+    if (this.running) return;
+    
+    this.running = true;
+    this.startedAt = Date.now();
+    this.sampleMemory();
+    
+    if (this.options.memorySampleInterval > 0 && typeof setInterval !== 'undefined') {
+      this.samplingTimer = setInterval(() => this.sampleMemory(), this.options.memorySampleInterval);
+      
+      // Do not keep a Node process alive just for sampling
+      this.samplingTimer.unref?.();
+    }
+    
+    this.logger.debug('Performance monitoring started');
+  }
+
+  stop() {
+    if (!this.running) return;
+    
+    this.running = false;
+    if (this.samplingTimer) {
+      clearInterval(this.samplingTimer);
+      this.samplingTimer = null;
+    }
+    
+    this.sampleMemory();
+    this.logger.debug('Performance monitoring stopped', { runs: this.runs.length });
+  }
+
+  reset() {
+    this.runs = [];
+    this.failedRuns = 0;
+    this.memory = {
+      current: null,
+      peak: null,
+      samples: 0
+    };
+  }
+
+  // Track one pass through the compression pipeline
+  startRun(context = {}) {
+    const monitor = this;
+    const run = {
+      id: ++this.runId,
+      context,
+      stages: {},
+      startTime: this.now(),
+      finished: false
+    };
+    
+    return {
+      id: run.id,
+      
+      async measure(stage, fn) {
+        if (!monitor.running) {
+          return fn();
+        }
+        
+        const start = monitor.now();
+        try {
+          return await fn();
+        } finally {
+          run.stages[stage] = (run.stages[stage] || 0) + (monitor.now() - start);
+          monitor.sampleMemory();
+        }
+      },
+      
+      finish(totals = {}) {
+        if (run.finished || !monitor.running) return null;
+        run.finished = true;
+        return monitor.recordRun(run, totals);
+      },
+      
+      fail(error) {
+        if (run.finished || !monitor.running) return;
+        run.finished = true;
+        monitor.failedRuns++;
+        monitor.logger.debug('Pipeline run failed', { id: run.id, error: error?.message });
+      }
+    };
+  }
+
+  recordRun(run, totals) {
+    const duration = this.now() - run.startTime;
+    const seconds = duration / 1000;
+    const pixels = totals.pixels || 0;
+    const inputBytes = totals.inputBytes || 0;
+    
+    const record = {
+      id: run.id,
+      stages: run.stages,
+      duration,
+      pixels,
+      inputBytes,
+      outputBytes: totals.outputBytes || 0,
+      megapixelsPerSecond: seconds > 0 ? pixels / 1e6 / seconds : 0,
+      bytesPerSecond: seconds > 0 ? inputBytes / seconds : 0
+    };
+    
+    this.runs.push(record);
+    if (this.runs.length > this.options.maxSamples) {
+      this.runs.shift();
+    }
+    
+    this.logger.debug('Pipeline run recorded', {
+      duration: Math.round(duration),
+      megapixelsPerSecond: Number(record.megapixelsPerSecond.toFixed(2))
+    });
+    
+    return record;
+  }
+
+  sampleMemory() {
+    const used = this.getHeapUsed();
+    if (used === null) return;
+    
+    this.memory.current = used;
+    this.memory.peak = Math.max(this.memory.peak || 0, used);
+    this.memory.samples++;
+  }
+
+  getHeapUsed() {
+    if (typeof process !== 'undefined' && typeof process.memoryUsage === 'function') {
+      return process.memoryUsage().heapUsed;
+    }
+    
+    const heap = this.environment.getHeapStatistics();
+    return heap ? heap.used : null;
+  }
+
+  now() {
+    return this.environment.now();
+  }
+
+  getStats() {
+    const stages = {};
+    for (const stage of this.STAGES) {
+      stages[stage] = this.summarize(this.runs.filter(run => stage in run.stages).map(run => run.stages[stage]));
+    }
+    
+    return {
+      running: this.running,
+      runs: this.runs.length,
+      failedRuns: this.failedRuns,
+      stages,
+      total: this.summarize(this.runs.map(run => run.duration)),
+      throughput: {
+        megapixelsPerSecond: this.summarize(this.runs.map(run => run.megapixelsPerSecond)),
+        bytesPerSecond: this.summarize(this.runs.map(run => run.bytesPerSecond))
+      },
+      memory: { ...this.memory }
+    };
+  }
+
+  summarize(values) {
+    if (values.length === 0) {
+      return { count: 0 };
+    }
+    
+    const sorted = [...values].sort((a, b) => a - b);
+    const sum = sorted.reduce((total, value) => total + value, 0);
+    
+    return {
+      count: sorted.length,
+      mean: this.round(sum / sorted.length),
+      min: this.round(sorted[0]),
+      max: this.round(sorted[sorted.length - 1]),
+      p50: this.round(this.percentile(sorted, 50)),
+      p90: this.round(this.percentile(sorted, 90)),
+      p95: this.round(this.percentile(sorted, 95)),
+      p99: this.round(this.percentile(sorted, 99))
+    };
+  }
+
+  // Linear interpolation between closest ranks
+  percentile(sorted, p) {
+    if (sorted.length === 1) return sorted[0];
+    
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+export default PerformanceMonitor;
\ No newline at end of file
@@ -0,0 +1,962 @@
+/**
+ * @xbibzlibrary/kompreser - Zlib Stream Utilities
+ * Pure JavaScript DEFLATE (RFC 1951) encoder and decoder with zlib (RFC 1950) framing
+ */
+
+import { FormatError } from '../core/ErrorHandler.js';
+
+const WINDOW_SIZE = 32768;
+const WINDOW_MASK = WINDOW_SIZE - 1;
+const HASH_BITS = 15;
+const HASH_SIZE = 1 << HASH_BITS;
+const HASH_MASK = HASH_SIZE - 1;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_STORED = 65535;
+
+// Symbols buffered per block before it is emitted
+const BLOCK_SYMBOLS = 16384;
+
+// Matcher tuning per level, after zlib's configuration table:
+// good = reduce search above this length, lazy = skip lazy evaluation above this length,
+// nice = stop searching at this length, chain = maximum hash chain walk
+const LEVEL_CONFIG = [
+  { good: 0, lazy: 0, nice: 0, chain: 0, lazyMatching: false },
+  { good: 4, lazy: 4, nice: 8, chain: 4, lazyMatching: false },
+  { good: 4, lazy: 5, nice: 16, chain: 8, lazyMatching: false },
+  { good: 4, lazy: 6, nice: 32, chain: 32, lazyMatching: false },
+  { good: 4, lazy: 4, nice: 16, chain: 16, lazyMatching: true },
+  { good: 8, lazy: 16, nice: 32, chain: 32, lazyMatching: true },
+  { good: 8, lazy: 16, nice: 128, chain: 128, lazyMatching: true },
+  { good: 8, lazy: 32, nice: 128, chain: 256, lazyMatching: true },
+  { good: 32, lazy: 128, nice: 258, chain: 1024, lazyMatching: true },
+  { good: 32, lazy: 258, nice: 258, chain: 4096, lazyMatching: true }
+];
+
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+const DIST_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const DIST_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+
+// Transmission order of the code length alphabet
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Lookup tables from match length / distance to their alphabet index
+const LENGTH_CODE = new Uint8Array(MAX_MATCH + 1);
+for (let code = 0; code < LENGTH_BASE.length; code++) {
+  const end = code === LENGTH_BASE.length - 1 ? MAX_MATCH : LENGTH_BASE[code] + (1 << LENGTH_EXTRA[code]) - 1;
+  for (let length = LENGTH_BASE[code]; length <= end; length++) {
+    LENGTH_CODE[length] = code;
+  }
+}
+
+const DIST_CODE = new Uint8Array(WINDOW_SIZE + 1);
+for (let code = 0; code < DIST_BASE.length; code++) {
+  const end = Math.min(WINDOW_SIZE, DIST_BASE[code] + (1 << DIST_EXTRA[code]) - 1);
+  for (let distance = DIST_BASE[code]; distance <= end; distance++) {
+    DIST_CODE[distance] = code;
+  }
+}
+
+class Zlib {
+  constructor(options = {}) {
+    this.options = {
+      level: 6,
+      ...options
+    };
+    
+    this.fixedLiteralLengths = this.createFixedLengths(288, [[143, 8], [255, 9], [279, 7], [287, 8]]);
+    this.fixedDistanceLengths = this.createFixedLengths(30, [[29, 5]]);
+    this.fixedLiteralCodes = this.createCanonicalCodes(this.fixedLiteralLengths);
+    this.fixedDistanceCodes = this.createCanonicalCodes(this.fixedDistanceLengths);
+  }
+
+  // Compress data into a zlib stream (2-byte header, DEFLATE blocks, Adler-32 trailer)
+  deflate(data, level = this.options.level) {
+    const input = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const compressionLevel = Math.max(0, Math.min(9, Math.round(level)));
+    const writer = new DeflateBitWriter(Math.max(64, input.length >> 1));
+    
+    // CMF: deflate with 32K window; FLG: level hint plus check bits
+    const cmf = 0x78;
+    const levelHint = compressionLevel < 2 ? 0 : compressionLevel < 6 ? 1 : compressionLevel === 6 ? 2 : 3;
+    let flg = levelHint << 6;
+    flg += 31 - ((cmf * 256 + flg) % 31);
+    writer.writeByte(cmf);
+    writer.writeByte(flg);
+    
+    this.deflateRaw(input, compressionLevel, writer);
+    
+    const checksum = this.adler32(input);
+    writer.writeByte(checksum >>> 24);
+    writer.writeByte(checksum >>> 16);
+    writer.writeByte(checksum >>> 8);
+    writer.writeByte(checksum);
+    
+    return writer.toUint8Array();
+  }
+
+  // Decompress a zlib stream, checking the header and the Adler-32 trailer
+  inflate(data) {
+    const input = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (input.length < 2) {
+      throw new FormatError('zlib stream is truncated', 'zlib');
+    }
+    
+    const cmf = input[0];
+    const flg = input[1];
+    if ((cmf & 0x0F) !== 8 || (cmf >> 4) > 7 || ((cmf << 8) | flg) % 31 !== 0) {
+      throw new FormatError('invalid zlib header', 'zlib');
+    }
+    
+    if (flg & 0x20) {
+      throw new FormatError('zlib preset dictionaries are not supported', 'zlib');
+    }
+    
+    const { output, offset } = this.inflateRaw(input, 2);
+    
+    // Some encoders drop the trailer; only a present but wrong checksum is an error
+    if (offset + 4 <= input.length) {
+      const expected = ((input[offset] << 24) | (input[offset + 1] << 16) | (input[offset + 2] << 8) | input[offset + 3]) >>> 0;
+      if (expected !== this.adler32(output)) {
+        throw new FormatError('zlib checksum mismatch', 'zlib');
+      }
+    }
+    
+    return output;
+  }
+
+  // Decode raw DEFLATE blocks starting at `start`; returns the data and the offset after the final block
+  inflateRaw(input, start = 0, sizeHint = input.length * 4) {
+    const reader = new InflateBitReader(input, start);
+    let output = new Uint8Array(Math.max(1024, sizeHint));
+    let length = 0;
+    let isFinal = false;
+    
+    const ensureCapacity = extra => {
+      if (length + extra <= output.length) return;
+      let size = output.length * 2;
+      while (size < length + extra) size *= 2;
+      const grown = new Uint8Array(size);
+      grown.set(output.subarray(0, length));
+      output = grown;
+    };
+    
+    while (!isFinal) {
+      isFinal = reader.readBits(1) === 1;
+      const type = reader.readBits(2);
+      
+      if (type === 0) {
+        reader.alignToByte();
+        const size = reader.readBits(16);
+        const complement = reader.readBits(16);
+        if ((size ^ 0xFFFF) !== complement) {
+          throw new FormatError('invalid stored block length', 'deflate');
+        }
+        
+        ensureCapacity(size);
+        output.set(reader.readBytes(size), length);
+        length += size;
+        continue;
+      }
+      
+      let literalTable;
+      let distanceTable;
+      if (type === 1) {
+        this.fixedLiteralTable = this.fixedLiteralTable || this.createDecodeTable(this.fixedLiteralLengths);
+        this.fixedDistanceTable = this.fixedDistanceTable || this.createDecodeTable(this.fixedDistanceLengths);
+        literalTable = this.fixedLiteralTable;
+        distanceTable = this.fixedDistanceTable;
+      } else if (type === 2) {
+        ({ literalTable, distanceTable } = this.readDynamicTables(reader));
+      } else {
+        throw new FormatError('invalid block type', 'deflate');
+      }
+      
+      for (;;) {
+        const symbol = reader.decodeSymbol(literalTable);
+        
+        if (symbol < 256) {
+          ensureCapacity(1);
+          output[length++] = symbol;
+          continue;
+        }
+        
+        if (symbol === 256) break;
+        
+        const lengthCode = symbol - 257;
+        if (lengthCode >= LENGTH_BASE.length) {
+          throw new FormatError('invalid length symbol', 'deflate');
+        }
+        const matchLength = LENGTH_BASE[lengthCode] + reader.readBits(LENGTH_EXTRA[lengthCode]);
+        
+        const distanceCode = reader.decodeSymbol(distanceTable);
+        if (distanceCode >= DIST_BASE.length) {
+          throw new FormatError('invalid distance symbol', 'deflate');
+        }
+        const distance = DIST_BASE[distanceCode] + reader.readBits(DIST_EXTRA[distanceCode]);
+        if (distance > length) {
+          throw new FormatError('distance points before start of output', 'deflate');
+        }
+        
+        // Byte by byte because the match may overlap the bytes it produces
+        ensureCapacity(matchLength);
+        for (let i = 0; i < matchLength; i++, length++) {
+          output[length] = output[length - distance];
+        }
+      }
+    }
+    
+    return { output: output.slice(0, length), offset: reader.getByteOffset() };
+  }
+
+  readDynamicTables(reader) {
+    const literalCount = reader.readBits(5) + 257;
+    const distanceCount = reader.readBits(5) + 1;
+    const codeLengthCount = reader.readBits(4) + 4;
+    
+    const codeLengthLengths = new Uint8Array(19);
+    for (let i = 0; i < codeLengthCount; i++) {
+      codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.readBits(3);
+    }
+    const codeLengthTable = this.createDecodeTable(codeLengthLengths);
+    
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    let index = 0;
+    while (index < lengths.length) {
+      const symbol = reader.decodeSymbol(codeLengthTable);
+      
+      if (symbol < 16) {
+        lengths[index++] = symbol;
+        continue;
+      }
+      
+      let repeat;
+      let value = 0;
+      if (symbol === 16) {
+        if (index === 0) {
+          throw new FormatError('code length repeat without a previous length', 'deflate');
+        }
+        value = lengths[index - 1];
+        repeat = 3 + reader.readBits(2);
+      } else if (symbol === 17) {
+        repeat = 3 + reader.readBits(3);
+      } else {
+        repeat = 11 + reader.readBits(7);
+      }
+      
+      if (index + repeat > lengths.length) {
+        throw new FormatError('code lengths overflow', 'deflate');
+      }
+      lengths.fill(value, index, index + repeat);
+      index += repeat;
+    }
+    
+    if (lengths[256] === 0) {
+      throw new FormatError('missing end-of-block code', 'deflate');
+    }
+    
+    return {
+      literalTable: this.createDecodeTable(lengths.subarray(0, literalCount)),
+      distanceTable: this.createDecodeTable(lengths.subarray(literalCount))
+    };
+  }
+
+  // Lookup table indexed by the next maxBits input bits (LSB first); entries are symbol << 4 | length
+  createDecodeTable(lengths) {
+    let maxBits = 0;
+    for (let i = 0; i < lengths.length; i++) {
+      if (lengths[i] > maxBits) maxBits = lengths[i];
+    }
+    
+    const table = new Uint32Array(1 << Math.max(1, maxBits));
+    const codes = this.createCanonicalCodes(lengths);
+    
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+      const length = lengths[symbol];
+      if (length === 0) continue;
+      
+      const entry = (symbol << 4) | length;
+      for (let index = codes[symbol]; index < table.length; index += 1 << length) {
+        table[index] = entry;
+      }
+    }
+    
+    return { table, maxBits: Math.max(1, maxBits) };
+  }
+
+  // Emit raw DEFLATE blocks for the whole input
+  deflateRaw(input, level, writer) {
+    if (level === 0 || input.length === 0) {
+      if (input.length === 0) {
+        this.writeFixedBlock(writer, new Uint16Array(0), new Uint16Array(0), 0, true);
+      } else {
+        this.writeStoredBlocks(writer, input, 0, input.length, true);
+      }
+      return;
+    }
+    
+    const config = LEVEL_CONFIG[level];
+    const length = input.length;
+    const head = new Int32Array(HASH_SIZE).fill(-1);
+    const prev = new Int32Array(WINDOW_SIZE).fill(-1);
+    
+    const block = {
+      literals: new Uint16Array(BLOCK_SYMBOLS),
+      distances: new Uint16Array(BLOCK_SYMBOLS),
+      count: 0,
+      start: 0,
+      covered: 0
+    };
+    
+    // Insert the string at pos into the hash chains and return the previous chain head
+    const insert = (pos) => {
+      if (pos + MIN_MATCH > length) return -1;
+      const hash = ((input[pos] << 10) ^ (input[pos + 1] << 5) ^ input[pos + 2]) & HASH_MASK;
+      const chainStart = head[hash];
+      prev[pos & WINDOW_MASK] = chainStart;
+      head[hash] = pos;
+      return chainStart;
+    };
+    
+    const emitLiteral = (value) => {
+      block.literals[block.count] = value;
+      block.distances[block.count] = 0;
+      block.count++;
+      block.covered++;
+    };
+    
+    const emitMatch = (matchLength, distance) => {
+      block.literals[block.count] = matchLength;
+      block.distances[block.count] = distance;
+      block.count++;
+      block.covered += matchLength;
+    };
+    
+    const flushIfFull = () => {
+      if (block.count >= BLOCK_SYMBOLS - 2) {
+        const end = block.start + block.covered;
+        this.writeBlock(writer, input, block, end, false);
+        block.start = end;
+        block.covered = 0;
+        block.count = 0;
+      }
+    };
+    
+    let pos = 0;
+    
+    if (!config.lazyMatching) {
+      // Greedy matching: take the first acceptable match at each position
+      while (pos < length) {
+        const chainStart = insert(pos);
+        const match = chainStart >= 0
+          ? this.longestMatch(input, pos, chainStart, prev, config.chain, config.nice, MIN_MATCH - 1)
+          : null;
+        
+        if (match) {
+          emitMatch(match.length, match.distance);
+          
+          // Short matches are fully indexed; long ones skip insertion for speed
+          if (match.length <= config.lazy) {
+            for (let i = 1; i < match.length; i++) insert(pos + i);
+          }
+          pos += match.length;
+        } else {
+          emitLiteral(input[pos]);
+          pos++;
+        }
+        
+        flushIfFull();
+      }
+    } else {
+      // Lazy matching: defer each match by one byte in case a longer one starts there
+      let prevLength = MIN_MATCH - 1;
+      let prevDistance = 0;
+      let matchAvailable = false;
+      
+      while (pos < length) {
+        const chainStart = insert(pos);
+        let matchLength = MIN_MATCH - 1;
+        let matchDistance = 0;
+        
+        if (chainStart >= 0 && prevLength < config.lazy) {
+          const chain = prevLength >= config.good ? config.chain >> 2 : config.chain;
+          const match = this.longestMatch(input, pos, chainStart, prev, chain, config.nice, prevLength);
+          if (match) {
+            matchLength = match.length;
+            matchDistance = match.distance;
+          }
+        }
+        
+        if (prevLength >= MIN_MATCH && matchLength <= prevLength) {
+          // The deferred match at pos - 1 wins
+          emitMatch(prevLength, prevDistance);
+          const end = pos - 1 + prevLength;
+          for (let i = pos + 1; i < end; i++) insert(i);
+          pos = end;
+          matchAvailable = false;
+          prevLength = MIN_MATCH - 1;
+        } else if (matchAvailable) {
+          emitLiteral(input[pos - 1]);
+          prevLength = matchLength;
+          prevDistance = matchDistance;
+          pos++;
+        } else {
+          matchAvailable = true;
+          prevLength = matchLength;
+          prevDistance = matchDistance;
+          pos++;
+        }
+        
+        flushIfFull();
+      }
+      
+      if (matchAvailable) {
+        emitLiteral(input[pos - 1]);
+      }
+    }
+    
+    this.writeBlock(writer, input, block, block.start + block.covered, true);
+  }
+
+  longestMatch(input, pos, chainStart, prev, maxChain, niceLength, minLength) {
+    const maxLength = Math.min(MAX_MATCH, input.length - pos);
+    if (minLength >= maxLength) return null;
+    
+    const limit = pos - WINDOW_SIZE;
+    let bestLength = minLength;
+    let bestDistance = 0;
+    let candidate = chainStart;
+    let chain = maxChain;
+    
+    while (candidate > limit && chain-- > 0) {
+      // Quick reject on the byte that would extend the current best match
+      if (input[candidate + bestLength] === input[pos + bestLength] && input[candidate] === input[pos]) {
+        let matchLength = 1;
+        while (matchLength < maxLength && input[candidate + matchLength] === input[pos + matchLength]) {
+          matchLength++;
+        }
+        
+        if (matchLength > bestLength) {
+          bestLength = matchLength;
+          bestDistance = pos - candidate;
+          if (matchLength >= niceLength || matchLength >= maxLength) break;
+        }
+      }
+      
+      const next = prev[candidate & WINDOW_MASK];
+      if (next >= candidate) break;
+      candidate = next;
+    }
+    
+    return bestDistance > 0 && bestLength >= MIN_MATCH
+      ? { length: bestLength, distance: bestDistance }
+      : null;
+  }
+
+  // Choose the cheapest of stored, fixed-Huffman and dynamic-Huffman coding for a block
+  writeBlock(writer, input, block, end, isFinal) {
+    const { literals, distances, count, start } = block;
+    
+    const literalFreqs = new Uint32Array(286);
+    const distanceFreqs = new Uint32Array(30);
+    literalFreqs[256] = 1; // End of block
+    
+    for (let i = 0; i < count; i++) {
+      if (distances[i] === 0) {
+        literalFreqs[literals[i]]++;
+      } else {
+        literalFreqs[257 + LENGTH_CODE[literals[i]]]++;
+        distanceFreqs[DIST_CODE[distances[i]]]++;
+      }
+    }
+    
+    const dynamic = this.buildDynamicTrees(literalFreqs, distanceFreqs);
+    
+    let extraBits = 0;
+    for (let code = 0; code < LENGTH_EXTRA.length; code++) extraBits += literalFreqs[257 + code] * LENGTH_EXTRA[code];
+    for (let code = 0; code < DIST_EXTRA.length; code++) extraBits += distanceFreqs[code] * DIST_EXTRA[code];
+    
+    const fixedBits = 3 + extraBits +
+      this.measureCost(literalFreqs, this.fixedLiteralLengths) +
+      this.measureCost(distanceFreqs, this.fixedDistanceLengths);
+    const dynamicBits = 3 + extraBits + dynamic.headerBits +
+      this.measureCost(literalFreqs, dynamic.literalLengths) +
+      this.measureCost(distanceFreqs, dynamic.distanceLengths);
+    
+    const storedLength = end - start;
+    const storedBits = storedLength * 8 + Math.max(1, Math.ceil(storedLength / MAX_STORED)) * 40 + 7;
+    
+    if (storedBits <= fixedBits && storedBits <= dynamicBits) {
+      this.writeStoredBlocks(writer, input, start, end, isFinal);
+    } else if (fixedBits <= dynamicBits) {
+      this.writeFixedBlock(writer, literals, distances, count, isFinal);
+    } else {
+      this.writeDynamicBlock(writer, literals, distances, count, dynamic, isFinal);
+    }
+  }
+
+  writeStoredBlocks(writer, input, start, end, isFinal) {
+    let offset = start;
+    
+    do {
+      const chunkLength = Math.min(MAX_STORED, end - offset);
+      const last = isFinal && offset + chunkLength >= end;
+      
+      writer.writeBits(last ? 1 : 0, 1);
+      writer.writeBits(0, 2); // BTYPE 00: no compression
+      writer.alignToByte();
+      writer.writeByte(chunkLength & 0xFF);
+      writer.writeByte(chunkLength >> 8);
+      writer.writeByte(~chunkLength & 0xFF);
+      writer.writeByte((~chunkLength >> 8) & 0xFF);
+      writer.writeBytes(input.subarray(offset, offset + chunkLength));
+      
+      offset += chunkLength;
+    } while (offset < end);
+  }
+
+  writeFixedBlock(writer, literals, distances, count, isFinal) {
+    writer.writeBits(isFinal ? 1 : 0, 1);
+    writer.writeBits(1, 2); // BTYPE 01: fixed Huffman codes
+    
+    this.writeSymbols(
+      writer, literals, distances, count,
+      this.fixedLiteralCodes, this.fixedLiteralLengths,
+      this.fixedDistanceCodes, this.fixedDistanceLengths
+    );
+  }
+
+  writeDynamicBlock(writer, literals, distances, count, trees, isFinal) {
+    writer.writeBits(isFinal ? 1 : 0, 1);
+    writer.writeBits(2, 2); // BTYPE 10: dynamic Huffman codes
+    
+    writer.writeBits(trees.literalCount - 257, 5);
+    writer.writeBits(trees.distanceCount - 1, 5);
+    writer.writeBits(trees.codeLengthCount - 4, 4);
+    
+    for (let i = 0; i < trees.codeLengthCount; i++) {
+      writer.writeBits(trees.codeLengthLengths[CODE_LENGTH_ORDER[i]], 3);
+    }
+    
+    // Run-length coded literal/length and distance code lengths
+    for (const { symbol, extra, extraBits } of trees.lengthSymbols) {
+      writer.writeBits(trees.codeLengthCodes[symbol], trees.codeLengthLengths[symbol]);
+      if (extraBits > 0) {
+        writer.writeBits(extra, extraBits);
+      }
+    }
+    
+    this.writeSymbols(
+      writer, literals, distances, count,
+      this.createCanonicalCodes(trees.literalLengths), trees.literalLengths,
+      this.createCanonicalCodes(trees.distanceLengths), trees.distanceLengths
+    );
+  }
+
+  writeSymbols(writer, literals, distances, count, literalCodes, literalLengths, distanceCodes, distanceLengths) {
+    for (let i = 0; i < count; i++) {
+      const distance = distances[i];
+      
+      if (distance === 0) {
+        const literal = literals[i];
+        writer.writeBits(literalCodes[literal], literalLengths[literal]);
+        continue;
+      }
+      
+      const matchLength = literals[i];
+      const lengthCode = LENGTH_CODE[matchLength];
+      writer.writeBits(literalCodes[257 + lengthCode], literalLengths[257 + lengthCode]);
+      if (LENGTH_EXTRA[lengthCode] > 0) {
+        writer.writeBits(matchLength - LENGTH_BASE[lengthCode], LENGTH_EXTRA[lengthCode]);
+      }
+      
+      const distanceCode = DIST_CODE[distance];
+      writer.writeBits(distanceCodes[distanceCode], distanceLengths[distanceCode]);
+      if (DIST_EXTRA[distanceCode] > 0) {
+        writer.writeBits(distance - DIST_BASE[distanceCode], DIST_EXTRA[distanceCode]);
+      }
+    }
+    
+    // End of block
+    writer.writeBits(literalCodes[256], literalLengths[256]);
+  }
+
+  buildDynamicTrees(literalFreqs, distanceFreqs) {
+    const literalLengths = this.buildCodeLengths(literalFreqs, 15);
+    const distanceLengths = this.buildCodeLengths(distanceFreqs, 15);
+    
+    // Trim trailing unused codes from both alphabets
+    let literalCount = 286;
+    while (literalCount > 257 && literalLengths[literalCount - 1] === 0) literalCount--;
+    let distanceCount = 30;
+    while (distanceCount > 1 && distanceLengths[distanceCount - 1] === 0) distanceCount--;
+    
+    const combined = new Uint8Array(literalCount + distanceCount);
+    combined.set(literalLengths.subarray(0, literalCount), 0);
+    combined.set(distanceLengths.subarray(0, distanceCount), literalCount);
+    
+    const lengthSymbols = this.runLengthEncode(combined);
+    const codeLengthFreqs = new Uint32Array(19);
+    for (const { symbol } of lengthSymbols) codeLengthFreqs[symbol]++;
+    
+    const codeLengthLengths = this.buildCodeLengths(codeLengthFreqs, 7);
+    let codeLengthCount = 19;
+    while (codeLengthCount > 4 && codeLengthLengths[CODE_LENGTH_ORDER[codeLengthCount - 1]] === 0) codeLengthCount--;
+    
+    let headerBits = 5 + 5 + 4 + codeLengthCount * 3;
+    for (const { symbol, extraBits } of lengthSymbols) {
+      headerBits += codeLengthLengths[symbol] + extraBits;
+    }
+    
+    return {
+      literalLengths,
+      distanceLengths,
+      literalCount,
+      distanceCount,
+      lengthSymbols,
+      codeLengthLengths,
+      codeLengthCodes: this.createCanonicalCodes(codeLengthLengths),
+      codeLengthCount,
+      headerBits
+    };
+  }
+
+  runLengthEncode(lengths) {
+    const symbols = [];
+    let i = 0;
+    
+    while (i < lengths.length) {
+      const value = lengths[i];
+      let run = 1;
+      while (i + run < lengths.length && lengths[i + run] === value) run++;
+      i += run;
+      
+      if (value === 0) {
+        // Runs of zeros: 18 codes 11-138, 17 codes 3-10
+        while (run >= 11) {
+          const repeat = Math.min(run, 138);
+          symbols.push({ symbol: 18, extra: repeat - 11, extraBits: 7 });
+          run -= repeat;
+        }
+        if (run >= 3) {
+          symbols.push({ symbol: 17, extra: run - 3, extraBits: 3 });
+          run = 0;
+        }
+      } else {
+        // Non-zero runs: emit the value once, then 16 repeats it 3-6 times
+        symbols.push({ symbol: value, extra: 0, extraBits: 0 });
+        run--;
+        while (run >= 3) {
+          const repeat = Math.min(run, 6);
+          symbols.push({ symbol: 16, extra: repeat - 3, extraBits: 2 });
+          run -= repeat;
+        }
+      }
+      
+      while (run-- > 0) {
+        symbols.push({ symbol: value, extra: 0, extraBits: 0 });
+      }
+    }
+    
+    return symbols;
+  }
+
+  // Length-limited Huffman code lengths; always yields a complete code of at least two symbols
+  buildCodeLengths(freqs, maxBits) {
+    const lengths = new Uint8Array(freqs.length);
+    let weights = Array.from(freqs);
+    
+    const used = [];
+    for (let i = 0; i < weights.length; i++) {
+      if (weights[i] > 0) used.push(i);
+    }
+    
+    if (used.length < 2) {
+      // A single-symbol code is padded with a dummy symbol so decoders see a complete tree
+      const first = used.length === 1 ? used[0] : 0;
+      const second = first === 0 ? 1 : 0;
+      lengths[first] = 1;
+      lengths[second] = 1;
+      return lengths;
+    }
+    
+    for (;;) {
+      const depths = this.computeHuffmanDepths(used, weights);
+      const maxDepth = Math.max(...depths);
+      
+      if (maxDepth <= maxBits) {
+        used.forEach((symbol, index) => {
+          lengths[symbol] = depths[index];
+        });
+        return lengths;
+      }
+      
+      // Flatten the distribution and retry until the code fits the length limit
+      weights = weights.map(weight => (weight > 0 ? (weight >> 1) | 1 : 0));
+    }
+  }
+
+  computeHuffmanDepths(symbols, weights) {
+    // Two-queue Huffman construction over leaves sorted by weight
+    const leaves = symbols
+      .map((symbol, index) => ({ weight: weights[symbol], index }))
+      .sort((a, b) => a.weight - b.weight || a.index - b.index);
+    
+    const nodeCount = leaves.length * 2 - 1;
+    const parent = new Int32Array(nodeCount).fill(-1);
+    const nodeWeight = new Float64Array(nodeCount);
+    leaves.forEach((leaf, i) => {
+      nodeWeight[i] = leaf.weight;
+    });
+    
+    let leafIndex = 0;
+    let internalIndex = leaves.length;
+    let nextNode = leaves.length;
+    
+    const takeSmallest = () => {
+      if (leafIndex < leaves.length &&
+          (internalIndex >= nextNode || nodeWeight[leafIndex] <= nodeWeight[internalIndex])) {
+        return leafIndex++;
+      }
+      return internalIndex++;
+    };
+    
+    while (nextNode < nodeCount) {
+      const a = takeSmallest();
+      const b = takeSmallest();
+      nodeWeight[nextNode] = nodeWeight[a] + nodeWeight[b];
+      parent[a] = nextNode;
+      parent[b] = nextNode;
+      nextNode++;
+    }
+    
+    const depths = new Array(symbols.length).fill(0);
+    leaves.forEach((leaf, i) => {
+      let depth = 0;
+      for (let node = i; parent[node] !== -1; node = parent[node]) depth++;
+      depths[leaf.index] = depth;
+    });
+    
+    return depths;
+  }
+
+  // Canonical Huffman codes, bit-reversed for LSB-first output
+  createCanonicalCodes(lengths) {
+    const maxLength = Math.max(0, ...lengths);
+    const lengthCounts = new Uint16Array(maxLength + 1);
+    for (const length of lengths) {
+      if (length > 0) lengthCounts[length]++;
+    }
+    
+    const nextCode = new Uint16Array(maxLength + 2);
+    let code = 0;
+    for (let bits = 1; bits <= maxLength; bits++) {
+      code = (code + lengthCounts[bits - 1]) << 1;
+      nextCode[bits] = code;
+    }
+    
+    const codes = new Uint16Array(lengths.length);
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+      const length = lengths[symbol];
+      if (length > 0) {
+        codes[symbol] = this.reverseBits(nextCode[length]++, length);
+      }
+    }
+    
+    return codes;
+  }
+
+  createFixedLengths(size, ranges) {
+    const lengths = new Uint8Array(size);
+    let symbol = 0;
+    for (const [last, length] of ranges) {
+      for (; symbol <= last; symbol++) lengths[symbol] = length;
+    }
+    return lengths;
+  }
+
+  measureCost(freqs, lengths) {
+    let bits = 0;
+    for (let i = 0; i < freqs.length; i++) {
+      bits += freqs[i] * lengths[i];
+    }
+    return bits;
+  }
+
+  reverseBits(value, length) {
+    let reversed = 0;
+    for (let i = 0; i < length; i++) {
+      reversed = (reversed << 1) | (value & 1);
+      value >>= 1;
+    }
+    return reversed;
+  }
+
+  adler32(data) {
+    let a = 1;
+    let b = 0;
+    let offset = 0;
+    
+    // Process in chunks small enough that the sums cannot overflow before the modulo
+    while (offset < data.length) {
+      const end = Math.min(offset + 5552, data.length);
+      for (; offset < end; offset++) {
+        a += data[offset];
+        b += a;
+      }
+      a %= 65521;
+      b %= 65521;
+    }
+    
+    return ((b << 16) | a) >>> 0;
+  }
+}
+
+// LSB-first bit reader; reads past the end are zero-filled and only fail once the padding is consumed
+class InflateBitReader {
+  constructor(data, offset = 0) {
+    this.data = data;
+    this.position = offset;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    this.padding = 0;
+  }
+
+  fill(count) {
+    while (this.bitCount < count) {
+      if (this.position < this.data.length) {
+        this.bitBuffer |= this.data[this.position++] << this.bitCount;
+      } else {
+        this.padding++;
+      }
+      this.bitCount += 8;
+    }
+  }
+
+  consume(count) {
+    this.bitBuffer >>>= count;
+    this.bitCount -= count;
+    
+    if (this.padding * 8 > this.bitCount) {
+      throw new FormatError('unexpected end of DEFLATE stream', 'deflate');
+    }
+  }
+
+  readBits(count) {
+    if (count === 0) return 0;
+    
+    this.fill(count);
+    const value = this.bitBuffer & ((1 << count) - 1);
+    this.consume(count);
+    return value;
+  }
+
+  decodeSymbol({ table, maxBits }) {
+    this.fill(maxBits);
+    const entry = table[this.bitBuffer & ((1 << maxBits) - 1)];
+    const length = entry & 15;
+    
+    if (length === 0) {
+      throw new FormatError('invalid Huffman code', 'deflate');
+    }
+    
+    this.consume(length);
+    return entry >>> 4;
+  }
+
+  alignToByte() {
+    this.consume(this.bitCount & 7);
+  }
+
+  // Only valid on a byte boundary
+  readBytes(count) {
+    this.position -= (this.bitCount >> 3) - this.padding;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    this.padding = 0;
+    
+    if (this.position + count > this.data.length) {
+      throw new FormatError('unexpected end of DEFLATE stream', 'deflate');
+    }
+    
+    const bytes = this.data.subarray(this.position, this.position + count);
+    this.position += count;
+    return bytes;
+  }
+
+  getByteOffset() {
+    return this.position - ((this.bitCount >> 3) - this.padding);
+  }
+}
+
+// Growable byte buffer with LSB-first bit packing as used by DEFLATE
+class DeflateBitWriter {
+  constructor(initialSize = 1024) {
+    this.buffer = new Uint8Array(initialSize);
+    this.length = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  ensureCapacity(extra) {
+    if (this.length + extra <= this.buffer.length) return;
+    
+    let size = this.buffer.length * 2;
+    while (size < this.length + extra) size *= 2;
+    
+    const grown = new Uint8Array(size);
+    grown.set(this.buffer.subarray(0, this.length));
+    this.buffer = grown;
+  }
+
+  writeBits(value, length) {
+    this.bitBuffer |= (value & ((1 << length) - 1)) << this.bitCount;
+    this.bitCount += length;
+    
+    while (this.bitCount >= 8) {
+      this.ensureCapacity(1);
+      this.buffer[this.length++] = this.bitBuffer & 0xFF;
+      this.bitBuffer >>>= 8;
+      this.bitCount -= 8;
+    }
+  }
+
+  alignToByte() {
+    if (this.bitCount > 0) {
+      this.writeBits(0, 8 - this.bitCount);
+    }
+  }
+
+  writeByte(value) {
+    this.alignToByte();
+    this.ensureCapacity(1);
+    this.buffer[this.length++] = value & 0xFF;
+  }
+
+  writeBytes(bytes) {
+    this.alignToByte();
+    this.ensureCapacity(bytes.length);
+    this.buffer.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  toUint8Array() {
+    this.alignToByte();
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+export default Zlib;
\ No newline at end of file
@@ -0,0 +1,199 @@
+import zlib from 'node:zlib';
+import sharp from 'sharp';
+import Logger from '../src/utils/Logger.js';
+import AnimationCompression from '../src/algorithms/AnimationCompression.js';
+import { ValidationError } from '../src/core/ErrorHandler.js';
+import { createKompreser, createImage, decode, psnr } from './helpers.js';
+
+const logger = new Logger({ level: 'FATAL' });
+
+// Three frames with the square moving right, 100 ms each
+function createAnimation(width = 48, height = 32) {
+  const frames = [0, 1, 2].map(step => {
+    const { data } = createImage(width, height);
+    for (let y = 4; y < 12; y++) {
+      for (let x = 4 + step * 8; x < 12 + step * 8; x++) {
+        data.set([0, 0, 255, 255], (y * width + x) * 4);
+      }
+    }
+    return { data, width, height, delay: 100 };
+  });
+  return { width, height, loopCount: 0, frames };
+}
+
+async function createAnimatedGIF() {
+  const { data } = await new AnimationCompression({}, logger).compress(createAnimation(), { format: 'gif' });
+  return data;
+}
+
+function readPNGChunks(bytes) {
+  const buffer = Buffer.from(bytes);
+  const chunks = [];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    const crcValid = buffer.readUInt32BE(offset + 8 + length) === zlib.crc32(buffer.subarray(offset + 4, offset + 8 + length));
+    chunks.push({ type, data, crcValid });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+function createPNGChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const length = Buffer.alloc(4);
+  const crc = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  crc.writeUInt32BE(zlib.crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Every APNG frame repackaged as a still PNG, decoded by libvips and drawn onto the canvas the way a
+// player would: blend op source replaces the rectangle, over skips transparent pixels; dispose op is none
+async function decodeAPNGFrames(bytes) {
+  const chunks = readPNGChunks(bytes);
+  const ihdr = chunks.find(chunk => chunk.type === 'IHDR').data;
+  const shared = chunks.filter(chunk => chunk.type === 'PLTE' || chunk.type === 'tRNS');
+  const width = ihdr.readUInt32BE(0);
+  const height = ihdr.readUInt32BE(4);
+  const canvas = new Uint8Array(width * height * 4);
+  const frames = [];
+
+  const controls = chunks.filter(chunk => chunk.type === 'fcTL');
+  for (const [index, { data: fctl }] of controls.entries()) {
+    const start = chunks.findIndex(chunk => chunk.data === fctl);
+    const end = index + 1 < controls.length ? chunks.findIndex(chunk => chunk.data === controls[index + 1].data) : chunks.length;
+    const parts = chunks.slice(start + 1, end)
+      .filter(chunk => chunk.type === 'IDAT' || chunk.type === 'fdAT')
+      .map(chunk => chunk.type === 'fdAT' ? chunk.data.subarray(4) : chunk.data);
+
+    const [rectWidth, rectHeight, x, y] = [4, 8, 12, 16].map(offset => fctl.readUInt32BE(offset));
+    const header = Buffer.from(ihdr);
+    header.writeUInt32BE(rectWidth, 0);
+    header.writeUInt32BE(rectHeight, 4);
+    const still = Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+      createPNGChunk('IHDR', header),
+      ...shared.map(chunk => createPNGChunk(chunk.type, chunk.data)),
+      createPNGChunk('IDAT', Buffer.concat(parts)),
+      createPNGChunk('IEND', Buffer.alloc(0))
+    ]);
+
+    const rect = await decode(new Uint8Array(still));
+    const blendOver = fctl[25] === 1;
+    for (let row = 0; row < rectHeight; row++) {
+      for (let column = 0; column < rectWidth; column++) {
+        const source = (row * rectWidth + column) * 4;
+        if (!blendOver || rect.data[source + 3] !== 0) {
+          canvas.set(rect.data.subarray(source, source + 4), ((y + row) * width + x + column) * 4);
+        }
+      }
+    }
+
+    frames.push({ data: canvas.slice(), x, y, width: rectWidth, height: rectHeight, delay: 1000 * fctl.readUInt16BE(20) / fctl.readUInt16BE(22), blendOver });
+  }
+
+  return frames;
+}
+
+// All pages of an animated file as decoded by libvips, with the delays and loop count it reads
+async function decodeAnimation(bytes) {
+  const image = sharp(Buffer.from(bytes), { animated: true });
+  const { pages, delay, loop, width, pageHeight } = await image.metadata();
+  const data = new Uint8Array(await image.ensureAlpha().raw().toBuffer());
+  const size = width * pageHeight * 4;
+  const frames = Array.from({ length: pages }, (_, page) => data.subarray(page * size, (page + 1) * size));
+  return { frames, delay, loop, width, height: pageHeight };
+}
+
+let kompreser;
+
+beforeEach(() => {
+  kompreser = createKompreser();
+});
+
+afterEach(async () => {
+  await kompreser.destroy();
+});
+
+test.each([
+  ['dropFrames', { dropFrames: 1 }],
+  ['maxFrameRate', { maxFrameRate: -5 }]
+])('invalid %s is rejected once with a ValidationError, not retried', async (name, options) => {
+  const compressAnimation = jest.spyOn(kompreser.compressionEngine, 'compressAnimation');
+
+  await expect(kompreser.compress(await createAnimatedGIF(), { format: 'png', ...options }))
+    .rejects.toThrow(ValidationError);
+  expect(compressAnimation).toHaveBeenCalledTimes(1);
+});
+
+test('GIF to APNG writes acTL, fcTL, IDAT and fdAT chunks that play back the source frames', async () => {
+  const gif = await createAnimatedGIF();
+  const source = await decodeAnimation(gif);
+  const result = await kompreser.compress(gif, { format: 'png', loop: 2 });
+  const chunks = readPNGChunks(result.data);
+  const types = chunks.map(chunk => chunk.type);
+  const actl = chunks.find(chunk => chunk.type === 'acTL').data;
+  const sequences = chunks
+    .filter(chunk => chunk.type === 'fcTL' || chunk.type === 'fdAT')
+    .map(chunk => chunk.data.readUInt32BE(0));
+
+  expect(chunks.every(chunk => chunk.crcValid)).toBe(true);
+  expect(types.indexOf('acTL')).toBeLessThan(types.indexOf('IDAT'));
+  expect(types.indexOf('fcTL')).toBeLessThan(types.indexOf('IDAT'));
+  expect([actl.readUInt32BE(0), actl.readUInt32BE(4)]).toEqual([3, 2]);
+  expect(types.filter(type => type === 'fcTL')).toHaveLength(3);
+  expect(types.filter(type => type === 'fdAT').length).toBeGreaterThanOrEqual(2);
+  expect(sequences).toEqual(sequences.map((sequence, index) => index));
+
+  const frames = await decodeAPNGFrames(result.data);
+  expect(frames.map(frame => frame.delay)).toEqual([100, 100, 100]);
+  expect(frames[0]).toMatchObject({ x: 0, y: 0, width: 48, height: 32, blendOver: false });
+  // Later frames only carry the rectangle the square moved through
+  for (const frame of frames.slice(1)) {
+    expect(frame.width * frame.height).toBeLessThan(48 * 32 / 2);
+    expect(frame.blendOver).toBe(true);
+  }
+  frames.forEach((frame, index) => expect(psnr(frame.data, source.frames[index])).toBe(Infinity));
+
+  expect(result.metadata.animation).toMatchObject({ frames: 3, sourceFrames: 3, duration: 300, loopCount: 2 });
+  // Players without APNG support show the default image, which is the first frame
+  expect(psnr((await decode(result.data)).data, source.frames[0])).toBe(Infinity);
+});
+
+test('GIF to animated WebP writes ANIM and ANMF chunks that play back the source frames', async () => {
+  const gif = await createAnimatedGIF();
+  const source = await decodeAnimation(gif);
+  const result = await kompreser.compress(gif, { format: 'webp', lossless: true });
+  const bytes = Buffer.from(result.data);
+  const anmf = [];
+  for (let offset = 12; offset < bytes.length;) {
+    const size = bytes.readUInt32LE(offset + 4);
+    if (bytes.toString('latin1', offset, offset + 4) === 'ANMF') {
+      const header = bytes.subarray(offset + 8, offset + 24);
+      anmf.push({ width: header.readUIntLE(6, 3) + 1, height: header.readUIntLE(9, 3) + 1, duration: header.readUIntLE(12, 3) });
+    }
+    offset += 8 + size + (size & 1);
+  }
+
+  expect(bytes.toString('latin1', 12, 16)).toBe('VP8X');
+  expect(bytes[20] & 0x02).toBe(0x02);
+  expect(anmf.map(frame => frame.duration)).toEqual([100, 100, 100]);
+  expect(anmf[0]).toMatchObject({ width: 48, height: 32 });
+  expect(anmf[1].width * anmf[1].height).toBeLessThan(48 * 32 / 2);
+
+  const output = await decodeAnimation(result.data);
+  expect(output).toMatchObject({ width: 48, height: 32, loop: 0, delay: [100, 100, 100] });
+  expect(output.frames).toHaveLength(3);
+  output.frames.forEach((frame, index) => expect(psnr(frame, source.frames[index])).toBe(Infinity));
+  expect(result.metadata.animation).toMatchObject({ frames: 3, sourceFrames: 3, duration: 300, loopCount: 0 });
+});
+
+test('dropped frames hand their delay to the previous frame', async () => {
+  const result = await kompreser.compress(await createAnimatedGIF(), { format: 'webp', dropFrames: [1] });
+  const output = await decodeAnimation(result.data);
+
+  expect(output.delay).toEqual([200, 100]);
+  expect(result.metadata.animation).toMatchObject({ frames: 2, sourceFrames: 3, duration: 300 });
+});
@@ -0,0 +1,80 @@
+import Logger from '../src/utils/Logger.js';
+import BatchProcessor from '../src/utils/BatchProcessor.js';
+
+const logger = new Logger({ level: 'FATAL' });
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+// A task function that records how many of its calls are in flight at once
+function createTracker() {
+  const tracker = { active: 0, peak: 0 };
+  tracker.fn = async (input) => {
+    tracker.active++;
+    tracker.peak = Math.max(tracker.peak, tracker.active);
+    await tick();
+    tracker.active--;
+    return input * 2;
+  };
+  return tracker;
+}
+
+test('results keep input order and respect maxWorkers', async () => {
+  const processor = new BatchProcessor({ maxWorkers: 2, batchSize: 10 }, logger);
+  const tracker = createTracker();
+  const results = await processor.process([1, 2, 3, 4, 5], tracker.fn);
+
+  expect(results.map(r => r.result)).toEqual([2, 4, 6, 8, 10]);
+  expect(tracker.peak).toBe(2);
+});
+
+test('overlapping runs each get their own concurrency slots', async () => {
+  const processor = new BatchProcessor({ maxWorkers: 2, batchSize: 10 }, logger);
+  const tracker = createTracker();
+
+  await Promise.all([
+    processor.process([1, 2, 3, 4], tracker.fn),
+    processor.process([1, 2, 3, 4], tracker.fn)
+  ]);
+
+  expect(tracker.peak).toBe(4);
+});
+
+test('a new run does not un-cancel an aborted one', async () => {
+  const processor = new BatchProcessor({ maxWorkers: 1, batchSize: 10 }, logger);
+  const controller = new AbortController();
+  const tracker = createTracker();
+
+  const aborted = processor.process([1, 2, 3, 4], tracker.fn, { signal: controller.signal });
+  controller.abort();
+  const fresh = processor.process([1, 2], tracker.fn);
+
+  const [abortedResults, freshResults] = await Promise.all([aborted, fresh]);
+
+  expect(abortedResults.slice(1).every(r => r.cancelled)).toBe(true);
+  expect(freshResults.every(r => r.success)).toBe(true);
+});
+
+test('cancel() stops every run in flight', async () => {
+  const processor = new BatchProcessor({ maxWorkers: 1, batchSize: 10 }, logger);
+  const tracker = createTracker();
+
+  const runs = Promise.all([processor.process([1, 2, 3], tracker.fn), processor.process([1, 2, 3], tracker.fn)]);
+  processor.cancel();
+  const results = (await runs).flat();
+
+  expect(results.every(r => r.cancelled)).toBe(true);
+  expect(processor.getStats()).toMatchObject({ running: false, activeTasks: 0, queuedTasks: 0 });
+});
+
+test('per-call callbacks only see their own run', async () => {
+  const processor = new BatchProcessor({ maxWorkers: 2 }, logger);
+  const tracker = createTracker();
+  const seen = { first: [], second: [] };
+
+  await Promise.all([
+    processor.process([1, 2, 3], tracker.fn, { onFileComplete: r => seen.first.push(r.result) }),
+    processor.process([10, 20], tracker.fn, { onFileComplete: r => seen.second.push(r.result) })
+  ]);
+
+  expect(seen.first.sort((a, b) => a - b)).toEqual([2, 4, 6]);
+  expect(seen.second.sort((a, b) => a - b)).toEqual([20, 40]);
+});
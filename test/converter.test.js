@@ -0,0 +1,87 @@
+import Logger from '../src/utils/Logger.js';
+import FormatConverter from '../src/core/FormatConverter.js';
+import { UnsupportedError } from '../src/core/ErrorHandler.js';
+import { createImage, decode, psnr } from './helpers.js';
+
+const logger = new Logger({ level: 'FATAL' });
+const image = createImage(48, 32);
+
+const FORMATS = ['jpeg', 'png', 'webp', 'gif', 'bmp', 'tiff'];
+// GIF quantizes to a palette, JPEG and WebP are lossy
+const LOSSLESS = ['png', 'bmp', 'tiff'];
+
+function createConverter(options = {}) {
+  return new FormatConverter(options, logger);
+}
+
+const pairs = FORMATS.flatMap(from => FORMATS.filter(to => to !== from).map(to => [from, to]));
+
+test.each(pairs)('converts %s to %s', async (from, to) => {
+  const converter = createConverter();
+  const source = await converter.convert({ ...image, format: 'rgba' }, { format: from, quality: 0.9 });
+  const converted = await converter.convert(source, { format: to, quality: 0.9 });
+  const decoded = await decode(converted.data);
+
+  expect(converted.format).toBe(to);
+  expect(converted.metadata.convertedFrom).toBe(from);
+  expect(decoded.format === 'heif' ? 'avif' : decoded.format.replace('jpg', 'jpeg')).toBe(to);
+  expect([decoded.width, decoded.height]).toEqual([image.width, image.height]);
+  if (LOSSLESS.includes(from) && LOSSLESS.includes(to)) {
+    expect(decoded.data).toEqual(new Uint8Array(image.data.buffer));
+  } else {
+    expect(psnr(image.data, decoded.data)).toBeGreaterThan(28);
+  }
+});
+
+test('reports every built-in pair and leaves out AVIF without a canvas', () => {
+  const conversions = createConverter().getSupportedConversions();
+
+  for (const from of FORMATS) {
+    expect(conversions[from]).toEqual(FORMATS);
+  }
+  // Passing AVIF through as is needs no encoder
+  expect(conversions.avif).toEqual(['avif']);
+});
+
+test.each([
+  ['png', 'avif', /no avif encoder available/],
+  ['avif', 'png', /no avif decoder available/],
+  ['png', 'svg', /vector and raster formats cannot be transcoded/],
+  ['svg', 'png', /vector and raster formats cannot be transcoded/],
+  ['png', 'heic', /unknown format heic/]
+])('rejects %s to %s with an UnsupportedError', async (from, to, message) => {
+  const converter = createConverter();
+  const source = from === 'png'
+    ? await converter.convert({ ...image, format: 'rgba' }, { format: 'png' })
+    : { data: new Uint8Array(16), width: 1, height: 1, format: from };
+
+  expect(converter.canConvert(from, to)).toBe(false);
+  const conversion = converter.convert(source, { format: to });
+  await expect(conversion).rejects.toThrow(UnsupportedError);
+  await expect(conversion).rejects.toThrow(message);
+});
+
+test('encodes AVIF through a registered WebAssembly codec', async () => {
+  const converter = createConverter({ enableWebAssembly: true });
+  const encode = jest.fn(async (format, { width, height }) => ({ data: new Uint8Array(8), size: 8, width, height, format }));
+  converter.setWebAssemblyModules({ get: (format, role) => (format === 'avif' && role === 'encoder' ? { name: 'test-avif' } : null), encode });
+
+  const source = await converter.convert({ ...image, format: 'rgba' }, { format: 'png' });
+  const converted = await converter.convert(source, { format: 'avif' });
+
+  expect(converter.canConvert('png', 'avif')).toBe(true);
+  expect(converted.format).toBe('avif');
+  expect(encode).toHaveBeenCalledWith('avif', expect.objectContaining({ width: 48, height: 32 }), expect.any(Object));
+});
+
+test('reads raw pixels that start with "BM" as pixels, not as a BMP', async () => {
+  const data = new Uint8ClampedArray(image.data);
+  data.set([0x42, 0x4D]);
+
+  const converter = createConverter();
+  const converted = await converter.convert({ data, width: image.width, height: image.height }, { format: 'png' });
+  const decoded = await decode(converted.data);
+
+  expect(converted.metadata.convertedFrom).toBe('rgba');
+  expect(decoded.data).toEqual(new Uint8Array(data.buffer));
+});
@@ -0,0 +1,164 @@
+import sharp from 'sharp';
+import Logger from '../src/utils/Logger.js';
+import PNGDecoder from '../src/decoders/PNGDecoder.js';
+import JPEGDecoder from '../src/decoders/JPEGDecoder.js';
+import GIFDecoder from '../src/decoders/GIFDecoder.js';
+import TIFFDecoder from '../src/decoders/TIFFDecoder.js';
+import WebPDecoder from '../src/decoders/WebPDecoder.js';
+import BMPDecoder from '../src/decoders/BMPDecoder.js';
+import BMPCompression from '../src/algorithms/BMPCompression.js';
+import { FormatError } from '../src/core/ErrorHandler.js';
+import { createImage, createPaletteImage, decode, psnr } from './helpers.js';
+
+const logger = new Logger({ level: 'FATAL' });
+const image = createImage(96, 64, { alpha: true });
+const paletteImage = createPaletteImage(96, 64);
+
+// Files written by libvips, decoded by Kompreser and compared with libvips' own reading of them
+function encode(source, format, options = {}) {
+  const raw = Buffer.from(source.data.buffer, source.data.byteOffset, source.data.byteLength);
+  return sharp(raw, { raw: { width: source.width, height: source.height, channels: 4 } })
+    .toFormat(format, options)
+    .toBuffer();
+}
+
+async function expectMatch(decoder, file, minimumPSNR = Infinity) {
+  const reference = await decode(file);
+  const decoded = await decoder.decode(new Uint8Array(file));
+
+  expect(decoded.width).toBe(reference.width);
+  expect(decoded.height).toBe(reference.height);
+  if (minimumPSNR === Infinity) {
+    expect(new Uint8Array(decoded.data.buffer)).toEqual(reference.data);
+  } else {
+    expect(psnr(reference.data, decoded.data)).toBeGreaterThan(minimumPSNR);
+  }
+}
+
+test.each([
+  ['RGBA', {}],
+  ['Adam7-interlaced', { progressive: true }],
+  ['palette', { palette: true, colours: 8 }]
+])('PNGDecoder reads %s PNG', async (name, options) => {
+  const source = options.palette ? paletteImage : image;
+  await expectMatch(new PNGDecoder({}, logger), await encode(source, 'png', options));
+});
+
+test.each([
+  ['baseline', {}],
+  ['progressive', { progressive: true }],
+  ['4:4:4', { chromaSubsampling: '4:4:4' }]
+])('JPEGDecoder reads %s JPEG', async (name, options) => {
+  // IDCT and upsampling differ slightly between decoders
+  await expectMatch(new JPEGDecoder({}, logger), await encode(image, 'jpeg', { quality: 90, ...options }), 40);
+});
+
+test('GIFDecoder reads GIF', async () => {
+  await expectMatch(new GIFDecoder({}, logger), await encode(paletteImage, 'gif'));
+});
+
+test.each(['lzw', 'deflate', 'packbits', 'none'])('TIFFDecoder reads %s TIFF', async (compression) => {
+  await expectMatch(new TIFFDecoder({}, logger), await encode(image, 'tiff', { compression }));
+});
+
+test.each([
+  ['lossless', { lossless: true }],
+  ['lossy', { quality: 75 }],
+  ['lossy alpha', { quality: 75, alphaQuality: 50 }],
+  ['near-lossless', { nearLossless: true, quality: 60 }]
+])('WebPDecoder reads %s WebP', async (name, options) => {
+  await expectMatch(new WebPDecoder({}, logger), await encode(image, 'webp', options));
+});
+
+// Valid files with only their header dimensions changed; the pixel data behind them is far too short
+function patch(file, writes) {
+  const bytes = new Uint8Array(file);
+  const view = new DataView(bytes.buffer);
+  for (const [offset, value, size, littleEndian = true] of writes) {
+    if (size === 1) view.setUint8(offset, value);
+    else if (size === 2) view.setUint16(offset, value, littleEndian);
+    else view.setUint32(offset, value, littleEndian);
+  }
+  return bytes;
+}
+
+function findMarker(bytes, markers) {
+  for (let i = 2; i < bytes.length - 1; i++) {
+    if (bytes[i] === 0xFF && markers.includes(bytes[i + 1])) return i;
+  }
+  throw new Error('marker not found');
+}
+
+function riff(chunks) {
+  const body = Buffer.concat(chunks.map(([type, data]) => {
+    const header = Buffer.alloc(8);
+    header.write(type, 0, 'latin1');
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, data, Buffer.alloc(data.length & 1)]);
+  }));
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return new Uint8Array(Buffer.concat([header, body]));
+}
+
+const corruptHeaders = [
+  ['PNG', () => new PNGDecoder({}, logger), async () => patch(await encode(image, 'png'), [[16, 100000, 4, false], [20, 100000, 4, false]])],
+  ['BMP', () => new BMPDecoder({}, logger), async () => {
+    const { data } = await new BMPCompression({}, logger).compress(image, {});
+    return patch(data, [[18, 100000, 4], [22, 100000, 4]]);
+  }],
+  ['GIF', () => new GIFDecoder({}, logger), async () => patch(await encode(paletteImage, 'gif'), [[6, 65535, 2], [8, 65535, 2]])],
+  ['JPEG', () => new JPEGDecoder({}, logger), async () => {
+    const file = new Uint8Array(await encode(image, 'jpeg'));
+    const sof = findMarker(file, [0xC0, 0xC2]);
+    return patch(file, [[sof + 5, 65535, 2, false], [sof + 7, 65535, 2, false]]);
+  }],
+  ['TIFF', () => new TIFFDecoder({}, logger), async () => {
+    // ImageWidth and ImageLength as LONGs, nothing else
+    const file = Buffer.alloc(8 + 2 + 2 * 12 + 4);
+    file.write('II*\0', 0, 'latin1');
+    file.writeUInt32LE(8, 4);
+    file.writeUInt16LE(2, 8);
+    [256, 257].forEach((tag, i) => {
+      file.writeUInt16LE(tag, 10 + i * 12);
+      file.writeUInt16LE(4, 12 + i * 12);
+      file.writeUInt32LE(1, 14 + i * 12);
+      file.writeUInt32LE(100000, 18 + i * 12);
+    });
+    return new Uint8Array(file);
+  }],
+  ['lossless WebP', () => new WebPDecoder({}, logger), async () => {
+    // 14-bit width - 1 and height - 1 right after the VP8L signature byte
+    return patch(await encode(image, 'webp', { lossless: true }), [[21, 0x3FFF | (0x3FFF << 14), 4]]);
+  }],
+  ['lossy WebP', () => new WebPDecoder({}, logger), async () => {
+    // 14-bit width and height after the frame tag and start code of the VP8 chunk
+    const file = await encode(image, 'webp', { quality: 75 });
+    const frame = file.indexOf('VP8 ') + 8;
+    return patch(file, [[frame + 6, 0x3FFF, 2], [frame + 8, 0x3FFF, 2]]);
+  }],
+  ['animated WebP', () => new WebPDecoder({}, logger), async () => {
+    const canvas = Buffer.alloc(10);
+    canvas[0] = 0x02;
+    canvas.writeUIntLE(99999, 4, 3);
+    canvas.writeUIntLE(99999, 7, 3);
+    return riff([['VP8X', canvas], ['ANIM', Buffer.alloc(6)], ['ANMF', Buffer.alloc(16)]]);
+  }]
+];
+
+test.each(corruptHeaders)('%s decoder rejects huge header dimensions before allocating', async (name, createDecoder, createFile) => {
+  const decoding = createDecoder().decode(await createFile());
+
+  await expect(decoding).rejects.toThrow(FormatError);
+  await expect(decoding).rejects.toThrow(/exceed the maximum of 32767 per side|over the memory limit/);
+});
+
+test('decoders apply maxCanvasSize and memoryLimit', async () => {
+  const file = new Uint8Array(await encode(image, 'png'));
+
+  await expect(new PNGDecoder({ maxCanvasSize: 64 }, logger).decode(file)).rejects.toThrow('image dimensions 96x64 exceed the maximum of 64 per side');
+  await expect(new PNGDecoder({ memoryLimit: 16 * 1024 }, logger).decode(file)).rejects.toThrow(/over the memory limit/);
+});
+
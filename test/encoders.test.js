@@ -0,0 +1,154 @@
+import { ValidationError } from '../src/core/ErrorHandler.js';
+import { createKompreser, createImage, createPaletteImage, decode, psnr, maxChannelError } from './helpers.js';
+
+const kompreser = createKompreser();
+const image = createImage(96, 64);
+const alphaImage = createImage(96, 64, { alpha: true });
+const paletteImage = createPaletteImage(96, 64);
+
+afterAll(() => kompreser.destroy());
+
+async function roundTrip(source, options) {
+  const result = await kompreser.compress(source, options);
+  const decoded = await decode(result.data);
+
+  expect(decoded.width).toBe(source.width);
+  expect(decoded.height).toBe(source.height);
+  return { result, decoded };
+}
+
+describe('JPEG', () => {
+  test.each([
+    ['baseline', {}],
+    ['progressive', { progressive: true }],
+    ['without chroma subsampling', { chromaSubsampling: false }]
+  ])('%s output decodes', async (name, options) => {
+    const { decoded } = await roundTrip(image, { format: 'jpeg', quality: 0.9, ...options });
+
+    expect(decoded.format).toBe('jpeg');
+    expect(psnr(image.data, decoded.data)).toBeGreaterThan(30);
+  });
+
+  test('lower quality gives smaller files', async () => {
+    const low = await kompreser.compress(image, { format: 'jpeg', quality: 0.3 });
+    const high = await kompreser.compress(image, { format: 'jpeg', quality: 0.9 });
+
+    expect(low.size).toBeLessThan(high.size);
+  });
+
+  test('quality 0 is honored rather than replaced by the default', async () => {
+    const zero = await kompreser.compress(image, { format: 'jpeg', quality: 0 });
+    const fallback = await kompreser.compress(image, { format: 'jpeg', quality: 0.8 });
+    const decoded = await decode(zero.data);
+
+    expect(zero.size).toBeLessThan(fallback.size);
+    expect(psnr(image.data, decoded.data)).toBeLessThan(psnr(image.data, (await decode(fallback.data)).data));
+  });
+
+  test.each([
+    ['in-thread', {}],
+    ['in a worker', { useWorkers: true, maxWorkers: 1 }]
+  ])('an invalid scan script is rejected %s with a ValidationError, not retried', async (name, options) => {
+    const local = createKompreser(options);
+    const compress = jest.spyOn(local.compressionEngine, 'compress');
+
+    try {
+      await expect(local.compress(image, { format: 'jpeg', scans: [{ components: ['Y'], spectralStart: 1, spectralEnd: 63 }] }))
+        .rejects.toThrow(ValidationError);
+      expect(compress).toHaveBeenCalledTimes(1);
+    } finally {
+      await local.destroy();
+    }
+  });
+});
+
+describe('PNG', () => {
+  test.each([
+    ['non-interlaced', {}],
+    ['Adam7-interlaced', { progressive: true }]
+  ])('%s output is lossless', async (name, options) => {
+    const { decoded } = await roundTrip(alphaImage, { format: 'png', ...options });
+
+    expect(decoded.format).toBe('png');
+    expect(decoded.data).toEqual(new Uint8Array(alphaImage.data));
+  });
+});
+
+describe('WebP', () => {
+  test('lossless output is exact, alpha included', async () => {
+    const { decoded } = await roundTrip(alphaImage, { format: 'webp', lossless: true });
+
+    expect(decoded.format).toBe('webp');
+    expect(decoded.data).toEqual(new Uint8Array(alphaImage.data));
+  });
+
+  test('lossy output decodes', async () => {
+    const { decoded } = await roundTrip(image, { format: 'webp', quality: 0.9 });
+
+    expect(decoded.format).toBe('webp');
+    expect(psnr(image.data, decoded.data)).toBeGreaterThan(30);
+  });
+
+  test('lossy output keeps its alpha channel', async () => {
+    const { decoded } = await roundTrip(alphaImage, { format: 'webp', quality: 0.9 });
+
+    expect(psnr(alphaImage.data, decoded.data)).toBeGreaterThan(25);
+    expect(maxChannelError(alphaImage.data, decoded.data, 3)).toBeLessThanOrEqual(8);
+  });
+});
+
+describe('GIF', () => {
+  test('images with few colors survive the palette exactly', async () => {
+    const { decoded } = await roundTrip(paletteImage, { format: 'gif' });
+
+    expect(decoded.format).toBe('gif');
+    expect(decoded.data).toEqual(new Uint8Array(paletteImage.data));
+  });
+
+  test('photographic input is quantized to a close palette', async () => {
+    const { decoded } = await roundTrip(image, { format: 'gif', colors: 64 });
+
+    expect(psnr(image.data, decoded.data)).toBeGreaterThan(25);
+  });
+});
+
+describe('BMP', () => {
+  test.each([
+    ['24-bit', { bitDepth: 24 }, image],
+    ['32-bit', { bitDepth: 32 }, alphaImage]
+  ])('%s output is lossless', async (name, options, source) => {
+    const { decoded } = await roundTrip(source, { format: 'bmp', ...options });
+
+    expect(decoded.format).toBe('bmp');
+    expect(decoded.data).toEqual(new Uint8Array(source.data));
+  });
+
+  test('8-bit palette output is lossless', async () => {
+    const { decoded } = await roundTrip(paletteImage, { format: 'bmp', bitDepth: 8 });
+
+    expect(decoded.data).toEqual(new Uint8Array(paletteImage.data));
+  });
+
+  test('RLE8 shrinks flat 8-bit images', async () => {
+    const plain = await kompreser.compress(paletteImage, { format: 'bmp', bitDepth: 8 });
+    const rle = await kompreser.compress(paletteImage, { format: 'bmp', bitDepth: 8, rle: true });
+    const header = new DataView(rle.data.buffer, rle.data.byteOffset, rle.data.byteLength);
+
+    expect(header.getUint32(30, true)).toBe(1);
+    expect(rle.size).toBeLessThan(plain.size);
+  });
+});
+
+describe('TIFF', () => {
+  test.each([
+    ['lzw', 'II'],
+    ['deflate', 'MM'],
+    ['packbits', 'II'],
+    ['none', 'MM']
+  ])('%s strips in %s byte order are lossless', async (tiffCompression, byteOrder) => {
+    const { decoded } = await roundTrip(alphaImage, { format: 'tiff', tiffCompression, byteOrder });
+
+    expect(decoded.format).toBe('tiff');
+    expect(decoded.data).toEqual(new Uint8Array(alphaImage.data));
+  });
+});
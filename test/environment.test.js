@@ -0,0 +1,96 @@
+import Environment from '../src/utils/Environment.js';
+import Logger from '../src/utils/Logger.js';
+import { createKompreser, createImage } from './helpers.js';
+
+// Node.js 14 has no global performance
+describe('without a global performance', () => {
+  const { performance } = globalThis;
+
+  beforeEach(() => {
+    delete globalThis.performance;
+  });
+
+  afterEach(() => {
+    globalThis.performance = performance;
+  });
+
+  test('Environment reads the clock from Date.now() and reports no heap limits', () => {
+    const environment = new Environment();
+    const before = Date.now();
+
+    expect(environment.now()).toBeGreaterThanOrEqual(before);
+    expect(environment.getHeapStatistics()).toBeNull();
+    expect(environment.getMemoryUsage().used).toBeGreaterThan(0);
+  });
+
+  test('Logger timers and compress() still run', async () => {
+    const timer = new Logger({ level: 'FATAL' }).startTimer('test');
+    expect(timer.end()).toBeGreaterThanOrEqual(0);
+
+    const kompreser = createKompreser({ enablePerformanceTracking: true });
+    try {
+      const result = await kompreser.compress(createImage(16, 16), { format: 'png' });
+      expect(result.format).toBe('png');
+    } finally {
+      await kompreser.destroy();
+    }
+  });
+});
+
+test('Environment reads Chromium heap figures from performance.memory', () => {
+  const memory = { usedJSHeapSize: 1, totalJSHeapSize: 2, jsHeapSizeLimit: 3 };
+  const environment = new Environment({ performance: { now: () => 42, memory } });
+
+  expect(environment.now()).toBe(42);
+  expect(environment.getHeapStatistics()).toEqual({ used: 1, total: 2, limit: 3 });
+});
+
+describe('getHardwareConcurrency', () => {
+  const node = (os, extra = {}) => ({ process: { versions: { node: '20.19.0' }, getBuiltinModule: id => (id === 'node:os' ? os : undefined) }, ...extra });
+
+  test('Node.js reports availableParallelism(), or the CPU count before it existed', () => {
+    const cpus = () => [{}, {}, {}];
+
+    expect(new Environment(node({ availableParallelism: () => 12, cpus })).getHardwareConcurrency()).toBe(12);
+    expect(new Environment(node({ cpus })).getHardwareConcurrency()).toBe(3);
+    expect(new Environment(node({ cpus: () => [] })).getHardwareConcurrency()).toBe(1);
+  });
+
+  test('navigator.hardwareConcurrency comes first', () => {
+    const environment = new Environment(node({ availableParallelism: () => 12 }, { navigator: { hardwareConcurrency: 6 } }));
+
+    expect(environment.getHardwareConcurrency()).toBe(6);
+  });
+
+  test('Node.js without getBuiltinModule loads os asynchronously', async () => {
+    const os = await import('node:os');
+    const environment = new Environment({ process: { versions: { node: '14.21.3' } } });
+
+    expect(environment.getHardwareConcurrency()).toBe(4);
+    await expect(environment.loadHardwareConcurrency()).resolves.toBe(os.availableParallelism());
+    expect(environment.getHardwareConcurrency()).toBe(os.availableParallelism());
+  });
+
+  test('unknown runtimes fall back to 4', async () => {
+    const environment = new Environment({});
+
+    expect(environment.getHardwareConcurrency()).toBe(4);
+    await expect(environment.loadHardwareConcurrency()).resolves.toBe(4);
+  });
+
+  test('Kompreser defaults maxWorkers and batch concurrency to the processor count', async () => {
+    const os = await import('node:os');
+    const kompreser = createKompreser();
+    const configured = createKompreser({ maxWorkers: 2 });
+
+    try {
+      await Promise.all([kompreser.ready, configured.ready]);
+
+      expect(kompreser.options.maxWorkers).toBe(os.availableParallelism());
+      expect(kompreser.batchProcessor.concurrency).toBe(os.availableParallelism());
+      expect(configured.options.maxWorkers).toBe(2);
+    } finally {
+      await Promise.all([kompreser.destroy(), configured.destroy()]);
+    }
+  });
+});
@@ -0,0 +1,79 @@
+import sharp from 'sharp';
+import decodeBmp from 'decode-bmp';
+import Kompreser from '../src/core/Kompreser.js';
+
+export function createKompreser(options = {}) {
+  return new Kompreser({
+    logLevel: 'FATAL',
+    enableCaching: false,
+    useWorkers: false,
+    enablePerformanceTracking: false,
+    ...options
+  });
+}
+
+// Smooth gradients with a hard-edged square, like photo content with a sharp object in it
+export function createImage(width, height, { alpha = false } = {}) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const inSquare = x > width / 4 && x < width / 2 && y > height / 4 && y < height / 2;
+      data[i] = inSquare ? 230 : Math.round(255 * x / width);
+      data[i + 1] = inSquare ? 40 : Math.round(255 * y / height);
+      data[i + 2] = inSquare ? 60 : 128 + Math.round(64 * Math.sin(x / 7) * Math.cos(y / 5));
+      data[i + 3] = alpha ? Math.round(255 * (x + y) / (width + height - 2)) : 255;
+    }
+  }
+  return { data, width, height };
+}
+
+// Flat blocks of a handful of colors, exactly representable in any palette format
+export function createPaletteImage(width, height) {
+  const colors = [[0, 0, 0], [255, 255, 255], [200, 30, 30], [30, 160, 60], [20, 40, 220], [250, 200, 0]];
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = colors[(Math.floor(x / 8) + Math.floor(y / 8)) % colors.length];
+      data.set([r, g, b, 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+}
+
+// Decodes with libvips (libjpeg-turbo, libpng, libwebp, libtiff, ...) or decode-bmp, never with Kompreser itself
+export async function decode(bytes) {
+  const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (buffer[0] === 0x42 && buffer[1] === 0x4D) {
+    const { data, width, height } = decodeBmp(buffer);
+    return { data: new Uint8Array(data.buffer, data.byteOffset, data.byteLength), width, height, format: 'bmp' };
+  }
+
+  const image = sharp(buffer);
+  const { format } = await image.metadata();
+  const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return { data: new Uint8Array(data), width: info.width, height: info.height, format };
+}
+
+// PSNR over RGB, Infinity when identical
+export function psnr(a, b) {
+  let sum = 0;
+  let count = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      const diff = a[i + c] - b[i + c];
+      sum += diff * diff;
+      count++;
+    }
+  }
+  return sum === 0 ? Infinity : 10 * Math.log10(255 * 255 * count / sum);
+}
+
+export function maxChannelError(a, b, channel) {
+  let max = 0;
+  for (let i = channel; i < a.length; i += 4) {
+    max = Math.max(max, Math.abs(a[i] - b[i]));
+  }
+  return max;
+}
@@ -0,0 +1,143 @@
+import { ValidationError } from '../src/core/ErrorHandler.js';
+import { createKompreser, createImage, decode } from './helpers.js';
+
+const image = createImage(64, 48);
+
+test('compress() right after construction waits for workers and performance tracking', async () => {
+  const kompreser = createKompreser({ useWorkers: true, maxWorkers: 1, enablePerformanceTracking: true });
+
+  try {
+    await kompreser.compress(image, { format: 'jpeg', quality: 0.8 });
+    const stats = await kompreser.getPerformanceStats();
+
+    expect(stats.pipeline.running).toBe(true);
+    expect(stats.pipeline.runs).toBe(1);
+    expect(stats.workers.workers.reduce((sum, worker) => sum + worker.tasksCompleted, 0)).toBe(1);
+  } finally {
+    await kompreser.destroy();
+  }
+});
+
+test.each([
+  ['lossy', { quality: 0.8 }],
+  ['lossless', { lossless: true }]
+])('targetQuality measures %s WebP without a canvas', async (name, options) => {
+  const kompreser = createKompreser();
+
+  try {
+    const result = await kompreser.compress(image, { format: 'webp', ...options, targetQuality: { metric: 'ssim', value: 0.9 } });
+
+    expect(result.metadata.targetQuality.met).toBe(true);
+    expect(result.metadata.targetQuality.achieved).toBeGreaterThanOrEqual(0.9);
+  } finally {
+    await kompreser.destroy();
+  }
+});
+
+test('targetQuality drops JPEG chroma subsampling when quality 1 falls short', async () => {
+  const kompreser = createKompreser();
+
+  try {
+    const result = await kompreser.compress(image, { format: 'jpeg', targetQuality: { metric: 'psnr', value: 40 } });
+
+    expect(result.metadata.targetQuality).toMatchObject({ met: true, fallback: true });
+    expect(result.metadata.targetQuality.achieved).toBeGreaterThanOrEqual(40);
+  } finally {
+    await kompreser.destroy();
+  }
+});
+
+test('targetQuality rejects formats it cannot decode before encoding', async () => {
+  const kompreser = createKompreser();
+
+  try {
+    await expect(kompreser.compress(image, { format: 'avif', targetQuality: { metric: 'ssim', value: 0.9 } }))
+      .rejects.toThrow(/avif output without a canvas/);
+  } finally {
+    await kompreser.destroy();
+  }
+});
+
+test.each(['webp', 'png'])('compare() decodes a %s result without a canvas', async (format) => {
+  const kompreser = createKompreser();
+
+  try {
+    const result = await kompreser.compress(image, { format, quality: 0.9 });
+    const comparison = await kompreser.compare(image, result);
+
+    expect(comparison.width).toBe(image.width);
+    expect(comparison.ssim).toBeGreaterThan(0.9);
+  } finally {
+    await kompreser.destroy();
+  }
+});
+
+test('compare() reads raw pixels that carry a format field as pixels', async () => {
+  const kompreser = createKompreser();
+
+  try {
+    const comparison = await kompreser.compare(image, { ...image, format: 'jpeg' });
+
+    expect(comparison.psnr).toBe(Infinity);
+  } finally {
+    await kompreser.destroy();
+  }
+});
+
+describe('maxBytes', () => {
+  const photo = createImage(128, 96);
+  let kompreser;
+
+  beforeEach(() => {
+    kompreser = createKompreser();
+  });
+
+  afterEach(async () => {
+    await kompreser.destroy();
+  });
+
+  async function sizeAt(quality) {
+    return (await kompreser.compress(photo, { format: 'jpeg', quality })).size;
+  }
+
+  test('lowers JPEG quality until the output fits, at full size', async () => {
+    const maxBytes = Math.round((await sizeAt(0.8) + await sizeAt(0.3)) / 2);
+    const result = await kompreser.compress(photo, { format: 'jpeg', quality: 0.8, maxBytes });
+    const decoded = await decode(result.data);
+
+    expect(result.size).toBeLessThanOrEqual(maxBytes);
+    expect(result.metadata.targetSize).toMatchObject({ maxBytes, scale: 1, width: 128, height: 96 });
+    expect(result.metadata.targetSize.quality).toBeGreaterThan(0.3);
+    expect(result.metadata.targetSize.quality).toBeLessThan(0.8);
+    expect([decoded.width, decoded.height]).toEqual([128, 96]);
+  });
+
+  test('downscales once the lowest quality is still too large', async () => {
+    const maxBytes = Math.round(await sizeAt(0.3) * 0.6);
+    const result = await kompreser.compress(photo, { format: 'jpeg', quality: 0.8, maxBytes });
+    const { targetSize } = result.metadata;
+    const decoded = await decode(result.data);
+
+    expect(result.size).toBeLessThanOrEqual(maxBytes);
+    expect(targetSize.scale).toBeLessThan(1);
+    expect(targetSize.width).toBeLessThan(128);
+    expect([decoded.width, decoded.height]).toEqual([targetSize.width, targetSize.height]);
+  });
+
+  test('downscales lossless PNG without touching quality', async () => {
+    const full = await kompreser.compress(photo, { format: 'png' });
+    const result = await kompreser.compress(photo, { format: 'png', quality: 0.8, targetSize: Math.round(full.size / 2) });
+
+    expect(result.size).toBeLessThanOrEqual(full.size / 2);
+    expect(result.metadata.targetSize.quality).toBe(0.8);
+    expect(result.metadata.targetSize.scale).toBeLessThan(1);
+  });
+
+  test('rejects a budget no scale can meet', async () => {
+    const compress = kompreser.compress(photo, { format: 'jpeg', maxBytes: 10 });
+
+    await expect(compress).rejects.toThrow(ValidationError);
+    await expect(compress).rejects.toThrow('Cannot compress image below 10 bytes');
+  });
+});
+
@@ -0,0 +1,304 @@
+import sharp from 'sharp';
+import { createKompreser, createImage, decode, psnr } from './helpers.js';
+
+const image = createImage(96, 64);
+
+const XMP = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+  '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:exif="http://ns.adobe.com/exif/1.0/" exif:GPSLongitude="4,53.0E">' +
+  '<dc:subject><rdf:Bag><rdf:li>travel</rdf:li><rdf:li>sea</rdf:li></rdf:Bag></dc:subject>' +
+  '<exif:GPSLatitude>52,31.0N</exif:GPSLatitude>' +
+  '</rdf:Description></rdf:RDF></x:xmpmeta>';
+
+const EXIF = {
+  IFD0: { Make: 'Kompreser', Model: 'Cam 1', Copyright: 'Jane Doe' },
+  IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '52/1 31/1 0/1' }
+};
+
+function source() {
+  return sharp(Buffer.from(image.data.buffer), { raw: { width: image.width, height: image.height, channels: 4 } });
+}
+
+// IIM record 2 datasets wrapped in a Photoshop 0x0404 resource, as an APP13 segment
+function iptcSegment(datasets) {
+  const iim = [];
+  for (const [dataset, values] of datasets) {
+    for (const value of [].concat(values)) {
+      const text = Buffer.from(value, 'latin1');
+      iim.push(Buffer.from([0x1C, 2, dataset, text.length >> 8, text.length & 0xFF]), text);
+    }
+  }
+  const block = Buffer.concat(iim);
+  const size = Buffer.alloc(4);
+  size.writeUInt32BE(block.length);
+  const resource = Buffer.concat([Buffer.from('8BIM'), Buffer.from([0x04, 0x04, 0, 0]), size, block, Buffer.alloc(block.length & 1)]);
+  const payload = Buffer.concat([Buffer.from('Photoshop 3.0\0', 'latin1'), resource]);
+  return Buffer.concat([Buffer.from([0xFF, 0xED, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF]), payload]);
+}
+
+// JPEG with EXIF (GPS included), XMP and IPTC (keywords, by-line, copyright)
+async function createTaggedJPEG() {
+  const jpeg = await source().jpeg({ quality: 95 }).withExif(EXIF).withXmp(XMP).toBuffer();
+  const iptc = iptcSegment([[25, ['travel', 'sea']], [80, 'Jane Doe'], [116, '(c) Jane Doe']]);
+  return new Uint8Array(Buffer.concat([jpeg.subarray(0, 2), iptc, jpeg.subarray(2)]));
+}
+
+// Re-reads what a decoder sees in the output: libvips for the blocks, Kompreser for the parsed tags
+async function readBack(kompreser, bytes) {
+  const { exif, xmp, iptc } = await sharp(Buffer.from(bytes)).metadata();
+  const { metadata } = await kompreser.compress(bytes, { format: 'png', autoOrient: false });
+  return { exif, xmp: xmp?.toString(), iptc, metadata };
+}
+
+describe('metadata preservation', () => {
+  test('EXIF, IPTC and XMP are read from JPEG input', async () => {
+    const kompreser = createKompreser();
+
+    try {
+      const { metadata } = await kompreser.compress(await createTaggedJPEG(), { format: 'jpeg' });
+
+      expect(metadata.exif.ifd0).toMatchObject({ Make: 'Kompreser', Model: 'Cam 1', Copyright: 'Jane Doe' });
+      expect(metadata.exif.gps).toMatchObject({ GPSLatitudeRef: 'N' });
+      expect(metadata.iptc).toMatchObject({ Keywords: ['travel', 'sea'], 'By-line': ['Jane Doe'], CopyrightNotice: '(c) Jane Doe' });
+      expect(metadata.xmp['dc:subject']).toEqual(['travel', 'sea']);
+    } finally {
+      await kompreser.destroy();
+    }
+  });
+
+  test.each(['jpeg', 'png', 'webp'])('EXIF and XMP are written into %s output', async format => {
+    const kompreser = createKompreser();
+
+    try {
+      const result = await kompreser.compress(await createTaggedJPEG(), { format, quality: 0.8 });
+      const output = await readBack(kompreser, result.data);
+
+      expect(output.exif).toBeDefined();
+      expect(output.xmp).toContain('<rdf:li>travel</rdf:li>');
+      expect(output.metadata.exif.ifd0).toMatchObject({ Make: 'Kompreser', Model: 'Cam 1' });
+      expect(output.metadata.exif.gps).toMatchObject({ GPSLatitudeRef: 'N' });
+      expect(output.metadata.xmp['dc:subject']).toEqual(['travel', 'sea']);
+    } finally {
+      await kompreser.destroy();
+    }
+  });
+
+  test('IPTC is only written into JPEG output', async () => {
+    const kompreser = createKompreser();
+
+    try {
+      const input = await createTaggedJPEG();
+      const jpeg = await readBack(kompreser, (await kompreser.compress(input, { format: 'jpeg' })).data);
+      const png = await readBack(kompreser, (await kompreser.compress(input, { format: 'png' })).data);
+
+      expect(jpeg.iptc).toBeDefined();
+      expect(jpeg.metadata.iptc).toMatchObject({ Keywords: ['travel', 'sea'], 'By-line': ['Jane Doe'] });
+      expect(png.iptc).toBeUndefined();
+      expect(png.metadata.iptc).toBeNull();
+    } finally {
+      await kompreser.destroy();
+    }
+  });
+
+  test("metadata: 'none' neither reports nor writes metadata", async () => {
+    const kompreser = createKompreser();
+
+    try {
+      const result = await kompreser.compress(await createTaggedJPEG(), { format: 'jpeg', metadata: 'none' });
+      const output = await sharp(Buffer.from(result.data)).metadata();
+
+      expect(result.metadata.exif ?? null).toBeNull();
+      expect(result.metadata.xmp ?? null).toBeNull();
+      expect(output.exif).toBeUndefined();
+      expect(output.xmp).toBeUndefined();
+      expect(output.iptc).toBeUndefined();
+    } finally {
+      await kompreser.destroy();
+    }
+  });
+});
+
+describe('metadata sanitization', () => {
+  test('the default policy drops GPS from EXIF and XMP and lists what it removed', async () => {
+    const kompreser = createKompreser();
+
+    try {
+      const result = await kompreser.compress(await createTaggedJPEG(), { format: 'jpeg', sanitizeMetadata: true });
+      const output = await readBack(kompreser, result.data);
+
+      expect(result.metadata.removedTags).toEqual(expect.arrayContaining([
+        { block: 'exif', group: 'gps', tag: 'GPSLatitudeRef' },
+        { block: 'exif', group: 'gps', tag: 'GPSLatitude' },
+        { block: 'xmp', group: 'exif', tag: 'exif:GPSLatitude' },
+        { block: 'xmp', group: 'exif', tag: 'exif:GPSLongitude' }
+      ]));
+      expect(result.metadata.removedTags).toHaveLength(4);
+      expect(result.metadata.xmp['exif:GPSLatitude']).toBeUndefined();
+      expect(output.xmp).not.toMatch(/GPS/);
+      expect(output.xmp).toContain('<rdf:li>travel</rdf:li>');
+      expect(Object.keys(output.metadata.exif.gps ?? {})).toHaveLength(0);
+      expect(output.metadata.exif.ifd0).toMatchObject({ Make: 'Kompreser', Model: 'Cam 1', Copyright: 'Jane Doe' });
+      expect(output.metadata.iptc).toMatchObject({ Keywords: ['travel', 'sea'], 'By-line': ['Jane Doe'] });
+    } finally {
+      await kompreser.destroy();
+    }
+  });
+
+  test('keep without drop is an allow list across all blocks', async () => {
+    const kompreser = createKompreser();
+
+    try {
+      const result = await kompreser.compress(await createTaggedJPEG(), { format: 'jpeg', sanitizeMetadata: { keep: ['Copyright*', 'Keywords'] } });
+      const output = await readBack(kompreser, result.data);
+
+      expect(output.metadata.exif.ifd0).toEqual({ Copyright: 'Jane Doe' });
+      expect(output.metadata.iptc).toEqual({ Keywords: ['travel', 'sea'], CopyrightNotice: '(c) Jane Doe' });
+      expect(output.metadata.xmp).toBeNull();
+      expect(output.xmp).toBeUndefined();
+      expect(result.metadata.removedTags).toEqual(expect.arrayContaining([
+        { block: 'exif', group: 'ifd0', tag: 'Model' },
+        { block: 'iptc', group: 'application', tag: 'By-line' },
+        { block: 'xmp', group: 'dc', tag: 'dc:subject' }
+      ]));
+    } finally {
+      await kompreser.destroy();
+    }
+  });
+
+  test('a block name drops the whole block', async () => {
+    const kompreser = createKompreser();
+
+    try {
+      const result = await kompreser.compress(await createTaggedJPEG(), { format: 'jpeg', sanitizeMetadata: { drop: ['IPTC', 'XMP'] } });
+      const output = await readBack(kompreser, result.data);
+
+      expect(output.iptc).toBeUndefined();
+      expect(output.xmp).toBeUndefined();
+      expect(output.metadata.exif.gps).toMatchObject({ GPSLatitudeRef: 'N' });
+    } finally {
+      await kompreser.destroy();
+    }
+  });
+
+  test('an invalid policy is rejected', async () => {
+    const kompreser = createKompreser();
+
+    try {
+      await expect(kompreser.compress(await createTaggedJPEG(), { format: 'jpeg', sanitizeMetadata: { keep: 'GPS*' } }))
+        .rejects.toThrow(/sanitizeMetadata must be/);
+    } finally {
+      await kompreser.destroy();
+    }
+  });
+});
+
+describe('orientation', () => {
+  async function createOrientedJPEG(orientation) {
+    const xmp = XMP.replace('exif:GPSLongitude', `xmlns:tiff="http://ns.adobe.com/tiff/1.0/" tiff:Orientation="${orientation}" exif:GPSLongitude`);
+    return new Uint8Array(await source().jpeg({ quality: 95 }).withExif(EXIF).withXmp(xmp).withMetadata({ orientation }).toBuffer());
+  }
+
+  test.each([2, 3, 4, 5, 6, 7, 8])('orientation %i is applied to the pixels and reset to 1', async orientation => {
+    const kompreser = createKompreser();
+
+    try {
+      const input = await createOrientedJPEG(orientation);
+      const result = await kompreser.compress(input, { format: 'png' });
+      const expected = await sharp(Buffer.from(input)).rotate().ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+      const decoded = await decode(result.data);
+      const output = await readBack(kompreser, result.data);
+
+      expect([decoded.width, decoded.height]).toEqual([expected.info.width, expected.info.height]);
+      expect(psnr(decoded.data, expected.data)).toBeGreaterThan(35);
+      expect(output.metadata.exif.ifd0.Orientation).toBe(1);
+      expect(output.metadata.xmp['tiff:Orientation']).toBe('1');
+    } finally {
+      await kompreser.destroy();
+    }
+  });
+
+  test('autoOrient: false keeps the stored layout and the original tag', async () => {
+    const kompreser = createKompreser();
+
+    try {
+      const result = await kompreser.compress(await createOrientedJPEG(6), { format: 'png', autoOrient: false });
+      const output = await readBack(kompreser, result.data);
+
+      expect([result.width, result.height]).toEqual([image.width, image.height]);
+      expect(output.metadata.exif.ifd0.Orientation).toBe(6);
+    } finally {
+      await kompreser.destroy();
+    }
+  });
+
+  test('maxWidth applies to the upright image', async () => {
+    const kompreser = createKompreser();
+
+    try {
+      const result = await kompreser.compress(await createOrientedJPEG(6), { format: 'png', maxWidth: 32 });
+
+      expect([result.width, result.height]).toEqual([32, 48]);
+    } finally {
+      await kompreser.destroy();
+    }
+  });
+});
+
+describe('color management', () => {
+  // The test image converted to Display P3 and tagged with it
+  async function createP3PNG() {
+    return new Uint8Array(await source().png().withIccProfile('p3').toBuffer());
+  }
+
+  // libvips converts tagged input to sRGB through LittleCMS unless asked to keep the profile
+  async function readPixels(bytes, { convert = true } = {}) {
+    const pipeline = sharp(Buffer.from(bytes));
+    return new Uint8Array(await (convert ? pipeline.toColourspace('srgb') : pipeline.keepIccProfile()).ensureAlpha().raw().toBuffer());
+  }
+
+  test('a Display P3 input is reported and converted to sRGB', async () => {
+    const kompreser = createKompreser();
+
+    try {
+      const input = await createP3PNG();
+      const result = await kompreser.compress(input, { format: 'png' });
+      const decoded = await decode(result.data);
+
+      expect(result.metadata.icc).toMatchObject({ colorSpace: 'RGB', description: 'sP3C' });
+      expect(psnr(decoded.data, image.data)).toBeGreaterThan(40);
+      expect(psnr(decoded.data, await readPixels(input))).toBeGreaterThan(40);
+      expect(psnr(decoded.data, await readPixels(input, { convert: false }))).toBeLessThan(30);
+      expect((await sharp(Buffer.from(result.data)).metadata()).icc).toBeUndefined();
+    } finally {
+      await kompreser.destroy();
+    }
+  });
+
+  test.each(['jpeg', 'png', 'webp'])("colorSpace: 'display-p3' converts and tags %s output", async format => {
+    const kompreser = createKompreser();
+
+    try {
+      const result = await kompreser.compress(image, { format, colorSpace: 'display-p3', quality: 0.95 });
+      const output = await readBack(kompreser, result.data);
+
+      expect(output.metadata.icc).toMatchObject({ description: 'Display P3' });
+      expect(psnr(await readPixels(result.data, { convert: false }), image.data)).toBeLessThan(30);
+      expect(psnr(await readPixels(result.data), image.data)).toBeGreaterThan(format === 'png' ? 40 : 30);
+    } finally {
+      await kompreser.destroy();
+    }
+  });
+
+  test('embedProfile overrides the default tagging', async () => {
+    const kompreser = createKompreser();
+
+    try {
+      const srgb = await kompreser.compress(image, { format: 'png', embedProfile: true });
+      const p3 = await kompreser.compress(image, { format: 'png', colorSpace: 'display-p3', embedProfile: false });
+
+      expect((await readBack(kompreser, srgb.data)).metadata.icc).toMatchObject({ description: 'sRGB' });
+      expect((await sharp(Buffer.from(p3.data)).metadata()).icc).toBeUndefined();
+    } finally {
+      await kompreser.destroy();
+    }
+  });
+});
@@ -0,0 +1,115 @@
+import Logger from '../src/utils/Logger.js';
+import SVGCompression from '../src/algorithms/SVGCompression.js';
+import { createKompreser } from './helpers.js';
+
+const markup = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- Generator: an editor -->
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"
+     width="120" height="80" viewBox="0 0 120 80" inkscape:version="1.3">
+  <metadata><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"/></metadata>
+  <defs>
+    <linearGradient id="used"><stop offset="0" stop-color="#f00"/></linearGradient>
+    <linearGradient id="unused"><stop offset="1" stop-color="#00f"/></linearGradient>
+  </defs>
+  <g>
+    <g transform="translate(0, 0)">
+      <path d="M 10.123456 20.987654 L 30.5555555 40.4444444 Z" fill="url(#used)"/>
+    </g>
+  </g>
+  <text x="5" y="70">Keep  this   text</text>
+</svg>`;
+
+let kompreser;
+
+beforeEach(() => {
+  kompreser = createKompreser();
+});
+
+afterEach(async () => {
+  await kompreser.destroy();
+});
+
+function text(result) {
+  return new TextDecoder().decode(result.data);
+}
+
+test.each([
+  ['markup', () => markup],
+  ['UTF-8 bytes', () => new TextEncoder().encode(markup)],
+  ['a base64 data URL', () => `data:image/svg+xml;base64,${Buffer.from(markup).toString('base64')}`],
+  ['a percent-encoded data URL', () => `data:image/svg+xml,${encodeURIComponent(markup)}`]
+])('compress() optimizes SVG given as %s without a canvas', async (name, input) => {
+  const result = await kompreser.compress(input(), { format: 'svg' });
+  const output = text(result);
+
+  expect(result.format).toBe('svg');
+  expect(result.width).toBe(120);
+  expect(result.height).toBe(80);
+  expect(result.size).toBeLessThan(new TextEncoder().encode(markup).length);
+  expect(output).toMatch(/^(<\?xml[^>]*>)?<svg[\s>][\s\S]*<\/svg>$/);
+  expect(output).not.toMatch(/<!--|<metadata|inkscape|id="unused"/);
+  expect(output).toContain('id="used"');
+  expect(output).toContain('M10.123 20.988');
+  expect(output).not.toContain('<g');
+  expect(output).toContain('>Keep this text</text>');
+});
+
+test('compress() keeps SVG as SVG with format auto', async () => {
+  const result = await kompreser.compress(markup);
+
+  expect(result.format).toBe('svg');
+  expect(result.metadata.plugins).toContain('removeComments');
+});
+
+test('compress() passes svgPlugins and svgPrecision to the optimizer', async () => {
+  const result = await kompreser.compress(markup, { format: 'svg', svgPlugins: ['roundNumbers'], svgPrecision: 1 });
+  const output = text(result);
+
+  expect(result.metadata.plugins).toEqual(['roundNumbers']);
+  expect(output).toContain('<!-- Generator: an editor -->');
+  expect(output).toContain('M10.1 21');
+});
+
+test('compress() rejects text that is neither SVG nor a data URL', async () => {
+  await expect(kompreser.compress('hello', { format: 'svg' })).rejects.toThrow('Invalid input');
+});
+
+describe('SVGCompression', () => {
+  const svg = new SVGCompression({}, new Logger({ level: 'FATAL' }));
+
+  test('runs custom plugins with their params', async () => {
+    const dropRects = (root, { tag }) => {
+      const [element] = root.children;
+      element.children = element.children.filter(child => child.name !== tag);
+    };
+    const result = await svg.compress('<svg width="2" height="2"><rect/><circle r="1"/></svg>', {
+      plugins: [{ name: 'dropRects', fn: dropRects, params: { tag: 'rect' } }]
+    });
+
+    expect(result.svg).toBe('<svg width="2" height="2"><circle r="1"/></svg>');
+    expect(result.plugins).toEqual(['dropRects']);
+  });
+
+  test('keeps the source when a plugin leaves more than one root element', async () => {
+    const source = '<svg width="2" height="2"><rect width="1"/></svg>';
+    const result = await svg.compress(source, {
+      plugins: [{
+        name: 'splitRoot',
+        fn: (root) => {
+          root.children = ['a', 'b'].map(name => ({ type: 'element', name, attributes: [], children: [] }));
+        }
+      }]
+    });
+
+    expect(result.svg).toBe(source);
+  });
+
+  test.each([
+    ['an unknown plugin', '<svg/>', { plugins: ['noSuchPlugin'] }, /Unknown SVG plugin/],
+    ['malformed XML', '<svg><g></svg>', {}, /SVG compression failed/],
+    ['a non-SVG root', '<html></html>', {}, /SVG compression failed/]
+  ])('rejects %s', async (name, source, options, message) => {
+    await expect(svg.compress(source, options)).rejects.toThrow(message);
+  });
+});
+
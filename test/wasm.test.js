@@ -0,0 +1,181 @@
+import zlib from 'node:zlib';
+import sharp from 'sharp';
+import { ValidationError, UnsupportedError } from '../src/core/ErrorHandler.js';
+import { createKompreser, createImage, createPaletteImage, decode, psnr } from './helpers.js';
+
+const image = createImage(48, 32);
+
+// The smallest valid module; codecs with an adapter need no particular exports
+const EMPTY_MODULE = new Uint8Array([0x00, 0x61, 0x73, 0x6D, 0x01, 0x00, 0x00, 0x00]);
+
+function section(id, ...items) {
+  const body = [items.length, ...items.flat()];
+  return [id, body.length, ...body];
+}
+
+function name(text) {
+  return [text.length, ...Buffer.from(text, 'latin1')];
+}
+
+// A module following the no-adapter calling convention: it exports memory, alloc, free and the role's entry
+// point, the functions being host imports so the test can do the actual work in JavaScript
+function createConventionModule(entry, arity) {
+  const i32 = 0x7F;
+  return new Uint8Array([
+    0x00, 0x61, 0x73, 0x6D, 0x01, 0x00, 0x00, 0x00,
+    ...section(1, [0x60, 1, i32, 1, i32], [0x60, 1, i32, 0], [0x60, arity, ...Array(arity).fill(i32), 1, i32]),
+    ...section(2, [...name('env'), ...name('alloc'), 0x00, 0], [...name('env'), ...name('free'), 0x00, 1], [...name('env'), ...name(entry), 0x00, 2]),
+    ...section(5, [0x00, 4]),
+    ...section(7, [...name('memory'), 0x02, 0], [...name('alloc'), 0x00, 0], [...name('free'), 0x00, 1], [...name(entry), 0x00, 2])
+  ]);
+}
+
+// Host side of the convention module: a bump allocator over the module's memory and a deflate entry point
+// backed by node:zlib, writing its output as a little-endian uint32 length followed by the bytes
+function createDeflateImports() {
+  const host = { memory: null, next: 8, calls: [], freed: 0 };
+  const alloc = length => {
+    const pointer = host.next;
+    host.next += (length + 7) & ~7;
+    return pointer;
+  };
+  host.imports = {
+    env: {
+      alloc,
+      free: () => {
+        host.freed++;
+      },
+      deflate: (pointer, length, level) => {
+        host.calls.push({ length, level });
+        const output = zlib.deflateSync(new Uint8Array(host.memory.buffer, pointer, length), { level });
+        const outputPointer = alloc(output.length + 4);
+        new DataView(host.memory.buffer).setUint32(outputPointer, output.length, true);
+        new Uint8Array(host.memory.buffer).set(output, outputPointer + 4);
+        return outputPointer;
+      }
+    }
+  };
+  return host;
+}
+
+async function encodeWithSharp({ data, width, height }, format, options = {}) {
+  return new Uint8Array(await sharp(Buffer.from(data), { raw: { width, height, channels: 4 } })[format](options).toBuffer());
+}
+
+let kompreser;
+
+beforeEach(() => {
+  kompreser = createKompreser();
+});
+
+afterEach(async () => {
+  await kompreser.destroy();
+});
+
+describe('encoder codecs', () => {
+  test('a registered encoder takes over its format until it is unregistered', async () => {
+    const adapter = jest.fn((exports, pixels, options) => encodeWithSharp(pixels, 'jpeg', { quality: Math.round(options.quality * 100) }));
+
+    await expect(kompreser.registerCodec('jpg', { name: 'test-mozjpeg', source: EMPTY_MODULE, adapter }))
+      .resolves.toEqual({ format: 'jpeg', role: 'encoder', name: 'test-mozjpeg' });
+    expect(kompreser.getCodecCapabilities().jpeg).toEqual({ backend: 'wasm', wasm: { encoder: 'test-mozjpeg' } });
+
+    const result = await kompreser.compress(image, { format: 'jpeg', quality: 0.9 });
+    const decoded = await decode(result.data);
+
+    expect(adapter).toHaveBeenCalledTimes(1);
+    expect(adapter.mock.calls[0][1]).toMatchObject({ width: 48, height: 32 });
+    expect(adapter.mock.calls[0][2]).toMatchObject({ quality: 0.9 });
+    expect(result).toMatchObject({ backend: 'wasm', wasmCodecs: ['test-mozjpeg'] });
+    expect(psnr(decoded.data, image.data)).toBeGreaterThan(30);
+
+    expect(kompreser.unregisterCodec('jpeg')).toBe(true);
+    expect(kompreser.unregisterCodec('jpeg')).toBe(false);
+    expect(kompreser.getCodecCapabilities().jpeg).toEqual({ backend: 'javascript', wasm: {} });
+
+    const fallback = await kompreser.compress(image, { format: 'jpeg', quality: 0.9 });
+    expect(adapter).toHaveBeenCalledTimes(1);
+    expect(fallback.backend).toBe('javascript');
+  });
+});
+
+describe('optimizer codecs', () => {
+  test('an optimizer rewrites encoded output only when it comes out smaller', async () => {
+    const palette = createPaletteImage(48, 32);
+    const adapter = jest.fn(async (exports, bytes) => new Uint8Array(await sharp(Buffer.from(bytes)).png({ palette: true, compressionLevel: 9, effort: 10 }).toBuffer()));
+    const padded = jest.fn((exports, bytes) => new Uint8Array([...bytes, 0, 0, 0, 0]));
+    const plain = await kompreser.compress(palette, { format: 'png' });
+
+    await kompreser.registerCodec('png', { name: 'test-oxipng', role: 'optimizer', source: EMPTY_MODULE, adapter });
+    expect(kompreser.getCodecCapabilities().png).toEqual({ backend: 'javascript', wasm: { optimizer: 'test-oxipng' } });
+
+    const optimized = await kompreser.compress(palette, { format: 'png' });
+    expect(adapter).toHaveBeenCalledTimes(1);
+    expect(adapter.mock.calls[0][2]).toHaveProperty('effort');
+    expect(optimized.size).toBeLessThan(plain.size);
+    expect(optimized.wasmCodecs).toEqual(['test-oxipng']);
+    expect(psnr((await decode(optimized.data)).data, palette.data)).toBe(Infinity);
+
+    await kompreser.registerCodec('png', { name: 'test-padding', role: 'optimizer', source: EMPTY_MODULE, adapter: padded });
+    const declined = await kompreser.compress(palette, { format: 'png' });
+    expect(padded).toHaveBeenCalledTimes(1);
+    expect(declined.size).toBe(plain.size);
+    expect(declined.wasmCodecs).toEqual([]);
+
+    expect(kompreser.unregisterCodec('png', 'optimizer')).toBe(true);
+    expect(kompreser.getCodecCapabilities().png.wasm).toEqual({});
+    await kompreser.compress(palette, { format: 'png' });
+    expect(padded).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('deflate codecs', () => {
+  test('a zlib build without an adapter deflates PNG data through the calling convention', async () => {
+    const host = createDeflateImports();
+    await kompreser.registerCodec('png', { name: 'test-zlib', role: 'deflate', source: createConventionModule('deflate', 3), imports: host.imports });
+    host.memory = kompreser.wasmModules.get('png', 'deflate').exports.memory;
+
+    expect(kompreser.getCodecCapabilities().png).toEqual({ backend: 'javascript', wasm: { deflate: 'test-zlib' } });
+
+    const result = await kompreser.compress(image, { format: 'png' });
+    expect(host.calls.length).toBeGreaterThan(0);
+    expect(host.calls.every(({ level }) => level >= 0 && level <= 9)).toBe(true);
+    // The input and the output block are both released
+    expect(host.freed).toBe(2 * host.calls.length);
+    expect(result.wasmCodecs).toEqual(['test-zlib']);
+    expect(psnr((await decode(result.data)).data, image.data)).toBe(Infinity);
+
+    expect(kompreser.unregisterCodec('png', 'deflate')).toBe(true);
+    const calls = host.calls.length;
+    const fallback = await kompreser.compress(image, { format: 'png' });
+    expect(host.calls).toHaveLength(calls);
+    expect(fallback.wasmCodecs).toEqual([]);
+  });
+});
+
+describe('registration errors', () => {
+  test.each([
+    ['an unknown role', 'png', { role: 'decoder', source: EMPTY_MODULE, adapter: () => {} }, /Unknown WebAssembly codec role: decoder/],
+    ['deflate for a format other than PNG', 'jpeg', { role: 'deflate', source: EMPTY_MODULE, adapter: () => {} }, /No WebAssembly deflate codecs for jpeg/],
+    ['an adapter that is not a function', 'png', { source: EMPTY_MODULE, adapter: 'encode' }, /adapter must be a function/],
+    ['missing exports without an adapter', 'png', { source: EMPTY_MODULE }, /missing exports: memory, alloc, free, encode/],
+    ['a network URL', 'png', { source: 'https://example.com/codec.wasm', adapter: () => {} }, /not URLs/]
+  ])('%s is rejected with a ValidationError', async (description, format, codec, message) => {
+    const registered = kompreser.registerCodec(format, codec);
+
+    await expect(registered).rejects.toThrow(ValidationError);
+    await expect(registered).rejects.toThrow(message);
+    expect(kompreser.getCodecCapabilities()[format].wasm).toEqual({});
+  });
+
+  test('registering needs WebAssembly to be enabled', async () => {
+    const disabled = createKompreser({ enableWebAssembly: false });
+
+    try {
+      await expect(disabled.registerCodec('png', { source: EMPTY_MODULE, adapter: () => {} })).rejects.toThrow(UnsupportedError);
+      expect(disabled.unregisterCodec('png')).toBe(false);
+    } finally {
+      await disabled.destroy();
+    }
+  });
+});
@@ -0,0 +1,39 @@
+import zlib from 'node:zlib';
+import Zlib from '../src/utils/Zlib.js';
+
+function createInput(length) {
+  // Runs, repeats at varying distances and noise, so every block type and match length shows up
+  const data = new Uint8Array(length);
+  let seed = 12345;
+  for (let i = 0; i < length; i++) {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    if (i % 1000 < 300) data[i] = seed & 0xff;
+    else if (i % 1000 < 600) data[i] = i >= 257 ? data[i - 257] : 7;
+    else data[i] = (i >> 4) & 0xff;
+  }
+  return data;
+}
+
+const input = createInput(60000);
+
+test.each([0, 1, 6, 9])('deflate at level %i inflates with node:zlib', (level) => {
+  const compressed = new Zlib().deflate(input, level);
+
+  expect(new Uint8Array(zlib.inflateSync(compressed))).toEqual(input);
+  if (level > 0) {
+    expect(compressed.length).toBeLessThan(input.length);
+  }
+});
+
+test('inflate reads node:zlib output', () => {
+  for (const level of [1, 9]) {
+    const compressed = zlib.deflateSync(input, { level });
+    expect(new Zlib().inflate(new Uint8Array(compressed))).toEqual(input);
+  }
+});
+
+test('empty input round-trips', () => {
+  const compressed = new Zlib().deflate(new Uint8Array(0));
+
+  expect(zlib.inflateSync(compressed).length).toBe(0);
+});